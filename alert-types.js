@@ -0,0 +1,183 @@
+// TCG Investor Pro - Alert Types
+// This file defines the watchlist alert types and their per-entry settings.
+// The evaluate-alerts edge function implements the same keys in _shared/alert-conditions.ts.
+
+// Grades an alert can watch (price_history / pricing_data columns)
+const ALERT_GRADES = {
+    'ungraded': 'Ungraded',
+    'psa-10': 'PSA 10',
+    'psa-9': 'PSA 9',
+    'psa-8': 'PSA 8'
+};
+
+const GRADE_PARAM = { key: 'grade', label: 'Grade', type: 'select', options: ALERT_GRADES, default: 'ungraded' };
+
+// usesAlertPrice: the threshold lives in user_watchlists.alert_price; everything else goes in alert_params
+const ALERT_TYPES = {
+    above: {
+        label: 'Price rises above',
+        usesAlertPrice: true,
+        params: [GRADE_PARAM]
+    },
+    below: {
+        label: 'Price falls below',
+        usesAlertPrice: true,
+        params: [GRADE_PARAM]
+    },
+    percent_change: {
+        label: 'Price moves by %',
+        params: [
+            GRADE_PARAM,
+            { key: 'percent', label: 'Move (%)', type: 'number', min: 1, default: 10 },
+            { key: 'window_days', label: 'Within', type: 'select', numeric: true, options: { 1: '1 day', 7: '7 days', 30: '30 days', 90: '90 days' }, default: 7 },
+            { key: 'direction', label: 'Direction', type: 'select', options: { either: 'Up or down', up: 'Up', down: 'Down' }, default: 'either' }
+        ]
+    },
+    new_high: {
+        label: 'New high',
+        params: [
+            GRADE_PARAM,
+            { key: 'window', label: 'High over', type: 'select', numeric: true, options: { 30: '30 days', 90: '90 days', all: 'All time' }, default: 30 }
+        ]
+    },
+    new_low: {
+        label: 'New low',
+        params: [
+            GRADE_PARAM,
+            { key: 'window', label: 'Low over', type: 'select', numeric: true, options: { 30: '30 days', 90: '90 days', all: 'All time' }, default: 30 }
+        ]
+    },
+    grade_spread: {
+        label: 'PSA 10 to raw spread',
+        params: [
+            { key: 'direction', label: 'When spread is', type: 'select', options: { above: 'Above', below: 'Below' }, default: 'above' },
+            { key: 'spread', label: 'Spread', type: 'number', min: 0, default: 10 },
+            { key: 'unit', label: 'Measured as', type: 'select', options: { multiple: 'Multiple of raw (x)', amount: 'Dollar difference' }, default: 'multiple' }
+        ]
+    }
+};
+
+const AlertTypes = {
+    /**
+     * Settings for a type with every default filled in
+     */
+    defaultParams(alertType) {
+        const params = {};
+        (ALERT_TYPES[alertType]?.params || []).forEach(param => {
+            params[param.key] = param.default;
+        });
+        return params;
+    },
+
+    /**
+     * Keep only the settings a type understands, coercing numbers and filling defaults
+     */
+    normalizeParams(alertType, params = {}) {
+        const normalized = {};
+        (ALERT_TYPES[alertType]?.params || []).forEach(param => {
+            let value = params[param.key];
+            if (value === undefined || value === null || value === '') value = param.default;
+
+            // Numeric selects also offer 'all', which stays a string
+            if (param.type === 'number' || (param.numeric && value !== 'all')) {
+                value = Number(value);
+            }
+            normalized[param.key] = value;
+        });
+        return normalized;
+    },
+
+    /**
+     * Check an alert before saving
+     * @returns {string|null} Error message, or null when valid
+     */
+    validate(alertType, alertPrice, params) {
+        const definition = ALERT_TYPES[alertType];
+        if (!definition) return 'Choose an alert type';
+
+        if (definition.usesAlertPrice && !(Number(alertPrice) > 0)) {
+            return 'Enter a target price greater than zero';
+        }
+
+        for (const param of definition.params) {
+            if (param.type === 'number' && !(Number(params[param.key]) >= (param.min ?? 0))) {
+                return `${param.label} must be at least ${param.min ?? 0}`;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * One-line summary of an alert, e.g. "Falls below $120.00 (PSA 10)"
+     */
+    describe(alertType, alertPrice, params = {}) {
+        const grade = params.grade && params.grade !== 'ungraded' ? ` (${ALERT_GRADES[params.grade]})` : '';
+        const windowLabel = params.window === 'all' ? 'all-time' : `${params.window}-day`;
+
+        switch (alertType) {
+            case 'above':
+                return `Rises above $${Number(alertPrice).toFixed(2)}${grade}`;
+            case 'below':
+                return `Falls below $${Number(alertPrice).toFixed(2)}${grade}`;
+            case 'percent_change': {
+                const direction = { up: 'Up', down: 'Down', either: 'Moves' }[params.direction] || 'Moves';
+                return `${direction} ${params.percent}% within ${params.window_days} days${grade}`;
+            }
+            case 'new_high':
+                return `New ${windowLabel} high${grade}`;
+            case 'new_low':
+                return `New ${windowLabel} low${grade}`;
+            case 'grade_spread': {
+                const spread = params.unit === 'amount' ? `$${Number(params.spread).toFixed(2)}` : `${params.spread}x`;
+                return `PSA 10 spread ${params.direction === 'below' ? 'below' : 'above'} ${spread}`;
+            }
+            default:
+                return 'No alert';
+        }
+    },
+
+    /**
+     * Form fields for a type's settings; inputs carry data-alert-param="<key>"
+     */
+    renderFields(alertType, alertPrice, params = {}) {
+        const definition = ALERT_TYPES[alertType];
+        if (!definition) return '';
+
+        const values = this.normalizeParams(alertType, params);
+        const fields = definition.params.map(param => {
+            const id = `alertParam-${param.key}`;
+            const input = param.type === 'select'
+                ? `<select id="${id}" data-alert-param="${param.key}">
+                        ${Object.entries(param.options).map(([value, label]) => `
+                            <option value="${value}" ${String(values[param.key]) === String(value) ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                   </select>`
+                : `<input type="number" id="${id}" data-alert-param="${param.key}" min="${param.min ?? 0}" step="any" value="${values[param.key]}">`;
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${param.label}:</label>
+                    ${input}
+                </div>
+            `;
+        });
+
+        if (definition.usesAlertPrice) {
+            fields.unshift(`
+                <div class="form-group">
+                    <label for="alertPriceInput">Target Price ($):</label>
+                    <input type="number" id="alertPriceInput" step="0.01" min="0" value="${alertPrice ?? ''}">
+                </div>
+            `);
+        }
+
+        return fields.join('');
+    }
+};
+
+// Export for use in other files
+window.AlertTypes = {
+    ALERT_TYPES,
+    ALERT_GRADES,
+    ...AlertTypes
+};
@@ -325,12 +325,22 @@ const DataSyncService = {
     },
     
     /**
-     * Sync cards from a specific set
+     * Sync cards from a specific set, walking every page of it
+     * @param {number|null} limit - Stop after this many cards; null syncs the whole set
      */
-    async syncCardsFromSet(setId, limit = 100) {
+    async syncCardsFromSet(setId, limit = null) {
         try {
             console.log(`🔄 Syncing cards from set ${setId}...`);
-            const cards = await PokemonTCGAPI.getCardsBySet(setId, 1, limit);
+            const pageSize = limit === null ? 250 : Math.min(250, limit);
+            const cards = [];
+
+            // A short page is the last one
+            for (let page = 1; ; page++) {
+                const pageCards = await PokemonTCGAPI.getCardsBySet(setId, page, pageSize);
+                cards.push(...pageCards);
+                if (pageCards.length < pageSize || (limit !== null && cards.length >= limit)) break;
+            }
+            if (limit !== null) cards.splice(limit);
             
             if (cards.length === 0) {
                 console.log(`No cards found for set ${setId}`);
@@ -424,6 +434,9 @@ const DataSyncService = {
                 return;
             }
             
+            await this.snapshotPricing(cardId, pricingData.data_source, pricingData);
+            await this.evaluateAlerts([cardId]);
+            
             console.log(`✅ Synced pricing for ${cardName}`);
             return pricingData;
         } catch (error) {
@@ -431,6 +444,49 @@ const DataSyncService = {
         }
     },
     
+    /**
+     * Record today's prices in price_history (one row per card/source/day)
+     */
+    async snapshotPricing(cardId, source, pricing, date = new Date().toISOString().split('T')[0]) {
+        if (pricing.ungraded_price == null) return;
+        
+        const client = window.SupabaseConfig.getSupabaseClient();
+        const { error } = await client
+            .from('price_history')
+            .upsert({
+                card_id: cardId,
+                source: source,
+                price: pricing.ungraded_price,
+                psa_10_price: pricing.psa_10_price ?? null,
+                psa_9_price: pricing.psa_9_price ?? null,
+                psa_8_price: pricing.psa_8_price ?? null,
+                date: date
+            }, { 
+                onConflict: 'card_id,source,date' 
+            });
+            
+        if (error) {
+            console.error('Error recording price snapshot:', error);
+        }
+    },
+    
+    /**
+     * Run the evaluate-alerts edge function for cards whose prices just changed
+     */
+    async evaluateAlerts(cardIds) {
+        const client = window.SupabaseConfig.getSupabaseClient();
+        const { data, error } = await client.functions.invoke('evaluate-alerts', {
+            body: { card_ids: cardIds }
+        });
+        
+        if (error) {
+            console.error('Error evaluating price alerts:', error);
+            return null;
+        }
+        
+        return data;
+    },
+    
     /**
      * Get pricing from multiple sources and combine
      */
@@ -507,6 +563,19 @@ const DataSyncService = {
     calculateROI(purchasePrice, currentPrice) {
         if (!purchasePrice || !currentPrice || purchasePrice === 0) return 0;
         return ((currentPrice - purchasePrice) / purchasePrice) * 100;
+    },
+
+    /**
+     * Calculate compound annual ROI percentage for a holding
+     * Holdings under a year return the plain ROI, since annualizing a few weeks of movement is meaningless
+     */
+    calculateAnnualizedROI(purchasePrice, currentPrice, purchaseDate, asOfDate = new Date()) {
+        if (!purchasePrice || !currentPrice || purchasePrice === 0) return 0;
+
+        const years = (new Date(asOfDate) - new Date(purchaseDate)) / (365.25 * 24 * 60 * 60 * 1000);
+        if (!(years >= 1)) return this.calculateROI(purchasePrice, currentPrice);
+
+        return (Math.pow(currentPrice / purchasePrice, 1 / years) - 1) * 100;
     }
 };
 
@@ -0,0 +1,174 @@
+// TCG Investor Pro - Card Variants
+// This file describes a raw lot's printing (condition, edition, reverse holo, language) and values it
+// from the card's variant_prices rows, falling back to the generic card price only for the default printing.
+
+// Condition grades in TCGplayer's order; factor is what a copy typically sells for against Near Mint
+const CARD_CONDITIONS = {
+    NM: { label: 'Near Mint', factor: 1 },
+    LP: { label: 'Lightly Played', factor: 0.85 },
+    MP: { label: 'Moderately Played', factor: 0.7 },
+    HP: { label: 'Heavily Played', factor: 0.5 },
+    DMG: { label: 'Damaged', factor: 0.35 }
+};
+
+const CARD_EDITIONS = {
+    unlimited: { label: 'Unlimited' },
+    '1st_edition': { label: '1st Edition' },
+    shadowless: { label: 'Shadowless' }
+};
+
+const CARD_LANGUAGES = {
+    EN: { label: 'English' },
+    JP: { label: 'Japanese' },
+    KO: { label: 'Korean' },
+    ZH: { label: 'Chinese' },
+    DE: { label: 'German' },
+    FR: { label: 'French' },
+    IT: { label: 'Italian' },
+    ES: { label: 'Spanish' },
+    PT: { label: 'Portuguese' }
+};
+
+// What a lot is assumed to be when it says nothing about its printing
+const DEFAULT_VARIANT = { condition: 'NM', edition: 'unlimited', reverse_holo: false, language: 'EN' };
+
+// Sources in order of preference when several price the same variant
+const VARIANT_PRICE_SOURCES = ['tcgplayer', 'pricecharting', 'pokemonpricetracker'];
+
+const CardVariants = {
+    /**
+     * A lot's variant, with defaults filled in for lots saved before variants existed
+     */
+    variantOf(lot) {
+        return {
+            condition: CARD_CONDITIONS[lot?.condition] ? lot.condition : DEFAULT_VARIANT.condition,
+            edition: CARD_EDITIONS[lot?.edition] ? lot.edition : DEFAULT_VARIANT.edition,
+            reverse_holo: Boolean(lot?.reverse_holo),
+            language: CARD_LANGUAGES[lot?.language] ? lot.language : DEFAULT_VARIANT.language
+        };
+    },
+
+    /**
+     * Columns to store on a lot; sealed products have no printing
+     */
+    lotColumns(variant, gradingStatus) {
+        if (gradingStatus === 'sealed') {
+            return { condition: null, edition: null, reverse_holo: false, language: null };
+        }
+        return this.variantOf(variant);
+    },
+
+    /**
+     * Short description of everything that differs from DEFAULT_VARIANT, e.g. "LP · 1st Edition · JP"
+     * @param {boolean} includeCondition - Slabs carry a grade rather than a condition
+     */
+    label(lot, includeCondition = true) {
+        const variant = this.variantOf(lot);
+        return [
+            includeCondition && variant.condition !== DEFAULT_VARIANT.condition ? variant.condition : null,
+            variant.edition !== DEFAULT_VARIANT.edition ? CARD_EDITIONS[variant.edition].label : null,
+            variant.reverse_holo ? 'Reverse Holo' : null,
+            variant.language !== DEFAULT_VARIANT.language ? variant.language : null
+        ].filter(Boolean).join(' · ');
+    },
+
+    /**
+     * Value of a raw lot from its card's variant prices
+     * Order of preference: the exact variant, the same printing in another condition scaled by
+     * CARD_CONDITIONS factors, then the preferred source's ungraded price scaled for condition. The
+     * ungraded price is for the English unlimited printing, so other printings without a price of their
+     * own are left unpriced rather than valued as that printing.
+     * @param {Object} card - Card with variant_prices and pricing_data rows
+     * @returns {Object|null} { price, method: 'exact' | 'condition' | 'generic' | 'unpriced', basis, condition };
+     *     price is null for 'unpriced'
+     */
+    valueFor(card, lot) {
+        const variant = this.variantOf(lot);
+        const rank = (source) => {
+            const index = VARIANT_PRICE_SOURCES.indexOf(source);
+            return index === -1 ? VARIANT_PRICE_SOURCES.length : index;
+        };
+
+        const printing = (card?.variant_prices || [])
+            .filter(row => Number(row.price) > 0
+                && row.edition === variant.edition
+                && Boolean(row.reverse_holo) === variant.reverse_holo
+                && row.language === variant.language)
+            .sort((a, b) => rank(a.source) - rank(b.source));
+
+        const exact = printing.find(row => row.condition === variant.condition);
+        if (exact) return { price: Number(exact.price), method: 'exact', basis: null };
+
+        const factor = CARD_CONDITIONS[variant.condition].factor;
+        const nearest = printing.find(row => CARD_CONDITIONS[row.condition]);
+        if (nearest) {
+            return {
+                price: Number(nearest.price) * factor / CARD_CONDITIONS[nearest.condition].factor,
+                method: 'condition',
+                basis: nearest.condition
+            };
+        }
+
+        const printingLabel = this.label(variant, false);
+        if (printingLabel) return { price: null, method: 'unpriced', basis: printingLabel, condition: variant.condition };
+
+        const pricing = (card?.pricing_data || [])
+            .filter(row => Number(row.ungraded_price) > 0)
+            .sort((a, b) => rank(a.source) - rank(b.source))[0];
+        return pricing
+            ? { price: Number(pricing.ungraded_price) * factor, method: 'generic', basis: null, condition: variant.condition }
+            : null;
+    },
+
+    /**
+     * Tooltip explaining a value; empty for an exact variant price or a Near Mint default lot on the card price
+     */
+    describe(value) {
+        if (!value || value.method === 'exact') return '';
+        if (value.method === 'condition') return `Adjusted from the ${value.basis} price for condition`;
+        if (value.method === 'unpriced') return `No ${value.basis} price yet; shown at cost`;
+        return value.condition !== DEFAULT_VARIANT.condition ? 'Adjusted from the card price for condition' : '';
+    },
+
+    /**
+     * Read a condition cell such as "Lightly Played", "LP" or "Near Mint Holofoil"
+     */
+    parseCondition(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const match = Object.entries(CARD_CONDITIONS).find(([key, condition]) =>
+            text === key.toLowerCase() || text.startsWith(condition.label.toLowerCase()));
+        return match ? match[0] : DEFAULT_VARIANT.condition;
+    },
+
+    /**
+     * Read a language cell such as "Japanese" or "JP"
+     */
+    parseLanguage(value) {
+        const text = String(value || '').trim().toLowerCase();
+        const match = Object.entries(CARD_LANGUAGES).find(([key, language]) =>
+            text === key.toLowerCase() || text === language.label.toLowerCase());
+        return match ? match[0] : DEFAULT_VARIANT.language;
+    },
+
+    /**
+     * Read a printing cell such as "1st Edition Holofoil" or "Reverse Holofoil"
+     * @returns {Object} { edition, reverse_holo }
+     */
+    parsePrinting(value) {
+        const text = String(value || '').trim().toLowerCase();
+        return {
+            edition: text.includes('1st edition') ? '1st_edition' : text.includes('shadowless') ? 'shadowless' : 'unlimited',
+            reverse_holo: text.includes('reverse')
+        };
+    }
+};
+
+// Export for use in other files
+window.CardVariants = {
+    CARD_CONDITIONS,
+    CARD_EDITIONS,
+    CARD_LANGUAGES,
+    DEFAULT_VARIANT,
+    VARIANT_PRICE_SOURCES,
+    ...CardVariants
+};
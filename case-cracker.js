@@ -0,0 +1,518 @@
+// TCG Investor Pro - Case Cracker
+// This file computes the expected value of sealed product from pull rates and the current prices of a set's cards
+
+// Built-in pack layouts by era, used when public.pull_rates has no row for a set (and in demo mode);
+// database-schema.sql seeds the same values. Each slot draws `count` cards; `odds` gives the chance the
+// slot lands on a rarity and `fill` takes whatever probability is left (including odds for rarities the
+// set doesn't have). With probability godPackOdds a pack uses godPackSlots instead of slots.
+// Rarity names match cards.rarity as imported from the Pokemon TCG API.
+const PULL_RATE_PROFILES = {
+    wotc: {
+        label: 'WOTC (1999-2003)',
+        packsPerBox: 36,
+        boxesPerCase: 12,
+        godPackOdds: 0,
+        godPackSlots: [],
+        slots: [
+            { count: 7, fill: 'Common' },
+            { count: 3, fill: 'Uncommon' },
+            { count: 1, fill: 'Rare', odds: { 'Rare Holo': 1 / 3 } }
+        ]
+    },
+    swsh: {
+        label: 'Sword & Shield',
+        packsPerBox: 36,
+        boxesPerCase: 6,
+        godPackOdds: 0,
+        godPackSlots: [],
+        slots: [
+            { count: 5, fill: 'Common' },
+            { count: 3, fill: 'Uncommon' },
+            { count: 1, fill: 'Rare', odds: {
+                'Rare Holo': 1 / 4,
+                'Rare Holo V': 1 / 7,
+                'Rare Holo VMAX': 1 / 17,
+                'Rare Ultra': 1 / 23,
+                'Rare Rainbow': 1 / 50,
+                'Rare Secret': 1 / 70
+            } }
+        ]
+    },
+    sv: {
+        label: 'Scarlet & Violet',
+        packsPerBox: 36,
+        boxesPerCase: 6,
+        godPackOdds: 0,
+        godPackSlots: [],
+        slots: [
+            { count: 4, fill: 'Common' },
+            { count: 3, fill: 'Uncommon' },
+            // Reverse holo slots are priced as their base rarity; the SIR/IR odds replace one of them
+            { count: 1, fill: 'Common', odds: { 'Uncommon': 0.35, 'Illustration Rare': 1 / 13, 'Special Illustration Rare': 1 / 32 } },
+            { count: 1, fill: 'Common', odds: { 'Uncommon': 0.35 } },
+            { count: 1, fill: 'Rare', odds: {
+                'Double Rare': 1 / 7,
+                'Ultra Rare': 1 / 15,
+                'Hyper Rare': 1 / 53
+            } }
+        ]
+    }
+};
+
+// sets.series => built-in profile key
+const SERIES_PULL_RATES = {
+    'Base': 'wotc',
+    'Gym': 'wotc',
+    'Neo': 'wotc',
+    'Sword & Shield': 'swsh',
+    'Scarlet & Violet': 'sv'
+};
+
+// Packs per unit by product type. Boxes and cases always come from the pull-rate profile, so a scenario's
+// packs per box and boxes per case apply; the rest are used when a product doesn't record packs_per_unit.
+const PRODUCT_PACKS = {
+    booster_pack: () => 1,
+    booster_bundle: () => 6,
+    etb: () => 9,
+    booster_box: (profile) => profile.packsPerBox,
+    booster_case: (profile) => profile.packsPerBox * profile.boxesPerCase
+};
+const PROFILE_PACK_TYPES = ['booster_box', 'booster_case'];
+
+const TOP_PULL_COUNT = 10;
+
+// Simulation defaults; runs are trimmed so one simulation never opens more packs than this
+const SIMULATION_RUNS = 5000;
+const MAX_SIMULATED_PACKS = 2000000;
+const HISTOGRAM_BINS = 30;
+
+// The set's most valuable cards count as chase cards
+const CHASE_CARD_COUNT = 5;
+
+const CaseCracker = {
+    /**
+     * Published pull rates for a product: the most specific pull_rates row (product, then set, then
+     * series), falling back to the built-in profile for the series
+     * @param {Object} scope - { productId, setId, series }
+     * @param {Array} rows - public.pull_rates rows
+     * @returns {Object|null} Profile, or null when the pack layout isn't known
+     */
+    getPullRates({ productId = null, setId = null, series = null } = {}, rows = []) {
+        const row = rows.find(candidate => productId && candidate.sealed_product_id === productId)
+            || rows.find(candidate => setId && candidate.set_id === setId)
+            || rows.find(candidate => series && candidate.series === series);
+        if (row) return this.fromRow(row);
+
+        const key = SERIES_PULL_RATES[series];
+        return key ? PULL_RATE_PROFILES[key] : null;
+    },
+
+    /**
+     * Profile from a pull_rates or pull_rate_scenarios row
+     */
+    fromRow(row) {
+        return {
+            id: row.id,
+            label: row.name,
+            packsPerBox: Number(row.packs_per_box),
+            boxesPerCase: Number(row.boxes_per_case),
+            slots: row.slots || [],
+            godPackOdds: Number(row.god_pack_odds) || 0,
+            godPackSlots: row.god_pack_slots || []
+        };
+    },
+
+    /**
+     * Columns shared by pull_rates and pull_rate_scenarios for a profile
+     */
+    toRow(profile) {
+        return {
+            name: profile.label,
+            packs_per_box: profile.packsPerBox,
+            boxes_per_case: profile.boxesPerCase,
+            slots: profile.slots,
+            god_pack_odds: profile.godPackOdds || 0,
+            god_pack_slots: profile.godPackSlots || []
+        };
+    },
+
+    /**
+     * Check a profile before it is used or saved
+     * @returns {string|null} Error message, or null when valid
+     */
+    validateProfile(profile) {
+        if (!profile) return 'No pull rates for this set';
+        if (!(Number.isInteger(profile.packsPerBox) && profile.packsPerBox > 0)) return 'Packs per box must be a whole number above zero';
+        if (!(Number.isInteger(profile.boxesPerCase) && profile.boxesPerCase > 0)) return 'Boxes per case must be a whole number above zero';
+
+        const godPackOdds = profile.godPackOdds || 0;
+        if (!(godPackOdds >= 0 && godPackOdds <= 1)) return 'God pack odds must be between 0 and 1';
+
+        const layouts = [['Pack', profile.slots]];
+        if (godPackOdds > 0) layouts.push(['God pack', profile.godPackSlots || []]);
+
+        for (const [name, slots] of layouts) {
+            if (slots.length === 0) return `${name} needs at least one slot`;
+
+            for (const [index, slot] of slots.entries()) {
+                const label = `${name} slot ${index + 1}`;
+                if (!(Number.isInteger(slot.count) && slot.count > 0)) return `${label}: card count must be a whole number above zero`;
+                if (!slot.fill) return `${label}: choose a fill rarity`;
+
+                const odds = Object.values(slot.odds || {});
+                if (odds.some(probability => !(probability > 0 && probability <= 1))) return `${label}: odds must be between 0 and 1`;
+                if (odds.reduce((sum, probability) => sum + probability, 0) > 1 + 1e-9) return `${label}: odds add up to more than 100%`;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Ungraded price of a card, preferring sources in price-history order
+     */
+    cardPrice(card) {
+        const sources = window.PriceHistory?.PRICE_HISTORY_SOURCES || [];
+        const rank = (source) => {
+            const index = sources.indexOf(source);
+            return index === -1 ? sources.length : index;
+        };
+
+        const priced = (card.pricing_data || [])
+            .filter(pricing => Number(pricing.ungraded_price) > 0)
+            .sort((a, b) => rank(a.source) - rank(b.source));
+
+        return priced.length > 0 ? Number(priced[0].ungraded_price) : null;
+    },
+
+    /**
+     * Packs in a sealed product; null for product types that aren't opened for pulls
+     */
+    productPacks(product, profile) {
+        const packs = PRODUCT_PACKS[product?.product_type];
+        if (PROFILE_PACK_TYPES.includes(product?.product_type)) return packs(profile);
+        if (Number(product?.packs_per_unit) > 0) return Number(product.packs_per_unit);
+        return packs ? packs(profile) : null;
+    },
+
+    /**
+     * Published rates with a box or case product's recorded packs_per_unit as its packs per box or
+     * boxes per case, so the editor starts from the product's own count
+     */
+    withProductPacks(product, profile) {
+        const packsPerUnit = Number(product?.packs_per_unit);
+        if (!profile || !(packsPerUnit > 0)) return profile;
+
+        if (product.product_type === 'booster_box') return { ...profile, packsPerBox: packsPerUnit };
+        if (product.product_type === 'booster_case' && Number.isInteger(packsPerUnit / profile.packsPerBox)) {
+            return { ...profile, boxesPerCase: packsPerUnit / profile.packsPerBox };
+        }
+        return profile;
+    },
+
+    /**
+     * Effective odds for one slot, dropping rarities the set doesn't have into the fill rarity
+     * @returns {Object} rarity => probability
+     */
+    slotOdds(slot, rarities) {
+        const odds = {};
+        let remaining = 1;
+
+        Object.entries(slot.odds || {}).forEach(([rarity, probability]) => {
+            if (!rarities.has(rarity)) return;
+            odds[rarity] = probability;
+            remaining -= probability;
+        });
+
+        if (rarities.has(slot.fill) && remaining > 0) {
+            odds[slot.fill] = (odds[slot.fill] || 0) + remaining;
+        }
+        return odds;
+    },
+
+    /**
+     * The slot layouts a pack can have, weighted by how often each turns up
+     * @returns {Array} [{ weight, slots }]
+     */
+    packLayouts(profile) {
+        const godPackOdds = profile.godPackOdds || 0;
+        const layouts = [{ weight: 1 - godPackOdds, slots: profile.slots }];
+        if (godPackOdds > 0 && profile.godPackSlots?.length) {
+            layouts.push({ weight: godPackOdds, slots: profile.godPackSlots });
+        }
+        return layouts.filter(layout => layout.weight > 0);
+    },
+
+    /**
+     * Per-pack pull chances for every card in a set
+     * @param {Array} cards - cards rows with pricing_data
+     * @param {Object} profile - Pull-rate profile (see PULL_RATE_PROFILES)
+     * @returns {Object} { packEV, rarities, cards } where each card carries its price and per-slot chances by layout
+     */
+    analyzePack(cards, profile) {
+        const rarities = new Map();
+        cards.forEach(card => {
+            if (!card.rarity) return;
+            if (!rarities.has(card.rarity)) rarities.set(card.rarity, []);
+            rarities.get(card.rarity).push({ card, price: this.cardPrice(card) });
+        });
+
+        // Unpriced cards still take their share of the odds but count as $0, so EV errs low
+        const rarityStats = new Map();
+        rarities.forEach((entries, rarity) => {
+            const prices = entries.map(entry => entry.price).filter(price => price !== null);
+            rarityStats.set(rarity, {
+                rarity,
+                cardCount: entries.length,
+                pricedCount: prices.length,
+                averagePrice: prices.reduce((sum, price) => sum + price, 0) / entries.length,
+                perPack: 0
+            });
+        });
+
+        const layouts = this.packLayouts(profile).map(({ weight, slots }) => ({
+            weight,
+            slots: slots.map(slot => ({ count: slot.count, odds: this.slotOdds(slot, rarities) }))
+        }));
+        layouts.forEach(({ weight, slots }) => {
+            slots.forEach(({ count, odds }) => {
+                Object.entries(odds).forEach(([rarity, probability]) => {
+                    rarityStats.get(rarity).perPack += weight * count * probability;
+                });
+            });
+        });
+
+        const cardPulls = [];
+        rarities.forEach((entries, rarity) => {
+            entries.forEach(({ card, price }) => {
+                // Chance one draw from each slot is this card, per pack layout
+                const cardLayouts = layouts.map(({ weight, slots }) => ({
+                    weight,
+                    slots: slots
+                        .filter(({ odds }) => odds[rarity])
+                        .map(({ count, odds }) => ({ count, chance: odds[rarity] / entries.length }))
+                }));
+                cardPulls.push({ card, rarity, price, layouts: cardLayouts });
+            });
+        });
+
+        const rarityBreakdown = [...rarityStats.values()]
+            .map(stats => ({ ...stats, contribution: stats.perPack * stats.averagePrice }))
+            .sort((a, b) => b.contribution - a.contribution);
+
+        return {
+            packEV: rarityBreakdown.reduce((sum, stats) => sum + stats.contribution, 0),
+            rarities: rarityBreakdown,
+            cards: cardPulls
+        };
+    },
+
+    /**
+     * Expected value of a sealed product
+     * @param {Object} options
+     * @param {Array} options.cards - The set's cards with pricing_data
+     * @param {Object} options.product - sealed_products row (with sets)
+     * @param {Object} options.profile - Pull-rate profile for the set
+     * @param {number|null} options.purchasePrice - Price paid, for ROI
+     * @returns {Object} EV per pack/box/case, ROI and the top contributing pulls
+     */
+    calculateEV({ cards, product, profile, purchasePrice = null }) {
+        const packs = this.productPacks(product, profile);
+        const pack = this.analyzePack(cards, profile);
+        const expectedValue = pack.packEV * packs;
+
+        const topPulls = pack.cards
+            .filter(pull => pull.price !== null && pull.layouts.some(layout => layout.slots.length > 0))
+            .map(pull => {
+                const copiesPerPack = pull.layouts.reduce((sum, { weight, slots }) =>
+                    sum + weight * slots.reduce((copies, slot) => copies + slot.count * slot.chance, 0), 0);
+                const missPerPack = pull.layouts.reduce((sum, { weight, slots }) =>
+                    sum + weight * slots.reduce((miss, slot) => miss * Math.pow(1 - slot.chance, slot.count), 1), 0);
+                return {
+                    cardId: pull.card.id,
+                    name: pull.card.name,
+                    rarity: pull.rarity,
+                    price: pull.price,
+                    probability: 1 - Math.pow(missPerPack, packs),
+                    contribution: copiesPerPack * packs * pull.price
+                };
+            })
+            .sort((a, b) => b.contribution - a.contribution)
+            .slice(0, TOP_PULL_COUNT);
+
+        const hasPrice = Number(purchasePrice) > 0;
+        const profitLoss = hasPrice ? expectedValue - purchasePrice : null;
+
+        return {
+            product,
+            profile,
+            packs,
+            purchasePrice: hasPrice ? Number(purchasePrice) : null,
+            evPerPack: pack.packEV,
+            evPerBox: pack.packEV * profile.packsPerBox,
+            evPerCase: pack.packEV * profile.packsPerBox * profile.boxesPerCase,
+            expectedValue,
+            profitLoss,
+            roi: hasPrice ? (profitLoss / purchasePrice) * 100 : null,
+            breakEven: hasPrice ? expectedValue >= purchasePrice : null,
+            coverage: {
+                cards: pack.cards.length,
+                priced: pack.cards.filter(pull => pull.price !== null).length
+            },
+            rarities: pack.rarities,
+            topPulls
+        };
+    },
+
+    /**
+     * Seedable random number generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} Returns a float in [0, 1) on each call
+     */
+    createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    randomSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    },
+
+    /**
+     * Value at a percentile of an ascending array (nearest rank)
+     */
+    percentile(sorted, percent) {
+        if (sorted.length === 0) return null;
+        const rank = Math.ceil((percent / 100) * sorted.length) - 1;
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank))];
+    },
+
+    /**
+     * Open the product many times, drawing every slot from the pull-rate odds
+     * @param {Object} options
+     * @param {Array} options.cards - The set's cards with pricing_data
+     * @param {Object} options.product - sealed_products row
+     * @param {Object} options.profile - Pull-rate profile for the set
+     * @param {number|null} options.purchasePrice - Price paid, for P(profit)
+     * @param {number} options.runs - Openings to simulate
+     * @param {number} options.seed - RNG seed; the same seed and inputs give the same result
+     * @returns {Object} Outcome distribution, percentiles, chase-card odds and histogram bins
+     */
+    simulate({ cards, product, profile, purchasePrice = null, runs = SIMULATION_RUNS, seed = this.randomSeed() }) {
+        const packs = this.productPacks(product, profile);
+        const pack = this.analyzePack(cards, profile);
+        const rng = this.createRng(seed);
+        runs = Math.max(1, Math.min(runs, Math.floor(MAX_SIMULATED_PACKS / packs)));
+
+        // Unpriced cards are drawn but worth $0, matching calculateEV
+        const chaseCards = pack.cards
+            .filter(pull => pull.price !== null)
+            .sort((a, b) => b.price - a.price)
+            .slice(0, CHASE_CARD_COUNT);
+        const chaseIds = new Set(chaseCards.map(pull => pull.card.id));
+
+        const byRarity = new Map();
+        pack.cards.forEach(pull => {
+            if (!byRarity.has(pull.rarity)) byRarity.set(pull.rarity, { prices: [], chase: [] });
+            byRarity.get(pull.rarity).prices.push(pull.price ?? 0);
+            byRarity.get(pull.rarity).chase.push(chaseIds.has(pull.card.id));
+        });
+
+        // Cumulative odds per slot; a draw past the last bucket (odds for rarities the set lacks) is empty
+        const layouts = this.packLayouts(profile).map(({ weight, slots }) => ({
+            weight,
+            slots: slots.map(slot => {
+                let cumulative = 0;
+                const buckets = Object.entries(this.slotOdds(slot, byRarity)).map(([rarity, probability]) => {
+                    cumulative += probability;
+                    return { cumulative, ...byRarity.get(rarity) };
+                });
+                return { count: slot.count, buckets };
+            })
+        }));
+
+        const outcomes = new Array(runs);
+        let chaseHits = 0;
+
+        for (let run = 0; run < runs; run++) {
+            let value = 0;
+            let hitChase = false;
+
+            for (let p = 0; p < packs; p++) {
+                // Only roll for a god pack when the profile has one, so seeds stay stable otherwise
+                const layout = layouts.length > 1 && rng() >= layouts[0].weight ? layouts[1] : layouts[0];
+                for (const slot of layout.slots) {
+                    for (let c = 0; c < slot.count; c++) {
+                        const roll = rng();
+                        const bucket = slot.buckets.find(candidate => roll < candidate.cumulative);
+                        if (!bucket) continue;
+
+                        const index = Math.floor(rng() * bucket.prices.length);
+                        value += bucket.prices[index];
+                        if (bucket.chase[index]) hitChase = true;
+                    }
+                }
+            }
+
+            outcomes[run] = value;
+            if (hitChase) chaseHits++;
+        }
+
+        outcomes.sort((a, b) => a - b);
+        const hasPrice = Number(purchasePrice) > 0;
+
+        return {
+            runs,
+            seed,
+            packs,
+            purchasePrice: hasPrice ? Number(purchasePrice) : null,
+            mean: outcomes.reduce((sum, value) => sum + value, 0) / runs,
+            median: this.percentile(outcomes, 50),
+            p5: this.percentile(outcomes, 5),
+            p95: this.percentile(outcomes, 95),
+            probabilityProfit: hasPrice ? outcomes.filter(value => value > purchasePrice).length / runs : null,
+            chaseCards: chaseCards.map(pull => ({ cardId: pull.card.id, name: pull.card.name, price: pull.price })),
+            probabilityChase: chaseCards.length > 0 ? chaseHits / runs : null,
+            histogram: this.histogram(outcomes)
+        };
+    },
+
+    /**
+     * Bucket sorted outcomes into equal-width bins; the top 1% folds into the last bin so one
+     * lucky opening doesn't flatten the chart
+     * @returns {Array} [{ from, to, count }]
+     */
+    histogram(sorted, binCount = HISTOGRAM_BINS) {
+        if (sorted.length === 0) return [];
+
+        const min = sorted[0];
+        const max = this.percentile(sorted, 99);
+        const width = (max - min) / binCount || 1;
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            from: min + index * width,
+            to: min + (index + 1) * width,
+            count: 0
+        }));
+
+        sorted.forEach(value => {
+            const index = Math.min(binCount - 1, Math.floor((value - min) / width));
+            bins[index].count++;
+        });
+        return bins;
+    }
+};
+
+// Export for use in other files
+window.CaseCracker = {
+    PULL_RATE_PROFILES,
+    SERIES_PULL_RATES,
+    PRODUCT_PACKS,
+    SIMULATION_RUNS,
+    CHASE_CARD_COUNT,
+    ...CaseCracker
+};
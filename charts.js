@@ -0,0 +1,371 @@
+// TCG Investor Pro - Charts
+// This file draws the canvas line charts and histograms used across the app
+
+const CHART_COLORS = {
+    primary: '#6366F1',
+    success: '#10B981',
+    warning: '#F59E0B',
+    error: '#EF4444',
+    muted: '#6B7280',
+    grid: 'rgba(107, 114, 128, 0.2)'
+};
+
+const ChartRenderer = {
+    /**
+     * Draw a multi-series line chart with axes and a legend
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Array} options.series - [{ label, color, dash, points: [{ date, value }] }]
+     *   All series share the same dates; a null value leaves a gap in that line
+     * @param {Function} options.formatValue - Y axis label formatter
+     * @param {Function} options.formatTooltip - Tooltip value formatter (defaults to formatValue)
+     * @param {string} options.emptyMessage - Shown when there is nothing to plot
+     * @param {number|null} hoverIndex - Point to highlight with a tooltip
+     */
+    drawLineChart(canvas, options, hoverIndex = null) {
+        const { series, formatValue = (value) => value.toFixed(0), emptyMessage = 'No data yet' } = options;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = { top: 24, right: 16, bottom: 28, left: 56 };
+
+        ctx.clearRect(0, 0, width, height);
+        canvas.chartOptions = options;
+        canvas.chartLayout = null;
+
+        const plotted = series.filter(line => line.points.some(point => point.value !== null));
+        const dates = plotted.length > 0 ? plotted[0].points.map(point => point.date) : [];
+
+        if (dates.length === 0) {
+            ctx.fillStyle = CHART_COLORS.muted;
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(emptyMessage, width / 2, height / 2);
+            return;
+        }
+
+        // Lay the legend out first so wrapped rows push the plot down
+        ctx.font = '11px Inter';
+        const legend = [];
+        let legendX = padding.left;
+        let legendRow = 0;
+        plotted.forEach(line => {
+            const itemWidth = ctx.measureText(line.label).width + 32;
+            if (legendX + itemWidth > width - padding.right && legendX > padding.left) {
+                legendX = padding.left;
+                legendRow++;
+            }
+            legend.push({ line, x: legendX, y: 13 + legendRow * 16 });
+            legendX += itemWidth;
+        });
+        padding.top += legendRow * 16;
+
+        const values = plotted.flatMap(line => line.points.map(point => point.value)).filter(value => value !== null);
+        const { min, max, step } = this.niceScale(Math.min(...values), Math.max(...values));
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const x = (index) => padding.left + (dates.length === 1 ? plotWidth / 2 : (index / (dates.length - 1)) * plotWidth);
+        const y = (value) => padding.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+        canvas.chartLayout = { left: padding.left, plotWidth, count: dates.length };
+
+        // Horizontal grid lines and Y axis labels
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let value = min; value <= max + step / 2; value += step) {
+            ctx.strokeStyle = CHART_COLORS.grid;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y(value));
+            ctx.lineTo(width - padding.right, y(value));
+            ctx.stroke();
+
+            ctx.fillStyle = CHART_COLORS.muted;
+            ctx.fillText(formatValue(value), padding.left - 6, y(value));
+        }
+
+        // X axis date labels
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const showYear = (new Date(dates[dates.length - 1]) - new Date(dates[0])) > 300 * 24 * 60 * 60 * 1000;
+        this.labelIndexes(dates.length, Math.max(2, Math.floor(plotWidth / 90))).forEach(index => {
+            ctx.fillText(this.formatDateLabel(dates[index], showYear), x(index), height - padding.bottom + 8);
+        });
+
+        // Lines
+        plotted.forEach(line => {
+            ctx.strokeStyle = line.color || CHART_COLORS.primary;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(line.dash || []);
+            ctx.beginPath();
+            let penDown = false;
+            line.points.forEach((point, index) => {
+                if (point.value === null) {
+                    penDown = false;
+                } else if (!penDown) {
+                    ctx.moveTo(x(index), y(point.value));
+                    penDown = true;
+                } else {
+                    ctx.lineTo(x(index), y(point.value));
+                }
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Legend
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        legend.forEach(({ line, x: itemX, y: itemY }) => {
+            ctx.fillStyle = line.color || CHART_COLORS.primary;
+            ctx.fillRect(itemX, itemY - 5, 10, 10);
+            ctx.fillStyle = CHART_COLORS.muted;
+            ctx.fillText(line.label, itemX + 14, itemY);
+        });
+
+        if (hoverIndex !== null && hoverIndex >= 0 && hoverIndex < dates.length) {
+            this.drawTooltip(ctx, {
+                x: x(hoverIndex),
+                top: padding.top,
+                bottom: padding.top + plotHeight,
+                width,
+                title: this.formatFullDate(dates[hoverIndex]),
+                rows: plotted
+                    .filter(line => line.points[hoverIndex].value !== null)
+                    .map(line => ({
+                        color: line.color || CHART_COLORS.primary,
+                        text: `${line.label}: ${(options.formatTooltip || formatValue)(line.points[hoverIndex].value)}`,
+                        y: y(line.points[hoverIndex].value)
+                    }))
+            });
+        }
+    },
+
+    /**
+     * Draw a histogram of value buckets with an optional marker line
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} options
+     * @param {Array} options.bins - [{ from, to, count }] in ascending order
+     * @param {number|null} options.marker - Value to mark (bars at or above it are colored as gains)
+     * @param {string} options.markerLabel - Label drawn beside the marker
+     * @param {Function} options.formatValue - X axis label formatter
+     * @param {string} options.emptyMessage - Shown when there is nothing to plot
+     */
+    drawHistogram(canvas, options) {
+        const { bins, marker = null, markerLabel = '', formatValue = (value) => value.toFixed(0), emptyMessage = 'No data yet' } = options;
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width;
+        const height = canvas.height;
+        const padding = { top: 16, right: 16, bottom: 28, left: 16 };
+
+        ctx.clearRect(0, 0, width, height);
+
+        if (!bins || bins.length === 0) {
+            ctx.fillStyle = CHART_COLORS.muted;
+            ctx.font = '12px Inter';
+            ctx.textAlign = 'center';
+            ctx.fillText(emptyMessage, width / 2, height / 2);
+            return;
+        }
+
+        const min = bins[0].from;
+        const max = bins[bins.length - 1].to;
+        const maxCount = Math.max(...bins.map(bin => bin.count)) || 1;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const x = (value) => padding.left + ((value - min) / (max - min || 1)) * plotWidth;
+        const barWidth = plotWidth / bins.length;
+
+        // Bars
+        bins.forEach((bin, index) => {
+            const barHeight = (bin.count / maxCount) * plotHeight;
+            ctx.fillStyle = marker === null ? CHART_COLORS.primary
+                : bin.from >= marker ? CHART_COLORS.success : CHART_COLORS.error;
+            ctx.fillRect(padding.left + index * barWidth + 1, padding.top + plotHeight - barHeight, Math.max(1, barWidth - 2), barHeight);
+        });
+
+        // Baseline and X axis labels
+        ctx.strokeStyle = CHART_COLORS.grid;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top + plotHeight);
+        ctx.lineTo(width - padding.right, padding.top + plotHeight);
+        ctx.stroke();
+
+        ctx.font = '11px Inter';
+        ctx.fillStyle = CHART_COLORS.muted;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        this.labelIndexes(bins.length + 1, Math.max(2, Math.floor(plotWidth / 70))).forEach(index => {
+            const value = index < bins.length ? bins[index].from : max;
+            ctx.fillText(formatValue(value), padding.left + index * barWidth, height - padding.bottom + 8);
+        });
+
+        if (marker !== null && marker >= min && marker <= max) {
+            ctx.strokeStyle = CHART_COLORS.warning;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x(marker), padding.top);
+            ctx.lineTo(x(marker), padding.top + plotHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.fillStyle = CHART_COLORS.warning;
+            ctx.textAlign = x(marker) > width / 2 ? 'right' : 'left';
+            ctx.fillText(markerLabel, x(marker) + (x(marker) > width / 2 ? -4 : 4), padding.top);
+        }
+    },
+
+    /**
+     * Crosshair, point markers and a value box for the hovered date
+     */
+    drawTooltip(ctx, { x, top, bottom, width, title, rows }) {
+        ctx.strokeStyle = CHART_COLORS.muted;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        rows.forEach(row => {
+            ctx.fillStyle = row.color;
+            ctx.beginPath();
+            ctx.arc(x, row.y, 3.5, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.font = '11px Inter';
+        const lineHeight = 16;
+        const boxWidth = Math.max(...[title, ...rows.map(row => row.text)].map(text => ctx.measureText(text).width)) + 24;
+        const boxHeight = lineHeight * (rows.length + 1) + 8;
+        const boxX = x + boxWidth + 12 > width ? x - boxWidth - 8 : x + 8;
+        const boxY = top;
+
+        ctx.fillStyle = 'rgba(17, 24, 39, 0.9)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(title, boxX + 8, boxY + 4 + lineHeight / 2);
+        rows.forEach((row, index) => {
+            const rowY = boxY + 4 + lineHeight * (index + 1) + lineHeight / 2;
+            ctx.fillStyle = row.color;
+            ctx.fillRect(boxX + 8, rowY - 4, 8, 8);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(row.text, boxX + 20, rowY);
+        });
+    },
+
+    /**
+     * Redraw the chart with a tooltip under the mouse; safe to call on every render
+     */
+    enableTooltips(canvas) {
+        if (canvas.dataset.tooltips) return;
+        canvas.dataset.tooltips = 'true';
+
+        canvas.addEventListener('mousemove', (e) => {
+            const layout = canvas.chartLayout;
+            if (!layout || !canvas.chartOptions) return;
+
+            const rect = canvas.getBoundingClientRect();
+            const mouseX = (e.clientX - rect.left) * (canvas.width / rect.width);
+            const ratio = layout.count === 1 ? 0 : (mouseX - layout.left) / layout.plotWidth;
+            const index = Math.round(Math.min(1, Math.max(0, ratio)) * (layout.count - 1));
+
+            this.drawLineChart(canvas, canvas.chartOptions, index);
+        });
+
+        canvas.addEventListener('mouseleave', () => {
+            if (canvas.chartOptions) this.drawLineChart(canvas, canvas.chartOptions);
+        });
+    },
+
+    /**
+     * Inline SVG sparkline for card tiles
+     * @param {Array} values - Prices in date order
+     * @returns {string} SVG markup, or an empty string with fewer than two values
+     */
+    sparklineSvg(values, { width = 120, height = 32, color } = {}) {
+        if (!values || values.length < 2) return '';
+
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const stroke = color || (values[values.length - 1] >= values[0] ? CHART_COLORS.success : CHART_COLORS.error);
+        const points = values.map((value, index) => {
+            const px = (index / (values.length - 1)) * width;
+            const py = height - 2 - ((value - min) / range) * (height - 4);
+            return `${px.toFixed(1)},${py.toFixed(1)}`;
+        }).join(' ');
+
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline fill="none" stroke="${stroke}" stroke-width="1.5" points="${points}"/></svg>`;
+    },
+
+    /**
+     * Round an axis range out to tidy tick values
+     */
+    niceScale(min, max, ticks = 5) {
+        if (min === max) {
+            const pad = Math.abs(min) * 0.1 || 1;
+            min -= pad;
+            max += pad;
+        }
+
+        const rawStep = (max - min) / (ticks - 1);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rawStep);
+
+        return {
+            min: Math.floor(min / step) * step,
+            max: Math.ceil(max / step) * step,
+            step
+        };
+    },
+
+    /**
+     * Evenly spaced indexes for axis labels, always including the last point
+     */
+    labelIndexes(length, count) {
+        if (length <= count) return Array.from({ length }, (_, index) => index);
+
+        const indexes = [];
+        const spacing = (length - 1) / (count - 1);
+        for (let i = 0; i < count; i++) {
+            indexes.push(Math.round(i * spacing));
+        }
+        return indexes;
+    },
+
+    /**
+     * Short axis label for a YYYY-MM-DD date
+     */
+    formatDateLabel(date, showYear = false) {
+        const options = showYear ? { month: 'short', year: '2-digit' } : { month: 'short', day: 'numeric' };
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', options);
+    },
+
+    /**
+     * Full date for tooltips
+     */
+    formatFullDate(date) {
+        return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    },
+
+    /**
+     * Compact currency label for axes ($1.2K, $3.4M)
+     */
+    formatCurrency(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1000000) return `$${(value / 1000000).toFixed(1)}M`;
+        if (abs >= 1000) return `$${(value / 1000).toFixed(1)}K`;
+        return `$${value.toFixed(abs < 10 ? 2 : 0)}`;
+    }
+};
+
+// Export for use in other files
+window.Charts = {
+    CHART_COLORS,
+    ...ChartRenderer
+};
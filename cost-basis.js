@@ -0,0 +1,340 @@
+// TCG Investor Pro - Cost Basis
+// This file matches sales against purchase lots and builds the yearly capital-gains report
+
+// Lot relief methods supported by the report
+const COST_BASIS_METHODS = {
+    fifo: { label: 'FIFO (First In, First Out)' },
+    lifo: { label: 'LIFO (Last In, First Out)' },
+    average: { label: 'Average Cost' },
+    specific: { label: 'Specific Lot Identification' }
+};
+
+const CostBasisEngine = {
+    /**
+     * Rebuild every acquisition lot from the open holdings and the sales ledger.
+     * Open lots get back the quantity already sold out of them; lots that were
+     * closed completely are recreated from the snapshot stored on their sales.
+     * @param {Array} portfolioItems - Rows from user_portfolios
+     * @param {Array} sales - Rows from portfolio_sales
+     * @returns {Array} Lots with id, cardId, cardName, gradingStatus, quantity, unitCost and acquiredDate
+     */
+    reconstructLots(portfolioItems, sales) {
+        const lots = new Map();
+
+        portfolioItems.forEach(item => {
+            lots.set(item.id, {
+                id: item.id,
+                cardId: window.SealedProducts.holdingKey(item),
+                cardName: item.cards?.name || 'Unknown Card',
+                gradingStatus: item.grading_status || 'ungraded',
+                quantity: item.quantity || 1,
+                unitCost: this.lotUnitCost(item),
+                acquiredDate: this.toDateString(item.purchase_date)
+            });
+        });
+
+        sales.forEach(sale => {
+            const lotId = this.saleLotId(sale) || `sale-${sale.id}`;
+            const lot = lots.get(lotId);
+
+            if (lot) {
+                lot.quantity += sale.quantity || 1;
+                return;
+            }
+
+            lots.set(lotId, {
+                id: lotId,
+                cardId: window.SealedProducts.holdingKey(sale),
+                cardName: sale.cards?.name || 'Unknown Card',
+                gradingStatus: sale.grading_status || 'ungraded',
+                quantity: sale.quantity || 1,
+                unitCost: Number(sale.cost_basis) || 0,
+                acquiredDate: this.toDateString(sale.purchase_date || sale.sale_date)
+            });
+        });
+
+        return Array.from(lots.values());
+    },
+
+    /**
+     * Match each sale against lots of the same card and grade
+     * @param {Array} lots - Lots from reconstructLots()
+     * @param {Array} sales - Rows from portfolio_sales
+     * @param {string} method - Key of COST_BASIS_METHODS
+     * @returns {Array} One disposal per sale/lot pair; under 'specific', identified is false on disposals
+     *     of a sale that names a lot but could not be matched to it
+     */
+    matchSales(lots, sales, method = 'fifo') {
+        const remaining = new Map(lots.map(lot => [lot.id, { ...lot }]));
+        const orderedSales = [...sales].sort((a, b) =>
+            this.toDateString(a.sale_date).localeCompare(this.toDateString(b.sale_date))
+        );
+        const disposals = [];
+
+        orderedSales.forEach(sale => {
+            const quantity = sale.quantity || 1;
+            const saleDate = this.toDateString(sale.sale_date);
+            const netProceeds = (Number(sale.sale_price) * quantity) - (Number(sale.fees) || 0) - (Number(sale.shipping) || 0);
+            const pool = Array.from(remaining.values()).filter(lot =>
+                lot.quantity > 0 &&
+                lot.cardId === window.SealedProducts.holdingKey(sale) &&
+                lot.gradingStatus === (sale.grading_status || 'ungraded') &&
+                lot.acquiredDate <= saleDate
+            );
+            const averageCost = this.averageUnitCost(pool);
+            const lotId = this.saleLotId(sale);
+            let toMatch = quantity;
+
+            this.orderLots(pool, sale, method).forEach(lot => {
+                if (toMatch === 0) return;
+
+                const matched = Math.min(lot.quantity, toMatch);
+                lot.quantity -= matched;
+                toMatch -= matched;
+
+                disposals.push({
+                    ...this.buildDisposal(sale, lot, matched, {
+                        unitCost: method === 'average' ? averageCost : lot.unitCost,
+                        proceeds: netProceeds * (matched / quantity)
+                    }),
+                    identified: method !== 'specific' || !lotId || lot.id === lotId
+                });
+            });
+
+            // Anything left over could not be traced to a lot, so fall back to the sale's own snapshot
+            if (toMatch > 0) {
+                disposals.push(this.buildDisposal(sale, {
+                    id: lotId,
+                    cardName: sale.cards?.name || 'Unknown Card',
+                    gradingStatus: sale.grading_status || 'ungraded',
+                    acquiredDate: this.toDateString(sale.purchase_date || sale.sale_date)
+                }, toMatch, {
+                    unitCost: Number(sale.cost_basis) || 0,
+                    proceeds: netProceeds * (toMatch / quantity)
+                }));
+            }
+        });
+
+        return disposals;
+    },
+
+    /**
+     * Order a pool of lots in the sequence the method relieves them
+     */
+    orderLots(pool, sale, method) {
+        const byDate = (a, b) => a.acquiredDate.localeCompare(b.acquiredDate);
+
+        switch (method) {
+            case 'lifo':
+                return pool.sort((a, b) => byDate(b, a));
+            case 'specific': {
+                const lotId = this.saleLotId(sale);
+                const identified = pool.filter(lot => lot.id === lotId);
+                return identified.concat(pool.filter(lot => lot.id !== lotId).sort(byDate));
+            }
+            case 'fifo':
+            case 'average':
+            default:
+                // Average cost still relieves oldest lots first so holding periods stay meaningful
+                return pool.sort(byDate);
+        }
+    },
+
+    /**
+     * The lot a sale came out of; lot_id outlives the lot, portfolio_item_id is nulled when it is deleted
+     */
+    saleLotId(sale) {
+        return sale.lot_id || sale.portfolio_item_id || null;
+    },
+
+    /**
+     * Quantity-weighted unit cost of a pool of lots
+     */
+    averageUnitCost(pool) {
+        const quantity = pool.reduce((sum, lot) => sum + lot.quantity, 0);
+        if (quantity === 0) return 0;
+        return pool.reduce((sum, lot) => sum + (lot.unitCost * lot.quantity), 0) / quantity;
+    },
+
+    /**
+     * Build a single disposal line
+     */
+    buildDisposal(sale, lot, quantity, { unitCost, proceeds }) {
+        const saleDate = this.toDateString(sale.sale_date);
+        const costBasis = unitCost * quantity;
+
+        return {
+            saleId: sale.id,
+            lotId: lot.id || null,
+            cardId: window.SealedProducts.holdingKey(sale),
+            cardName: lot.cardName || sale.cards?.name || 'Unknown Card',
+            gradingStatus: lot.gradingStatus,
+            platform: sale.platform || '',
+            quantity,
+            acquiredDate: lot.acquiredDate,
+            soldDate: saleDate,
+            proceeds,
+            costBasis,
+            gain: proceeds - costBasis,
+            term: this.isLongTerm(lot.acquiredDate, saleDate) ? 'long' : 'short'
+        };
+    },
+
+    /**
+     * Long-term means held for more than one year
+     */
+    isLongTerm(acquiredDate, soldDate) {
+        const anniversary = new Date(`${acquiredDate}T00:00:00Z`);
+        anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+        return new Date(`${soldDate}T00:00:00Z`) > anniversary;
+    },
+
+    /**
+     * Build the capital-gains report for one tax year
+     * @param {Array} portfolioItems - Rows from user_portfolios
+     * @param {Array} sales - Rows from portfolio_sales
+     * @param {Object} options - { method, year }
+     * @returns {Object} { method, year, disposals, totals: { short, long, total }, unidentifiedSales }
+     */
+    buildReport(portfolioItems, sales, { method = 'fifo', year = new Date().getFullYear() } = {}) {
+        const lots = this.reconstructLots(portfolioItems, sales);
+        const disposals = this.matchSales(lots, sales, method)
+            .filter(disposal => disposal.soldDate.startsWith(String(year)));
+
+        const sum = (items) => items.reduce((totals, disposal) => ({
+            quantity: totals.quantity + disposal.quantity,
+            proceeds: totals.proceeds + disposal.proceeds,
+            costBasis: totals.costBasis + disposal.costBasis,
+            gain: totals.gain + disposal.gain
+        }), { quantity: 0, proceeds: 0, costBasis: 0, gain: 0 });
+
+        // Under specific identification every sale that names a lot should be relieved from that lot first
+        const unidentifiedSales = new Set(disposals
+            .filter(disposal => disposal.identified === false)
+            .map(disposal => disposal.saleId)).size;
+
+        return {
+            method,
+            year: Number(year),
+            disposals,
+            unidentifiedSales,
+            totals: {
+                short: sum(disposals.filter(disposal => disposal.term === 'short')),
+                long: sum(disposals.filter(disposal => disposal.term === 'long')),
+                total: sum(disposals)
+            }
+        };
+    },
+
+    /**
+     * Years that have at least one sale, newest first
+     */
+    getSaleYears(sales) {
+        const years = new Set(sales.map(sale => Number(this.toDateString(sale.sale_date).slice(0, 4))));
+        return Array.from(years).filter(Boolean).sort((a, b) => b - a);
+    },
+
+    /**
+     * Report as CSV text
+     */
+    toCsv(report) {
+        const headers = ['Description', 'Grading', 'Quantity', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis', 'Gain/Loss', 'Term'];
+        const rows = report.disposals.map(disposal => [
+            disposal.cardName,
+            disposal.gradingStatus,
+            disposal.quantity,
+            disposal.acquiredDate,
+            disposal.soldDate,
+            disposal.proceeds.toFixed(2),
+            disposal.costBasis.toFixed(2),
+            disposal.gain.toFixed(2),
+            disposal.term === 'long' ? 'Long-term' : 'Short-term'
+        ]);
+
+        return [headers, ...rows]
+            .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+    },
+
+    /**
+     * Report as a standalone HTML document ready to print or save as PDF
+     */
+    toHtml(report) {
+        const escape = (value) => String(value ?? '').replace(/[&<>"']/g, char => (
+            { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+        ));
+        const money = (value) => `$${value.toFixed(2)}`;
+        const section = (term, title) => {
+            const disposals = report.disposals.filter(disposal => disposal.term === term);
+            const totals = report.totals[term];
+            const rows = disposals.map(disposal => `
+                <tr>
+                    <td>${escape(disposal.cardName)} (${escape(disposal.gradingStatus)})</td>
+                    <td>${disposal.quantity}</td>
+                    <td>${disposal.acquiredDate}</td>
+                    <td>${disposal.soldDate}</td>
+                    <td>${money(disposal.proceeds)}</td>
+                    <td>${money(disposal.costBasis)}</td>
+                    <td>${money(disposal.gain)}</td>
+                </tr>
+            `).join('');
+
+            return `
+                <h2>${title}</h2>
+                <table>
+                    <thead>
+                        <tr><th>Description</th><th>Qty</th><th>Acquired</th><th>Sold</th><th>Proceeds</th><th>Cost Basis</th><th>Gain/Loss</th></tr>
+                    </thead>
+                    <tbody>${rows || '<tr><td colspan="7">No disposals</td></tr>'}</tbody>
+                    <tfoot>
+                        <tr><td colspan="4">Total</td><td>${money(totals.proceeds)}</td><td>${money(totals.costBasis)}</td><td>${money(totals.gain)}</td></tr>
+                    </tfoot>
+                </table>
+            `;
+        };
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Capital Gains Report ${report.year}</title>
+<style>
+    body { font-family: Arial, sans-serif; color: #111; margin: 2rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+    h2 { font-size: 1.1rem; margin-top: 2rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th, td { border: 1px solid #ccc; padding: 0.35rem 0.5rem; text-align: left; }
+    tfoot td { font-weight: bold; }
+    .meta { color: #555; }
+</style>
+</head>
+<body>
+    <h1>Capital Gains Report — ${report.year}</h1>
+    <p class="meta">Cost basis method: ${escape(COST_BASIS_METHODS[report.method]?.label || report.method)} · Net gain/loss: ${money(report.totals.total.gain)}</p>
+    ${section('short', 'Short-term (held one year or less)')}
+    ${section('long', 'Long-term (held more than one year)')}
+</body>
+</html>`;
+    },
+
+    /**
+     * Per-card cost of an open lot: the purchase price plus any grading fees recorded against it
+     */
+    lotUnitCost(item) {
+        return (Number(item.purchase_price) || 0) + (Number(item.grading_cost) || 0);
+    },
+
+    /**
+     * Normalize a date or timestamp to YYYY-MM-DD
+     */
+    toDateString(value) {
+        if (!value) return '';
+        return String(value).split('T')[0];
+    }
+};
+
+// Export for use in other files
+window.CostBasis = {
+    COST_BASIS_METHODS,
+    ...CostBasisEngine
+};
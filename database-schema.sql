@@ -26,6 +26,7 @@ CREATE TABLE IF NOT EXISTS public.sets (
     legal_standard TEXT DEFAULT 'unknown',
     symbol_url TEXT,
     logo_url TEXT,
+    checksum TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -41,10 +42,18 @@ CREATE TABLE IF NOT EXISTS public.cards (
     tcgplayer_id TEXT,
     cardmarket_id TEXT,
     legal_standard TEXT DEFAULT 'unknown',
+    checksum TEXT,
+    removed_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- populate-cards only writes a set or card whose checksum of catalog fields changed since the last sync.
+-- Cards the source stops listing get removed_at instead of being deleted, since lots reference them.
+ALTER TABLE public.sets ADD COLUMN IF NOT EXISTS checksum TEXT;
+ALTER TABLE public.cards ADD COLUMN IF NOT EXISTS checksum TEXT;
+ALTER TABLE public.cards ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP WITH TIME ZONE;
+
 -- Table: public.pricing_data
 CREATE TABLE IF NOT EXISTS public.pricing_data (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -58,45 +67,354 @@ CREATE TABLE IF NOT EXISTS public.pricing_data (
     UNIQUE (card_id, source)
 );
 
+-- Table: public.grade_prices
+-- One price per grader and grade; pricing_data keeps the ungraded and PSA 10/9/8 columns older screens read
+CREATE TABLE IF NOT EXISTS public.grade_prices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    grader TEXT NOT NULL CHECK (grader IN ('psa', 'bgs', 'cgc', 'sgc')),
+    grade DECIMAL(3,1) NOT NULL CHECK (grade >= 1 AND grade <= 10),
+    price DECIMAL(10,2) NOT NULL,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (card_id, source, grader, grade)
+);
+
+-- Table: public.variant_prices
+-- Raw prices per printing and condition; pricing_data.ungraded_price is the generic Near Mint price
+CREATE TABLE IF NOT EXISTS public.variant_prices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    condition TEXT NOT NULL DEFAULT 'NM' CHECK (condition IN ('NM', 'LP', 'MP', 'HP', 'DMG')),
+    edition TEXT NOT NULL DEFAULT 'unlimited' CHECK (edition IN ('unlimited', '1st_edition', 'shadowless')),
+    reverse_holo BOOLEAN NOT NULL DEFAULT FALSE,
+    language TEXT NOT NULL DEFAULT 'EN',
+    price DECIMAL(10,2) NOT NULL,
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (card_id, source, condition, edition, reverse_holo, language)
+);
+
 -- Table: public.price_history
+-- One snapshot per card/source/day; price is the ungraded price
 CREATE TABLE IF NOT EXISTS public.price_history (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
     source TEXT NOT NULL,
     price DECIMAL(10,2) NOT NULL,
+    psa_10_price DECIMAL(10,2),
+    psa_9_price DECIMAL(10,2),
+    psa_8_price DECIMAL(10,2),
     date DATE NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE (card_id, source, date)
 );
 
+ALTER TABLE public.price_history ADD COLUMN IF NOT EXISTS psa_10_price DECIMAL(10,2);
+ALTER TABLE public.price_history ADD COLUMN IF NOT EXISTS psa_9_price DECIMAL(10,2);
+ALTER TABLE public.price_history ADD COLUMN IF NOT EXISTS psa_8_price DECIMAL(10,2);
+
+-- Table: public.sealed_products
+-- Booster boxes, ETBs, cases and other sealed items; product_type keys match SEALED_PRODUCT_TYPES in sealed-products.js
+CREATE TABLE IF NOT EXISTS public.sealed_products (
+    id TEXT PRIMARY KEY,
+    set_id TEXT REFERENCES public.sets(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    product_type TEXT NOT NULL DEFAULT 'other' CHECK (product_type IN (
+        'booster_box', 'booster_case', 'booster_pack', 'booster_bundle',
+        'etb', 'etb_case', 'collection_box', 'tin', 'other'
+    )),
+    packs_per_unit INTEGER,
+    release_date DATE,
+    image_url TEXT,
+    tcgplayer_id TEXT,
+    pricecharting_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Table: public.sealed_pricing_data
+-- Sealed items have a single market price rather than per-grade prices
+CREATE TABLE IF NOT EXISTS public.sealed_pricing_data (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    price DECIMAL(10,2),
+    last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sealed_product_id, source)
+);
+
+-- Table: public.sealed_price_history
+-- One snapshot per product/source/day, same shape as price_history
+CREATE TABLE IF NOT EXISTS public.sealed_price_history (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    price DECIMAL(10,2) NOT NULL,
+    date DATE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sealed_product_id, source, date)
+);
+
+-- Starter catalog for the WOTC sets the Case Cracker covers; skipped until populate-cards has loaded the sets.
+-- The populate-sealed function fills in every set's sealed products from PriceCharting, using the same IDs.
+INSERT INTO public.sealed_products (id, set_id, name, product_type, packs_per_unit, release_date)
+SELECT v.id, v.set_id, v.name, v.product_type, v.packs_per_unit, s.release_date
+FROM (VALUES
+    ('base1-booster-box', 'base1', 'Base Set Booster Box', 'booster_box', 36),
+    ('base1-booster-pack', 'base1', 'Base Set Booster Pack', 'booster_pack', 1),
+    ('base2-booster-box', 'base2', 'Jungle Booster Box', 'booster_box', 36),
+    ('base2-booster-pack', 'base2', 'Jungle Booster Pack', 'booster_pack', 1),
+    ('base3-booster-box', 'base3', 'Fossil Booster Box', 'booster_box', 36),
+    ('base3-booster-pack', 'base3', 'Fossil Booster Pack', 'booster_pack', 1)
+) AS v(id, set_id, name, product_type, packs_per_unit)
+JOIN public.sets s ON s.id = v.set_id
+ON CONFLICT (id) DO NOTHING;
+
+-- Table: public.pull_rates
+-- Published pack layouts for the Case Cracker, scoped to a series, a set or one sealed product (the most
+-- specific row wins). slots / god_pack_slots hold the profile slots from case-cracker.js:
+-- [{ "count": 1, "fill": "Rare", "odds": { "Rare Holo": 0.333333 } }]
+CREATE TABLE IF NOT EXISTS public.pull_rates (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    series TEXT,
+    set_id TEXT REFERENCES public.sets(id) ON DELETE CASCADE,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    packs_per_box INTEGER NOT NULL DEFAULT 36 CHECK (packs_per_box > 0),
+    boxes_per_case INTEGER NOT NULL DEFAULT 6 CHECK (boxes_per_case > 0),
+    slots JSONB NOT NULL DEFAULT '[]',
+    god_pack_odds DECIMAL(8,6) NOT NULL DEFAULT 0 CHECK (god_pack_odds >= 0 AND god_pack_odds <= 1),
+    god_pack_slots JSONB NOT NULL DEFAULT '[]',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (num_nonnulls(series, set_id, sealed_product_id) = 1)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pull_rates_series ON public.pull_rates(series) WHERE series IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pull_rates_set_id ON public.pull_rates(set_id) WHERE set_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pull_rates_sealed_product_id ON public.pull_rates(sealed_product_id) WHERE sealed_product_id IS NOT NULL;
+
+-- Community estimates per era; the same values are built into case-cracker.js
+INSERT INTO public.pull_rates (series, name, packs_per_box, boxes_per_case, slots)
+SELECT v.series, v.name, v.packs_per_box, v.boxes_per_case, v.slots::jsonb
+FROM (VALUES
+    ('Base', 'WOTC (1999-2003)', 36, 12, '[{"count": 7, "fill": "Common"}, {"count": 3, "fill": "Uncommon"}, {"count": 1, "fill": "Rare", "odds": {"Rare Holo": 0.333333}}]'),
+    ('Gym', 'WOTC (1999-2003)', 36, 12, '[{"count": 7, "fill": "Common"}, {"count": 3, "fill": "Uncommon"}, {"count": 1, "fill": "Rare", "odds": {"Rare Holo": 0.333333}}]'),
+    ('Neo', 'WOTC (1999-2003)', 36, 12, '[{"count": 7, "fill": "Common"}, {"count": 3, "fill": "Uncommon"}, {"count": 1, "fill": "Rare", "odds": {"Rare Holo": 0.333333}}]'),
+    ('Sword & Shield', 'Sword & Shield', 36, 6, '[{"count": 5, "fill": "Common"}, {"count": 3, "fill": "Uncommon"}, {"count": 1, "fill": "Rare", "odds": {"Rare Holo": 0.25, "Rare Holo V": 0.142857, "Rare Holo VMAX": 0.058824, "Rare Ultra": 0.043478, "Rare Rainbow": 0.02, "Rare Secret": 0.014286}}]'),
+    ('Scarlet & Violet', 'Scarlet & Violet', 36, 6, '[{"count": 4, "fill": "Common"}, {"count": 3, "fill": "Uncommon"}, {"count": 1, "fill": "Common", "odds": {"Uncommon": 0.35, "Illustration Rare": 0.076923, "Special Illustration Rare": 0.03125}}, {"count": 1, "fill": "Common", "odds": {"Uncommon": 0.35}}, {"count": 1, "fill": "Rare", "odds": {"Double Rare": 0.142857, "Ultra Rare": 0.066667, "Hyper Rare": 0.018868}}]')
+) AS v(series, name, packs_per_box, boxes_per_case, slots)
+ON CONFLICT (series) WHERE series IS NOT NULL DO NOTHING;
+
+-- Table: public.portfolios
+-- Named buckets a user's lots are filed under ("Personal PC", "Flip Inventory", ...)
+CREATE TABLE IF NOT EXISTS public.portfolios (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
+-- Table: public.watchlists
+-- Named watchlists; each user_watchlists row belongs to one
+CREATE TABLE IF NOT EXISTS public.watchlists (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, name)
+);
+
 -- Table: public.user_portfolios
+-- Each row is one purchase lot; the same card can appear in any number of lots
 CREATE TABLE IF NOT EXISTS public.user_portfolios (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    portfolio_id UUID REFERENCES public.portfolios(id) ON DELETE CASCADE,
     card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
     purchase_price DECIMAL(10,2) NOT NULL,
     purchase_date DATE NOT NULL,
     quantity INTEGER DEFAULT 1,
     grading_status TEXT DEFAULT 'ungraded',
+    grading_cost DECIMAL(10,2) DEFAULT 0,
+    grader TEXT,
+    cert_number TEXT,
+    condition TEXT DEFAULT 'NM' CHECK (condition IN ('NM', 'LP', 'MP', 'HP', 'DMG')),
+    edition TEXT DEFAULT 'unlimited' CHECK (edition IN ('unlimited', '1st_edition', 'shadowless')),
+    reverse_holo BOOLEAN DEFAULT FALSE,
+    language TEXT DEFAULT 'EN',
     notes TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE (user_id, card_id)
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Databases created before lots were introduced still carry the one-row-per-card constraint
+ALTER TABLE public.user_portfolios DROP CONSTRAINT IF EXISTS user_portfolios_user_id_card_id_key;
+
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS portfolio_id UUID REFERENCES public.portfolios(id) ON DELETE CASCADE;
+
+-- A lot holds either a single card or a sealed product
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE;
+ALTER TABLE public.user_portfolios DROP CONSTRAINT IF EXISTS user_portfolios_item_check;
+ALTER TABLE public.user_portfolios ADD CONSTRAINT user_portfolios_item_check
+    CHECK (num_nonnulls(card_id, sealed_product_id) = 1);
+
+-- Per-card grading fees from returned submissions, added to purchase_price for cost basis
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS grading_cost DECIMAL(10,2) DEFAULT 0;
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS cert_number TEXT;
+
+-- Grader of a slabbed lot, kept in step with grading_status by set_lot_grader below
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS grader TEXT;
+
+-- Printing of the card in a lot, matched against variant_prices; sealed lots leave these NULL
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS condition TEXT DEFAULT 'NM' CHECK (condition IN ('NM', 'LP', 'MP', 'HP', 'DMG'));
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS edition TEXT DEFAULT 'unlimited' CHECK (edition IN ('unlimited', '1st_edition', 'shadowless'));
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS reverse_holo BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.user_portfolios ADD COLUMN IF NOT EXISTS language TEXT DEFAULT 'EN';
+UPDATE public.user_portfolios SET condition = NULL, edition = NULL, language = NULL
+WHERE sealed_product_id IS NOT NULL AND condition IS NOT NULL;
+
+-- Table: public.portfolio_sales
+-- Realized sales; the lot's cost, date and grade are copied so the ledger survives the lot being closed
+CREATE TABLE IF NOT EXISTS public.portfolio_sales (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    portfolio_item_id UUID REFERENCES public.user_portfolios(id) ON DELETE SET NULL,
+    -- The lot sold from, kept after record_sale deletes a sold-out lot so specific identification still finds it
+    lot_id UUID,
+    portfolio_id UUID REFERENCES public.portfolios(id) ON DELETE SET NULL,
+    card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    sale_price DECIMAL(10,2) NOT NULL,
+    sale_date DATE NOT NULL,
+    fees DECIMAL(10,2) DEFAULT 0,
+    shipping DECIMAL(10,2) DEFAULT 0,
+    platform TEXT,
+    cost_basis DECIMAL(10,2) NOT NULL,
+    purchase_date DATE,
+    grading_status TEXT DEFAULT 'ungraded',
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE public.portfolio_sales ADD COLUMN IF NOT EXISTS portfolio_id UUID REFERENCES public.portfolios(id) ON DELETE SET NULL;
+ALTER TABLE public.portfolio_sales ADD COLUMN IF NOT EXISTS sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE;
+ALTER TABLE public.portfolio_sales ADD COLUMN IF NOT EXISTS lot_id UUID;
+
+-- Sales of lots that are still open; sales whose lot was already deleted can't be traced back
+UPDATE public.portfolio_sales SET lot_id = portfolio_item_id WHERE lot_id IS NULL AND portfolio_item_id IS NOT NULL;
+
 -- Table: public.user_watchlists
 CREATE TABLE IF NOT EXISTS public.user_watchlists (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    watchlist_id UUID REFERENCES public.watchlists(id) ON DELETE CASCADE,
     card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
     alert_price DECIMAL(10,2),
     alert_type TEXT DEFAULT 'above',
+    alert_params JSONB DEFAULT '{}'::jsonb,
     is_active BOOLEAN DEFAULT TRUE,
+    alert_armed BOOLEAN DEFAULT TRUE,
+    last_triggered_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE (user_id, card_id)
+    UNIQUE (watchlist_id, card_id),
+    UNIQUE (watchlist_id, sealed_product_id)
 );
 
+ALTER TABLE public.user_watchlists ADD COLUMN IF NOT EXISTS watchlist_id UUID REFERENCES public.watchlists(id) ON DELETE CASCADE;
+
+-- A card can sit on several of a user's watchlists, but only once per list
+ALTER TABLE public.user_watchlists DROP CONSTRAINT IF EXISTS user_watchlists_user_id_card_id_key;
+
+-- An alert fires once, then stays disarmed until the price crosses back over the threshold
+ALTER TABLE public.user_watchlists ADD COLUMN IF NOT EXISTS alert_armed BOOLEAN DEFAULT TRUE;
+ALTER TABLE public.user_watchlists ADD COLUMN IF NOT EXISTS last_triggered_at TIMESTAMP WITH TIME ZONE;
+
+-- alert_type keys match ALERT_TYPES in alert-types.js; alert_params holds the type's settings
+-- (grade, percent/window_days/direction, window, spread/unit). Threshold types keep using alert_price.
+ALTER TABLE public.user_watchlists ADD COLUMN IF NOT EXISTS alert_params JSONB DEFAULT '{}'::jsonb;
+UPDATE public.user_watchlists SET alert_type = 'below' WHERE alert_type = 'price_drop';
+ALTER TABLE public.user_watchlists DROP CONSTRAINT IF EXISTS user_watchlists_alert_type_check;
+ALTER TABLE public.user_watchlists ADD CONSTRAINT user_watchlists_alert_type_check
+    CHECK (alert_type IN ('above', 'below', 'percent_change', 'new_high', 'new_low', 'grade_spread'));
+
+-- File lots and watches from before named lists existed under a default list per user
+INSERT INTO public.portfolios (user_id, name)
+SELECT DISTINCT user_id, 'Main Portfolio' FROM public.user_portfolios WHERE portfolio_id IS NULL
+ON CONFLICT (user_id, name) DO NOTHING;
+
+UPDATE public.user_portfolios up SET portfolio_id = p.id
+FROM public.portfolios p
+WHERE up.portfolio_id IS NULL AND p.user_id = up.user_id AND p.name = 'Main Portfolio';
+
+UPDATE public.portfolio_sales ps SET portfolio_id = up.portfolio_id
+FROM public.user_portfolios up
+WHERE ps.portfolio_id IS NULL AND ps.portfolio_item_id = up.id;
+
+INSERT INTO public.watchlists (user_id, name)
+SELECT DISTINCT user_id, 'Main Watchlist' FROM public.user_watchlists WHERE watchlist_id IS NULL
+ON CONFLICT (user_id, name) DO NOTHING;
+
+UPDATE public.user_watchlists uw SET watchlist_id = w.id
+FROM public.watchlists w
+WHERE uw.watchlist_id IS NULL AND w.user_id = uw.user_id AND w.name = 'Main Watchlist';
+
+ALTER TABLE public.user_watchlists DROP CONSTRAINT IF EXISTS user_watchlists_watchlist_id_card_id_key;
+ALTER TABLE public.user_watchlists ADD CONSTRAINT user_watchlists_watchlist_id_card_id_key
+    UNIQUE (watchlist_id, card_id);
+
+-- Watch entries follow the same card-or-sealed-product rule as lots
+ALTER TABLE public.user_watchlists ADD COLUMN IF NOT EXISTS sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE;
+ALTER TABLE public.user_watchlists DROP CONSTRAINT IF EXISTS user_watchlists_watchlist_id_sealed_product_id_key;
+ALTER TABLE public.user_watchlists ADD CONSTRAINT user_watchlists_watchlist_id_sealed_product_id_key
+    UNIQUE (watchlist_id, sealed_product_id);
+ALTER TABLE public.user_watchlists DROP CONSTRAINT IF EXISTS user_watchlists_item_check;
+ALTER TABLE public.user_watchlists ADD CONSTRAINT user_watchlists_item_check
+    CHECK (num_nonnulls(card_id, sealed_product_id) = 1);
+
+-- Seed the grade ladder from the PSA columns synced before grade_prices existed
+INSERT INTO public.grade_prices (card_id, source, grader, grade, price, last_updated)
+SELECT pd.card_id, pd.source, 'psa', ladder.grade, ladder.price, pd.last_updated
+FROM public.pricing_data pd
+CROSS JOIN LATERAL (VALUES (10, pd.psa_10_price), (9, pd.psa_9_price), (8, pd.psa_8_price)) ladder(grade, price)
+WHERE ladder.price IS NOT NULL
+ON CONFLICT (card_id, source, grader, grade) DO NOTHING;
+
+-- Table: public.alert_events
+-- One row per fired alert; doubles as the in-app inbox and the email delivery log
+CREATE TABLE IF NOT EXISTS public.alert_events (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    watchlist_id UUID REFERENCES public.user_watchlists(id) ON DELETE SET NULL,
+    card_id TEXT REFERENCES public.cards(id) ON DELETE CASCADE,
+    sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE,
+    alert_type TEXT NOT NULL,
+    alert_price DECIMAL(10,2),
+    alert_params JSONB,
+    triggered_price DECIMAL(10,2) NOT NULL,
+    message TEXT,
+    source TEXT,
+    email_status TEXT DEFAULT 'pending' CHECK (email_status IN ('pending', 'sent', 'failed', 'skipped')),
+    email_error TEXT,
+    read_at TIMESTAMP WITH TIME ZONE,
+    triggered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.alert_events ALTER COLUMN alert_price DROP NOT NULL;
+ALTER TABLE public.alert_events ADD COLUMN IF NOT EXISTS alert_params JSONB;
+ALTER TABLE public.alert_events ADD COLUMN IF NOT EXISTS message TEXT;
+ALTER TABLE public.alert_events ADD COLUMN IF NOT EXISTS sealed_product_id TEXT REFERENCES public.sealed_products(id) ON DELETE CASCADE;
+
 -- Table: public.user_preferences
 CREATE TABLE IF NOT EXISTS public.user_preferences (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -104,77 +422,630 @@ CREATE TABLE IF NOT EXISTS public.user_preferences (
     currency TEXT DEFAULT 'USD',
     grading_preference TEXT DEFAULT 'PSA',
     notification_email BOOLEAN DEFAULT TRUE,
+    cost_basis_method TEXT DEFAULT 'fifo' CHECK (cost_basis_method IN ('fifo', 'lifo', 'average', 'specific')),
+    portfolio_filter TEXT DEFAULT 'all',
+    portfolio_sort TEXT DEFAULT 'name',
+    muted_alert_types TEXT[] DEFAULT '{}',
+    -- Grading fee overrides, { grader => { service level => per-card fee } }; defaults are in grading.js
+    grading_fees JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS cost_basis_method TEXT DEFAULT 'fifo';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS portfolio_filter TEXT DEFAULT 'all';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS portfolio_sort TEXT DEFAULT 'name';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS muted_alert_types TEXT[] DEFAULT '{}';
+ALTER TABLE public.user_preferences ADD COLUMN IF NOT EXISTS grading_fees JSONB DEFAULT '{}';
+
+-- Table: public.pull_rate_scenarios
+-- A user's own pull rates for a set, same columns as pull_rates
+CREATE TABLE IF NOT EXISTS public.pull_rate_scenarios (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    set_id TEXT REFERENCES public.sets(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    packs_per_box INTEGER NOT NULL DEFAULT 36 CHECK (packs_per_box > 0),
+    boxes_per_case INTEGER NOT NULL DEFAULT 6 CHECK (boxes_per_case > 0),
+    slots JSONB NOT NULL DEFAULT '[]',
+    god_pack_odds DECIMAL(8,6) NOT NULL DEFAULT 0 CHECK (god_pack_odds >= 0 AND god_pack_odds <= 1),
+    god_pack_slots JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, set_id, name)
+);
+
+-- Table: public.sync_runs
+-- One row per populate-cards walk with what it changed; changes lists up to 100 cards per kind
+-- ({ added, changed, removed }), while the counts cover every card
+CREATE TABLE IF NOT EXISTS public.sync_runs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    kind TEXT NOT NULL DEFAULT 'cards',
+    mode TEXT NOT NULL DEFAULT 'full' CHECK (mode IN ('full', 'new_sets')),
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'complete')),
+    sets_added INTEGER NOT NULL DEFAULT 0,
+    sets_changed INTEGER NOT NULL DEFAULT 0,
+    cards_added INTEGER NOT NULL DEFAULT 0,
+    cards_changed INTEGER NOT NULL DEFAULT 0,
+    cards_unchanged INTEGER NOT NULL DEFAULT 0,
+    cards_removed INTEGER NOT NULL DEFAULT 0,
+    new_sets JSONB NOT NULL DEFAULT '[]'::jsonb,
+    changes JSONB NOT NULL DEFAULT '{"added": [], "changed": [], "removed": []}'::jsonb,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Table: public.catalog_sync_cursors
+-- How far the populate-cards full-catalog walk got: the next set (by position in set_ids) and page to fetch.
+-- A running cursor is picked up by the next call, so an interrupted sync resumes rather than restarting.
+-- populate-sealed ('pricecharting_sealed') and the card and sealed pricing passes ('pricecharting_card_prices',
+-- 'pricecharting_sealed_prices') keep theirs here too.
+CREATE TABLE IF NOT EXISTS public.catalog_sync_cursors (
+    id TEXT PRIMARY KEY,
+    run_id UUID REFERENCES public.sync_runs(id) ON DELETE SET NULL,
+    status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'complete')),
+    set_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    set_index INTEGER NOT NULL DEFAULT 0,
+    page INTEGER NOT NULL DEFAULT 1,
+    cards_synced INTEGER NOT NULL DEFAULT 0,
+    seen_card_ids JSONB NOT NULL DEFAULT '[]'::jsonb,
+    last_error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- The run a cursor belongs to, and the cards seen so far in its current set (for spotting removed cards)
+ALTER TABLE public.catalog_sync_cursors ADD COLUMN IF NOT EXISTS run_id UUID REFERENCES public.sync_runs(id) ON DELETE SET NULL;
+ALTER TABLE public.catalog_sync_cursors ADD COLUMN IF NOT EXISTS seen_card_ids JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Table: public.slab_registry
+-- What each grader's cert lookup returned, filled by the verify-cert function; shared by every user and read-only to them
+CREATE TABLE IF NOT EXISTS public.slab_registry (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    grader TEXT NOT NULL CHECK (grader IN ('psa', 'bgs', 'cgc', 'sgc')),
+    cert_number TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'verified' CHECK (status IN ('verified', 'not_found')),
+    grade TEXT,
+    grade_label TEXT,
+    card_name TEXT,
+    set_name TEXT,
+    card_number TEXT,
+    year TEXT,
+    variety TEXT,
+    population INTEGER,
+    population_higher INTEGER,
+    label_data JSONB DEFAULT '{}'::jsonb,
+    source TEXT NOT NULL,
+    verified_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (grader, cert_number)
+);
+
+-- Table: public.grading_submissions
+-- A batch of cards sent to a grader; shipping_cost, insurance_cost and other_fees are shared across its cards
+CREATE TABLE IF NOT EXISTS public.grading_submissions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    grader TEXT NOT NULL CHECK (grader IN ('psa', 'bgs', 'cgc', 'sgc')),
+    service_level TEXT,
+    status TEXT NOT NULL DEFAULT 'preparing' CHECK (status IN ('preparing', 'sent', 'at_grader', 'graded', 'returned')),
+    sent_date DATE,
+    received_date DATE,
+    shipping_cost DECIMAL(10,2) DEFAULT 0,
+    insurance_cost DECIMAL(10,2) DEFAULT 0,
+    other_fees DECIMAL(10,2) DEFAULT 0,
+    notes TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Table: public.grading_submission_items
+-- One portfolio lot per item; previous_grading_status is restored if a returned grade is cleared.
+-- Selling a lot in full deletes it, but its item stays with its grade and cert so the submission keeps
+-- its card count and the shared fees stay split over every card sent.
+CREATE TABLE IF NOT EXISTS public.grading_submission_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    submission_id UUID REFERENCES public.grading_submissions(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+    portfolio_item_id UUID REFERENCES public.user_portfolios(id) ON DELETE SET NULL,
+    declared_value DECIMAL(10,2) DEFAULT 0,
+    grading_fee DECIMAL(10,2) DEFAULT 0,
+    grade TEXT,
+    cert_number TEXT,
+    previous_grading_status TEXT DEFAULT 'ungraded',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (submission_id, portfolio_item_id)
+);
+
+ALTER TABLE public.grading_submission_items DROP CONSTRAINT IF EXISTS grading_submission_items_portfolio_item_id_fkey;
+ALTER TABLE public.grading_submission_items ADD CONSTRAINT grading_submission_items_portfolio_item_id_fkey
+    FOREIGN KEY (portfolio_item_id) REFERENCES public.user_portfolios(id) ON DELETE SET NULL;
+
 -- Enable Row Level Security
 ALTER TABLE public.user_api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.portfolios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.watchlists ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_portfolios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.portfolio_sales ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_watchlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.alert_events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.user_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pull_rate_scenarios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.grading_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.grading_submission_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.slab_registry ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.pull_rates ENABLE ROW LEVEL SECURITY;
 
 -- RLS Policies
 CREATE POLICY "Users can manage their own API keys." ON public.user_api_keys
     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
+CREATE POLICY "Users can manage their own portfolio lists." ON public.portfolios
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own watchlist lists." ON public.watchlists
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- A lot or watchlist entry can only be filed under one of the user's own lists
 CREATE POLICY "Users can manage their own portfolios." ON public.user_portfolios
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (SELECT 1 FROM public.portfolios p WHERE p.id = portfolio_id AND p.user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can manage their own sales." ON public.portfolio_sales
     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
 CREATE POLICY "Users can manage their own watchlists." ON public.user_watchlists
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (SELECT 1 FROM public.watchlists w WHERE w.id = watchlist_id AND w.user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can manage their own alert events." ON public.alert_events
     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
 CREATE POLICY "Users can manage their own preferences." ON public.user_preferences
     FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
 
+CREATE POLICY "Users can manage their own pull rate scenarios." ON public.pull_rate_scenarios
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own grading submissions." ON public.grading_submissions
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage their own grading submission items." ON public.grading_submission_items
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
+
+-- Slabs are written only by verify-cert with the service role, so users cannot forge a verified cert
+CREATE POLICY "Anyone can read the slab registry." ON public.slab_registry
+    FOR SELECT USING (true);
+
+-- Published rates feed every user's EV, so they are written only through save_pull_rates / delete_pull_rates
+CREATE POLICY "Anyone can read pull rates." ON public.pull_rates
+    FOR SELECT USING (true);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_cards_set_id ON public.cards(set_id);
 CREATE INDEX IF NOT EXISTS idx_cards_name ON public.cards(name);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON public.sync_runs(started_at DESC);
 CREATE INDEX IF NOT EXISTS idx_pricing_data_card_id ON public.pricing_data(card_id);
+CREATE INDEX IF NOT EXISTS idx_grade_prices_card_id ON public.grade_prices(card_id);
+CREATE INDEX IF NOT EXISTS idx_variant_prices_card_id ON public.variant_prices(card_id);
 CREATE INDEX IF NOT EXISTS idx_price_history_card_id ON public.price_history(card_id);
+CREATE INDEX IF NOT EXISTS idx_sealed_products_set_id ON public.sealed_products(set_id);
+CREATE INDEX IF NOT EXISTS idx_sealed_products_name ON public.sealed_products(name);
+CREATE INDEX IF NOT EXISTS idx_sealed_pricing_data_product_id ON public.sealed_pricing_data(sealed_product_id);
+CREATE INDEX IF NOT EXISTS idx_sealed_price_history_product_id ON public.sealed_price_history(sealed_product_id);
 CREATE INDEX IF NOT EXISTS idx_user_portfolios_user_id ON public.user_portfolios(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_portfolios_user_card ON public.user_portfolios(user_id, card_id);
+CREATE INDEX IF NOT EXISTS idx_user_portfolios_portfolio_id ON public.user_portfolios(portfolio_id);
+CREATE INDEX IF NOT EXISTS idx_portfolios_user_id ON public.portfolios(user_id);
+CREATE INDEX IF NOT EXISTS idx_watchlists_user_id ON public.watchlists(user_id);
+CREATE INDEX IF NOT EXISTS idx_portfolio_sales_user_id ON public.portfolio_sales(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_watchlists_user_id ON public.user_watchlists(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_events_user_id ON public.alert_events(user_id, triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_pull_rate_scenarios_user_set ON public.pull_rate_scenarios(user_id, set_id);
+CREATE INDEX IF NOT EXISTS idx_user_portfolios_cert ON public.user_portfolios(grader, cert_number) WHERE cert_number IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_grading_submissions_user_id ON public.grading_submissions(user_id);
+CREATE INDEX IF NOT EXISTS idx_grading_submission_items_submission_id ON public.grading_submission_items(submission_id);
+CREATE INDEX IF NOT EXISTS idx_grading_submission_items_portfolio_item_id ON public.grading_submission_items(portfolio_item_id);
+
+-- Changing an alert's type, threshold or settings re-arms it
+CREATE OR REPLACE FUNCTION public.rearm_watchlist_alert()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.alert_price IS DISTINCT FROM OLD.alert_price
+        OR NEW.alert_type IS DISTINCT FROM OLD.alert_type
+        OR NEW.alert_params IS DISTINCT FROM OLD.alert_params THEN
+        NEW.alert_armed := TRUE;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rearm_watchlist_alert ON public.user_watchlists;
+CREATE TRIGGER rearm_watchlist_alert
+    BEFORE UPDATE ON public.user_watchlists
+    FOR EACH ROW EXECUTE FUNCTION public.rearm_watchlist_alert();
+
+-- A lot's grader is the prefix of its grading_status ('psa-10' => 'psa'); ungraded and sealed lots have none
+CREATE OR REPLACE FUNCTION public.set_lot_grader()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.grader := CASE
+        WHEN NEW.grading_status ~ '^(psa|bgs|cgc|sgc)-' THEN split_part(NEW.grading_status, '-', 1)
+        ELSE NULL
+    END;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_lot_grader ON public.user_portfolios;
+CREATE TRIGGER set_lot_grader
+    BEFORE INSERT OR UPDATE OF grading_status ON public.user_portfolios
+    FOR EACH ROW EXECUTE FUNCTION public.set_lot_grader();
+
+-- Lots graded before the grader column existed
+UPDATE public.user_portfolios
+SET grader = split_part(grading_status, '-', 1)
+WHERE grader IS NULL AND grading_status ~ '^(psa|bgs|cgc|sgc)-';
+
+-- Record a sale and shrink or close its lot in one transaction, so a sale is never logged against a
+-- lot that still holds the sold copies. Runs as the caller, so RLS limits it to their own lots.
+CREATE OR REPLACE FUNCTION public.record_sale(
+    p_portfolio_item_id UUID,
+    p_quantity INTEGER,
+    p_sale_price DECIMAL,
+    p_sale_date DATE,
+    p_fees DECIMAL DEFAULT 0,
+    p_shipping DECIMAL DEFAULT 0,
+    p_platform TEXT DEFAULT NULL,
+    p_notes TEXT DEFAULT NULL
+)
+RETURNS public.portfolio_sales
+LANGUAGE plpgsql SECURITY INVOKER SET search_path = public AS $$
+DECLARE
+    lot public.user_portfolios;
+    sale public.portfolio_sales;
+BEGIN
+    SELECT * INTO lot
+    FROM public.user_portfolios
+    WHERE id = p_portfolio_item_id AND user_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Portfolio lot % not found', p_portfolio_item_id;
+    END IF;
+
+    IF p_quantity IS NULL OR p_quantity < 1 OR p_quantity > COALESCE(lot.quantity, 1) THEN
+        RAISE EXCEPTION 'Cannot sell % of % copies', p_quantity, COALESCE(lot.quantity, 1);
+    END IF;
+
+    -- cost_basis matches CostBasis.lotUnitCost: purchase price plus grading fees
+    INSERT INTO public.portfolio_sales (
+        user_id, portfolio_item_id, lot_id, portfolio_id, card_id, sealed_product_id, quantity,
+        sale_price, sale_date, fees, shipping, platform, cost_basis, purchase_date, grading_status, notes
+    ) VALUES (
+        lot.user_id, lot.id, lot.id, lot.portfolio_id, lot.card_id, lot.sealed_product_id, p_quantity,
+        p_sale_price, p_sale_date, COALESCE(p_fees, 0), COALESCE(p_shipping, 0), p_platform,
+        COALESCE(lot.purchase_price, 0) + COALESCE(lot.grading_cost, 0), lot.purchase_date, lot.grading_status, p_notes
+    )
+    RETURNING * INTO sale;
+
+    IF COALESCE(lot.quantity, 1) > p_quantity THEN
+        UPDATE public.user_portfolios SET quantity = COALESCE(lot.quantity, 1) - p_quantity WHERE id = lot.id;
+    ELSE
+        DELETE FROM public.user_portfolios WHERE id = lot.id;
+    END IF;
+
+    RETURN sale;
+END;
+$$;
+
+-- Move one copy out of a multi-copy lot into a lot of its own, e.g. to send it for grading.
+-- The decrement and the new lot commit together, so a failure never loses or duplicates a copy.
+CREATE OR REPLACE FUNCTION public.split_portfolio_lot(p_lot_id UUID)
+RETURNS public.user_portfolios
+LANGUAGE plpgsql SECURITY INVOKER SET search_path = public AS $$
+DECLARE
+    lot public.user_portfolios;
+    split public.user_portfolios;
+BEGIN
+    SELECT * INTO lot
+    FROM public.user_portfolios
+    WHERE id = p_lot_id AND user_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Portfolio lot % not found', p_lot_id;
+    END IF;
+
+    IF COALESCE(lot.quantity, 1) < 2 THEN
+        RAISE EXCEPTION 'Portfolio lot % has only one copy', p_lot_id;
+    END IF;
+
+    UPDATE public.user_portfolios SET quantity = lot.quantity - 1 WHERE id = lot.id;
+
+    INSERT INTO public.user_portfolios (
+        user_id, portfolio_id, card_id, sealed_product_id, purchase_price, purchase_date, quantity,
+        grading_status, grading_cost, condition, edition, reverse_holo, language, notes
+    ) VALUES (
+        lot.user_id, lot.portfolio_id, lot.card_id, lot.sealed_product_id, lot.purchase_price, lot.purchase_date, 1,
+        lot.grading_status, COALESCE(lot.grading_cost, 0), lot.condition, lot.edition, lot.reverse_holo, lot.language, lot.notes
+    )
+    RETURNING * INTO split;
+
+    RETURN split;
+END;
+$$;
+
+-- Save a grading submission, its items and the grades and fees they put on their lots in one transaction.
+-- p_items: [{ id, portfolio_item_id, split, declared_value, grading_fee, grade, cert_number,
+--   previous_grading_status, lot_update }] where split moves one copy out of the lot first and
+--   lot_update is { grading_status, cert_number, grading_cost } or null;
+-- p_removed_items: [{ id, portfolio_item_id, lot_update }] for items taken out of the submission
+CREATE OR REPLACE FUNCTION public.save_grading_submission(
+    p_submission_id UUID,
+    p_submission JSONB,
+    p_items JSONB,
+    p_removed_items JSONB DEFAULT '[]'::jsonb
+)
+RETURNS public.grading_submissions
+LANGUAGE plpgsql SECURITY INVOKER SET search_path = public AS $$
+DECLARE
+    submission public.grading_submissions;
+    item JSONB;
+    lot_id UUID;
+BEGIN
+    IF p_submission_id IS NULL THEN
+        INSERT INTO public.grading_submissions (
+            user_id, name, grader, service_level, status, sent_date, received_date,
+            shipping_cost, insurance_cost, other_fees, notes
+        ) VALUES (
+            auth.uid(), p_submission->>'name', p_submission->>'grader', p_submission->>'service_level',
+            p_submission->>'status', (p_submission->>'sent_date')::DATE, (p_submission->>'received_date')::DATE,
+            COALESCE((p_submission->>'shipping_cost')::DECIMAL, 0), COALESCE((p_submission->>'insurance_cost')::DECIMAL, 0),
+            COALESCE((p_submission->>'other_fees')::DECIMAL, 0), p_submission->>'notes'
+        )
+        RETURNING * INTO submission;
+    ELSE
+        UPDATE public.grading_submissions SET
+            name = p_submission->>'name',
+            grader = p_submission->>'grader',
+            service_level = p_submission->>'service_level',
+            status = p_submission->>'status',
+            sent_date = (p_submission->>'sent_date')::DATE,
+            received_date = (p_submission->>'received_date')::DATE,
+            shipping_cost = COALESCE((p_submission->>'shipping_cost')::DECIMAL, 0),
+            insurance_cost = COALESCE((p_submission->>'insurance_cost')::DECIMAL, 0),
+            other_fees = COALESCE((p_submission->>'other_fees')::DECIMAL, 0),
+            notes = p_submission->>'notes',
+            updated_at = NOW()
+        WHERE id = p_submission_id AND user_id = auth.uid()
+        RETURNING * INTO submission;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Grading submission % not found', p_submission_id;
+        END IF;
+    END IF;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_items, '[]'::jsonb)) LOOP
+        lot_id := (item->>'portfolio_item_id')::UUID;
+
+        IF COALESCE((item->>'split')::BOOLEAN, FALSE) THEN
+            lot_id := (public.split_portfolio_lot(lot_id)).id;
+        END IF;
+
+        IF item->>'id' IS NULL THEN
+            INSERT INTO public.grading_submission_items (
+                submission_id, user_id, portfolio_item_id, declared_value, grading_fee,
+                grade, cert_number, previous_grading_status
+            ) VALUES (
+                submission.id, auth.uid(), lot_id, COALESCE((item->>'declared_value')::DECIMAL, 0),
+                COALESCE((item->>'grading_fee')::DECIMAL, 0), item->>'grade', item->>'cert_number',
+                COALESCE(item->>'previous_grading_status', 'ungraded')
+            );
+        ELSE
+            UPDATE public.grading_submission_items SET
+                portfolio_item_id = lot_id,
+                declared_value = COALESCE((item->>'declared_value')::DECIMAL, 0),
+                grading_fee = COALESCE((item->>'grading_fee')::DECIMAL, 0),
+                grade = item->>'grade',
+                cert_number = item->>'cert_number',
+                previous_grading_status = COALESCE(item->>'previous_grading_status', 'ungraded')
+            WHERE id = (item->>'id')::UUID AND submission_id = submission.id AND user_id = auth.uid();
+        END IF;
+
+        IF jsonb_typeof(item->'lot_update') = 'object' THEN
+            UPDATE public.user_portfolios SET
+                grading_status = item->'lot_update'->>'grading_status',
+                cert_number = item->'lot_update'->>'cert_number',
+                grading_cost = COALESCE((item->'lot_update'->>'grading_cost')::DECIMAL, 0),
+                updated_at = NOW()
+            WHERE id = lot_id AND user_id = auth.uid();
+        END IF;
+    END LOOP;
+
+    FOR item IN SELECT * FROM jsonb_array_elements(COALESCE(p_removed_items, '[]'::jsonb)) LOOP
+        IF jsonb_typeof(item->'lot_update') = 'object' THEN
+            UPDATE public.user_portfolios SET
+                grading_status = item->'lot_update'->>'grading_status',
+                cert_number = item->'lot_update'->>'cert_number',
+                grading_cost = COALESCE((item->'lot_update'->>'grading_cost')::DECIMAL, 0),
+                updated_at = NOW()
+            WHERE id = (item->>'portfolio_item_id')::UUID AND user_id = auth.uid();
+        END IF;
+
+        DELETE FROM public.grading_submission_items
+        WHERE id = (item->>'id')::UUID AND submission_id = submission.id AND user_id = auth.uid();
+    END LOOP;
+
+    RETURN submission;
+END;
+$$;
+
+-- Certs on the caller's lots that belong to more than one slab: several of their own lots or
+-- copies, or another user's lot. Other users' lots are only counted, never returned.
+CREATE OR REPLACE FUNCTION public.duplicate_certs()
+RETURNS TABLE (grader TEXT, cert_number TEXT, own_copies INTEGER, other_users INTEGER)
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public AS $$
+    SELECT
+        mine.grader,
+        mine.cert_number,
+        COALESCE(SUM(up.quantity) FILTER (WHERE up.user_id = auth.uid()), 0)::INTEGER as own_copies,
+        COUNT(DISTINCT up.user_id) FILTER (WHERE up.user_id <> auth.uid())::INTEGER as other_users
+    FROM (
+        SELECT DISTINCT grader, cert_number
+        FROM public.user_portfolios
+        WHERE user_id = auth.uid() AND cert_number IS NOT NULL AND grader IS NOT NULL
+    ) mine
+    JOIN public.user_portfolios up ON up.grader = mine.grader AND up.cert_number = mine.cert_number
+    GROUP BY mine.grader, mine.cert_number
+    HAVING COALESCE(SUM(up.quantity) FILTER (WHERE up.user_id = auth.uid()), 0) > 1
+        OR COUNT(*) FILTER (WHERE up.user_id <> auth.uid()) > 0;
+$$;
+
+-- Admins have "role": "admin" in their app_metadata, which only the service role can set:
+-- UPDATE auth.users SET raw_app_meta_data = raw_app_meta_data || '{"role": "admin"}' WHERE email = '...';
+CREATE OR REPLACE FUNCTION public.is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SET search_path = public AS $$
+    SELECT COALESCE(auth.jwt() -> 'app_metadata' ->> 'role', '') = 'admin';
+$$;
+
+-- Insert (p_id null) or update published pull rates; p_row has the pull_rates columns the admin tool edits
+CREATE OR REPLACE FUNCTION public.save_pull_rates(p_id UUID, p_row JSONB)
+RETURNS public.pull_rates
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+DECLARE
+    saved public.pull_rates;
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'Only admins can edit published pull rates';
+    END IF;
+
+    IF p_id IS NULL THEN
+        INSERT INTO public.pull_rates (
+            series, set_id, sealed_product_id, name, packs_per_box, boxes_per_case,
+            slots, god_pack_odds, god_pack_slots, notes
+        ) VALUES (
+            p_row->>'series', p_row->>'set_id', p_row->>'sealed_product_id', p_row->>'name',
+            (p_row->>'packs_per_box')::INTEGER, (p_row->>'boxes_per_case')::INTEGER,
+            COALESCE(p_row->'slots', '[]'::jsonb), COALESCE((p_row->>'god_pack_odds')::DECIMAL, 0),
+            COALESCE(p_row->'god_pack_slots', '[]'::jsonb), p_row->>'notes'
+        )
+        RETURNING * INTO saved;
+    ELSE
+        UPDATE public.pull_rates SET
+            series = p_row->>'series',
+            set_id = p_row->>'set_id',
+            sealed_product_id = p_row->>'sealed_product_id',
+            name = p_row->>'name',
+            packs_per_box = (p_row->>'packs_per_box')::INTEGER,
+            boxes_per_case = (p_row->>'boxes_per_case')::INTEGER,
+            slots = COALESCE(p_row->'slots', '[]'::jsonb),
+            god_pack_odds = COALESCE((p_row->>'god_pack_odds')::DECIMAL, 0),
+            god_pack_slots = COALESCE(p_row->'god_pack_slots', '[]'::jsonb),
+            notes = p_row->>'notes',
+            updated_at = NOW()
+        WHERE id = p_id
+        RETURNING * INTO saved;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Pull rates % not found', p_id;
+        END IF;
+    END IF;
+
+    RETURN saved;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION public.delete_pull_rates(p_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql SECURITY DEFINER SET search_path = public AS $$
+BEGIN
+    IF NOT public.is_admin() THEN
+        RAISE EXCEPTION 'Only admins can edit published pull rates';
+    END IF;
+
+    DELETE FROM public.pull_rates WHERE id = p_id;
+END;
+$$;
 
 -- Views for easier querying
+-- Sealed products have one market price, reported in the ungraded_price column; their grade columns stay NULL
+-- Profit and ROI are measured against cost_basis, the purchase price plus any grading fees
+-- up.* picks up new lot columns, which CREATE OR REPLACE cannot insert mid-view
+DROP VIEW IF EXISTS portfolio_with_roi;
 CREATE OR REPLACE VIEW portfolio_with_roi AS
 SELECT 
     up.*,
-    c.name as card_name,
-    c.images,
+    p.name as portfolio_name,
+    COALESCE(c.name, sp.name) as card_name,
+    COALESCE(c.images, jsonb_build_object('small', sp.image_url, 'large', sp.image_url)) as images,
+    sp.product_type,
     s.name as set_name,
     s.series,
-    pd.ungraded_price,
+    COALESCE(pd.ungraded_price, spd.price) as ungraded_price,
     pd.psa_10_price,
-    (pd.ungraded_price - up.purchase_price) * up.quantity as profit_ungraded,
-    (pd.psa_10_price - up.purchase_price) * up.quantity as profit_psa_10,
+    cb.cost_basis,
+    (COALESCE(pd.ungraded_price, spd.price) - cb.cost_basis) * up.quantity as profit_ungraded,
+    (pd.psa_10_price - cb.cost_basis) * up.quantity as profit_psa_10,
     CASE 
-        WHEN up.purchase_price > 0 THEN ((pd.ungraded_price - up.purchase_price) / up.purchase_price) * 100
+        WHEN cb.cost_basis > 0 THEN ((COALESCE(pd.ungraded_price, spd.price) - cb.cost_basis) / cb.cost_basis) * 100
         ELSE 0
     END as roi_ungraded,
     CASE 
-        WHEN up.purchase_price > 0 THEN ((pd.psa_10_price - up.purchase_price) / up.purchase_price) * 100
+        WHEN cb.cost_basis > 0 THEN ((pd.psa_10_price - cb.cost_basis) / cb.cost_basis) * 100
         ELSE 0
     END as roi_psa_10
 FROM public.user_portfolios up
-JOIN public.cards c ON up.card_id = c.id
-JOIN public.sets s ON c.set_id = s.id
-LEFT JOIN public.pricing_data pd ON c.id = pd.card_id AND pd.source = 'pricecharting';
+CROSS JOIN LATERAL (
+    SELECT up.purchase_price + COALESCE(up.grading_cost, 0) as cost_basis
+) cb
+LEFT JOIN public.portfolios p ON up.portfolio_id = p.id
+LEFT JOIN public.cards c ON up.card_id = c.id
+LEFT JOIN public.sealed_products sp ON up.sealed_product_id = sp.id
+LEFT JOIN public.sets s ON s.id = COALESCE(c.set_id, sp.set_id)
+LEFT JOIN public.pricing_data pd ON c.id = pd.card_id AND pd.source = 'pricecharting'
+LEFT JOIN public.sealed_pricing_data spd ON sp.id = spd.sealed_product_id AND spd.source = 'pricecharting';
 
+-- uw.* picks up new watchlist columns, which CREATE OR REPLACE cannot insert mid-view
+DROP VIEW IF EXISTS watchlist_with_pricing;
 CREATE OR REPLACE VIEW watchlist_with_pricing AS
 SELECT 
     uw.*,
-    c.name as card_name,
-    c.images,
+    COALESCE(c.name, sp.name) as card_name,
+    COALESCE(c.images, jsonb_build_object('small', sp.image_url, 'large', sp.image_url)) as images,
+    sp.product_type,
     s.name as set_name,
     s.series,
-    pd.ungraded_price,
+    COALESCE(pd.ungraded_price, spd.price) as ungraded_price,
     pd.psa_10_price,
+    pd.psa_9_price,
+    pd.psa_8_price,
+    -- Thresholds are checked live; history-based types report the state evaluate-alerts left them in
     CASE 
-        WHEN uw.alert_type = 'above' AND pd.ungraded_price >= uw.alert_price THEN TRUE
-        WHEN uw.alert_type = 'below' AND pd.ungraded_price <= uw.alert_price THEN TRUE
-        ELSE FALSE
+        WHEN uw.alert_type = 'above' THEN COALESCE(gp.alert_grade_price >= uw.alert_price, FALSE)
+        WHEN uw.alert_type = 'below' THEN COALESCE(gp.alert_grade_price <= uw.alert_price, FALSE)
+        ELSE COALESCE(uw.alert_armed = FALSE, FALSE)
     END as alert_triggered
 FROM public.user_watchlists uw
-JOIN public.cards c ON uw.card_id = c.id
-JOIN public.sets s ON c.set_id = s.id
-LEFT JOIN public.pricing_data pd ON c.id = pd.card_id AND pd.source = 'pricecharting';
+LEFT JOIN public.cards c ON uw.card_id = c.id
+LEFT JOIN public.sealed_products sp ON uw.sealed_product_id = sp.id
+LEFT JOIN public.sets s ON s.id = COALESCE(c.set_id, sp.set_id)
+LEFT JOIN public.pricing_data pd ON c.id = pd.card_id AND pd.source = 'pricecharting'
+LEFT JOIN public.sealed_pricing_data spd ON sp.id = spd.sealed_product_id AND spd.source = 'pricecharting'
+CROSS JOIN LATERAL (
+    SELECT CASE COALESCE(uw.alert_params->>'grade', 'ungraded')
+        WHEN 'psa-10' THEN pd.psa_10_price
+        WHEN 'psa-9' THEN pd.psa_9_price
+        WHEN 'psa-8' THEN pd.psa_8_price
+        ELSE COALESCE(pd.ungraded_price, spd.price)
+    END as alert_grade_price
+) gp;
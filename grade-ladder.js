@@ -0,0 +1,197 @@
+// TCG Investor Pro - Grade Ladder
+// This file values a card at any grader and grade from its grade_prices rows, filling gaps in the ladder
+// by interpolating between known grades or scaling the PSA price to the other grader's slabs.
+
+// Sources in order of preference; only the best source with any graded prices is used, so one card's
+// ladder never mixes sources
+const GRADE_PRICE_SOURCES = ['pricecharting', 'pokemonpricetracker', 'tcgplayer'];
+
+// A raw near-mint card is priced like this grade when a ladder has no lower grade of its own
+const RAW_EQUIVALENT_GRADE = 7;
+
+// How a price was arrived at, for the tooltip on a lot's current price
+const LADDER_METHODS = {
+    exact: 'Sold at this grade',
+    interpolated: 'Interpolated between',
+    scaled: 'Scaled from',
+    extrapolated: 'Nearest known grade:',
+    raw: 'Valued as a raw card',
+    unpriced: 'Shown at cost; no sales at or below'
+};
+
+const GradeLadder = {
+    /**
+     * Grader and grade from a grading status ('bgs-9.5' => { grader: 'bgs', grade: 9.5 })
+     * @returns {Object|null} null for ungraded and sealed lots
+     */
+    parseStatus(status) {
+        const [grader, grade] = String(status || '').split('-');
+        const value = parseFloat(grade);
+        return window.Grading?.GRADERS[grader] && !isNaN(value) ? { grader, grade: value } : null;
+    },
+
+    label(grader, grade) {
+        return `${window.Grading?.GRADERS[grader]?.label || grader.toUpperCase()} ${grade}`;
+    },
+
+    /**
+     * Known prices for a card, by grader
+     * @param {Object} card - Card with grade_prices and pricing_data rows
+     * @returns {Object} { raw, graders: { grader => [{ grade, price }] sorted by grade } }
+     */
+    build(card) {
+        const rank = (source) => {
+            const index = GRADE_PRICE_SOURCES.indexOf(source);
+            return index === -1 ? GRADE_PRICE_SOURCES.length : index;
+        };
+
+        const rows = (card?.grade_prices || []).filter(row => Number(row.price) > 0);
+        const source = rows.map(row => row.source).sort((a, b) => rank(a) - rank(b))[0];
+        const pricing = card?.pricing_data?.find(row => row.source === source) || card?.pricing_data?.[0] || {};
+
+        const graders = {};
+        const addPrice = (grader, grade, price) => {
+            if (!(Number(price) > 0)) return;
+            graders[grader] = graders[grader] || [];
+            if (graders[grader].some(point => point.grade === grade)) return;
+            graders[grader].push({ grade, price: Number(price) });
+        };
+
+        rows.filter(row => row.source === source)
+            .forEach(row => addPrice(row.grader, parseFloat(row.grade), row.price));
+
+        // Rows synced before grade_prices existed only have the PSA columns
+        addPrice('psa', 10, pricing.psa_10_price);
+        addPrice('psa', 9, pricing.psa_9_price);
+        addPrice('psa', 8, pricing.psa_8_price);
+
+        Object.values(graders).forEach(points => points.sort((a, b) => a.grade - b.grade));
+
+        return { raw: Number(pricing.ungraded_price) || 0, graders };
+    },
+
+    /**
+     * Value of one grade at one grader
+     * Order of preference: a price at that grade, interpolation between the grader's own prices,
+     * the PSA value scaled to the grader, then the grader's own prices anchored on the raw price.
+     * Grades below the lowest known point are 'unpriced': low slabs often sell under a raw near-mint copy,
+     * so neither the raw price nor the lowest grade's price says what they are worth.
+     * @param {Object} ladder - From build()
+     * @returns {Object|null} { price, method (key of LADDER_METHODS), basis }, or null with no prices at all;
+     *     price is null for 'unpriced'
+     */
+    valueOf(ladder, grader, grade) {
+        const own = ladder.graders[grader] || [];
+
+        const exact = own.find(point => point.grade === grade);
+        if (exact) return { price: exact.price, method: 'exact', basis: this.label(grader, grade) };
+
+        const between = this.interpolate(own, grade);
+        if (between) {
+            return {
+                price: between.price,
+                method: 'interpolated',
+                basis: `${this.label(grader, between.lower.grade)} and ${this.label(grader, between.upper.grade)}`
+            };
+        }
+
+        if (grader !== 'psa') {
+            const psa = this.valueOf(ladder, 'psa', grade);
+            if (psa && psa.method !== 'raw' && psa.method !== 'unpriced') {
+                const factor = this.priceFactor(ladder, grader);
+                return {
+                    price: psa.price * factor,
+                    method: 'scaled',
+                    basis: `${this.label('psa', grade)} × ${factor.toFixed(2)}`
+                };
+            }
+        }
+
+        const anchored = own.length > 0 && own[0].grade <= RAW_EQUIVALENT_GRADE
+            ? own
+            : [...(ladder.raw > 0 ? [{ grade: RAW_EQUIVALENT_GRADE, price: ladder.raw, isRaw: true }] : []), ...own];
+        if (anchored.length === 0) return null;
+
+        if (grade < anchored[0].grade) {
+            return { price: null, method: 'unpriced', basis: this.label(grader, grade) };
+        }
+
+        const anchoredBetween = grade > anchored[0].grade ? this.interpolate(anchored, grade) : null;
+        if (anchoredBetween) {
+            return {
+                price: anchoredBetween.price,
+                method: 'interpolated',
+                basis: [anchoredBetween.lower, anchoredBetween.upper]
+                    .map(point => point.isRaw ? 'the raw price' : this.label(grader, point.grade))
+                    .join(' and ')
+            };
+        }
+
+        // At the lowest point (the raw anchor, usually) or past the top of the ladder, hold the nearest known price
+        const nearest = grade === anchored[0].grade ? anchored[0] : anchored[anchored.length - 1];
+        return nearest.isRaw
+            ? { price: nearest.price, method: 'raw', basis: null }
+            : { price: nearest.price, method: 'extrapolated', basis: this.label(grader, nearest.grade) };
+    },
+
+    /**
+     * Linear interpolation between the known grades either side of a grade
+     * @param {Array} points - [{ grade, price }] sorted by grade
+     * @returns {Object|null} { price, lower, upper }
+     */
+    interpolate(points, grade) {
+        const upperIndex = points.findIndex(point => point.grade > grade);
+        if (upperIndex <= 0) return null;
+
+        const lower = points[upperIndex - 1];
+        const upper = points[upperIndex];
+        const share = (grade - lower.grade) / (upper.grade - lower.grade);
+
+        return { price: lower.price + (upper.price - lower.price) * share, lower, upper };
+    },
+
+    /**
+     * How a grader's slabs sell against PSA's: the average ratio at grades both have prices for,
+     * or the grader's default priceFactor when they share none
+     */
+    priceFactor(ladder, grader) {
+        const psa = ladder.graders.psa || [];
+        const ratios = (ladder.graders[grader] || [])
+            .map(point => {
+                const match = psa.find(psaPoint => psaPoint.grade === point.grade);
+                return match ? point.price / match.price : null;
+            })
+            .filter(ratio => ratio !== null);
+
+        if (ratios.length === 0) return window.Grading?.GRADERS[grader]?.priceFactor ?? 1;
+        return ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+    },
+
+    /**
+     * Value of a card in a grading status
+     * @returns {Object|null} See valueOf; ungraded and sealed lots get the raw price
+     */
+    valueForStatus(card, status) {
+        const ladder = this.build(card);
+        const parsed = this.parseStatus(status);
+
+        if (!parsed) return ladder.raw > 0 ? { price: ladder.raw, method: 'raw', basis: null } : null;
+        return this.valueOf(ladder, parsed.grader, parsed.grade);
+    },
+
+    /**
+     * Tooltip explaining a value; empty for prices taken straight from the ladder
+     */
+    describe(value) {
+        if (!value || value.method === 'exact') return '';
+        return value.basis ? `${LADDER_METHODS[value.method]} ${value.basis}` : LADDER_METHODS[value.method];
+    }
+};
+
+// Export for use in other files
+window.GradeLadder = {
+    GRADE_PRICE_SOURCES,
+    RAW_EQUIVALENT_GRADE,
+    LADDER_METHODS,
+    ...GradeLadder
+};
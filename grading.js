@@ -0,0 +1,280 @@
+// TCG Investor Pro - Grading
+// This file holds grader fee schedules and the expected-value math behind the "grade or sell raw" decision
+
+// Default per-card fees by service level; a card goes in the cheapest level whose maxValue covers its
+// declared value. Published prices change often, so users can override any fee from their profile
+// (user_preferences.grading_fees); see setFees.
+// priceFactor scales PSA sale prices to this grader's slabs when grade_prices has none of its own.
+const GRADERS = {
+    psa: {
+        label: 'PSA',
+        priceFactor: 1,
+        returnShipping: 25,
+        services: [
+            { key: 'value', label: 'Value', fee: 24.99, maxValue: 499 },
+            { key: 'regular', label: 'Regular', fee: 74.99, maxValue: 1499 },
+            { key: 'express', label: 'Express', fee: 149, maxValue: 2499 },
+            { key: 'super_express', label: 'Super Express', fee: 299, maxValue: 4999 },
+            { key: 'walk_through', label: 'Walk-Through', fee: 599, maxValue: 9999 },
+            { key: 'premium', label: 'Premium', fee: 999, maxValue: null }
+        ]
+    },
+    bgs: {
+        label: 'BGS',
+        priceFactor: 0.85,
+        returnShipping: 30,
+        services: [
+            { key: 'economy', label: 'Economy', fee: 22, maxValue: 1000 },
+            { key: 'standard', label: 'Standard', fee: 40, maxValue: 1500 },
+            { key: 'express', label: 'Express', fee: 80, maxValue: 2500 },
+            { key: 'premium', label: 'Premium', fee: 250, maxValue: null }
+        ]
+    },
+    cgc: {
+        label: 'CGC',
+        priceFactor: 0.7,
+        returnShipping: 25,
+        services: [
+            { key: 'bulk', label: 'Bulk', fee: 18, maxValue: 500 },
+            { key: 'standard', label: 'Standard', fee: 30, maxValue: 1000 },
+            { key: 'express', label: 'Express', fee: 65, maxValue: 3000 },
+            { key: 'walk_through', label: 'Walk-Through', fee: 125, maxValue: null }
+        ]
+    },
+    sgc: {
+        label: 'SGC',
+        priceFactor: 0.75,
+        returnShipping: 20,
+        services: [
+            { key: 'bulk', label: 'Bulk', fee: 15, maxValue: 500 },
+            { key: 'standard', label: 'Standard', fee: 30, maxValue: 1500 },
+            { key: 'express', label: 'Express', fee: 75, maxValue: 5000 },
+            { key: 'walk_through', label: 'Walk-Through', fee: 150, maxValue: null }
+        ]
+    }
+};
+
+// Grades are bucketed to the PSA prices we track; anything 7 or below is valued as a raw card
+const GRADE_OUTCOMES = [
+    { key: '10', label: '10', price: 'psa10' },
+    { key: '9', label: '9', price: 'psa9' },
+    { key: '8', label: '8', price: 'psa8' },
+    { key: 'low', label: '7 or lower', price: 'raw' }
+];
+
+// A typical spread for a clean, raw near-mint card
+const DEFAULT_GRADE_ODDS = { '10': 0.25, '9': 0.45, '8': 0.2, 'low': 0.1 };
+
+// Shipping to the grader is per submission and shared across its cards; insurance is a share of declared value
+const SHIPPING_DEFAULTS = {
+    shipToGrader: 20,
+    cardsPerSubmission: 10,
+    insuranceRate: 0.01
+};
+
+// Fewest graded cards before a user's own history is offered as odds
+const MIN_HISTORY_SLABS = 5;
+
+// The signed-in user's fee overrides: { grader => { serviceKey => fee } }
+let feeOverrides = {};
+
+const Grading = {
+    /**
+     * Replace the fee overrides, e.g. from user_preferences.grading_fees
+     * Fees that are missing, negative or not numbers fall back to the GRADERS default.
+     * @param {Object} fees - { grader => { serviceKey => fee } }
+     */
+    setFees(fees) {
+        feeOverrides = {};
+        Object.entries(fees || {}).forEach(([grader, services]) => {
+            if (!GRADERS[grader] || !services || typeof services !== 'object') return;
+
+            Object.entries(services).forEach(([serviceKey, fee]) => {
+                const value = Number(fee);
+                if (fee === null || fee === '' || isNaN(value) || value < 0) return;
+                if (!GRADERS[grader].services.some(service => service.key === serviceKey)) return;
+
+                feeOverrides[grader] = feeOverrides[grader] || {};
+                feeOverrides[grader][serviceKey] = value;
+            });
+        });
+    },
+
+    /**
+     * The current fee overrides, in the shape setFees takes
+     */
+    getFees() {
+        return JSON.parse(JSON.stringify(feeOverrides));
+    },
+
+    /**
+     * A grader's service levels with the user's fees applied
+     * @returns {Array} [{ key, label, fee, defaultFee, maxValue }]
+     */
+    servicesFor(grader) {
+        return (GRADERS[grader]?.services || []).map(service => ({
+            ...service,
+            fee: feeOverrides[grader]?.[service.key] ?? service.fee,
+            defaultFee: service.fee
+        }));
+    },
+
+    /**
+     * Service level for a declared value
+     * @param {string} grader - Key of GRADERS
+     * @param {number} declaredValue - Value declared to the grader for the graded card
+     * @param {string} serviceKey - A specific level, or 'auto' for the cheapest that covers the value
+     */
+    serviceFor(grader, declaredValue, serviceKey = 'auto') {
+        const services = this.servicesFor(grader);
+        if (serviceKey !== 'auto') {
+            const chosen = services.find(service => service.key === serviceKey);
+            if (chosen) return chosen;
+        }
+        return services.find(service => service.maxValue === null || declaredValue <= service.maxValue)
+            || services[services.length - 1];
+    },
+
+    /**
+     * What each grade outcome sells for at one grader
+     * @param {Object} prices - { raw, psa10, psa9, psa8 }; missing grades fall back to the raw price
+     * @returns {Object} outcome key => value
+     */
+    outcomeValues(grader, prices) {
+        const values = {};
+        GRADE_OUTCOMES.forEach(outcome => {
+            const price = Number(prices[outcome.price]) || 0;
+            values[outcome.key] = outcome.price === 'raw' || price === 0
+                ? Number(prices.raw) || 0
+                : price * GRADERS[grader].priceFactor;
+        });
+        return values;
+    },
+
+    /**
+     * Scale odds so they add up to 1
+     * @returns {Object|null} Normalized odds, or null when they add up to nothing
+     */
+    normalizeOdds(odds) {
+        const total = GRADE_OUTCOMES.reduce((sum, outcome) => sum + Math.max(0, Number(odds[outcome.key]) || 0), 0);
+        if (total <= 0) return null;
+
+        const normalized = {};
+        GRADE_OUTCOMES.forEach(outcome => {
+            normalized[outcome.key] = Math.max(0, Number(odds[outcome.key]) || 0) / total;
+        });
+        return normalized;
+    },
+
+    /**
+     * Grade odds from the grades a user already holds or has sold
+     * @param {Array} gradingStatuses - e.g. ['psa-10', 'bgs-9.5', 'ungraded']
+     * @returns {Object|null} { odds, count }, or null with fewer than MIN_HISTORY_SLABS graded cards
+     */
+    historicalOdds(gradingStatuses) {
+        const counts = { '10': 0, '9': 0, '8': 0, 'low': 0 };
+        let count = 0;
+
+        gradingStatuses.forEach(status => {
+            const grade = parseFloat(String(status).split('-')[1]);
+            if (isNaN(grade)) return;
+
+            counts[grade >= 10 ? '10' : grade >= 9 ? '9' : grade >= 8 ? '8' : 'low']++;
+            count++;
+        });
+
+        return count >= MIN_HISTORY_SLABS ? { odds: this.normalizeOdds(counts), count } : null;
+    },
+
+    /**
+     * Per-card cost of sending a card to a grader
+     * @param {number} declaredValue - Value declared to the grader; picks the service level and sets insurance
+     * @param {Object} costs - { serviceKey, shipToGrader, cardsPerSubmission, insuranceRate }
+     */
+    gradingCost(grader, declaredValue, costs = {}) {
+        const { serviceKey = 'auto', shipToGrader, cardsPerSubmission, insuranceRate } = { ...SHIPPING_DEFAULTS, ...costs };
+        const service = this.serviceFor(grader, declaredValue, serviceKey);
+        const perCard = Math.max(1, Number(cardsPerSubmission) || 1);
+        const shipping = (Number(shipToGrader) + GRADERS[grader].returnShipping) / perCard;
+        const insurance = declaredValue * Number(insuranceRate);
+
+        return {
+            service,
+            fee: service.fee,
+            shipping,
+            insurance,
+            total: service.fee + shipping + insurance
+        };
+    },
+
+    /**
+     * Expected result of grading a card at one grader
+     * @param {Object} options
+     * @param {string} options.grader - Key of GRADERS
+     * @param {Object} options.prices - { raw, psa10, psa9, psa8 }
+     * @param {Object} options.odds - Outcome key => probability (normalized here)
+     * @param {Object} options.costs - See gradingCost; serviceKeys ({ grader => serviceKey }) picks a level
+     *     per grader, and declaredValue overrides the declared value
+     */
+    evaluate({ grader, prices, odds, costs = {} }) {
+        const probabilities = this.normalizeOdds(odds) || DEFAULT_GRADE_ODDS;
+        const values = this.outcomeValues(grader, prices);
+        const outcomes = GRADE_OUTCOMES.map(outcome => ({
+            key: outcome.key,
+            label: `${GRADERS[grader].label} ${outcome.label}`,
+            probability: probabilities[outcome.key],
+            value: values[outcome.key]
+        }));
+
+        const expectedValue = outcomes.reduce((sum, outcome) => sum + outcome.probability * outcome.value, 0);
+        // Graders bill on the value declared for the slab and upcharge cards that come back worth more,
+        // so unless one is given the card is declared at its top-grade value
+        const declaredValue = Number(costs.declaredValue) > 0 ? Number(costs.declaredValue) : values[GRADE_OUTCOMES[0].key];
+        const cost = this.gradingCost(grader, declaredValue, {
+            ...costs,
+            serviceKey: costs.serviceKeys?.[grader] || costs.serviceKey || 'auto'
+        });
+        const raw = Number(prices.raw) || 0;
+
+        return {
+            grader,
+            label: GRADERS[grader].label,
+            outcomes,
+            expectedValue,
+            declaredValue,
+            cost,
+            expectedProfit: expectedValue - cost.total - raw,
+            roi: raw + cost.total > 0 ? ((expectedValue - raw - cost.total) / (raw + cost.total)) * 100 : null
+        };
+    },
+
+    /**
+     * Compare every grader against selling raw
+     * @returns {Object} { results (best first), best, decision: 'grade' | 'sell_raw', missingPrices }
+     */
+    recommend({ prices, odds, costs = {}, graders = Object.keys(GRADERS) }) {
+        const results = graders
+            .map(grader => this.evaluate({ grader, prices, odds, costs }))
+            .sort((a, b) => b.expectedProfit - a.expectedProfit);
+        const best = results[0];
+
+        return {
+            results,
+            best,
+            decision: best && best.expectedProfit > 0 ? 'grade' : 'sell_raw',
+            missingPrices: GRADE_OUTCOMES
+                .filter(outcome => outcome.price !== 'raw' && !(Number(prices[outcome.price]) > 0))
+                .map(outcome => `PSA ${outcome.label}`)
+        };
+    }
+};
+
+// Export for use in other files
+window.Grading = {
+    GRADERS,
+    GRADE_OUTCOMES,
+    DEFAULT_GRADE_ODDS,
+    SHIPPING_DEFAULTS,
+    MIN_HISTORY_SLABS,
+    ...Grading
+};
@@ -0,0 +1,455 @@
+// TCG Investor Pro - Portfolio Import
+// This file handles CSV parsing, column mapping and card matching for portfolio imports
+
+// Portfolio fields that can be mapped from a CSV column
+const IMPORT_FIELDS = {
+    cardName: { label: 'Card Name', required: true, aliases: ['card name', 'name', 'card', 'product name'] },
+    setName: { label: 'Set', aliases: ['set', 'set name', 'expansion'] },
+    number: { label: 'Number', aliases: ['number', 'card number', 'no', 'num'] },
+    purchasePrice: { label: 'Purchase Price', aliases: ['purchase price', 'price paid', 'cost', 'cost basis', 'price'] },
+    purchaseDate: { label: 'Purchase Date', aliases: ['purchase date', 'date purchased', 'date acquired', 'date'] },
+    gradingStatus: { label: 'Grading Status', aliases: ['grading status', 'grade', 'grading'] },
+    gradingCost: { label: 'Grading Cost', aliases: ['grading cost', 'grading fees', 'grading fee'] },
+    certNumber: { label: 'Cert Number', aliases: ['cert number', 'cert', 'certification number', 'cert no'] },
+    condition: { label: 'Condition', aliases: ['condition'] },
+    printing: { label: 'Printing', aliases: ['printing', 'edition', 'variant'] },
+    language: { label: 'Language', aliases: ['language', 'lang'] },
+    quantity: { label: 'Quantity', aliases: ['quantity', 'qty', 'count'] },
+    notes: { label: 'Notes', aliases: ['notes', 'note', 'comments'] },
+    portfolio: { label: 'Portfolio', aliases: ['portfolio', 'portfolio name'] },
+    productId: { label: 'TCGplayer Product ID', aliases: ['tcgplayer id', 'tcgplayer product id', 'product id'] }
+};
+
+// What to do with rows whose file has no price paid for them, chosen once for the whole import
+const MISSING_PRICE_CHOICES = {
+    skip: 'Skip these rows',
+    market: 'Use the current market price',
+    later: 'Import at $0 and enter the price later'
+};
+
+// Collection export layouts, checked in order during auto-detection.
+// Columns not listed for a format fall back to the generic IMPORT_FIELDS aliases.
+const IMPORT_FORMATS = {
+    tcginvestorpro: {
+        label: 'TCG Investor Pro Export',
+        signature: ['card name', 'grading status', 'current value'],
+        columns: {}
+    },
+    tcgplayer: {
+        label: 'TCGplayer Collection',
+        note: 'TCGplayer exports have no price paid column; after matching, choose whether rows without one use the market price or are priced later.',
+        signature: ['product id', 'simple name'],
+        columns: {
+            cardName: ['simple name', 'name'],
+            number: ['card number', 'number'],
+            purchasePrice: ['purchase price', 'price each'],
+            purchaseDate: ['date added', 'purchase date'],
+            productId: ['product id']
+        }
+    },
+    pricecharting: {
+        label: 'PriceCharting Collection',
+        signature: ['product name', 'console name'],
+        columns: {
+            cardName: ['product name'],
+            setName: ['console name'],
+            purchasePrice: ['price paid', 'paid price'],
+            purchaseDate: ['date entered', 'date added'],
+            gradingStatus: ['condition string', 'grade'],
+            productId: ['tcg id', 'tcgplayer id']
+        },
+        // Rows look like "Charizard #4" / "Pokemon Base Set"
+        normalizeRow(row) {
+            const nameMatch = row.cardName.match(/^(.*?)\s*#\s*([\w-]+)$/);
+            if (nameMatch && !row.number) {
+                row.cardName = nameMatch[1];
+                row.number = nameMatch[2];
+            }
+            row.setName = row.setName.replace(/^pokemon\s+/i, '');
+            return row;
+        }
+    },
+    collectr: {
+        label: 'Collectr',
+        signature: ['product name', 'average cost paid'],
+        columns: {
+            cardName: ['product name'],
+            number: ['card number'],
+            purchasePrice: ['average cost paid', 'cost paid'],
+            purchaseDate: ['date added'],
+            gradingStatus: ['grade'],
+            productId: ['tcgplayer id', 'tcgplayer product id', 'product id']
+        }
+    },
+    generic: {
+        label: 'Generic CSV',
+        signature: [],
+        columns: {}
+    }
+};
+
+// Match scores used to classify a row
+const MATCH_THRESHOLDS = {
+    matched: 0.75,      // Best candidate is accepted automatically at or above this score...
+    margin: 0.05,       // ...as long as it beats the runner-up by at least this much
+    ambiguous: 0.4      // Below this the row is reported as unmatched
+};
+
+const PortfolioImport = {
+
+    /**
+     * Parse CSV text into an array of records (arrays of cell strings)
+     * Supports quoted cells, escaped quotes ("") and line breaks inside quotes
+     */
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let inQuotes = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        // Drop blank lines
+        return records.filter(r => r.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Work out which export layout a CSV uses from its header row
+     * @returns {string} Key of IMPORT_FORMATS
+     */
+    detectFormat(headers) {
+        const normalized = headers.map(header => this.normalizeText(header));
+
+        return Object.keys(IMPORT_FORMATS).find(key =>
+            IMPORT_FORMATS[key].signature.every(column => normalized.includes(column))
+        );
+    },
+
+    /**
+     * Guess which CSV column holds each portfolio field
+     * @returns {Object} Map of field name to column index (-1 when not found)
+     */
+    detectColumnMapping(headers, formatKey = 'generic') {
+        const normalized = headers.map(header => this.normalizeText(header));
+        const formatColumns = IMPORT_FORMATS[formatKey]?.columns || {};
+        const mapping = {};
+
+        Object.entries(IMPORT_FIELDS).forEach(([field, config]) => {
+            const aliases = formatColumns[field] || config.aliases;
+            const index = aliases
+                .map(alias => normalized.indexOf(this.normalizeText(alias)))
+                .find(i => i !== -1);
+            mapping[field] = index === undefined ? -1 : index;
+        });
+
+        return mapping;
+    },
+
+    /**
+     * Convert CSV records into import rows using a column mapping
+     */
+    extractRows(records, mapping, formatKey = 'generic') {
+        const normalizeRow = IMPORT_FORMATS[formatKey]?.normalizeRow || (row => row);
+        const cellValue = (record, field) => {
+            const index = mapping[field];
+            return index >= 0 && index < record.length ? record[index].trim() : '';
+        };
+
+        return records.map((record, i) => {
+            const row = normalizeRow({
+                rowNumber: i + 2, // +1 for the header, +1 for 1-based line numbers
+                cardName: cellValue(record, 'cardName'),
+                setName: cellValue(record, 'setName'),
+                number: cellValue(record, 'number'),
+                purchasePrice: this.parsePrice(cellValue(record, 'purchasePrice')),
+                purchaseDate: this.parseDate(cellValue(record, 'purchaseDate')),
+                gradingStatus: this.parseGradingStatus(cellValue(record, 'gradingStatus')),
+                // Grading fees are part of the cost basis; an empty cell means none were paid
+                gradingCost: cellValue(record, 'gradingCost') ? this.parsePrice(cellValue(record, 'gradingCost')) : 0,
+                certNumber: window.SlabRegistry.normalizeCert(cellValue(record, 'certNumber')) || null,
+                variant: {
+                    condition: window.CardVariants.parseCondition(cellValue(record, 'condition')),
+                    ...window.CardVariants.parsePrinting(cellValue(record, 'printing')),
+                    language: window.CardVariants.parseLanguage(cellValue(record, 'language'))
+                },
+                quantity: this.parseQuantity(cellValue(record, 'quantity')),
+                notes: cellValue(record, 'notes'),
+                portfolioName: cellValue(record, 'portfolio'),
+                productId: cellValue(record, 'productId'),
+                errors: [],
+                status: 'pending',
+                candidates: [],
+                matchedBy: null,
+                selectedCardId: null
+            });
+
+            // Only slabs carry a cert
+            if (!window.SlabRegistry.graderFromStatus(row.gradingStatus)) row.certNumber = null;
+
+            if (!row.cardName) row.errors.push('Missing card name');
+            // A blank price paid is settled by the import's MISSING_PRICE_CHOICES choice; an unreadable one is an error
+            row.missingPrice = row.purchasePrice === null && !cellValue(record, 'purchasePrice');
+            if (row.purchasePrice === null && !row.missingPrice) row.errors.push('Invalid purchase price');
+            if (row.gradingCost === null) row.errors.push('Invalid grading cost');
+            if (row.purchaseDate === null) row.errors.push('Invalid purchase date');
+            if (row.quantity === null) row.errors.push('Invalid quantity');
+
+            return row;
+        });
+    },
+
+    /**
+     * Parse a price cell such as "$1,250.00"
+     */
+    parsePrice(value) {
+        if (!value) return null;
+
+        const price = parseFloat(value.replace(/[$,\s]/g, ''));
+        return isNaN(price) || price < 0 ? null : price;
+    },
+
+    /**
+     * Parse a quantity cell; an empty cell means a single copy
+     */
+    parseQuantity(value) {
+        if (!value) return 1;
+
+        const quantity = Number(value);
+        return Number.isInteger(quantity) && quantity > 0 ? quantity : null;
+    },
+
+    /**
+     * Parse a date cell into YYYY-MM-DD
+     * Accepts ISO dates and US-style M/D/YYYY dates; an empty cell defaults to today
+     */
+    parseDate(value) {
+        if (!value) return new Date().toISOString().split('T')[0];
+
+        const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+        let year, month, day;
+
+        if (iso) {
+            [, year, month, day] = iso.map(Number);
+        } else if (us) {
+            [, month, day, year] = us.map(Number);
+            if (year < 100) year += 2000;
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+        return date.toISOString().split('T')[0];
+    },
+
+    /**
+     * Convert a grading label ("PSA 10", "bgs-9.5", "Sealed", "Ungraded") into a grading status value
+     */
+    parseGradingStatus(value) {
+        const text = (value || '').trim().toLowerCase();
+        if (text === 'sealed') return 'sealed';
+
+        const match = text.match(/^(psa|bgs|cgc|sgc)[\s-]*(\d+(?:\.\d)?)$/);
+        return match ? `${match[1]}-${match[2]}` : 'ungraded';
+    },
+
+    /**
+     * Match every valid row against the card database, or the sealed catalog for sealed rows
+     * Rows carrying a vendor product ID are resolved through cards.tcgplayer_id or
+     * sealed_products.tcgplayer_id first; everything else falls back to a fuzzy name/set/number search.
+     * Sealed candidates are shaped like cards (SealedProducts.toCardShape), so their ids are holding keys.
+     * @param {Array} rows - Rows from extractRows()
+     * @param {Object} resolvers - { search, searchSealed: async (name, setName) => cards,
+     *     findByProductIds, findSealedByProductIds: async (ids) => cards }
+     * @param {Function} onProgress - Called with the number of rows processed
+     */
+    async matchRows(rows, resolvers, onProgress = () => {}) {
+        const cache = new Map();
+        const cardsByProductId = await this.resolveProductIds(rows, resolvers.findByProductIds);
+        const sealedByProductId = await this.resolveProductIds(
+            rows.filter(row => !cardsByProductId.has(row.productId)),
+            resolvers.findSealedByProductIds
+        );
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            // A product ID that is a sealed product makes the row sealed, e.g. a box in a TCGplayer collection
+            if (sealedByProductId.has(row.productId)) row.gradingStatus = 'sealed';
+
+            const isSealed = row.gradingStatus === 'sealed';
+            const productMatch = (isSealed ? sealedByProductId : cardsByProductId).get(row.productId);
+
+            if (row.errors.length > 0) {
+                row.status = 'invalid';
+            } else if (productMatch) {
+                row.candidates = [{ card: productMatch, score: 1 }];
+                row.status = 'matched';
+                row.matchedBy = 'productId';
+                row.selectedCardId = productMatch.id;
+            } else {
+                const search = isSealed ? resolvers.searchSealed : resolvers.search;
+                const cacheKey = `${isSealed ? 'sealed' : 'card'}|${this.normalizeText(row.cardName)}|${this.normalizeText(row.setName)}`;
+                if (!cache.has(cacheKey)) {
+                    cache.set(cacheKey, search
+                        ? await search(this.sanitizeSearchTerm(row.cardName), this.sanitizeSearchTerm(row.setName))
+                        : []);
+                }
+
+                this.classifyRow(row, cache.get(cacheKey) || []);
+                row.matchedBy = row.selectedCardId ? 'name' : null;
+            }
+
+            onProgress(i + 1);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Look up all vendor product IDs in batches
+     * @returns {Map} tcgplayer_id => card (or sealed product shaped as a card)
+     */
+    async resolveProductIds(rows, findByProductIds) {
+        const cardsByProductId = new Map();
+        const productIds = [...new Set(rows.map(row => row.productId).filter(Boolean))];
+
+        if (!findByProductIds || productIds.length === 0) return cardsByProductId;
+
+        for (let i = 0; i < productIds.length; i += 100) {
+            const cards = await findByProductIds(productIds.slice(i, i + 100));
+            (cards || []).forEach(card => cardsByProductId.set(String(card.tcgplayer_id), card));
+        }
+
+        return cardsByProductId;
+    },
+
+    /**
+     * Score candidate cards for a row and set its status
+     */
+    classifyRow(row, cards) {
+        row.candidates = cards
+            .map(card => ({ card, score: this.scoreCandidate(row, card) }))
+            .filter(candidate => candidate.score >= MATCH_THRESHOLDS.ambiguous)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 5);
+
+        const [best, runnerUp] = row.candidates;
+
+        if (!best) {
+            row.status = 'unmatched';
+            row.selectedCardId = null;
+        } else if (best.score >= MATCH_THRESHOLDS.matched &&
+                   (!runnerUp || best.score - runnerUp.score >= MATCH_THRESHOLDS.margin)) {
+            row.status = 'matched';
+            row.selectedCardId = best.card.id;
+        } else {
+            row.status = 'ambiguous';
+            row.selectedCardId = null;
+        }
+
+        return row;
+    },
+
+    /**
+     * Score how well a card matches a row (0 to 1)
+     */
+    scoreCandidate(row, card) {
+        const nameScore = this.similarity(row.cardName, card.name);
+        const setScore = row.setName ? this.similarity(row.setName, card.set_name || card.sets?.name || '') : 0.5;
+        const numberScore = row.number
+            ? (this.normalizeCardNumber(row.number) === this.normalizeCardNumber(card.number) ? 1 : 0)
+            : 0.5;
+
+        return nameScore * 0.6 + setScore * 0.25 + numberScore * 0.15;
+    },
+
+    /**
+     * Token-based similarity between two strings (0 to 1)
+     */
+    similarity(a, b) {
+        const left = this.normalizeText(a);
+        const right = this.normalizeText(b);
+
+        if (!left || !right) return 0;
+        if (left === right) return 1;
+
+        const leftTokens = new Set(left.split(' '));
+        const rightTokens = new Set(right.split(' '));
+        const shared = [...leftTokens].filter(token => rightTokens.has(token)).length;
+        const jaccard = shared / new Set([...leftTokens, ...rightTokens]).size;
+
+        // Substring matches ("Charizard" vs "Charizard ex") score by how much of the longer string they cover
+        const contains = left.includes(right) || right.includes(left)
+            ? 0.8 * Math.min(left.length, right.length) / Math.max(left.length, right.length)
+            : 0;
+
+        return Math.max(jaccard, contains);
+    },
+
+    normalizeText(value) {
+        return (value || '')
+            .toString()
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Normalize card numbers so "004", "4" and "4/102" compare equal
+     */
+    normalizeCardNumber(value) {
+        return (value || '').toString().split('/')[0].trim().toLowerCase().replace(/^0+(?=.)/, '');
+    },
+
+    /**
+     * Strip characters that break PostgREST filter syntax
+     */
+    sanitizeSearchTerm(value) {
+        return (value || '').replace(/[,()*%]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+};
+
+// Export for use in other files
+window.PortfolioImport = {
+    IMPORT_FIELDS,
+    IMPORT_FORMATS,
+    MISSING_PRICE_CHOICES,
+    MATCH_THRESHOLDS,
+    ...PortfolioImport
+};
@@ -1,11 +1,28 @@
 // TCG Investor Pro - Portfolio Management System
 // This file handles all portfolio-related functionality
 
+// Name of the portfolio created for a user who has none yet
+const DEFAULT_PORTFOLIO_NAME = 'Main Portfolio';
+
 // Portfolio state management
 const PortfolioState = {
     currentUser: null,
+    portfolios: [],
+    activePortfolioId: 'all',
     portfolioItems: [],
+    sales: [],
+    costBasisMethod: 'fifo',
+    portfolioFilter: 'all',
+    portfolioSort: 'name',
+    portfolioSearch: '',
+    preferencesLoaded: false,
+    chartRange: '1m',
+    priceHistory: new Map(),
+    slabs: new Map(),
+    duplicateCerts: new Map(),
     selectedCard: null,
+    importSession: null,
+    expandedCards: new Set(),
     isLoaded: false
 };
 
@@ -20,6 +37,12 @@ class PortfolioManager {
      * Set up all portfolio event listeners
      */
     setupEventListeners() {
+        // Portfolio Switcher
+        document.getElementById('portfolioSwitcher')?.addEventListener('change', (e) => this.switchPortfolio(e.target.value));
+        document.getElementById('newPortfolioBtn')?.addEventListener('click', () => this.createPortfolio());
+        document.getElementById('renamePortfolioBtn')?.addEventListener('click', () => this.renamePortfolio());
+        document.getElementById('deletePortfolioBtn')?.addEventListener('click', () => this.deletePortfolio());
+
         // Add Card Modal
         document.getElementById('addCardBtn')?.addEventListener('click', () => this.showAddCardModal());
         document.getElementById('closeAddCardModal')?.addEventListener('click', () => this.hideAddCardModal());
@@ -39,16 +62,47 @@ class PortfolioManager {
         document.getElementById('refreshPortfolioBtn')?.addEventListener('click', () => this.refreshPortfolio());
         document.getElementById('exportPortfolioBtn')?.addEventListener('click', () => this.exportPortfolio());
         document.getElementById('importCsvBtn')?.addEventListener('click', () => this.importCsv());
+        document.getElementById('taxReportBtn')?.addEventListener('click', () => this.showTaxReport());
+
+        // Capital Gains Report Modal
+        document.getElementById('closeTaxReportModal')?.addEventListener('click', () => this.hideTaxReportModal());
+        document.getElementById('closeTaxReport')?.addEventListener('click', () => this.hideTaxReportModal());
+        document.getElementById('taxReportYear')?.addEventListener('change', () => this.renderTaxReport());
+        document.getElementById('costBasisMethod')?.addEventListener('change', (e) => this.changeCostBasisMethod(e.target.value));
+        document.getElementById('downloadTaxCsv')?.addEventListener('click', () => this.downloadTaxCsv());
+        document.getElementById('printTaxReport')?.addEventListener('click', () => this.printTaxReport());
+
+        // Import CSV Modal
+        document.getElementById('closeImportModal')?.addEventListener('click', () => this.hideImportModal());
+        document.getElementById('cancelImport')?.addEventListener('click', () => this.hideImportModal());
+        document.getElementById('importCsvFile')?.addEventListener('change', (e) => this.handleImportFile(e));
+        document.getElementById('matchImportRows')?.addEventListener('click', () => this.matchImportRows());
+        document.getElementById('confirmImport')?.addEventListener('click', () => this.confirmImport());
 
         // Portfolio Filters
         document.getElementById('portfolioFilter')?.addEventListener('change', () => this.filterPortfolio());
         document.getElementById('portfolioSort')?.addEventListener('change', () => this.sortPortfolio());
+        document.getElementById('portfolioSearch')?.addEventListener('input', (e) => this.searchPortfolio(e.target.value));
+
+        // Portfolio Chart Range
+        document.querySelectorAll('#portfolioChartRange [data-range]').forEach(button => {
+            button.addEventListener('click', () => this.changeChartRange(button.dataset.range));
+        });
 
         // Edit Modal
         document.getElementById('closeEditModal')?.addEventListener('click', () => this.hideEditModal());
         document.getElementById('cancelEdit')?.addEventListener('click', () => this.hideEditModal());
         document.getElementById('editPortfolioForm')?.addEventListener('submit', (e) => this.handleEditPortfolio(e));
         document.getElementById('deletePortfolioItem')?.addEventListener('click', () => this.deletePortfolioItem());
+        document.getElementById('verifyCertBtn')?.addEventListener('click', () => this.verifyCert());
+
+        // Sell Modal
+        document.getElementById('closeSellModal')?.addEventListener('click', () => this.hideSellModal());
+        document.getElementById('cancelSell')?.addEventListener('click', () => this.hideSellModal());
+        document.getElementById('sellPortfolioForm')?.addEventListener('submit', (e) => this.handleSellPortfolio(e));
+        ['sellQuantity', 'sellPrice', 'sellFees', 'sellShipping'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.updateSellSummary());
+        });
 
         // Modal backdrop clicks
         document.addEventListener('click', (e) => {
@@ -114,6 +168,8 @@ class PortfolioManager {
         try {
             if (!PortfolioState.currentUser) return;
 
+            await this.loadPortfolios();
+
             if (window.SupabaseConfig?.DatabaseHelpers) {
                 const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getUserPortfolio(PortfolioState.currentUser.id);
                 
@@ -123,21 +179,304 @@ class PortfolioManager {
                     return;
                 }
 
-                PortfolioState.portfolioItems = data || [];
+                PortfolioState.portfolioItems = (data || []).map(item => this.withSealedCard(item));
+                await this.loadPortfolioPreferences();
+
+                const { data: sales, error: salesError } = await window.SupabaseConfig.DatabaseHelpers.getUserSales(PortfolioState.currentUser.id);
+                if (salesError) {
+                    console.error('Error loading sales:', salesError);
+                }
+                PortfolioState.sales = (sales || []).map(sale => this.withSealedCard(sale));
             } else {
                 // Demo mode - use empty portfolio
                 PortfolioState.portfolioItems = [];
             }
 
+            await this.loadSlabs();
             this.renderPortfolioTable();
+            this.renderSalesTable();
             this.updatePortfolioStats();
             PortfolioState.isLoaded = true;
+
+            await this.loadPriceHistory();
+            this.renderPortfolioAnalytics();
+            await window.submissionManager?.loadSubmissions();
         } catch (error) {
             console.error('Error loading portfolio:', error);
             this.showError('Failed to load portfolio');
         }
     }
 
+    /**
+     * Load registry rows and duplicate flags for the certs on the user's lots
+     */
+    async loadSlabs() {
+        const certLots = PortfolioState.portfolioItems.filter(item => item.cert_number);
+        PortfolioState.slabs = new Map();
+        PortfolioState.duplicateCerts = window.SlabRegistry.countCopies(certLots);
+
+        if (!window.SupabaseConfig?.getSupabaseClient() || certLots.length === 0) return;
+
+        const helpers = window.SupabaseConfig.DatabaseHelpers;
+        const certNumbers = [...new Set(certLots.map(item => window.SlabRegistry.normalizeCert(item.cert_number)))];
+        const [{ data: slabs, error }, { data: duplicates, error: duplicatesError }] = await Promise.all([
+            helpers.getSlabs(certNumbers),
+            helpers.getDuplicateCerts()
+        ]);
+
+        if (error) {
+            console.error('Error loading slabs:', error);
+        }
+        (slabs || []).forEach(slab => {
+            PortfolioState.slabs.set(window.SlabRegistry.certKey(slab.grader, slab.cert_number), slab);
+        });
+
+        // The database also sees other users' lots, so its answer replaces the local count
+        if (duplicatesError) {
+            console.error('Error loading duplicate certs:', duplicatesError);
+        } else {
+            PortfolioState.duplicateCerts = new Map((duplicates || []).map(row => [
+                window.SlabRegistry.certKey(row.grader, row.cert_number),
+                row
+            ]));
+        }
+    }
+
+    /**
+     * Give sealed lots and sales a card-shaped `cards` field so they render next to singles
+     */
+    withSealedCard(row) {
+        if (!row.sealed_products) return row;
+        return { ...row, cards: window.SealedProducts.toCardShape(row.sealed_products) };
+    }
+
+    /**
+     * Load the user's named portfolios, creating the default one on first use
+     */
+    async loadPortfolios() {
+        if (!window.SupabaseConfig?.getSupabaseClient()) {
+            // Demo mode - portfolios live in memory
+            if (PortfolioState.portfolios.length === 0) {
+                PortfolioState.portfolios = [{ id: 'demo-main', name: DEFAULT_PORTFOLIO_NAME }];
+            }
+            this.renderPortfolioSwitcher();
+            return;
+        }
+
+        const helpers = window.SupabaseConfig.DatabaseHelpers;
+        const { data, error } = await helpers.getPortfolios(PortfolioState.currentUser.id);
+        if (error) {
+            console.error('Error loading portfolios:', error);
+            return;
+        }
+
+        PortfolioState.portfolios = data || [];
+
+        if (PortfolioState.portfolios.length === 0) {
+            const { data: created, error: createError } = await helpers.createPortfolio(PortfolioState.currentUser.id, DEFAULT_PORTFOLIO_NAME);
+            if (createError) {
+                console.error('Error creating default portfolio:', createError);
+            } else {
+                PortfolioState.portfolios = [created];
+            }
+        }
+
+        this.renderPortfolioSwitcher();
+    }
+
+    /**
+     * Fill the portfolio switcher and the Add Card portfolio picker
+     */
+    renderPortfolioSwitcher() {
+        if (PortfolioState.activePortfolioId !== 'all' &&
+            !PortfolioState.portfolios.some(portfolio => portfolio.id === PortfolioState.activePortfolioId)) {
+            PortfolioState.activePortfolioId = 'all';
+        }
+
+        const options = PortfolioState.portfolios
+            .map(portfolio => `<option value="${portfolio.id}">${this.escapeHtml(portfolio.name)}</option>`)
+            .join('');
+
+        const switcher = document.getElementById('portfolioSwitcher');
+        if (switcher) {
+            switcher.innerHTML = `<option value="all">All Portfolios</option>${options}`;
+            switcher.value = PortfolioState.activePortfolioId;
+        }
+
+        const isAll = PortfolioState.activePortfolioId === 'all';
+        ['renamePortfolioBtn', 'deletePortfolioBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = isAll;
+        });
+
+        const addSelect = document.getElementById('addCardPortfolio');
+        if (addSelect) {
+            addSelect.innerHTML = options;
+            addSelect.value = this.getTargetPortfolioId() || '';
+        }
+    }
+
+    /**
+     * Switch the portfolio shown in stats, table and charts ('all' aggregates every portfolio)
+     */
+    switchPortfolio(portfolioId) {
+        PortfolioState.activePortfolioId = portfolioId;
+        PortfolioState.expandedCards.clear();
+        this.renderPortfolioSwitcher();
+        this.renderPortfolioTable();
+        this.renderSalesTable();
+        this.updatePortfolioStats();
+        this.renderPortfolioAnalytics();
+    }
+
+    /**
+     * Portfolio new cards and imports go into: the active one, or the first when viewing all
+     */
+    getTargetPortfolioId() {
+        return PortfolioState.activePortfolioId !== 'all'
+            ? PortfolioState.activePortfolioId
+            : PortfolioState.portfolios[0]?.id || null;
+    }
+
+    /**
+     * Lots in the active portfolio
+     */
+    getActiveLots() {
+        if (PortfolioState.activePortfolioId === 'all') return PortfolioState.portfolioItems;
+        return PortfolioState.portfolioItems.filter(item => item.portfolio_id === PortfolioState.activePortfolioId);
+    }
+
+    /**
+     * Sales made from the active portfolio
+     */
+    getActiveSales() {
+        if (PortfolioState.activePortfolioId === 'all') return PortfolioState.sales;
+        return PortfolioState.sales.filter(sale => sale.portfolio_id === PortfolioState.activePortfolioId);
+    }
+
+    /**
+     * Ask for a portfolio name, rejecting blanks and names already in use
+     * @returns {string|null} Trimmed name, or null when cancelled or invalid
+     */
+    promptPortfolioName(message, currentName = '') {
+        const name = prompt(message, currentName)?.trim();
+        if (!name || name === currentName) return null;
+
+        if (PortfolioState.portfolios.some(portfolio => portfolio.name.toLowerCase() === name.toLowerCase())) {
+            this.showError(`You already have a portfolio named "${name}"`);
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Create a named portfolio and switch to it
+     */
+    async createPortfolio() {
+        if (!PortfolioState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        const name = this.promptPortfolioName('Name the new portfolio (e.g. "Flip Inventory"):');
+        if (!name) return;
+
+        try {
+            let portfolio = { id: 'demo-' + Date.now(), name };
+
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { data, error } = await window.SupabaseConfig.DatabaseHelpers.createPortfolio(PortfolioState.currentUser.id, name);
+
+                if (error) {
+                    console.error('Error creating portfolio:', error);
+                    this.showError('Failed to create portfolio');
+                    return;
+                }
+                portfolio = data;
+            }
+
+            PortfolioState.portfolios.push(portfolio);
+            this.switchPortfolio(portfolio.id);
+            this.showSuccess(`Created portfolio "${name}"`);
+        } catch (error) {
+            console.error('Error creating portfolio:', error);
+            this.showError('Failed to create portfolio');
+        }
+    }
+
+    /**
+     * Rename the active portfolio
+     */
+    async renamePortfolio() {
+        const portfolio = PortfolioState.portfolios.find(p => p.id === PortfolioState.activePortfolioId);
+        if (!portfolio) return;
+
+        const name = this.promptPortfolioName('Rename portfolio:', portfolio.name);
+        if (!name) return;
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.renamePortfolio(PortfolioState.currentUser.id, portfolio.id, name);
+
+                if (error) {
+                    console.error('Error renaming portfolio:', error);
+                    this.showError('Failed to rename portfolio');
+                    return;
+                }
+            }
+
+            portfolio.name = name;
+            this.renderPortfolioSwitcher();
+            this.updatePortfolioStats();
+            this.showSuccess(`Portfolio renamed to "${name}"`);
+        } catch (error) {
+            console.error('Error renaming portfolio:', error);
+            this.showError('Failed to rename portfolio');
+        }
+    }
+
+    /**
+     * Delete the active portfolio and its lots; its sales stay in the ledger
+     */
+    async deletePortfolio() {
+        const portfolio = PortfolioState.portfolios.find(p => p.id === PortfolioState.activePortfolioId);
+        if (!portfolio) return;
+
+        if (PortfolioState.portfolios.length === 1) {
+            this.showError('You need at least one portfolio');
+            return;
+        }
+
+        const lotCount = this.getActiveLots().length;
+        if (!confirm(`Delete "${portfolio.name}"${lotCount > 0 ? ` and its ${lotCount} ${lotCount === 1 ? 'lot' : 'lots'}` : ''}? Recorded sales are kept.`)) {
+            return;
+        }
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.deletePortfolio(PortfolioState.currentUser.id, portfolio.id);
+
+                if (error) {
+                    console.error('Error deleting portfolio:', error);
+                    this.showError('Failed to delete portfolio');
+                    return;
+                }
+            }
+
+            PortfolioState.portfolios = PortfolioState.portfolios.filter(p => p.id !== portfolio.id);
+            PortfolioState.portfolioItems = PortfolioState.portfolioItems.filter(item => item.portfolio_id !== portfolio.id);
+            PortfolioState.sales.forEach(sale => {
+                if (sale.portfolio_id === portfolio.id) sale.portfolio_id = null;
+            });
+
+            this.switchPortfolio('all');
+            this.showSuccess(`Deleted portfolio "${portfolio.name}"`);
+        } catch (error) {
+            console.error('Error deleting portfolio:', error);
+            this.showError('Failed to delete portfolio');
+        }
+    }
+
     /**
      * Show Add Card Modal
      */
@@ -147,6 +486,7 @@ class PortfolioManager {
             return;
         }
 
+        this.renderPortfolioSwitcher();
         document.getElementById('addCardModal').classList.add('active');
         document.getElementById('cardSearchInput').focus();
     }
@@ -165,6 +505,8 @@ class PortfolioManager {
     resetAddCardForm() {
         document.getElementById('addCardForm').reset();
         document.getElementById('cardSearchResults').innerHTML = '';
+        document.getElementById('gradingStatus').disabled = false;
+        this.toggleVariantFields('addCardForm', false);
         PortfolioState.selectedCard = null;
         
         // Set default date
@@ -183,15 +525,24 @@ class PortfolioManager {
             this.showLoading('cardSearchResults');
             
             if (window.SupabaseConfig?.DatabaseHelpers) {
-                const { data, error } = await window.SupabaseConfig.DatabaseHelpers.searchCards(searchTerm, { limit: 10 });
+                const [{ data, error }, { data: sealed, error: sealedError }] = await Promise.all([
+                    window.SupabaseConfig.DatabaseHelpers.searchCards(searchTerm, { limit: 10 }),
+                    window.SupabaseConfig.DatabaseHelpers.getSealedProducts({ searchTerm, limit: 5 })
+                ]);
                 
                 if (error) {
                     console.error('Error searching cards:', error);
                     this.showError('Failed to search cards');
                     return;
                 }
+                if (sealedError) {
+                    console.error('Error searching sealed products:', sealedError);
+                }
 
-                this.renderCardSearchResults(data || []);
+                this.renderCardSearchResults([
+                    ...(data || []),
+                    ...(sealed || []).map(product => window.SealedProducts.toCardShape(product))
+                ]);
             } else {
                 // Demo mode - show sample cards
                 const demoCards = [
@@ -244,7 +595,7 @@ class PortfolioManager {
             <div class="card-search-item" data-card-id="${card.id}" onclick="portfolioManager.selectCard('${card.id}')">
                 <img src="${card.image_url || '/placeholder-card.jpg'}" alt="${card.name}" class="card-image" onerror="this.src='/placeholder-card.jpg'">
                 <div class="card-info">
-                    <h4 class="card-name">${card.name}</h4>
+                    <h4 class="card-name">${card.name}${card.is_sealed ? ' <span class="sealed-tag">Sealed</span>' : ''}</h4>
                     <p class="card-set">${card.set_name} - ${card.number}</p>
                 </div>
                 <div class="card-price">
@@ -270,6 +621,13 @@ class PortfolioManager {
         
         // Store selected card
         PortfolioState.selectedCard = cardId;
+
+        // Sealed products have no grade
+        const gradingSelect = document.getElementById('gradingStatus');
+        const isSealed = window.SealedProducts.isSealedKey(cardId);
+        gradingSelect.value = isSealed ? 'sealed' : 'ungraded';
+        gradingSelect.disabled = isSealed;
+        this.toggleVariantFields('addCardForm', isSealed);
         
         // Enable form submission
         document.querySelector('#addCardForm button[type="submit"]').disabled = false;
@@ -297,10 +655,15 @@ class PortfolioManager {
                 cardId: PortfolioState.selectedCard,
                 purchasePrice: parseFloat(formData.get('purchasePrice') || document.getElementById('purchasePrice').value),
                 purchaseDate: formData.get('purchaseDate') || document.getElementById('purchaseDate').value,
-                gradingStatus: formData.get('gradingStatus') || document.getElementById('gradingStatus').value,
+                gradingStatus: window.SealedProducts.isSealedKey(PortfolioState.selectedCard)
+                    ? 'sealed'
+                    : formData.get('gradingStatus') || document.getElementById('gradingStatus').value,
                 quantity: parseInt(formData.get('quantity') || document.getElementById('quantity').value),
-                notes: formData.get('notes') || document.getElementById('notes').value
+                notes: formData.get('notes') || document.getElementById('notes').value,
+                portfolioId: document.getElementById('addCardPortfolio')?.value || this.getTargetPortfolioId()
             };
+            portfolioData.certNumber = this.readCertNumber('certNumber', portfolioData.gradingStatus);
+            portfolioData.variant = this.readVariant('');
 
             if (window.SupabaseConfig?.DatabaseHelpers) {
                 // Add to database
@@ -310,7 +673,11 @@ class PortfolioManager {
                     portfolioData.purchasePrice,
                     portfolioData.purchaseDate,
                     portfolioData.gradingStatus,
-                    portfolioData.notes
+                    portfolioData.notes,
+                    portfolioData.quantity || 1,
+                    portfolioData.portfolioId,
+                    portfolioData.certNumber,
+                    portfolioData.variant
                 );
 
                 if (error) {
@@ -322,10 +689,13 @@ class PortfolioManager {
                 // Demo mode - add to local state
                 const demoItem = {
                     id: 'demo-' + Date.now(),
-                    card_id: portfolioData.cardId,
+                    portfolio_id: portfolioData.portfolioId,
+                    ...window.SealedProducts.holdingColumns(portfolioData.cardId),
                     purchase_price: portfolioData.purchasePrice,
                     purchase_date: portfolioData.purchaseDate,
                     grading_status: portfolioData.gradingStatus,
+                    cert_number: portfolioData.certNumber,
+                    ...window.CardVariants.lotColumns(portfolioData.variant, portfolioData.gradingStatus),
                     quantity: portfolioData.quantity,
                     notes: portfolioData.notes,
                     cards: {
@@ -356,7 +726,7 @@ class PortfolioManager {
     renderPortfolioTable() {
         const tbody = document.getElementById('portfolioTableBody');
         
-        if (PortfolioState.portfolioItems.length === 0) {
+        if (this.getActiveLots().length === 0) {
             tbody.innerHTML = `
                 <tr class="empty-state">
                     <td colspan="8">
@@ -372,65 +742,304 @@ class PortfolioManager {
             return;
         }
 
-        tbody.innerHTML = PortfolioState.portfolioItems.map(item => {
-            const currentPrice = this.getCurrentPrice(item);
-            const profit = (currentPrice - item.purchase_price) * item.quantity;
-            const roi = ((currentPrice - item.purchase_price) / item.purchase_price) * 100;
-            
-            return `
-                <tr>
-                    <td>
-                        <div class="card-info">
-                            <img src="${item.cards?.image_url || '/placeholder-card.jpg'}" alt="${item.cards?.name}" class="card-image" onerror="this.src='/placeholder-card.jpg'">
-                            <div class="card-details">
-                                <h4>${item.cards?.name || 'Unknown Card'}</h4>
-                                <p>${item.cards?.set_name || ''} - ${item.cards?.number || ''}</p>
-                            </div>
-                        </div>
-                    </td>
-                    <td>$${this.formatPrice(item.purchase_price)}</td>
-                    <td>$${this.formatPrice(currentPrice)}</td>
-                    <td class="${roi >= 0 ? 'roi-positive' : 'roi-negative'}">${roi >= 0 ? '+' : ''}${roi.toFixed(1)}%</td>
-                    <td class="${profit >= 0 ? 'roi-positive' : 'roi-negative'}">${profit >= 0 ? '+' : ''}$${this.formatPrice(profit)}</td>
-                    <td>${this.formatGradingStatus(item.grading_status)}</td>
-                    <td>${new Date(item.purchase_date).toLocaleDateString()}</td>
-                    <td>
-                        <div class="action-buttons">
-                            <button class="btn-outline btn-sm" onclick="portfolioManager.editPortfolioItem('${item.id}')">Edit</button>
-                            <button class="btn-danger btn-sm" onclick="portfolioManager.confirmDelete('${item.id}')">Delete</button>
-                        </div>
-                    </td>
+        const groups = this.sortCardGroups(this.groupLotsByCard(this.getFilteredLots()));
+
+        if (groups.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="8">No cards match the current filters.</td>
                 </tr>
             `;
+            return;
+        }
+
+        tbody.innerHTML = groups.map(group => {
+            if (group.lots.length === 1) {
+                return this.renderLotRow(group.lots[0]);
+            }
+
+            const expanded = PortfolioState.expandedCards.has(group.cardId);
+            const rows = [this.renderCardGroupRow(group, expanded)];
+            if (expanded) {
+                rows.push(...group.lots.map(lot => this.renderLotRow(lot, true)));
+            }
+            return rows.join('');
+        }).join('');
+    }
+
+    /**
+     * Lots that pass the current filter and search text
+     */
+    getFilteredLots() {
+        const term = PortfolioState.portfolioSearch.trim().toLowerCase();
+
+        return this.getActiveLots().filter(item => {
+            const profit = this.getCurrentPrice(item) - this.getCostBasis(item);
+
+            switch (PortfolioState.portfolioFilter) {
+                case 'profit':
+                    if (profit <= 0) return false;
+                    break;
+                case 'loss':
+                    if (profit >= 0) return false;
+                    break;
+                case 'ungraded':
+                    if (item.grading_status !== 'ungraded') return false;
+                    break;
+                case 'graded':
+                    if (item.grading_status === 'ungraded' || item.grading_status === 'sealed') return false;
+                    break;
+                case 'sealed':
+                    if (item.grading_status !== 'sealed') return false;
+                    break;
+            }
+
+            if (!term) return true;
+
+            return [item.cards?.name, item.cards?.set_name, item.cards?.number, item.notes]
+                .some(value => (value || '').toString().toLowerCase().includes(term));
+        });
+    }
+
+    /**
+     * Sort card groups by the selected column
+     */
+    sortCardGroups(groups) {
+        const comparators = {
+            'name': (a, b) => (a.card?.name || '').localeCompare(b.card?.name || ''),
+            'purchase-date': (a, b) => b.lastPurchase - a.lastPurchase,
+            'roi': (a, b) => b.roi - a.roi,
+            'profit': (a, b) => b.profit - a.profit,
+            'current-value': (a, b) => b.currentValue - a.currentValue
+        };
+        const compare = comparators[PortfolioState.portfolioSort] || comparators.name;
+
+        groups.forEach(group => group.lots.sort((a, b) => new Date(a.purchase_date) - new Date(b.purchase_date)));
+        return groups.sort(compare);
+    }
+
+    /**
+     * Group purchase lots under the card they belong to
+     */
+    groupLotsByCard(items) {
+        const groups = new Map();
+
+        items.forEach(item => {
+            const key = window.SealedProducts.holdingKey(item);
+            if (!groups.has(key)) {
+                groups.set(key, { cardId: key, card: item.cards, lots: [] });
+            }
+            groups.get(key).lots.push(item);
+        });
+
+        return Array.from(groups.values()).map(group => {
+            const quantity = group.lots.reduce((sum, lot) => sum + (lot.quantity || 1), 0);
+            const totalCost = group.lots.reduce((sum, lot) => sum + (this.getCostBasis(lot) * (lot.quantity || 1)), 0);
+            const currentValue = group.lots.reduce((sum, lot) => sum + (this.getCurrentPrice(lot) * (lot.quantity || 1)), 0);
+            const dates = group.lots.map(lot => new Date(lot.purchase_date)).sort((a, b) => a - b);
+
+            return {
+                ...group,
+                quantity,
+                totalCost,
+                currentValue,
+                averageCost: quantity > 0 ? totalCost / quantity : 0,
+                averagePrice: quantity > 0 ? currentValue / quantity : 0,
+                profit: currentValue - totalCost,
+                roi: totalCost > 0 ? ((currentValue - totalCost) / totalCost) * 100 : 0,
+                firstPurchase: dates[0],
+                lastPurchase: dates[dates.length - 1]
+            };
+        });
+    }
+
+    /**
+     * Render the summary row for a card held in several lots
+     */
+    renderCardGroupRow(group, expanded) {
+        const grades = [...new Set(group.lots.map(lot => lot.grading_status))];
+        const dateRange = group.firstPurchase.getTime() === group.lastPurchase.getTime()
+            ? group.firstPurchase.toLocaleDateString()
+            : `${group.firstPurchase.toLocaleDateString()} – ${group.lastPurchase.toLocaleDateString()}`;
+
+        return `
+            <tr class="lot-group-row">
+                <td>
+                    <div class="card-info">
+                        <img src="${group.card?.image_url || '/placeholder-card.jpg'}" alt="${group.card?.name}" class="card-image" onerror="this.src='/placeholder-card.jpg'">
+                        <div class="card-details">
+                            <h4>${group.card?.name || 'Unknown Card'}</h4>
+                            <p>${group.card?.set_name || ''} - ${group.card?.number || ''}</p>
+                            <span class="lot-count">${group.quantity} cards in ${group.lots.length} lots</span>
+                        </div>
+                    </div>
+                </td>
+                <td>$${this.formatPrice(group.averageCost)} <span class="lot-average-label">avg</span></td>
+                <td>$${this.formatPrice(group.averagePrice)}</td>
+                <td class="${group.roi >= 0 ? 'roi-positive' : 'roi-negative'}">${group.roi >= 0 ? '+' : ''}${group.roi.toFixed(1)}%</td>
+                <td class="${group.profit >= 0 ? 'roi-positive' : 'roi-negative'}">${group.profit >= 0 ? '+' : ''}$${this.formatPrice(group.profit)}</td>
+                <td>${grades.length === 1 ? this.formatGradingStatus(grades[0]) : 'Mixed'}</td>
+                <td>${dateRange}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-outline btn-sm" onclick="portfolioManager.toggleLotGroup('${group.cardId}')">${expanded ? 'Hide Lots' : 'Show Lots'}</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Render a single purchase lot
+     */
+    renderLotRow(item, nested = false) {
+        const currentPrice = this.getCurrentPrice(item);
+        const costBasis = this.getCostBasis(item);
+        const gradingCost = Number(item.grading_cost) || 0;
+        const quantity = item.quantity || 1;
+        const profit = (currentPrice - costBasis) * quantity;
+        const roi = costBasis > 0 ? ((currentPrice - costBasis) / costBasis) * 100 : 0;
+        const annualizedRoi = window.APIServices?.DataSyncService
+            ? window.APIServices.DataSyncService.calculateAnnualizedROI(costBasis, currentPrice, item.purchase_date)
+            : roi;
+        // Lots without a price for their exact grade or variant are marked as estimates
+        const valueNote = this.describeCurrentValue(item);
+        const unpriced = this.getCurrentValue(item)?.method === 'unpriced';
+        const variantLabel = item.grading_status === 'sealed'
+            ? ''
+            : window.CardVariants.label(item, item.grading_status === 'ungraded');
+
+        const cardCell = nested
+            ? `
+                <div class="lot-details">
+                    <h4>Lot · ${quantity} ${quantity === 1 ? 'card' : 'cards'}</h4>
+                    ${item.notes ? `<p>${this.escapeHtml(item.notes)}</p>` : ''}
+                </div>
+            `
+            : `
+                <div class="card-info">
+                    <img src="${item.cards?.image_url || '/placeholder-card.jpg'}" alt="${item.cards?.name}" class="card-image" onerror="this.src='/placeholder-card.jpg'">
+                    <div class="card-details">
+                        <h4>${item.cards?.name || 'Unknown Card'}</h4>
+                        <p>${item.cards?.set_name || ''} - ${item.cards?.number || ''}</p>
+                        ${quantity > 1 ? `<span class="lot-count">Qty ${quantity}</span>` : ''}
+                    </div>
+                </div>
+            `;
+
+        return `
+            <tr class="${nested ? 'lot-row' : ''}">
+                <td>${cardCell}</td>
+                <td>
+                    $${this.formatPrice(item.purchase_price)}
+                    ${gradingCost > 0 ? `<span class="lot-count">+ $${this.formatPrice(gradingCost)} grading</span>` : ''}
+                </td>
+                <td${valueNote ? ` title="${this.escapeHtml(valueNote)}"` : ''}>
+                    $${this.formatPrice(currentPrice)}
+                    ${valueNote ? `<span class="lot-count">${unpriced ? 'unpriced' : 'est.'}</span>` : ''}
+                </td>
+                <td class="${roi >= 0 ? 'roi-positive' : 'roi-negative'}" title="Annualized: ${annualizedRoi >= 0 ? '+' : ''}${annualizedRoi.toFixed(1)}%">${roi >= 0 ? '+' : ''}${roi.toFixed(1)}%</td>
+                <td class="${profit >= 0 ? 'roi-positive' : 'roi-negative'}">${profit >= 0 ? '+' : ''}$${this.formatPrice(profit)}</td>
+                <td>
+                    ${this.formatGradingStatus(item.grading_status)}
+                    ${variantLabel ? `<span class="lot-count">${variantLabel}</span>` : ''}
+                    ${this.renderCertFlags(item)}
+                </td>
+                <td>${new Date(item.purchase_date).toLocaleDateString()}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-outline btn-sm" onclick="portfolioManager.editPortfolioItem('${item.id}')">Edit</button>
+                        <button class="btn-secondary btn-sm" onclick="portfolioManager.sellPortfolioItem('${item.id}')">Sell</button>
+                        <button class="btn-danger btn-sm" onclick="portfolioManager.confirmDelete('${item.id}')">Delete</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * Cert number and its registry flags, shown under a lot's grade
+     */
+    renderCertFlags(item) {
+        const key = window.SlabRegistry.lotCertKey(item);
+        if (!key) return '';
+
+        const slab = PortfolioState.slabs.get(key) || null;
+        const duplicate = PortfolioState.duplicateCerts.get(key) || null;
+        const flags = window.SlabRegistry.flagsFor(item, slab, duplicate).map(flag => {
+            const { label, className } = window.SlabRegistry.SLAB_FLAGS[flag];
+            const title = window.SlabRegistry.flagTitle(flag, slab, duplicate);
+            return `<span class="slab-flag ${className}" title="${this.escapeHtml(title)}">${label}</span>`;
         }).join('');
+
+        return `<span class="lot-count">Cert #${this.escapeHtml(item.cert_number)}</span>${flags}`;
+    }
+
+    /**
+     * Expand or collapse the lots of a card
+     */
+    toggleLotGroup(cardId) {
+        if (PortfolioState.expandedCards.has(cardId)) {
+            PortfolioState.expandedCards.delete(cardId);
+        } else {
+            PortfolioState.expandedCards.add(cardId);
+        }
+        this.renderPortfolioTable();
     }
 
     /**
      * Get current price for a portfolio item
      */
     getCurrentPrice(item) {
-        if (!item.cards?.pricing_data?.[0]) return item.purchase_price;
-        
-        const pricing = item.cards.pricing_data[0];
-        
-        // Return appropriate price based on grading status
-        switch (item.grading_status) {
-            case 'psa-10': return pricing.psa_10_price || pricing.ungraded_price || 0;
-            case 'psa-9': return pricing.psa_9_price || pricing.psa_10_price || pricing.ungraded_price || 0;
-            case 'psa-8': return pricing.psa_8_price || pricing.psa_9_price || pricing.ungraded_price || 0;
-            case 'psa-7': return pricing.psa_7_price || pricing.psa_8_price || pricing.ungraded_price || 0;
-            default: return pricing.ungraded_price || 0;
+        const card = item.cards;
+        if (!card?.pricing_data?.[0] && !card?.grade_prices?.length && !card?.variant_prices?.length) {
+            return this.getCostBasis(item);
         }
+
+        // Printings with no price of their own are held at cost rather than valued as another printing
+        const value = this.getCurrentValue(item);
+        if (value?.method === 'unpriced') return this.getCostBasis(item);
+
+        return value?.price || 0;
+    }
+
+    /**
+     * Value behind a lot's current price, with how it was arrived at: slabs from the grade ladder,
+     * raw cards from their variant's price
+     */
+    getCurrentValue(item) {
+        if (item.grading_status === 'ungraded') return window.CardVariants.valueFor(item.cards, item);
+        return window.GradeLadder.valueForStatus(item.cards, item.grading_status);
+    }
+
+    /**
+     * Tooltip for a lot's current price when it isn't a price quoted for exactly that lot
+     */
+    describeCurrentValue(item) {
+        if (item.grading_status === 'ungraded') return window.CardVariants.describe(this.getCurrentValue(item));
+        if (!window.GradeLadder.parseStatus(item.grading_status)) return '';
+        return window.GradeLadder.describe(this.getCurrentValue(item));
+    }
+
+    /**
+     * Per-card cost of a lot, including grading fees from returned submissions
+     */
+    getCostBasis(item) {
+        return window.CostBasis.lotUnitCost(item);
     }
 
     /**
      * Update Portfolio Statistics
      */
     updatePortfolioStats() {
-        const totalInvested = PortfolioState.portfolioItems.reduce((sum, item) => sum + (item.purchase_price * item.quantity), 0);
-        const totalCurrentValue = PortfolioState.portfolioItems.reduce((sum, item) => sum + (this.getCurrentPrice(item) * item.quantity), 0);
-        const totalProfit = totalCurrentValue - totalInvested;
-        const totalROI = totalInvested > 0 ? (totalProfit / totalInvested) * 100 : 0;
+        const {
+            totalInvested,
+            totalCurrentValue,
+            unrealizedProfit,
+            realizedProfit,
+            totalProfit,
+            totalROI
+        } = this.calculatePortfolioStats(this.getActiveLots(), this.getActiveSales());
 
         document.getElementById('totalInvested').textContent = `$${this.formatPrice(totalInvested)}`;
         document.getElementById('currentValue').textContent = `$${this.formatPrice(totalCurrentValue)}`;
@@ -443,43 +1052,559 @@ class PortfolioManager {
         
         roiElement.className = totalROI >= 0 ? 'roi-positive' : 'roi-negative';
         profitElement.className = totalProfit >= 0 ? 'roi-positive' : 'roi-negative';
+
+        [['unrealizedProfit', unrealizedProfit], ['realizedProfit', realizedProfit]].forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.textContent = `${value >= 0 ? '+' : ''}$${this.formatPrice(value)}`;
+            element.className = value >= 0 ? 'roi-positive' : 'roi-negative';
+        });
+
+        this.renderPortfolioBuckets();
     }
 
     /**
-     * Edit Portfolio Item
+     * Totals for a set of lots and the sales made from them
      */
-    editPortfolioItem(itemId) {
-        const item = PortfolioState.portfolioItems.find(i => i.id === itemId);
-        if (!item) return;
+    calculatePortfolioStats(lots, sales) {
+        const totalInvested = lots.reduce((sum, item) => sum + (this.getCostBasis(item) * (item.quantity || 1)), 0);
+        const totalCurrentValue = lots.reduce((sum, item) => sum + (this.getCurrentPrice(item) * (item.quantity || 1)), 0);
+        const unrealizedProfit = totalCurrentValue - totalInvested;
+        const realizedProfit = sales.reduce((sum, sale) => sum + this.calculateSaleProfit(sale), 0);
+        const totalProfit = unrealizedProfit + realizedProfit;
+        // ROI covers the same held and sold lots as totalProfit, so it is measured against the cost of both
+        const totalCost = totalInvested + sales.reduce((sum, sale) => sum + (sale.cost_basis * (sale.quantity || 1)), 0);
+
+        return {
+            cardCount: lots.reduce((sum, item) => sum + (item.quantity || 1), 0),
+            totalInvested,
+            totalCurrentValue,
+            unrealizedProfit,
+            realizedProfit,
+            totalProfit,
+            totalROI: totalCost > 0 ? (totalProfit / totalCost) * 100 : 0
+        };
+    }
 
-        // Populate edit form
-        document.getElementById('editPortfolioId').value = itemId;
-        document.getElementById('editPurchasePrice').value = item.purchase_price;
-        document.getElementById('editPurchaseDate').value = item.purchase_date.split('T')[0];
-        document.getElementById('editGradingStatus').value = item.grading_status;
-        document.getElementById('editQuantity').value = item.quantity || 1;
-        document.getElementById('editNotes').value = item.notes || '';
+    /**
+     * Per-portfolio breakdown shown under the totals in the All Portfolios view
+     */
+    renderPortfolioBuckets() {
+        const container = document.getElementById('portfolioBuckets');
+        if (!container) return;
+
+        const visible = PortfolioState.activePortfolioId === 'all' && PortfolioState.portfolios.length > 1;
+        container.hidden = !visible;
+        if (!visible) return;
+
+        const signed = (value) => `${value >= 0 ? '+' : ''}$${this.formatPrice(value)}`;
+        const rows = PortfolioState.portfolios.map(portfolio => {
+            const stats = this.calculatePortfolioStats(
+                PortfolioState.portfolioItems.filter(item => item.portfolio_id === portfolio.id),
+                PortfolioState.sales.filter(sale => sale.portfolio_id === portfolio.id)
+            );
 
-        // Show edit modal
-        document.getElementById('editPortfolioModal').classList.add('active');
+            return `
+                <tr>
+                    <td><a href="#" onclick="portfolioManager.switchPortfolio('${portfolio.id}'); return false;">${this.escapeHtml(portfolio.name)}</a></td>
+                    <td>${stats.cardCount}</td>
+                    <td>$${this.formatPrice(stats.totalInvested)}</td>
+                    <td>$${this.formatPrice(stats.totalCurrentValue)}</td>
+                    <td class="${stats.unrealizedProfit >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(stats.unrealizedProfit)}</td>
+                    <td class="${stats.totalROI >= 0 ? 'roi-positive' : 'roi-negative'}">${stats.totalROI >= 0 ? '+' : ''}${stats.totalROI.toFixed(1)}%</td>
+                    <td class="${stats.realizedProfit >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(stats.realizedProfit)}</td>
+                </tr>
+            `;
+        });
+
+        document.getElementById('portfolioBucketsBody').innerHTML = rows.join('');
     }
 
     /**
-     * Hide Edit Modal
+     * Load price history for every card held now or in the past
      */
-    hideEditModal() {
-        document.getElementById('editPortfolioModal').classList.remove('active');
+    async loadPriceHistory() {
+        const cardIds = [...new Set([
+            ...PortfolioState.portfolioItems.map(item => window.SealedProducts.holdingKey(item)),
+            ...PortfolioState.sales.map(sale => window.SealedProducts.holdingKey(sale))
+        ])].filter(Boolean);
+
+        if (!window.SupabaseConfig?.DatabaseHelpers || cardIds.length === 0) {
+            PortfolioState.priceHistory = new Map();
+            return;
+        }
+
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getPriceHistory(cardIds);
+        if (error) {
+            console.error('Error loading price history:', error);
+        }
+        PortfolioState.priceHistory = window.PriceHistory.indexByCard(data || []);
     }
 
     /**
-     * Handle Edit Portfolio Form Submission
+     * Render Portfolio Chart and Top Performers
      */
-    async handleEditPortfolio(e) {
-        e.preventDefault();
-        
-        const itemId = document.getElementById('editPortfolioId').value;
-        const formData = new FormData(e.target);
-        
+    renderPortfolioAnalytics() {
+        this.renderPortfolioChart();
+        this.renderTopPerformers();
+    }
+
+    /**
+     * Switch the portfolio chart range
+     */
+    changeChartRange(range) {
+        PortfolioState.chartRange = range;
+        document.querySelectorAll('#portfolioChartRange [data-range]').forEach(button => {
+            button.classList.toggle('active', button.dataset.range === range);
+        });
+        this.renderPortfolioChart();
+    }
+
+    /**
+     * Draw total value, cost basis and profit over the selected range
+     */
+    renderPortfolioChart() {
+        const canvas = document.getElementById('portfolioChart');
+        if (!canvas || !window.Charts) return;
+
+        const activeLots = this.getActiveLots();
+        const activeSales = this.getActiveSales();
+        const lots = window.CostBasis.reconstructLots(activeLots, activeSales);
+        let points = [];
+
+        if (lots.length > 0) {
+            const earliest = lots.map(lot => lot.acquiredDate).sort()[0];
+            const today = new Date().toISOString().split('T')[0];
+
+            points = window.PriceHistory.buildPortfolioTimeline({
+                lots,
+                sales: activeSales,
+                history: PortfolioState.priceHistory,
+                fallbackPrice: (lot) => {
+                    const item = activeLots.find(i => i.id === lot.id);
+                    return item ? this.getCurrentPrice(item) : lot.unitCost;
+                },
+                startDate: window.PriceHistory.rangeStart(PortfolioState.chartRange, earliest),
+                endDate: today
+            });
+        }
+
+        window.Charts.enableTooltips(canvas);
+        window.Charts.drawLineChart(canvas, {
+            series: [
+                { label: 'Value', color: window.Charts.CHART_COLORS.primary, points: points.map(point => ({ date: point.date, value: point.value })) },
+                { label: 'Cost Basis', color: window.Charts.CHART_COLORS.muted, points: points.map(point => ({ date: point.date, value: point.cost })) },
+                { label: 'Profit', color: window.Charts.CHART_COLORS.success, points: points.map(point => ({ date: point.date, value: point.profit })) }
+            ],
+            formatValue: (value) => window.Charts.formatCurrency(value),
+            formatTooltip: (value) => `$${this.formatPrice(value)}`,
+            emptyMessage: 'Add cards to see your portfolio over time'
+        });
+    }
+
+    /**
+     * List the best and worst performing holdings by ROI
+     */
+    renderTopPerformers() {
+        const container = document.getElementById('topPerformers');
+        if (!container) return;
+
+        const groups = this.groupLotsByCard(this.getActiveLots()).sort((a, b) => b.roi - a.roi);
+        if (groups.length === 0) {
+            container.innerHTML = '<p class="empty-state">No holdings yet.</p>';
+            return;
+        }
+
+        const best = groups.slice(0, 3);
+        const worst = groups.slice(Math.max(best.length, groups.length - 3)).reverse();
+        const renderItem = (group) => `
+            <div class="top-performer-item">
+                <span class="card-name">${group.card?.name || 'Unknown Card'}</span>
+                <span class="roi-value ${group.roi < 0 ? 'negative' : ''}">${group.roi >= 0 ? '+' : ''}${group.roi.toFixed(1)}%</span>
+            </div>
+        `;
+
+        container.innerHTML = `
+            <h4 class="performers-heading">Best</h4>
+            ${best.map(renderItem).join('')}
+            ${worst.length > 0 ? `
+                <h4 class="performers-heading">Worst</h4>
+                ${worst.map(renderItem).join('')}
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Realized profit of a sale after fees, shipping and cost basis
+     */
+    calculateSaleProfit(sale) {
+        const quantity = sale.quantity || 1;
+        const proceeds = (sale.sale_price * quantity) - (sale.fees || 0) - (sale.shipping || 0);
+        return proceeds - (sale.cost_basis * quantity);
+    }
+
+    /**
+     * Render Sales Ledger
+     */
+    renderSalesTable() {
+        const tbody = document.getElementById('salesTableBody');
+        if (!tbody) return;
+
+        const sales = this.getActiveSales();
+        if (sales.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="8">No sales recorded yet.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = sales.map(sale => {
+            const profit = this.calculateSaleProfit(sale);
+            const costs = (sale.fees || 0) + (sale.shipping || 0);
+
+            return `
+                <tr>
+                    <td>
+                        <div class="card-details">
+                            <h4>${sale.cards?.name || 'Unknown Card'}</h4>
+                            <p>${sale.cards?.set_name || ''} - ${this.formatGradingStatus(sale.grading_status || 'ungraded')}</p>
+                        </div>
+                    </td>
+                    <td>${sale.quantity}</td>
+                    <td>$${this.formatPrice(sale.sale_price)}</td>
+                    <td>$${this.formatPrice(costs)}</td>
+                    <td>$${this.formatPrice(sale.cost_basis)}</td>
+                    <td class="${profit >= 0 ? 'roi-positive' : 'roi-negative'}">${profit >= 0 ? '+' : ''}$${this.formatPrice(profit)}</td>
+                    <td>${this.escapeHtml(this.formatPlatform(sale.platform))}</td>
+                    <td>${new Date(sale.sale_date).toLocaleDateString()}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open the Sell modal for a lot
+     */
+    sellPortfolioItem(itemId) {
+        const item = PortfolioState.portfolioItems.find(i => i.id === itemId);
+        if (!item) return;
+
+        const quantity = item.quantity || 1;
+        const form = document.getElementById('sellPortfolioForm');
+        form?.reset();
+
+        document.getElementById('sellPortfolioId').value = itemId;
+        document.getElementById('sellQuantity').max = quantity;
+        document.getElementById('sellQuantity').value = quantity;
+        document.getElementById('sellPrice').value = this.getCurrentPrice(item);
+        document.getElementById('sellDate').value = new Date().toISOString().split('T')[0];
+        document.getElementById('sellLotInfo').textContent =
+            `${item.cards?.name || 'Unknown Card'} · ${this.formatGradingStatus(item.grading_status)} · ${quantity} held at $${this.formatPrice(this.getCostBasis(item))}`;
+
+        this.updateSellSummary();
+        document.getElementById('sellPortfolioModal').classList.add('active');
+    }
+
+    /**
+     * Hide Sell Modal
+     */
+    hideSellModal() {
+        document.getElementById('sellPortfolioModal').classList.remove('active');
+    }
+
+    /**
+     * Read the Sell form
+     */
+    getSellFormData() {
+        return {
+            quantity: parseInt(document.getElementById('sellQuantity').value),
+            salePrice: parseFloat(document.getElementById('sellPrice').value),
+            saleDate: document.getElementById('sellDate').value,
+            fees: parseFloat(document.getElementById('sellFees').value) || 0,
+            shipping: parseFloat(document.getElementById('sellShipping').value) || 0,
+            platform: document.getElementById('sellPlatform').value,
+            notes: document.getElementById('sellNotes').value
+        };
+    }
+
+    /**
+     * Preview the realized profit while the Sell form is filled in
+     */
+    updateSellSummary() {
+        const summary = document.getElementById('sellSummary');
+        const item = PortfolioState.portfolioItems.find(i => i.id === document.getElementById('sellPortfolioId').value);
+        if (!summary || !item) return;
+
+        const sale = this.getSellFormData();
+        if (!sale.quantity || isNaN(sale.salePrice)) {
+            summary.innerHTML = '';
+            return;
+        }
+
+        const profit = this.calculateSaleProfit({
+            quantity: sale.quantity,
+            sale_price: sale.salePrice,
+            fees: sale.fees,
+            shipping: sale.shipping,
+            cost_basis: this.getCostBasis(item)
+        });
+        const remaining = (item.quantity || 1) - sale.quantity;
+
+        summary.innerHTML = `
+            <span>Realized profit: <strong class="${profit >= 0 ? 'roi-positive' : 'roi-negative'}">${profit >= 0 ? '+' : ''}$${this.formatPrice(profit)}</strong></span>
+            <span>${remaining > 0 ? `${remaining} will remain in this lot` : 'This lot will be closed'}</span>
+        `;
+    }
+
+    /**
+     * Handle Sell Form Submission
+     */
+    async handleSellPortfolio(e) {
+        e.preventDefault();
+
+        const item = PortfolioState.portfolioItems.find(i => i.id === document.getElementById('sellPortfolioId').value);
+        if (!item) return;
+
+        const sale = this.getSellFormData();
+        const heldQuantity = item.quantity || 1;
+
+        if (!Number.isInteger(sale.quantity) || sale.quantity < 1 || sale.quantity > heldQuantity) {
+            this.showError(`Quantity must be between 1 and ${heldQuantity}`);
+            return;
+        }
+
+        if (isNaN(sale.salePrice) || sale.salePrice < 0) {
+            this.showError('Please enter a valid sale price');
+            return;
+        }
+
+        try {
+            if (window.SupabaseConfig?.DatabaseHelpers) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.recordSale(
+                    PortfolioState.currentUser.id,
+                    item,
+                    sale
+                );
+
+                if (error) {
+                    console.error('Error recording sale:', error);
+                    this.showError('Failed to record sale');
+                    return;
+                }
+
+                this.showSuccess('Sale recorded successfully!');
+                this.hideSellModal();
+                await this.loadPortfolio();
+            } else {
+                // Demo mode - update local state
+                PortfolioState.sales.unshift({
+                    id: 'demo-sale-' + Date.now(),
+                    portfolio_item_id: item.id,
+                    lot_id: item.id,
+                    portfolio_id: item.portfolio_id ?? null,
+                    card_id: item.card_id,
+                    sealed_product_id: item.sealed_product_id ?? null,
+                    quantity: sale.quantity,
+                    sale_price: sale.salePrice,
+                    sale_date: sale.saleDate,
+                    fees: sale.fees,
+                    shipping: sale.shipping,
+                    platform: sale.platform,
+                    cost_basis: this.getCostBasis(item),
+                    purchase_date: item.purchase_date,
+                    grading_status: item.grading_status,
+                    notes: sale.notes,
+                    cards: item.cards
+                });
+
+                if (sale.quantity < heldQuantity) {
+                    item.quantity = heldQuantity - sale.quantity;
+                } else {
+                    PortfolioState.portfolioItems = PortfolioState.portfolioItems.filter(i => i.id !== item.id);
+                }
+
+                this.showSuccess('Sale recorded successfully!');
+                this.hideSellModal();
+                this.renderPortfolioTable();
+                this.renderSalesTable();
+                this.updatePortfolioStats();
+            }
+        } catch (error) {
+            console.error('Error recording sale:', error);
+            this.showError('Failed to record sale');
+        }
+    }
+
+    /**
+     * Edit Portfolio Item
+     */
+    editPortfolioItem(itemId) {
+        const item = PortfolioState.portfolioItems.find(i => i.id === itemId);
+        if (!item) return;
+
+        // Populate edit form
+        document.getElementById('editPortfolioId').value = itemId;
+        document.getElementById('editPurchasePrice').value = item.purchase_price;
+        document.getElementById('editPurchaseDate').value = item.purchase_date.split('T')[0];
+        // Grades recorded from a submission may not be in the preset list
+        const gradingSelect = document.getElementById('editGradingStatus');
+        if (![...gradingSelect.options].some(option => option.value === item.grading_status)) {
+            gradingSelect.add(new Option(this.formatGradingStatus(item.grading_status), item.grading_status));
+        }
+        gradingSelect.value = item.grading_status;
+        document.getElementById('editCertNumber').value = item.cert_number || '';
+        this.renderSlabLabel(item);
+        document.getElementById('editGradingStatus').disabled = item.grading_status === 'sealed';
+        this.fillVariantFields('edit', item);
+        this.toggleVariantFields('editPortfolioForm', item.grading_status === 'sealed');
+        document.getElementById('editQuantity').value = item.quantity || 1;
+        document.getElementById('editNotes').value = item.notes || '';
+
+        // Show edit modal
+        document.getElementById('editPortfolioModal').classList.add('active');
+    }
+
+    /**
+     * Variant fields of the add ('') or edit ('edit') form
+     */
+    readVariant(prefix) {
+        return {
+            condition: this.variantField(prefix, 'Condition')?.value,
+            edition: this.variantField(prefix, 'Edition')?.value,
+            reverse_holo: Boolean(this.variantField(prefix, 'ReverseHolo')?.checked),
+            language: this.variantField(prefix, 'Language')?.value
+        };
+    }
+
+    fillVariantFields(prefix, lot) {
+        const variant = window.CardVariants.variantOf(lot);
+        this.variantField(prefix, 'Condition').value = variant.condition;
+        this.variantField(prefix, 'Edition').value = variant.edition;
+        this.variantField(prefix, 'ReverseHolo').checked = variant.reverse_holo;
+        this.variantField(prefix, 'Language').value = variant.language;
+    }
+
+    variantField(prefix, name) {
+        return document.getElementById(prefix ? `${prefix}${name}` : name.charAt(0).toLowerCase() + name.slice(1));
+    }
+
+    /**
+     * Sealed products have no printing, so their forms hide the variant fields
+     */
+    toggleVariantFields(formId, hidden) {
+        document.querySelectorAll(`#${formId} .variant-fields`).forEach(group => group.classList.toggle('hidden', hidden));
+    }
+
+    /**
+     * Cert number from a form field; only graded lots keep one
+     */
+    readCertNumber(inputId, gradingStatus) {
+        const certNumber = window.SlabRegistry.normalizeCert(document.getElementById(inputId)?.value);
+        return certNumber && window.SlabRegistry.graderFromStatus(gradingStatus) ? certNumber : null;
+    }
+
+    /**
+     * Show what the grader's record says about a lot's slab in the edit modal
+     */
+    renderSlabLabel(item) {
+        const container = document.getElementById('slabLabel');
+        if (!container) return;
+
+        const key = window.SlabRegistry.lotCertKey(item);
+        container.hidden = !key;
+        if (!key) return;
+
+        const slab = PortfolioState.slabs.get(key) || null;
+        const duplicate = PortfolioState.duplicateCerts.get(key) || null;
+        const flags = window.SlabRegistry.flagsFor(item, slab, duplicate)
+            .map(flag => `<p class="slab-flag ${window.SlabRegistry.SLAB_FLAGS[flag].className}">${this.escapeHtml(window.SlabRegistry.flagTitle(flag, slab, duplicate))}</p>`)
+            .join('');
+
+        const fields = slab?.status === 'verified'
+            ? `
+                <dl>
+                    ${window.SlabRegistry.labelFields(slab).map(([label, value]) => `
+                        <dt>${label}</dt>
+                        <dd>${this.escapeHtml(value)}</dd>
+                    `).join('')}
+                </dl>
+            `
+            : '';
+
+        container.innerHTML = `
+            <h4>${this.formatGradingStatus(item.grading_status)} · Cert #${this.escapeHtml(item.cert_number)}</h4>
+            ${fields}
+            ${flags}
+        `;
+    }
+
+    /**
+     * Look up the cert in the edit modal with its grader
+     */
+    async verifyCert() {
+        const item = PortfolioState.portfolioItems.find(i => i.id === document.getElementById('editPortfolioId').value);
+        if (!item) return;
+
+        const gradingStatus = document.getElementById('editGradingStatus').value;
+        const grader = window.SlabRegistry.graderFromStatus(gradingStatus);
+        const certNumber = this.readCertNumber('editCertNumber', gradingStatus);
+
+        if (!certNumber) {
+            this.showError('Choose a grade and enter a cert number to verify');
+            return;
+        }
+
+        if (!window.SupabaseConfig?.getSupabaseClient()) {
+            this.showError('Sign in to verify certs with the grader');
+            return;
+        }
+
+        const button = document.getElementById('verifyCertBtn');
+        button.disabled = true;
+
+        try {
+            const { data, error } = await window.SupabaseConfig.DatabaseHelpers.verifyCert(grader, certNumber);
+
+            if (error || !data?.slab) {
+                console.error('Error verifying cert:', error || data?.error);
+                this.showError(data?.error || 'Cert lookup failed');
+                return;
+            }
+
+            PortfolioState.slabs.set(window.SlabRegistry.certKey(grader, certNumber), data.slab);
+            this.renderSlabLabel({ ...item, grading_status: gradingStatus, cert_number: certNumber });
+
+            if (data.slab.status === 'verified') {
+                this.showSuccess('Cert verified with the grader');
+            } else {
+                this.showError('The grader has no record of this cert number');
+            }
+        } catch (error) {
+            console.error('Error verifying cert:', error);
+            this.showError('Cert lookup failed');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Hide Edit Modal
+     */
+    hideEditModal() {
+        document.getElementById('editPortfolioModal').classList.remove('active');
+    }
+
+    /**
+     * Handle Edit Portfolio Form Submission
+     */
+    async handleEditPortfolio(e) {
+        e.preventDefault();
+        
+        const itemId = document.getElementById('editPortfolioId').value;
+        const formData = new FormData(e.target);
+        
         try {
             const updateData = {
                 purchase_price: parseFloat(formData.get('editPurchasePrice') || document.getElementById('editPurchasePrice').value),
@@ -488,6 +1613,8 @@ class PortfolioManager {
                 quantity: parseInt(formData.get('editQuantity') || document.getElementById('editQuantity').value),
                 notes: formData.get('editNotes') || document.getElementById('editNotes').value
             };
+            updateData.cert_number = this.readCertNumber('editCertNumber', updateData.grading_status);
+            Object.assign(updateData, window.CardVariants.lotColumns(this.readVariant('edit'), updateData.grading_status));
 
             const { error } = await window.SupabaseConfig.DatabaseHelpers.updatePortfolioItem(itemId, updateData);
             
@@ -556,7 +1683,7 @@ class PortfolioManager {
      * Export Portfolio
      */
     exportPortfolio() {
-        if (PortfolioState.portfolioItems.length === 0) {
+        if (this.getActiveLots().length === 0) {
             this.showError('No portfolio items to export');
             return;
         }
@@ -571,56 +1698,727 @@ class PortfolioManager {
         window.URL.revokeObjectURL(url);
     }
 
+    /**
+     * Show Capital Gains Report
+     */
+    showTaxReport() {
+        if (PortfolioState.sales.length === 0) {
+            this.showError('No sales recorded yet');
+            return;
+        }
+
+        const years = window.CostBasis.getSaleYears(PortfolioState.sales);
+        document.getElementById('taxReportYear').innerHTML = years
+            .map(year => `<option value="${year}">${year}</option>`)
+            .join('');
+        document.getElementById('costBasisMethod').value = PortfolioState.costBasisMethod;
+
+        this.renderTaxReport();
+        document.getElementById('taxReportModal').classList.add('active');
+    }
+
+    /**
+     * Hide Capital Gains Report
+     */
+    hideTaxReportModal() {
+        document.getElementById('taxReportModal').classList.remove('active');
+    }
+
+    /**
+     * Build the report for the selected year and method
+     */
+    buildTaxReport() {
+        return window.CostBasis.buildReport(PortfolioState.portfolioItems, PortfolioState.sales, {
+            method: PortfolioState.costBasisMethod,
+            year: document.getElementById('taxReportYear').value
+        });
+    }
+
+    /**
+     * Render Capital Gains Report
+     */
+    renderTaxReport() {
+        const report = this.buildTaxReport();
+        const { short, long, total } = report.totals;
+        const signed = (value) => `${value >= 0 ? '+' : ''}$${this.formatPrice(value)}`;
+
+        document.getElementById('taxReportSummary').innerHTML = `
+            <span class="import-status">Short-term: <strong class="${short.gain >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(short.gain)}</strong></span>
+            <span class="import-status">Long-term: <strong class="${long.gain >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(long.gain)}</strong></span>
+            <span class="import-status">Net: <strong class="${total.gain >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(total.gain)}</strong></span>
+            ${report.unidentifiedSales > 0 ? `
+                <span class="import-status roi-negative">${report.unidentifiedSales} sale${report.unidentifiedSales === 1 ? '' : 's'} could not be matched to ${report.unidentifiedSales === 1 ? 'its' : 'their'} own lot and used the oldest lots instead</span>
+            ` : ''}
+        `;
+
+        document.getElementById('taxReportTable').innerHTML = `
+            <table class="portfolio-table import-table">
+                <thead>
+                    <tr>
+                        <th>Card</th>
+                        <th>Qty</th>
+                        <th>Acquired</th>
+                        <th>Sold</th>
+                        <th>Proceeds</th>
+                        <th>Cost Basis</th>
+                        <th>Gain/Loss</th>
+                        <th>Term</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${report.disposals.map(disposal => `
+                        <tr>
+                            <td>${this.escapeHtml(disposal.cardName)} <span class="lot-count">${this.formatGradingStatus(disposal.gradingStatus)}</span></td>
+                            <td>${disposal.quantity}</td>
+                            <td>${new Date(`${disposal.acquiredDate}T00:00:00`).toLocaleDateString()}</td>
+                            <td>${new Date(`${disposal.soldDate}T00:00:00`).toLocaleDateString()}</td>
+                            <td>$${this.formatPrice(disposal.proceeds)}</td>
+                            <td>$${this.formatPrice(disposal.costBasis)}</td>
+                            <td class="${disposal.gain >= 0 ? 'roi-positive' : 'roi-negative'}">${signed(disposal.gain)}</td>
+                            <td>${disposal.term === 'long' ? 'Long-term' : 'Short-term'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Switch cost basis method and remember it for the user
+     */
+    async changeCostBasisMethod(method) {
+        PortfolioState.costBasisMethod = method;
+        this.renderTaxReport();
+
+        if (window.SupabaseConfig?.DatabaseHelpers && PortfolioState.currentUser) {
+            const { error } = await window.SupabaseConfig.DatabaseHelpers.updateUserPreferences(
+                PortfolioState.currentUser.id,
+                { cost_basis_method: method }
+            );
+            if (error) {
+                console.error('Error saving cost basis method:', error);
+            }
+        }
+    }
+
+    /**
+     * Download Capital Gains Report as CSV
+     */
+    downloadTaxCsv() {
+        const report = this.buildTaxReport();
+        const blob = new Blob([window.CostBasis.toCsv(report)], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `capital-gains-${report.year}-${report.method}.csv`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open the printable report so it can be printed or saved as PDF
+     */
+    printTaxReport() {
+        const reportWindow = window.open('', '_blank');
+        if (!reportWindow) {
+            this.showError('Allow pop-ups to print the report');
+            return;
+        }
+
+        reportWindow.document.write(window.CostBasis.toHtml(this.buildTaxReport()));
+        reportWindow.document.close();
+        reportWindow.focus();
+        reportWindow.print();
+    }
+
     /**
      * Generate CSV Content
      */
     generateCSV() {
-        const headers = ['Card Name', 'Set', 'Number', 'Purchase Price', 'Current Value', 'ROI', 'Profit', 'Grading Status', 'Purchase Date', 'Notes'];
-        const rows = PortfolioState.portfolioItems.map(item => {
+        const headers = ['Portfolio', 'Card Name', 'Set', 'Number', 'Purchase Price', 'Grading Cost', 'Current Value', 'ROI', 'Profit', 'Grading Status', 'Cert Number', 'Condition', 'Printing', 'Language', 'Purchase Date', 'Quantity', 'Notes'];
+        const portfolioNames = new Map(PortfolioState.portfolios.map(portfolio => [portfolio.id, portfolio.name]));
+        const rows = this.getActiveLots().map(item => {
             const currentPrice = this.getCurrentPrice(item);
-            const profit = (currentPrice - item.purchase_price) * (item.quantity || 1);
-            const roi = ((currentPrice - item.purchase_price) / item.purchase_price) * 100;
+            const costBasis = this.getCostBasis(item);
+            const profit = (currentPrice - costBasis) * (item.quantity || 1);
+            const roi = ((currentPrice - costBasis) / costBasis) * 100;
+            const isSealed = item.grading_status === 'sealed';
+            const variant = window.CardVariants.variantOf(item);
             
             return [
+                portfolioNames.get(item.portfolio_id) || '',
                 item.cards?.name || 'Unknown',
                 item.cards?.set_name || '',
                 item.cards?.number || '',
                 item.purchase_price,
+                item.grading_cost || 0,
                 currentPrice,
                 `${roi.toFixed(1)}%`,
                 profit,
                 this.formatGradingStatus(item.grading_status),
-                new Date(item.purchase_date).toLocaleDateString(),
+                item.cert_number || '',
+                isSealed ? '' : variant.condition,
+                isSealed ? '' : [window.CardVariants.CARD_EDITIONS[variant.edition].label, variant.reverse_holo ? 'Reverse Holo' : ''].filter(Boolean).join(' '),
+                isSealed ? '' : variant.language,
+                item.purchase_date.split('T')[0],
+                item.quantity || 1,
                 item.notes || ''
             ];
         });
 
-        return [headers, ...rows].map(row => row.map(cell => `"${cell}"`).join(',')).join('\n');
+        return [headers, ...rows].map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\n');
     }
 
     /**
-     * Import CSV (placeholder)
+     * Import CSV - open the import modal
      */
     importCsv() {
-        this.showError('CSV import feature coming soon!');
+        if (!PortfolioState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        this.resetImport();
+        document.getElementById('importCsvModal').classList.add('active');
+    }
+
+    /**
+     * Hide Import Modal
+     */
+    hideImportModal() {
+        document.getElementById('importCsvModal').classList.remove('active');
+        this.resetImport();
+    }
+
+    /**
+     * Reset Import Modal
+     */
+    resetImport() {
+        PortfolioState.importSession = null;
+        document.getElementById('importCsvFile').value = '';
+        document.getElementById('importColumnMapping').innerHTML = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('matchImportRows').disabled = true;
+
+        const confirmButton = document.getElementById('confirmImport');
+        confirmButton.disabled = true;
+        confirmButton.textContent = 'Import';
+    }
+
+    /**
+     * Read the selected CSV file and detect its columns
+     */
+    async handleImportFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            const records = window.PortfolioImport.parseCsv(await file.text());
+
+            if (records.length < 2) {
+                this.showError('The CSV file has no data rows');
+                return;
+            }
+
+            const [headers, ...dataRows] = records;
+            const format = window.PortfolioImport.detectFormat(headers);
+            PortfolioState.importSession = {
+                headers,
+                records: dataRows,
+                format,
+                mapping: window.PortfolioImport.detectColumnMapping(headers, format),
+                missingPriceChoice: 'skip',
+                rows: []
+            };
+
+            this.renderImportMapping();
+            document.getElementById('importPreview').innerHTML = '';
+            document.getElementById('matchImportRows').disabled = false;
+            document.getElementById('confirmImport').disabled = true;
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            this.showError('Failed to read CSV file');
+        }
+    }
+
+    /**
+     * Render the column mapping selects
+     */
+    renderImportMapping() {
+        const { headers, records, format, mapping } = PortfolioState.importSession;
+        const { IMPORT_FIELDS, IMPORT_FORMATS } = window.PortfolioImport;
+        const formatNote = IMPORT_FORMATS[format]?.note;
+
+        document.getElementById('importColumnMapping').innerHTML = `
+            <div class="form-group">
+                <label for="importFormat">File Format:</label>
+                <select id="importFormat" onchange="portfolioManager.changeImportFormat(this.value)">
+                    ${Object.entries(IMPORT_FORMATS).map(([key, config]) => `
+                        <option value="${key}" ${format === key ? 'selected' : ''}>${config.label}</option>
+                    `).join('')}
+                </select>
+                ${formatNote ? `<p class="import-format-note">${this.escapeHtml(formatNote)}</p>` : ''}
+            </div>
+            <h4>Map Columns <span class="import-count">${records.length} rows found</span></h4>
+            <div class="import-mapping-grid">
+                ${Object.entries(IMPORT_FIELDS).map(([field, config]) => `
+                    <div class="form-group">
+                        <label for="importMap-${field}">${config.label}${config.required ? ' *' : ''}</label>
+                        <select id="importMap-${field}" data-field="${field}">
+                            <option value="-1">Not in file</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${this.escapeHtml(header)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Switch the import layout and re-detect the column mapping
+     */
+    changeImportFormat(format) {
+        const session = PortfolioState.importSession;
+        if (!session) return;
+
+        session.format = format;
+        session.mapping = window.PortfolioImport.detectColumnMapping(session.headers, format);
+        this.renderImportMapping();
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('confirmImport').disabled = true;
+    }
+
+    /**
+     * Apply the column mapping and match each row against the card database
+     */
+    async matchImportRows() {
+        const session = PortfolioState.importSession;
+        if (!session) return;
+
+        const { IMPORT_FIELDS } = window.PortfolioImport;
+        document.querySelectorAll('#importColumnMapping select[data-field]').forEach(select => {
+            session.mapping[select.dataset.field] = parseInt(select.value, 10);
+        });
+
+        const missing = Object.entries(IMPORT_FIELDS)
+            .filter(([field, config]) => config.required && session.mapping[field] < 0)
+            .map(([, config]) => config.label);
+
+        if (missing.length > 0) {
+            this.showError(`Please choose a column for: ${missing.join(', ')}`);
+            return;
+        }
+
+        const matchButton = document.getElementById('matchImportRows');
+        const preview = document.getElementById('importPreview');
+        matchButton.disabled = true;
+
+        try {
+            session.rows = window.PortfolioImport.extractRows(session.records, session.mapping, session.format);
+
+            await window.PortfolioImport.matchRows(
+                session.rows,
+                {
+                    search: (name, setName) => this.findImportCandidates(name, setName),
+                    searchSealed: (name, setName) => this.findImportSealedCandidates(name, setName),
+                    findByProductIds: (ids) => this.findImportCardsByProductIds(ids),
+                    findSealedByProductIds: (ids) => this.findImportSealedByProductIds(ids)
+                },
+                (done) => {
+                    preview.innerHTML = `<div class="portfolio-loading">Matching cards... ${done}/${session.rows.length}</div>`;
+                }
+            );
+
+            this.renderImportPreview();
+        } catch (error) {
+            console.error('Error matching import rows:', error);
+            this.showError('Failed to match cards');
+        } finally {
+            matchButton.disabled = false;
+        }
+    }
+
+    /**
+     * Look up candidate cards for an import row
+     */
+    async findImportCandidates(name, setName) {
+        const { DatabaseHelpers } = window.SupabaseConfig;
+
+        // Narrow by set first so popular names don't crowd out the right printing
+        if (setName) {
+            const { data } = await DatabaseHelpers.searchCards(name, { setName, limit: 25 });
+            if (data?.length) return data;
+        }
+
+        const { data, error } = await DatabaseHelpers.searchCards(name, { limit: 25 });
+        if (error) {
+            console.error('Error searching cards for import:', error);
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Look up cards by vendor product ID (cards.tcgplayer_id)
+     */
+    async findImportCardsByProductIds(productIds) {
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getCardsByTcgplayerIds(productIds);
+
+        if (error) {
+            console.error('Error looking up product IDs for import:', error);
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Look up candidate sealed products for a sealed import row, shaped like cards
+     * Sealed product names usually include the set ("Base Booster Box"), so the set is only searched alone
+     * when the full name finds nothing.
+     */
+    async findImportSealedCandidates(name, setName) {
+        const { DatabaseHelpers } = window.SupabaseConfig;
+
+        let { data, error } = await DatabaseHelpers.getSealedProducts({ searchTerm: name, limit: 25 });
+        if (!error && !data?.length && setName) {
+            ({ data, error } = await DatabaseHelpers.getSealedProducts({ searchTerm: setName, limit: 25 }));
+        }
+        if (error) {
+            console.error('Error searching sealed products for import:', error);
+        }
+
+        return (data || []).map(product => window.SealedProducts.toCardShape(product));
+    }
+
+    /**
+     * Look up sealed products by vendor product ID (sealed_products.tcgplayer_id)
+     */
+    async findImportSealedByProductIds(productIds) {
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getSealedProducts({ tcgplayerIds: productIds });
+
+        if (error) {
+            console.error('Error looking up sealed product IDs for import:', error);
+        }
+
+        return (data || []).map(product => ({ ...window.SealedProducts.toCardShape(product), tcgplayer_id: product.tcgplayer_id }));
+    }
+
+    /**
+     * Render the import preview with match status per row
+     */
+    renderImportPreview() {
+        const { rows, missingPriceChoice } = PortfolioState.importSession;
+        const { MISSING_PRICE_CHOICES } = window.PortfolioImport;
+        const counts = rows.reduce((acc, row) => {
+            acc[row.status] = (acc[row.status] || 0) + 1;
+            return acc;
+        }, {});
+        const importable = rows.filter(row => this.importPurchasePrice(row) !== null).length;
+        const missingPrices = rows.filter(row => row.missingPrice && row.status !== 'invalid').length;
+        const statusLabels = {
+            matched: 'Matched',
+            ambiguous: 'Needs Review',
+            unmatched: 'No Match',
+            invalid: 'Invalid'
+        };
+
+        document.getElementById('importPreview').innerHTML = `
+            <div class="import-summary">
+                ${Object.entries(statusLabels).map(([status, label]) => `
+                    <span class="import-status import-status-${status}">${label}: ${counts[status] || 0}</span>
+                `).join('')}
+            </div>
+            ${missingPrices > 0 ? `
+                <div class="form-group import-missing-price">
+                    <label for="importMissingPrice">${missingPrices} ${missingPrices === 1 ? 'row has' : 'rows have'} no purchase price:</label>
+                    <select id="importMissingPrice" onchange="portfolioManager.changeMissingPriceChoice(this.value)">
+                        ${Object.entries(MISSING_PRICE_CHOICES).map(([key, label]) => `
+                            <option value="${key}" ${missingPriceChoice === key ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            ` : ''}
+            <div class="import-table-container">
+                <table class="portfolio-table import-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>From File</th>
+                            <th>Status</th>
+                            <th>Matched Card</th>
+                            <th>Price</th>
+                            <th>Qty</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map((row, index) => `
+                            <tr>
+                                <td>${row.rowNumber}</td>
+                                <td>
+                                    <div class="card-details">
+                                        <h4>${this.escapeHtml(row.cardName || '-')}</h4>
+                                        <p>${this.escapeHtml(row.setName)}${row.number ? ` - ${this.escapeHtml(row.number)}` : ''}</p>
+                                        ${row.portfolioName ? `<p>Portfolio: ${this.escapeHtml(row.portfolioName)}</p>` : ''}
+                                    </div>
+                                </td>
+                                <td>
+                                    <span class="import-status import-status-${row.status}">${statusLabels[row.status]}</span>
+                                    ${row.matchedBy === 'productId' ? '<span class="import-match-source">by product ID</span>' : ''}
+                                </td>
+                                <td>${this.renderImportMatchCell(row, index)}</td>
+                                <td>${this.renderImportPriceCell(row)}</td>
+                                <td>${row.quantity ?? '-'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+        const confirmButton = document.getElementById('confirmImport');
+        confirmButton.disabled = importable === 0;
+        confirmButton.textContent = `Import ${importable} ${importable === 1 ? 'Row' : 'Rows'}`;
+    }
+
+    /**
+     * Render the price column for an import row, showing what a missing price will be imported as
+     */
+    renderImportPriceCell(row) {
+        if (!row.missingPrice) return row.purchasePrice !== null ? `$${this.formatPrice(row.purchasePrice)}` : '-';
+        if (!row.selectedCardId) return '<span class="import-match-source">Not in file</span>';
+
+        const price = this.importPurchasePrice(row);
+        if (price === null) {
+            const reason = PortfolioState.importSession.missingPriceChoice === 'market' ? 'No market price' : 'Skipped';
+            return `<span class="import-errors">${reason}</span>`;
+        }
+
+        const source = PortfolioState.importSession.missingPriceChoice === 'market' ? 'market price' : 'enter later';
+        return `$${this.formatPrice(price)}<span class="import-match-source">${source}</span>`;
+    }
+
+    /**
+     * Price an import row is stored with: its price paid, or for a row without one, per the
+     * import's missing price choice - the matched card's current value, or $0 to be edited later
+     * @returns {number|null} null when the row won't be imported
+     */
+    importPurchasePrice(row) {
+        if (!row.selectedCardId) return null;
+        if (!row.missingPrice) return row.purchasePrice;
+
+        switch (PortfolioState.importSession.missingPriceChoice) {
+            case 'later':
+                return 0;
+            case 'market': {
+                const card = row.candidates.find(candidate => candidate.card.id === row.selectedCardId)?.card;
+                const value = this.getCurrentValue({
+                    cards: card,
+                    grading_status: row.gradingStatus,
+                    ...window.CardVariants.lotColumns(row.variant, row.gradingStatus)
+                });
+                return value?.price > 0 ? Math.round(value.price * 100) / 100 : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Change how rows without a purchase price are imported
+     */
+    changeMissingPriceChoice(choice) {
+        if (!PortfolioState.importSession) return;
+
+        PortfolioState.importSession.missingPriceChoice = choice;
+        this.renderImportPreview();
+    }
+
+    /**
+     * Render the match column for an import row
+     */
+    renderImportMatchCell(row, index) {
+        if (row.status === 'invalid') {
+            return `<span class="import-errors">${row.errors.map(error => this.escapeHtml(error)).join('<br>')}</span>`;
+        }
+
+        if (row.candidates.length === 0) {
+            return '<span class="import-errors">No card found</span>';
+        }
+
+        return `
+            <select class="import-candidate-select" onchange="portfolioManager.selectImportCandidate(${index}, this.value)">
+                <option value="">Skip this row</option>
+                ${row.candidates.map(({ card, score }) => `
+                    <option value="${card.id}" ${row.selectedCardId === card.id ? 'selected' : ''}>
+                        ${this.escapeHtml(card.name)} (${this.escapeHtml(card.set_name || card.sets?.name || '')} ${this.escapeHtml(card.number || '')}) - ${Math.round(score * 100)}%
+                    </option>
+                `).join('')}
+            </select>
+        `;
+    }
+
+    /**
+     * Choose (or clear) the card used for an import row
+     */
+    selectImportCandidate(index, cardId) {
+        const row = PortfolioState.importSession?.rows[index];
+        if (!row) return;
+
+        row.selectedCardId = cardId || null;
+        this.renderImportPreview();
+    }
+
+    /**
+     * Insert every resolved import row into the portfolio
+     */
+    async confirmImport() {
+        const rows = PortfolioState.importSession?.rows.filter(row => this.importPurchasePrice(row) !== null) || [];
+        if (rows.length === 0) return;
+
+        // Lots whose price wasn't in the file say where their cost basis came from
+        const missingPriceNotes = {
+            market: 'Purchase price set to the market price at import',
+            later: 'Purchase price not in the imported file; enter it to fix the cost basis'
+        };
+
+        const confirmButton = document.getElementById('confirmImport');
+        confirmButton.disabled = true;
+
+        try {
+            let imported = 0;
+            const failedRows = [];
+
+            for (const row of rows) {
+                const { data: portfolioId, error: portfolioError } = await this.resolveImportPortfolio(row.portfolioName);
+                const { error } = portfolioError ? { error: portfolioError } : await window.SupabaseConfig.DatabaseHelpers.addToPortfolio(
+                    PortfolioState.currentUser.id,
+                    row.selectedCardId,
+                    this.importPurchasePrice(row),
+                    row.purchaseDate,
+                    row.gradingStatus,
+                    row.missingPrice
+                        ? [row.notes, missingPriceNotes[PortfolioState.importSession.missingPriceChoice]].filter(Boolean).join(' - ')
+                        : row.notes,
+                    row.quantity,
+                    portfolioId,
+                    row.certNumber,
+                    row.variant,
+                    row.gradingCost
+                );
+
+                if (error) {
+                    console.error(`Error importing row ${row.rowNumber}:`, error);
+                    failedRows.push(row.rowNumber);
+                } else {
+                    imported++;
+                }
+
+                confirmButton.textContent = `Importing... ${imported + failedRows.length}/${rows.length}`;
+            }
+
+            if (failedRows.length > 0) {
+                this.showError(`Imported ${imported} rows. Failed rows: ${failedRows.join(', ')}`);
+            } else {
+                this.showSuccess(`Imported ${imported} rows into your portfolio!`);
+            }
+
+            this.hideImportModal();
+            await this.loadPortfolio();
+
+        } catch (error) {
+            console.error('Error importing portfolio:', error);
+            this.showError('Failed to import portfolio');
+            confirmButton.disabled = false;
+        }
+    }
+
+    /**
+     * Portfolio an import row goes into: the one named in its Portfolio column, created if the user
+     * has none by that name, or the import target when the column is blank
+     * @returns {Object} { data: portfolio id, error }
+     */
+    async resolveImportPortfolio(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return { data: this.getTargetPortfolioId(), error: null };
+
+        const existing = PortfolioState.portfolios.find(portfolio =>
+            portfolio.name.trim().toLowerCase() === trimmed.toLowerCase());
+        if (existing) return { data: existing.id, error: null };
+
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.createPortfolio(PortfolioState.currentUser.id, trimmed);
+        if (error) {
+            console.error(`Error creating portfolio "${trimmed}" for import:`, error);
+            return { data: null, error };
+        }
+
+        PortfolioState.portfolios.push(data);
+        return { data: data.id, error: null };
     }
 
     /**
      * Filter Portfolio
      */
     filterPortfolio() {
-        const filter = document.getElementById('portfolioFilter').value;
-        // Implementation would filter PortfolioState.portfolioItems and re-render
+        PortfolioState.portfolioFilter = document.getElementById('portfolioFilter').value;
         this.renderPortfolioTable();
+        this.savePortfolioPreferences();
     }
 
     /**
      * Sort Portfolio
      */
     sortPortfolio() {
-        const sortBy = document.getElementById('portfolioSort').value;
-        // Implementation would sort PortfolioState.portfolioItems and re-render
+        PortfolioState.portfolioSort = document.getElementById('portfolioSort').value;
         this.renderPortfolioTable();
+        this.savePortfolioPreferences();
+    }
+
+    /**
+     * Search Portfolio
+     */
+    searchPortfolio(term) {
+        PortfolioState.portfolioSearch = term;
+        this.renderPortfolioTable();
+    }
+
+    /**
+     * Load the user's saved portfolio view settings
+     */
+    async loadPortfolioPreferences() {
+        if (PortfolioState.preferencesLoaded) return;
+
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getUserPreferences(PortfolioState.currentUser.id);
+        PortfolioState.preferencesLoaded = true;
+
+        // No row yet just means the defaults are still in use
+        if (error || !data) return;
+
+        PortfolioState.portfolioFilter = data.portfolio_filter || PortfolioState.portfolioFilter;
+        PortfolioState.portfolioSort = data.portfolio_sort || PortfolioState.portfolioSort;
+        PortfolioState.costBasisMethod = data.cost_basis_method || PortfolioState.costBasisMethod;
+
+        const filterSelect = document.getElementById('portfolioFilter');
+        const sortSelect = document.getElementById('portfolioSort');
+        if (filterSelect) filterSelect.value = PortfolioState.portfolioFilter;
+        if (sortSelect) sortSelect.value = PortfolioState.portfolioSort;
+    }
+
+    /**
+     * Remember the filter and sort for the user
+     */
+    async savePortfolioPreferences() {
+        if (!window.SupabaseConfig?.DatabaseHelpers || !PortfolioState.currentUser) return;
+
+        const { error } = await window.SupabaseConfig.DatabaseHelpers.updateUserPreferences(PortfolioState.currentUser.id, {
+            portfolio_filter: PortfolioState.portfolioFilter,
+            portfolio_sort: PortfolioState.portfolioSort
+        });
+
+        if (error) {
+            console.error('Error saving portfolio preferences:', error);
+        }
     }
 
     /**
@@ -652,7 +2450,30 @@ class PortfolioManager {
     }
 
     formatGradingStatus(status) {
-        return status.replace('psa-', 'PSA ').replace('bgs-', 'BGS ').replace('ungraded', 'Ungraded');
+        return status
+            .replace('psa-', 'PSA ')
+            .replace('bgs-', 'BGS ')
+            .replace('cgc-', 'CGC ')
+            .replace('sgc-', 'SGC ')
+            .replace('ungraded', 'Ungraded')
+            .replace('sealed', 'Sealed');
+    }
+
+    formatPlatform(platform) {
+        const platforms = {
+            ebay: 'eBay',
+            tcgplayer: 'TCGplayer',
+            cardmarket: 'Cardmarket',
+            facebook: 'Facebook Marketplace',
+            local: 'Local / In Person',
+            other: 'Other'
+        };
+        return platforms[platform] || platform || '';
+    }
+
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
     }
 
     showLoading(containerId) {
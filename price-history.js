@@ -0,0 +1,300 @@
+// TCG Investor Pro - Price History
+// This file turns price_history rows into per-card series and replays holdings against them
+
+// When a card is tracked by several sources, the first one listed wins
+const PRICE_HISTORY_SOURCES = ['pricecharting', 'pokemonpricetracker', 'tcgplayer'];
+
+// Chart ranges in days (null = everything)
+const PRICE_HISTORY_RANGES = {
+    '7d': { label: '7D', days: 7 },
+    '1m': { label: '1M', days: 30 },
+    '3m': { label: '3M', days: 90 },
+    '1y': { label: '1Y', days: 365 },
+    'all': { label: 'All', days: null }
+};
+
+// price_history column holding each grade's price
+const PRICE_HISTORY_COLUMNS = {
+    'ungraded': 'price',
+    'psa-10': 'psa_10_price',
+    'psa-9': 'psa_9_price',
+    'psa-8': 'psa_8_price'
+};
+
+// Market index baskets; eras split on set release dates
+const MARKET_INDEX_BASKETS = {
+    top: { label: 'Top 50', releasedFrom: null, releasedTo: null },
+    wotc: { label: 'WOTC Era', releasedFrom: null, releasedTo: '2003-06-17' },
+    ex: { label: 'EX Era', releasedFrom: '2003-06-18', releasedTo: '2007-05-22' },
+    modern: { label: 'Modern', releasedFrom: '2007-05-23', releasedTo: null }
+};
+
+const PriceHistory = {
+    /**
+     * Index price_history rows by card, keeping one row per day from the preferred source
+     * @param {Array} rows - Rows from price_history (or sealed_price_history)
+     * @returns {Map} Holding key (card_id, or "sealed:<id>") => rows sorted by date
+     */
+    indexByCard(rows, sources = PRICE_HISTORY_SOURCES) {
+        const rank = (source) => {
+            const index = sources.indexOf(source);
+            return index === -1 ? sources.length : index;
+        };
+        const byCard = new Map();
+
+        rows.forEach(row => {
+            const key = window.SealedProducts.holdingKey(row);
+            if (!byCard.has(key)) byCard.set(key, new Map());
+            const byDate = byCard.get(key);
+            const date = this.toDateString(row.date);
+            const existing = byDate.get(date);
+
+            if (!existing || rank(row.source) < rank(existing.source)) {
+                byDate.set(date, { ...row, date });
+            }
+        });
+
+        const index = new Map();
+        byCard.forEach((byDate, cardId) => {
+            index.set(cardId, Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date)));
+        });
+        return index;
+    },
+
+    /**
+     * Price a row for a grading status, falling back to the raw price column
+     */
+    priceForGrade(row, gradingStatus = 'ungraded') {
+        const column = PRICE_HISTORY_COLUMNS[gradingStatus];
+        const price = column && row[column] != null ? row[column] : row.price;
+        return price == null ? null : Number(price);
+    },
+
+    /**
+     * Last known row on or before a date (binary search over a sorted series)
+     */
+    rowOnDate(series, date) {
+        if (!series || series.length === 0 || series[0].date > date) return null;
+
+        let low = 0;
+        let high = series.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (series[mid].date <= date) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return series[low];
+    },
+
+    /**
+     * Replay holdings day by day against price history
+     * @param {Object} options
+     * @param {Array} options.lots - Acquisition lots from CostBasis.reconstructLots()
+     * @param {Array} options.sales - Rows from portfolio_sales
+     * @param {Map} options.history - Output of indexByCard()
+     * @param {Function} options.fallbackPrice - (lot) => price used when a card has no history yet
+     * @param {string} options.startDate - YYYY-MM-DD
+     * @param {string} options.endDate - YYYY-MM-DD
+     * @returns {Array} [{ date, value, cost, profit }]
+     */
+    buildPortfolioTimeline({ lots, sales, history, fallbackPrice, startDate, endDate }) {
+        // Units sold out of each lot, by sale date
+        const disposals = new Map();
+        sales.forEach(sale => {
+            const lotId = sale.portfolio_item_id || `sale-${sale.id}`;
+            if (!disposals.has(lotId)) disposals.set(lotId, []);
+            disposals.get(lotId).push({ date: this.toDateString(sale.sale_date), quantity: sale.quantity || 1 });
+        });
+
+        return this.eachDay(startDate, endDate).map(date => {
+            let value = 0;
+            let cost = 0;
+
+            lots.forEach(lot => {
+                if (lot.acquiredDate > date) return;
+
+                const sold = (disposals.get(lot.id) || [])
+                    .filter(disposal => disposal.date <= date)
+                    .reduce((sum, disposal) => sum + disposal.quantity, 0);
+                const held = lot.quantity - sold;
+                if (held <= 0) return;
+
+                const row = this.rowOnDate(history.get(lot.cardId), date);
+                const price = row ? this.priceForGrade(row, lot.gradingStatus) : null;
+
+                value += (price ?? fallbackPrice(lot)) * held;
+                cost += lot.unitCost * held;
+            });
+
+            return { date, value, cost, profit: value - cost };
+        });
+    },
+
+    /**
+     * Value-weighted index of a card basket, rebased to 100 on the first day.
+     * The basket is fixed to the cards that already have a price on the first day,
+     * so cards entering the history later do not cause jumps.
+     * @param {Map} history - Output of indexByCard()
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Array} [{ date, value }]
+     */
+    buildMarketIndex(history, startDate, endDate) {
+        const basket = Array.from(history.entries())
+            .map(([cardId, series]) => ({ cardId, series, base: this.rowOnDate(series, startDate) }))
+            .filter(constituent => constituent.base && Number(constituent.base.price) > 0);
+
+        if (basket.length === 0) return [];
+
+        const baseValue = basket.reduce((sum, constituent) => sum + Number(constituent.base.price), 0);
+
+        return this.eachDay(startDate, endDate).map(date => {
+            const value = basket.reduce((sum, constituent) => {
+                const row = this.rowOnDate(constituent.series, date);
+                return sum + Number(row.price);
+            }, 0);
+
+            return { date, value: (value / baseValue) * 100 };
+        });
+    },
+
+    /**
+     * Split one card's history into a line per source and grade on a shared date axis.
+     * Each line carries its last known price forward and is null before its first observation.
+     * @param {Array} rows - price_history rows for a single card, any sources
+     * @returns {Array} [{ source, gradingStatus, points: [{ date, value }] }]
+     */
+    buildCardSeries(rows) {
+        const dates = [...new Set(rows.map(row => this.toDateString(row.date)))].sort();
+        const bySource = new Map();
+
+        rows.forEach(row => {
+            if (!bySource.has(row.source)) bySource.set(row.source, []);
+            bySource.get(row.source).push({ ...row, date: this.toDateString(row.date) });
+        });
+
+        const lines = [];
+        bySource.forEach((sourceRows, source) => {
+            sourceRows.sort((a, b) => a.date.localeCompare(b.date));
+
+            Object.entries(PRICE_HISTORY_COLUMNS).forEach(([gradingStatus, column]) => {
+                const graded = sourceRows.filter(row => row[column] != null);
+                if (graded.length === 0) return;
+
+                lines.push({
+                    source,
+                    gradingStatus,
+                    points: dates.map(date => {
+                        const row = this.rowOnDate(graded, date);
+                        return { date, value: row ? Number(row[column]) : null };
+                    })
+                });
+            });
+        });
+
+        return lines;
+    },
+
+    /**
+     * Headline statistics for one card's price series
+     * @param {Array} series - Rows for one card from indexByCard()
+     * @param {string} gradingStatus - Which price column to read
+     * @returns {Object|null} { latest, changes: { 7, 30, 90 }, high, low, volatility }
+     */
+    calculateStats(series, gradingStatus = 'ungraded') {
+        const column = PRICE_HISTORY_COLUMNS[gradingStatus] || 'price';
+        const points = (series || [])
+            .filter(row => row[column] != null && Number(row[column]) > 0)
+            .map(row => ({ date: row.date, price: Number(row[column]) }));
+
+        if (points.length === 0) return null;
+
+        const latest = points[points.length - 1];
+        const changes = {};
+        [7, 30, 90].forEach(days => {
+            const since = new Date(`${latest.date}T00:00:00Z`);
+            since.setUTCDate(since.getUTCDate() - days);
+            const past = this.rowOnDate(points, since.toISOString().split('T')[0]);
+            changes[days] = past ? ((latest.price - past.price) / past.price) * 100 : null;
+        });
+
+        const high = points.reduce((best, point) => (point.price > best.price ? point : best));
+        const low = points.reduce((worst, point) => (point.price < worst.price ? point : worst));
+
+        return {
+            latest,
+            changes,
+            high,
+            low,
+            volatility: this.calculateVolatility(points.slice(-91))
+        };
+    },
+
+    /**
+     * Annualized volatility (%) from the standard deviation of daily log returns
+     */
+    calculateVolatility(points) {
+        const returns = [];
+        for (let i = 1; i < points.length; i++) {
+            const days = (new Date(points[i].date) - new Date(points[i - 1].date)) / (24 * 60 * 60 * 1000);
+            if (days > 0) {
+                // Scale multi-day gaps back to a daily return
+                returns.push(Math.log(points[i].price / points[i - 1].price) / Math.sqrt(days));
+            }
+        }
+
+        if (returns.length < 2) return null;
+
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / (returns.length - 1);
+        return Math.sqrt(variance) * Math.sqrt(365) * 100;
+    },
+
+    /**
+     * First date of a range ending today
+     */
+    rangeStart(rangeKey, earliestDate) {
+        const days = PRICE_HISTORY_RANGES[rangeKey]?.days;
+        if (!days) return earliestDate;
+
+        const start = new Date();
+        start.setDate(start.getDate() - days);
+        const rangeDate = this.toDateString(start.toISOString());
+        return earliestDate && earliestDate > rangeDate ? earliestDate : rangeDate;
+    },
+
+    /**
+     * Every date from start to end inclusive as YYYY-MM-DD
+     */
+    eachDay(startDate, endDate) {
+        const days = [];
+        const cursor = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+
+        while (cursor <= end) {
+            days.push(cursor.toISOString().split('T')[0]);
+            cursor.setUTCDate(cursor.getUTCDate() + 1);
+        }
+        return days;
+    },
+
+    /**
+     * Normalize a date or timestamp to YYYY-MM-DD
+     */
+    toDateString(value) {
+        if (!value) return '';
+        return String(value).split('T')[0];
+    }
+};
+
+// Export for use in other files
+window.PriceHistory = {
+    PRICE_HISTORY_SOURCES,
+    PRICE_HISTORY_RANGES,
+    PRICE_HISTORY_COLUMNS,
+    MARKET_INDEX_BASKETS,
+    ...PriceHistory
+};
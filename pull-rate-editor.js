@@ -0,0 +1,159 @@
+// TCG Investor Pro - Pull Rate Editor
+// This file renders the pull-rate form shared by the Case Cracker and the admin tool.
+// Odds are edited as percentages and read back into the profile shape case-cracker.js uses.
+
+const PULL_RATE_LAYOUTS = {
+    slots: 'Pack slots',
+    godPackSlots: 'God pack slots'
+};
+
+const PullRateEditor = {
+    /**
+     * Fill a container with an editable form for a profile
+     * @param {HTMLElement} container
+     * @param {Object} profile - Pull-rate profile (see PULL_RATE_PROFILES in case-cracker.js)
+     * @param {Object} options
+     * @param {Array} options.rarities - Rarity names offered as suggestions
+     */
+    render(container, profile, { rarities = [] } = {}) {
+        container.pullRateOptions = { rarities };
+        container.pullRateLabel = profile.label;
+        this.enableActions(container);
+
+        const listId = `${container.id || 'pullRate'}Rarities`;
+        const godPackPercent = profile.godPackOdds > 0 ? this.toPercent(profile.godPackOdds) : '';
+
+        container.innerHTML = `
+            <div class="pull-rate-fields">
+                <label>Packs per box
+                    <input type="number" data-field="packsPerBox" min="1" step="1" value="${profile.packsPerBox}">
+                </label>
+                <label>Boxes per case
+                    <input type="number" data-field="boxesPerCase" min="1" step="1" value="${profile.boxesPerCase}">
+                </label>
+                <label>God pack chance (%)
+                    <input type="number" data-field="godPackPercent" min="0" max="100" step="any" placeholder="None" value="${godPackPercent}">
+                </label>
+            </div>
+            ${Object.entries(PULL_RATE_LAYOUTS).map(([layout, title]) => `
+                <div class="pull-rate-layout" data-layout="${layout}" ${layout === 'godPackSlots' && !godPackPercent ? 'hidden' : ''}>
+                    <h5>${title}</h5>
+                    ${(profile[layout] || []).map(slot => this.slotMarkup(slot, listId)).join('')}
+                    <button type="button" class="btn-outline btn-sm" data-action="add-slot">+ Slot</button>
+                </div>
+            `).join('')}
+            <datalist id="${listId}">
+                ${rarities.map(rarity => `<option value="${this.escapeAttr(rarity)}"></option>`).join('')}
+            </datalist>
+        `;
+    },
+
+    slotMarkup(slot, listId) {
+        return `
+            <div class="pull-rate-slot">
+                <div class="pull-rate-row">
+                    <input type="number" data-slot-field="count" min="1" step="1" value="${slot.count}" title="Cards drawn from this slot">
+                    <span>card(s), otherwise</span>
+                    <input type="text" data-slot-field="fill" list="${listId}" value="${this.escapeAttr(slot.fill || '')}" placeholder="Fill rarity">
+                    <button type="button" class="btn-outline btn-sm" data-action="remove-slot" title="Remove slot">×</button>
+                </div>
+                ${Object.entries(slot.odds || {}).map(([rarity, probability]) => this.oddsMarkup(rarity, probability, listId)).join('')}
+                <button type="button" class="btn-outline btn-sm" data-action="add-odds">+ Odds</button>
+            </div>
+        `;
+    },
+
+    oddsMarkup(rarity, probability, listId) {
+        return `
+            <div class="pull-rate-row pull-rate-odds">
+                <input type="text" data-odds-field="rarity" list="${listId}" value="${this.escapeAttr(rarity)}" placeholder="Rarity">
+                <input type="number" data-odds-field="percent" min="0" max="100" step="any" value="${probability === '' ? '' : this.toPercent(probability)}">
+                <span>%</span>
+                <button type="button" class="btn-outline btn-sm" data-action="remove-odds" title="Remove odds">×</button>
+            </div>
+        `;
+    },
+
+    /**
+     * Profile from the form's current values (check it with CaseCracker.validateProfile)
+     */
+    read(container) {
+        const field = (name) => container.querySelector(`[data-field="${name}"]`)?.value ?? '';
+        const godPackPercent = parseFloat(field('godPackPercent'));
+
+        const readSlots = (layout) => [...container.querySelectorAll(`[data-layout="${layout}"] .pull-rate-slot`)].map(slotEl => {
+            const odds = {};
+            slotEl.querySelectorAll('.pull-rate-odds').forEach(row => {
+                const rarity = row.querySelector('[data-odds-field="rarity"]').value.trim();
+                const percent = parseFloat(row.querySelector('[data-odds-field="percent"]').value);
+                if (rarity) odds[rarity] = isNaN(percent) ? 0 : percent / 100;
+            });
+
+            return {
+                count: Number(slotEl.querySelector('[data-slot-field="count"]').value),
+                fill: slotEl.querySelector('[data-slot-field="fill"]').value.trim(),
+                odds
+            };
+        });
+
+        return {
+            label: container.pullRateLabel,
+            packsPerBox: Number(field('packsPerBox')),
+            boxesPerCase: Number(field('boxesPerCase')),
+            godPackOdds: isNaN(godPackPercent) ? 0 : godPackPercent / 100,
+            slots: readSlots('slots'),
+            godPackSlots: readSlots('godPackSlots')
+        };
+    },
+
+    /**
+     * Add/remove buttons and the god pack toggle; safe to call on every render
+     */
+    enableActions(container) {
+        if (container.dataset.pullRateEditor) return;
+        container.dataset.pullRateEditor = 'true';
+
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const listId = `${container.id || 'pullRate'}Rarities`;
+            const slotEl = button.closest('.pull-rate-slot');
+
+            switch (button.dataset.action) {
+                case 'add-slot':
+                    button.insertAdjacentHTML('beforebegin', this.slotMarkup({ count: 1, fill: '', odds: {} }, listId));
+                    break;
+                case 'remove-slot':
+                    slotEl.remove();
+                    break;
+                case 'add-odds':
+                    button.insertAdjacentHTML('beforebegin', this.oddsMarkup('', '', listId));
+                    break;
+                case 'remove-odds':
+                    button.closest('.pull-rate-odds').remove();
+                    break;
+            }
+        });
+
+        container.addEventListener('input', (e) => {
+            if (e.target.dataset.field !== 'godPackPercent') return;
+            const godPack = container.querySelector('[data-layout="godPackSlots"]');
+            if (godPack) godPack.hidden = !(parseFloat(e.target.value) > 0);
+        });
+    },
+
+    toPercent(probability) {
+        return Number((probability * 100).toFixed(4));
+    },
+
+    escapeAttr(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+    }
+};
+
+// Export for use in other files
+window.PullRateEditor = {
+    PULL_RATE_LAYOUTS,
+    ...PullRateEditor
+};
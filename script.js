@@ -7,8 +7,25 @@ const AppState = {
     mockData: null,
     searchResults: [],
     portfolio: [],
-    watchlist: [],
     currentUser: null,
+    currentCardId: null,
+    alerts: {
+        events: [],
+        unreadCount: 0,
+        mutedTypes: []
+    },
+    caseCracker: {
+        products: [],
+        productsLoaded: false,
+        pullRates: [],
+        scenarios: [],
+        baseline: null
+    },
+    marketIndex: {
+        basket: 'top',
+        period: '7d',
+        history: {}
+    },
     isInitialized: false
 };
 
@@ -49,12 +66,20 @@ async function initializeApp() {
         // Set up case cracker
         setupCaseCracker();
         
+        // Set up market index controls
+        setupTrendControls();
+        
         // Set up profile tabs
         setupProfileTabs();
         
         // Set up authentication
         setupAuthentication();
         
+        // Set up price alert inbox and preferences
+        setupAlertInbox();
+        setupAlertPreferences();
+        setupGradingFees();
+        
         // Load data (real or mock)
         if (supabaseConnected) {
             await loadInitialData();
@@ -357,6 +382,7 @@ function createCardHTML(card) {
                 <div class="card-set">${card.set} #${card.number}</div>
                 <div class="card-price">$${card.ungradedPrice.toFixed(2)}</div>
                 <div class="card-roi ${roiClass}">${card.roi > 0 ? '+' : ''}${card.roi.toFixed(1)}% ROI</div>
+                ${window.Charts ? window.Charts.sparklineSvg(card.sparkline) : ''}
             </div>
         </div>
     `;
@@ -431,12 +457,16 @@ function showCardDetail(cardId) {
     const modalCardName = document.getElementById('modalCardName');
     
     modalCardName.textContent = card.name;
+    AppState.currentCardId = card.id;
     
     // Create detailed card view
     modalBody.innerHTML = createCardDetailHTML(card);
     
     modal.classList.add('active');
     document.body.style.overflow = 'hidden';
+    
+    loadCardPriceHistory(card.id);
+    setupGradingDecision(card);
 }
 
 /**
@@ -445,7 +475,7 @@ function showCardDetail(cardId) {
  * @returns {string} HTML string
  */
 function createCardDetailHTML(card) {
-    const gradingCosts = calculateGradingCosts(card.psa10Price);
+    const { GRADERS, GRADE_OUTCOMES, DEFAULT_GRADE_ODDS, SHIPPING_DEFAULTS } = window.Grading;
     
     return `
         <div class="card-detail">
@@ -486,60 +516,327 @@ function createCardDetailHTML(card) {
                 </div>
             </div>
             
-            <div class="profitability-analysis">
-                <h3>Profitability Analysis</h3>
-                <div class="roi-calculator">
-                    <div class="calculation-item">
-                        <span class="calc-label">Purchase Price:</span>
-                        <span class="calc-value">$${card.ungradedPrice.toFixed(2)}</span>
-                    </div>
-                    <div class="calculation-item">
-                        <span class="calc-label">Grading Cost (PSA):</span>
-                        <span class="calc-value">$${gradingCosts.psa.toFixed(2)}</span>
-                    </div>
-                    <div class="calculation-item">
-                        <span class="calc-label">Expected PSA 10 Value:</span>
-                        <span class="calc-value">$${card.psa10Price.toFixed(2)}</span>
+            <div class="price-history-section">
+                <h3>Price History</h3>
+                <canvas id="cardHistoryChart" width="640" height="260"></canvas>
+                <div id="cardHistoryStats" class="price-history-stats">
+                    <p class="text-muted">Loading price history...</p>
+                </div>
+            </div>
+            
+            <div class="profitability-analysis grading-decision" id="gradingDecision">
+                <h3>Grade or Sell Raw</h3>
+                <div class="grading-inputs">
+                    <div class="grading-odds">
+                        <span class="calc-label">Grade odds (%):</span>
+                        ${GRADE_OUTCOMES.map(outcome => `
+                            <label>${outcome.label}
+                                <input type="number" data-grade-odds="${outcome.key}" min="0" max="100" step="any" value="${Number((DEFAULT_GRADE_ODDS[outcome.key] * 100).toFixed(1))}">
+                            </label>
+                        `).join('')}
+                        <button type="button" class="btn-outline btn-sm" id="useGradingHistory">Use my grades</button>
                     </div>
-                    <div class="calculation-item total">
-                        <span class="calc-label">Net Profit:</span>
-                        <span class="calc-value">$${(card.psa10Price - card.ungradedPrice - gradingCosts.psa).toFixed(2)}</span>
+                    <div class="grading-costs">
+                        <label>Shipping to grader ($)
+                            <input type="number" id="gradingShipTo" min="0" step="0.01" value="${SHIPPING_DEFAULTS.shipToGrader}">
+                        </label>
+                        <label>Cards per submission
+                            <input type="number" id="gradingCardsPerSubmission" min="1" step="1" value="${SHIPPING_DEFAULTS.cardsPerSubmission}">
+                        </label>
+                        <label>Insurance (% of value)
+                            <input type="number" id="gradingInsurance" min="0" step="0.1" value="${SHIPPING_DEFAULTS.insuranceRate * 100}">
+                        </label>
+                        <label>Declared value ($)
+                            <input type="number" id="gradingDeclaredValue" min="0" step="0.01" placeholder="Top-grade value">
+                        </label>
                     </div>
-                    <div class="calculation-item total">
-                        <span class="calc-label">ROI:</span>
-                        <span class="calc-value">${card.roi.toFixed(1)}%</span>
+                    <div class="grading-costs">
+                        ${Object.entries(GRADERS).map(([key, grader]) => `
+                            <label>${grader.label} service
+                                <select data-grading-service="${key}">
+                                    <option value="auto">By declared value</option>
+                                    ${window.Grading.servicesFor(key).map(service => `
+                                        <option value="${service.key}">${service.label} ($${service.fee.toFixed(2)})</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                        `).join('')}
                     </div>
+                    <p class="text-muted" id="gradingOddsNote"></p>
                 </div>
+                <div id="gradingResults"></div>
             </div>
             
             <div class="card-actions">
                 <button class="btn-primary" onclick="addToPortfolio('${card.id}')">Add to Portfolio</button>
                 <button class="btn-secondary" onclick="addToWatchlist('${card.id}')">Add to Watchlist</button>
+                <button class="btn-outline" onclick="showAlertConfig('${card.id}')">Set Alert</button>
             </div>
         </div>
     `;
 }
 
 /**
- * Calculate grading costs based on card value
- * @param {number} cardValue - Card value
- * @returns {Object} Grading costs
+ * Load a card's price_history and draw the detail chart and stats
+ * @param {string} cardId - Card ID
  */
-function calculateGradingCosts(cardValue) {
-    let psaCost;
+async function loadCardPriceHistory(cardId) {
+    let rows = [];
     
-    if (cardValue < 199) psaCost = 19;
-    else if (cardValue < 499) psaCost = 30;
-    else if (cardValue < 999) psaCost = 50;
-    else if (cardValue < 2499) psaCost = 75;
-    else if (cardValue < 4999) psaCost = 150;
-    else if (cardValue < 9999) psaCost = 300;
-    else psaCost = 600;
+    if (window.SupabaseConfig?.getSupabaseClient()) {
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getPriceHistory([cardId]);
+        if (error) {
+            console.error('Error loading card price history:', error);
+        } else {
+            rows = data || [];
+        }
+    }
     
-    return {
-        psa: psaCost,
-        gamestop: 19.99
+    // The modal may have been closed or switched to another card meanwhile
+    const canvas = document.getElementById('cardHistoryChart');
+    const statsContainer = document.getElementById('cardHistoryStats');
+    if (!canvas || !statsContainer || AppState.currentCardId !== cardId) return;
+    
+    renderCardHistoryChart(canvas, rows);
+    statsContainer.innerHTML = createCardHistoryStatsHTML(rows, cardId);
+}
+
+/**
+ * Draw one line per grade and source
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Array} rows - price_history rows for the card
+ */
+function renderCardHistoryChart(canvas, rows) {
+    const { CHART_COLORS } = window.Charts;
+    const gradeColors = {
+        'ungraded': CHART_COLORS.primary,
+        'psa-10': CHART_COLORS.success,
+        'psa-9': CHART_COLORS.warning,
+        'psa-8': CHART_COLORS.error
+    };
+    const sourceDashes = [[], [6, 4], [2, 3]];
+    const sources = window.PriceHistory.PRICE_HISTORY_SOURCES;
+    const lines = window.PriceHistory.buildCardSeries(rows);
+    const multipleSources = new Set(lines.map(line => line.source)).size > 1;
+    
+    window.Charts.enableTooltips(canvas);
+    window.Charts.drawLineChart(canvas, {
+        series: lines.map(line => {
+            const sourceIndex = Math.max(0, sources.indexOf(line.source));
+            return {
+                label: multipleSources
+                    ? `${formatGradeLabel(line.gradingStatus)} (${formatSourceLabel(line.source)})`
+                    : formatGradeLabel(line.gradingStatus),
+                color: gradeColors[line.gradingStatus],
+                dash: sourceDashes[sourceIndex % sourceDashes.length],
+                points: line.points
+            };
+        }),
+        formatValue: window.Charts.formatCurrency,
+        formatTooltip: (value) => `$${value.toFixed(2)}`,
+        emptyMessage: 'No price history recorded for this card yet'
+    });
+}
+
+/**
+ * Create the change / high / low / volatility table for a card
+ * @param {Array} rows - price_history rows for the card
+ * @param {string} cardId - Card ID
+ * @returns {string} HTML string
+ */
+function createCardHistoryStatsHTML(rows, cardId) {
+    const series = window.PriceHistory.indexByCard(rows).get(cardId);
+    const stats = Object.keys(window.PriceHistory.PRICE_HISTORY_COLUMNS)
+        .map(gradingStatus => ({ gradingStatus, stats: window.PriceHistory.calculateStats(series, gradingStatus) }))
+        .filter(entry => entry.stats);
+    
+    if (stats.length === 0) {
+        return '<p class="text-muted">Statistics appear once prices have been recorded.</p>';
+    }
+    
+    const formatChange = (change) => {
+        if (change === null) return '<span class="text-muted">—</span>';
+        const changeClass = change > 0 ? 'text-success' : change < 0 ? 'text-error' : '';
+        return `<span class="${changeClass}">${change > 0 ? '+' : ''}${change.toFixed(1)}%</span>`;
     };
+    const formatExtreme = (point) => `
+        $${point.price.toFixed(2)}
+        <span class="stat-date">${window.Charts.formatFullDate(point.date)}</span>
+    `;
+    
+    return `
+        <table class="price-history-table">
+            <thead>
+                <tr>
+                    <th>Grade</th>
+                    <th>Latest</th>
+                    <th>7D</th>
+                    <th>30D</th>
+                    <th>90D</th>
+                    <th>All-Time High</th>
+                    <th>All-Time Low</th>
+                    <th title="Annualized standard deviation of daily returns over the last 90 observations">Volatility</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${stats.map(({ gradingStatus, stats: grade }) => `
+                    <tr>
+                        <td>${formatGradeLabel(gradingStatus)}</td>
+                        <td>$${grade.latest.price.toFixed(2)}</td>
+                        <td>${formatChange(grade.changes[7])}</td>
+                        <td>${formatChange(grade.changes[30])}</td>
+                        <td>${formatChange(grade.changes[90])}</td>
+                        <td>${formatExtreme(grade.high)}</td>
+                        <td>${formatExtreme(grade.low)}</td>
+                        <td>${grade.volatility === null ? '—' : `${grade.volatility.toFixed(1)}%`}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Display label for a grading status
+ * @param {string} gradingStatus - e.g. 'psa-10'
+ * @returns {string} Label
+ */
+function formatGradeLabel(gradingStatus) {
+    return gradingStatus === 'ungraded' ? 'Ungraded' : gradingStatus.toUpperCase().replace('-', ' ');
+}
+
+/**
+ * Display label for a price source
+ * @param {string} source - price_history source
+ * @returns {string} Label
+ */
+function formatSourceLabel(source) {
+    const labels = {
+        pricecharting: 'PriceCharting',
+        pokemonpricetracker: 'PokemonPriceTracker',
+        tcgplayer: 'TCGplayer'
+    };
+    return labels[source] || source;
+}
+
+/**
+ * Escape text for use in HTML markup
+ * @param {*} value - Text such as a card name or alert message
+ * @returns {string} Escaped text
+ */
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+}
+
+/**
+ * Wire up the grade-or-sell-raw tool in the card modal and show its first result
+ * @param {Object} card - Card data
+ */
+function setupGradingDecision(card) {
+    const container = document.getElementById('gradingDecision');
+    if (!container) return;
+
+    container.addEventListener('input', () => renderGradingDecision(card));
+    document.getElementById('useGradingHistory')?.addEventListener('click', () => {
+        // Grades on every lot the user holds or has sold
+        const statuses = typeof PortfolioState === 'undefined' ? []
+            : [...PortfolioState.portfolioItems, ...PortfolioState.sales].map(item => item.grading_status);
+        const history = window.Grading.historicalOdds(statuses);
+        const note = document.getElementById('gradingOddsNote');
+
+        if (!history) {
+            note.textContent = `Add at least ${window.Grading.MIN_HISTORY_SLABS} graded cards to your portfolio to use your own grade history.`;
+            return;
+        }
+
+        container.querySelectorAll('[data-grade-odds]').forEach(input => {
+            input.value = Number((history.odds[input.dataset.gradeOdds] * 100).toFixed(1));
+        });
+        note.textContent = `Odds from the ${history.count} graded cards in your portfolio.`;
+        renderGradingDecision(card);
+    });
+
+    renderGradingDecision(card);
+}
+
+/**
+ * Compare graders against selling raw for the odds and costs in the card modal
+ * @param {Object} card - Card data
+ */
+function renderGradingDecision(card) {
+    const container = document.getElementById('gradingDecision');
+    const resultsEl = document.getElementById('gradingResults');
+    if (!container || !resultsEl) return;
+
+    const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    const odds = {};
+    container.querySelectorAll('[data-grade-odds]').forEach(input => {
+        odds[input.dataset.gradeOdds] = parseFloat(input.value) || 0;
+    });
+    const serviceKeys = {};
+    container.querySelectorAll('[data-grading-service]').forEach(select => {
+        serviceKeys[select.dataset.gradingService] = select.value;
+    });
+
+    if (!(card.ungradedPrice > 0)) {
+        resultsEl.innerHTML = '<p class="text-muted">A raw price is needed to compare grading against selling raw.</p>';
+        return;
+    }
+
+    const { results, best, decision, missingPrices } = window.Grading.recommend({
+        prices: { raw: card.ungradedPrice, psa10: card.psa10Price, psa9: card.psa9Price, psa8: card.psa8Price },
+        odds,
+        costs: {
+            shipToGrader: parseFloat(document.getElementById('gradingShipTo').value) || 0,
+            cardsPerSubmission: parseInt(document.getElementById('gradingCardsPerSubmission').value, 10) || 1,
+            insuranceRate: (parseFloat(document.getElementById('gradingInsurance').value) || 0) / 100,
+            declaredValue: parseFloat(document.getElementById('gradingDeclaredValue').value) || 0,
+            serviceKeys
+        }
+    });
+
+    resultsEl.innerHTML = `
+        <div class="grading-recommendation ${decision === 'grade' ? 'text-success' : 'text-error'}">
+            ${decision === 'grade'
+                ? `Grade with ${best.label}: expected ${formatMoney(best.expectedProfit)} more than selling raw`
+                : `Sell raw: grading is expected to return ${formatMoney(best.expectedProfit)} at best (${best.label})`}
+        </div>
+        ${missingPrices.length > 0 ? `
+            <p class="text-muted">No ${missingPrices.join(', ')} price yet; those grades are valued at the raw price.</p>
+        ` : ''}
+        <table class="grading-table">
+            <thead>
+                <tr>
+                    <th>Grader</th>
+                    <th>Service</th>
+                    <th>Cost / Card</th>
+                    <th>Expected Slab Value</th>
+                    <th>vs. Raw</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${results.map(result => `
+                    <tr>
+                        <td>${result.label}</td>
+                        <td title="Declared at ${formatMoney(result.declaredValue)}">${result.cost.service.label}</td>
+                        <td title="Fee ${formatMoney(result.cost.fee)} + shipping ${formatMoney(result.cost.shipping)} + insurance ${formatMoney(result.cost.insurance)}">${formatMoney(result.cost.total)}</td>
+                        <td>${formatMoney(result.expectedValue)}</td>
+                        <td class="${result.expectedProfit > 0 ? 'text-success' : 'text-error'}">${formatMoney(result.expectedProfit)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="grading-outcomes">
+            ${best.outcomes.map(outcome => `
+                <div class="calculation-item">
+                    <span class="calc-label">${outcome.label} (${(outcome.probability * 100).toFixed(1)}%):</span>
+                    <span class="calc-value">${formatMoney(outcome.value)}</span>
+                </div>
+            `).join('')}
+        </div>
+        <p class="text-muted">Non-PSA slab values are estimated from PSA prices. Raw value is ${formatMoney(card.ungradedPrice)}.</p>
+    `;
 }
 
 /**
@@ -549,6 +846,7 @@ function closeModal() {
     const modal = document.getElementById('cardDetailModal');
     modal.classList.remove('active');
     document.body.style.overflow = '';
+    AppState.currentCardId = null;
 }
 
 /**
@@ -557,71 +855,253 @@ function closeModal() {
 function setupCaseCracker() {
     const calculateBtn = document.getElementById('calculateEV');
     calculateBtn.addEventListener('click', calculateExpectedValue);
+
+    document.getElementById('productSelect')?.addEventListener('change', selectCaseCrackerProduct);
+    document.getElementById('pullRateScenario')?.addEventListener('change', showSelectedPullRates);
+    document.getElementById('savePullRateScenario')?.addEventListener('click', savePullRateScenario);
+    document.getElementById('deletePullRateScenario')?.addEventListener('click', deletePullRateScenario);
+    document.getElementById('resetPullRates')?.addEventListener('click', showSelectedPullRates);
 }
 
 /**
- * Calculate expected value for selected product
+ * Where a product sits for pull-rate lookups
  */
-function calculateExpectedValue() {
-    const product = document.getElementById('productSelect').value;
-    const purchasePrice = parseFloat(document.getElementById('purchasePrice').value);
-    
-    if (!product || !purchasePrice) {
-        alert('Please select a product and enter a purchase price.');
+function caseCrackerScope(product) {
+    return { productId: product.id, setId: product.set_id, series: product.sets?.series };
+}
+
+function getCaseCrackerProduct() {
+    const productId = document.getElementById('productSelect').value;
+    return AppState.caseCracker.products.find(item => item.id === productId) || null;
+}
+
+/**
+ * Fill the product picker with sealed products whose set has known pull rates
+ */
+async function loadCaseCrackerProducts() {
+    const select = document.getElementById('productSelect');
+    if (!select || AppState.caseCracker.productsLoaded) return;
+
+    if (!window.SupabaseConfig?.getSupabaseClient()) {
+        select.innerHTML = '<option value="">Connect to the database to load products</option>';
         return;
     }
-    
-    // Simulate expected value calculation
-    const evData = calculateProductEV(product, purchasePrice);
-    displayEVResults(evData);
+
+    const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getSealedProducts();
+    if (error) {
+        console.error('Error loading case cracker products:', error);
+        select.innerHTML = '<option value="">Could not load products</option>';
+        return;
+    }
+
+    // Without published rows the built-in profiles still cover the common eras
+    const { data: pullRates, error: pullRatesError } = await window.SupabaseConfig.DatabaseHelpers.getPullRates();
+    if (pullRatesError) console.warn('Using built-in pull rates:', pullRatesError);
+    AppState.caseCracker.pullRates = pullRates || [];
+
+    const { CaseCracker } = window;
+    AppState.caseCracker.products = (data || []).filter(product => {
+        const profile = CaseCracker.getPullRates(caseCrackerScope(product), AppState.caseCracker.pullRates);
+        return profile && CaseCracker.productPacks(product, profile);
+    });
+    AppState.caseCracker.productsLoaded = true;
+
+    select.innerHTML = `
+        <option value="">Choose a product...</option>
+        ${AppState.caseCracker.products.map(product => `
+            <option value="${escapeHtml(product.id)}">${escapeHtml(product.name)}</option>
+        `).join('')}
+    `;
 }
 
 /**
- * Calculate expected value for a product
- * @param {string} product - Product ID
- * @param {number} purchasePrice - Purchase price
- * @returns {Object} EV calculation results
+ * Load the user's saved scenarios for the chosen product's set and show its published rates
  */
-function calculateProductEV(product, purchasePrice) {
-    // Mock EV calculations based on product
-    const evData = {
-        product: product,
-        purchasePrice: purchasePrice,
-        expectedValue: 0,
-        breakEven: false,
-        profitLoss: 0,
-        pulls: []
-    };
+async function selectCaseCrackerProduct() {
+    const product = getCaseCrackerProduct();
+    const scenarioSelect = document.getElementById('pullRateScenario');
+    AppState.caseCracker.scenarios = [];
+
+    if (product && AppState.currentUser) {
+        const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getPullRateScenarios(AppState.currentUser.id, product.set_id);
+        if (error) console.error('Error loading pull rate scenarios:', error);
+        AppState.caseCracker.scenarios = data || [];
+    }
+
+    if (scenarioSelect) {
+        scenarioSelect.innerHTML = `
+            <option value="">Published rates</option>
+            ${AppState.caseCracker.scenarios.map(scenario => `
+                <option value="${escapeHtml(scenario.id)}">${escapeHtml(scenario.name)}</option>
+            `).join('')}
+        `;
+    }
+
+    showSelectedPullRates();
+}
+
+/**
+ * Put the published rates or the chosen scenario into the pull-rate editor
+ */
+function showSelectedPullRates() {
+    const product = getCaseCrackerProduct();
+    const editor = document.getElementById('pullRateEditor');
+    const scenarioId = document.getElementById('pullRateScenario')?.value;
+    const scenario = AppState.caseCracker.scenarios.find(item => item.id === scenarioId);
+    const deleteBtn = document.getElementById('deletePullRateScenario');
+    if (deleteBtn) deleteBtn.disabled = !scenario;
+    if (!editor) return;
+
+    if (!product) {
+        editor.innerHTML = '<p class="text-muted">Choose a product to see its pull rates.</p>';
+        AppState.caseCracker.baseline = null;
+        return;
+    }
+
+    const { CaseCracker, PullRateEditor } = window;
+    const profile = scenario
+        ? CaseCracker.fromRow(scenario)
+        : CaseCracker.withProductPacks(product, CaseCracker.getPullRates(caseCrackerScope(product), AppState.caseCracker.pullRates));
+
+    // Every rarity any layout mentions, as suggestions
+    const profiles = [...Object.values(CaseCracker.PULL_RATE_PROFILES), ...AppState.caseCracker.pullRates.map(row => CaseCracker.fromRow(row))];
+    const rarities = new Set();
+    profiles.flatMap(item => [...item.slots, ...(item.godPackSlots || [])]).forEach(slot => {
+        rarities.add(slot.fill);
+        Object.keys(slot.odds || {}).forEach(rarity => rarities.add(rarity));
+    });
+
+    PullRateEditor.render(editor, profile, { rarities: [...rarities].sort() });
+    AppState.caseCracker.baseline = JSON.stringify(PullRateEditor.read(editor));
+}
+
+/**
+ * Pull rates from the editor, labelled as edited when they differ from what was loaded
+ * @returns {Object|null} Profile, or null (after telling the user) when invalid
+ */
+function readCaseCrackerPullRates() {
+    const editor = document.getElementById('pullRateEditor');
+    const profile = window.PullRateEditor.read(editor);
+    const error = window.CaseCracker.validateProfile(profile);
+    if (error) {
+        alert(error);
+        return null;
+    }
+
+    if (JSON.stringify(profile) !== AppState.caseCracker.baseline) {
+        profile.label = `${profile.label} (edited)`;
+    }
+    return profile;
+}
+
+/**
+ * Save the editor's rates as the selected scenario, or as a new named scenario
+ */
+async function savePullRateScenario() {
+    const product = getCaseCrackerProduct();
+    if (!product) return;
+
+    if (!AppState.currentUser || !window.SupabaseConfig?.getSupabaseClient()) {
+        showNotification('Sign in to save pull-rate scenarios', 'error');
+        return;
+    }
+
+    const profile = readCaseCrackerPullRates();
+    if (!profile) return;
+
+    const scenarioId = document.getElementById('pullRateScenario').value || null;
+    const current = AppState.caseCracker.scenarios.find(item => item.id === scenarioId);
+    const name = current ? current.name : prompt('Scenario name:', `My ${product.sets?.name || 'set'} rates`)?.trim();
+    if (!name) return;
+
+    const { data, error } = await window.SupabaseConfig.DatabaseHelpers.savePullRateScenario(AppState.currentUser.id, scenarioId, {
+        ...window.CaseCracker.toRow(profile),
+        name,
+        set_id: product.set_id
+    });
+
+    if (error) {
+        showNotification('Could not save scenario: ' + (error.message || error), 'error');
+        return;
+    }
+
+    showNotification(`Saved scenario "${name}"`, 'success');
+    await selectCaseCrackerProduct();
+    document.getElementById('pullRateScenario').value = data.id;
+    showSelectedPullRates();
+}
+
+async function deletePullRateScenario() {
+    const scenarioId = document.getElementById('pullRateScenario').value;
+    const scenario = AppState.caseCracker.scenarios.find(item => item.id === scenarioId);
+    if (!scenario || !confirm(`Delete the "${scenario.name}" scenario?`)) return;
+
+    const { error } = await window.SupabaseConfig.DatabaseHelpers.deletePullRateScenario(AppState.currentUser.id, scenarioId);
+    if (error) {
+        showNotification('Could not delete scenario: ' + (error.message || error), 'error');
+        return;
+    }
+
+    showNotification(`Deleted scenario "${scenario.name}"`, 'success');
+    await selectCaseCrackerProduct();
+}
+
+/**
+ * Calculate expected value for selected product
+ */
+async function calculateExpectedValue() {
+    const purchasePrice = parseFloat(document.getElementById('caseCrackerPrice').value);
+    const product = getCaseCrackerProduct();
     
-    switch(product) {
-        case 'base-set-box':
-            evData.expectedValue = purchasePrice * 1.2; // 20% profit
-            evData.breakEven = evData.expectedValue >= purchasePrice;
-            evData.profitLoss = evData.expectedValue - purchasePrice;
-            evData.pulls = [
-                { name: 'Charizard (Holo)', probability: 0.1, value: 5000 },
-                { name: 'Blastoise (Holo)', probability: 0.1, value: 800 },
-                { name: 'Venusaur (Holo)', probability: 0.1, value: 600 }
-            ];
-            break;
-        case 'jungle-box':
-            evData.expectedValue = purchasePrice * 0.9; // 10% loss
-            evData.breakEven = evData.expectedValue >= purchasePrice;
-            evData.profitLoss = evData.expectedValue - purchasePrice;
-            break;
-        // Add more cases as needed
+    if (!product) {
+        alert('Please select a product.');
+        return;
     }
+
+    const profile = readCaseCrackerPullRates();
+    if (!profile) return;
     
-    return evData;
+    const resultsContent = document.querySelector('#evResults .results-content');
+    if (resultsContent) resultsContent.innerHTML = '<p>Loading set prices...</p>';
+
+    const { data: cards, error } = await window.SupabaseConfig.DatabaseHelpers.getCards({ setId: product.set_id });
+    if (error || !cards?.length) {
+        console.error('Error loading set cards:', error);
+        if (resultsContent) resultsContent.innerHTML = '<p class="text-error">Could not load the cards in this set.</p>';
+        return;
+    }
+
+    const evData = window.CaseCracker.calculateEV({
+        cards,
+        product,
+        profile,
+        purchasePrice: purchasePrice > 0 ? purchasePrice : null
+    });
+    displayEVResults(evData);
+
+    // Let the EV paint before the simulation blocks the main thread
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const seedInput = document.getElementById('simulationSeed').value;
+    const simulation = window.CaseCracker.simulate({
+        cards,
+        product,
+        profile,
+        purchasePrice: evData.purchasePrice,
+        runs: parseInt(document.getElementById('simulationRuns').value, 10) || window.CaseCracker.SIMULATION_RUNS,
+        seed: seedInput === '' ? window.CaseCracker.randomSeed() : parseInt(seedInput, 10)
+    });
+    displaySimulationResults(simulation);
 }
 
 /**
  * Display expected value results
- * @param {Object} evData - EV calculation data
+ * @param {Object} evData - Result of CaseCracker.calculateEV
  */
 function displayEVResults(evData) {
     const resultsPanel = document.getElementById('evResults');
-    
+    const formatMoney = (value) => `$${value.toFixed(2)}`;
+    const hasPrice = evData.purchasePrice !== null;
     const profitClass = evData.profitLoss > 0 ? 'text-success' : 'text-error';
     
     resultsPanel.innerHTML = `
@@ -629,41 +1109,131 @@ function displayEVResults(evData) {
             <h3>Expected Value Analysis</h3>
         </div>
         <div class="results-content">
+            <p class="text-muted">${escapeHtml(evData.product.name)} · ${evData.packs} pack${evData.packs === 1 ? '' : 's'} · ${escapeHtml(evData.profile.label)} pull rates</p>
             <div class="ev-summary">
                 <div class="ev-item">
-                    <span class="ev-label">Purchase Price:</span>
-                    <span class="ev-value">$${evData.purchasePrice.toFixed(2)}</span>
+                    <span class="ev-label">Expected Value:</span>
+                    <span class="ev-value">${formatMoney(evData.expectedValue)}</span>
                 </div>
+                ${hasPrice ? `
+                    <div class="ev-item">
+                        <span class="ev-label">Purchase Price:</span>
+                        <span class="ev-value">${formatMoney(evData.purchasePrice)}</span>
+                    </div>
+                    <div class="ev-item ${profitClass}">
+                        <span class="ev-label">Profit/Loss:</span>
+                        <span class="ev-value">${formatMoney(evData.profitLoss)}</span>
+                    </div>
+                    <div class="ev-item ${profitClass}">
+                        <span class="ev-label">ROI:</span>
+                        <span class="ev-value">${evData.roi.toFixed(1)}%</span>
+                    </div>
+                    <div class="ev-item">
+                        <span class="ev-label">Break Even:</span>
+                        <span class="ev-value">${evData.breakEven ? '✅ Yes' : '❌ No'}</span>
+                    </div>
+                ` : ''}
+            </div>
+
+            <div class="ev-summary ev-per-unit">
                 <div class="ev-item">
-                    <span class="ev-label">Expected Value:</span>
-                    <span class="ev-value">$${evData.expectedValue.toFixed(2)}</span>
+                    <span class="ev-label">EV per Pack:</span>
+                    <span class="ev-value">${formatMoney(evData.evPerPack)}</span>
                 </div>
-                <div class="ev-item ${profitClass}">
-                    <span class="ev-label">Profit/Loss:</span>
-                    <span class="ev-value">$${evData.profitLoss.toFixed(2)}</span>
+                <div class="ev-item">
+                    <span class="ev-label">EV per Box (${evData.profile.packsPerBox} packs):</span>
+                    <span class="ev-value">${formatMoney(evData.evPerBox)}</span>
                 </div>
                 <div class="ev-item">
-                    <span class="ev-label">Break Even:</span>
-                    <span class="ev-value">${evData.breakEven ? '✅ Yes' : '❌ No'}</span>
+                    <span class="ev-label">EV per Case (${evData.profile.boxesPerCase} boxes):</span>
+                    <span class="ev-value">${formatMoney(evData.evPerCase)}</span>
                 </div>
             </div>
             
-            ${evData.pulls.length > 0 ? `
+            ${evData.topPulls.length > 0 ? `
                 <div class="key-pulls">
-                    <h4>Key Potential Pulls</h4>
+                    <h4>Top Contributing Pulls</h4>
                     <div class="pulls-list">
-                        ${evData.pulls.map(pull => `
+                        <div class="pull-item pull-item-header">
+                            <span class="pull-name">Card</span>
+                            <span class="pull-probability">Chance</span>
+                            <span class="pull-value">Price</span>
+                            <span class="pull-contribution">EV Share</span>
+                        </div>
+                        ${evData.topPulls.map(pull => `
                             <div class="pull-item">
-                                <span class="pull-name">${pull.name}</span>
+                                <span class="pull-name">${pull.name} <span class="text-muted">(${pull.rarity})</span></span>
                                 <span class="pull-probability">${(pull.probability * 100).toFixed(1)}%</span>
-                                <span class="pull-value">$${pull.value.toFixed(2)}</span>
+                                <span class="pull-value">${formatMoney(pull.price)}</span>
+                                <span class="pull-contribution">${formatMoney(pull.contribution)}</span>
                             </div>
                         `).join('')}
                     </div>
                 </div>
             ` : ''}
+
+            <p class="ev-coverage text-muted">
+                Priced ${evData.coverage.priced} of ${evData.coverage.cards} cards; unpriced cards count as $0.
+                Chance is the odds of pulling at least one copy.
+            </p>
+
+            <div class="simulation-results" id="simulationResults">
+                <p class="text-muted">Simulating openings...</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Display the Monte Carlo outcome distribution under the EV results
+ * @param {Object} simulation - Result of CaseCracker.simulate
+ */
+function displaySimulationResults(simulation) {
+    const container = document.getElementById('simulationResults');
+    if (!container) return;
+
+    const formatMoney = (value) => `$${value.toFixed(2)}`;
+    const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+    
+    container.innerHTML = `
+        <h4>Simulated Openings</h4>
+        <p class="text-muted">${simulation.runs.toLocaleString()} openings · seed ${simulation.seed}</p>
+        <div class="ev-summary">
+            <div class="ev-item">
+                <span class="ev-label">Median Outcome:</span>
+                <span class="ev-value">${formatMoney(simulation.median)}</span>
+            </div>
+            <div class="ev-item">
+                <span class="ev-label">5th – 95th Percentile:</span>
+                <span class="ev-value">${formatMoney(simulation.p5)} – ${formatMoney(simulation.p95)}</span>
+            </div>
+            ${simulation.probabilityProfit !== null ? `
+                <div class="ev-item">
+                    <span class="ev-label">Chance of Profit:</span>
+                    <span class="ev-value ${simulation.probabilityProfit >= 0.5 ? 'text-success' : 'text-error'}">${formatPercent(simulation.probabilityProfit)}</span>
+                </div>
+            ` : ''}
+            ${simulation.probabilityChase !== null ? `
+                <div class="ev-item">
+                    <span class="ev-label">At Least One Chase Card:</span>
+                    <span class="ev-value">${formatPercent(simulation.probabilityChase)}</span>
+                </div>
+            ` : ''}
         </div>
+        <canvas id="simulationHistogram" width="480" height="200"></canvas>
+        ${simulation.chaseCards.length > 0 ? `
+            <p class="ev-coverage text-muted">
+                Chase cards: ${simulation.chaseCards.map(card => `${card.name} (${formatMoney(card.price)})`).join(', ')}
+            </p>
+        ` : ''}
     `;
+
+    window.Charts.drawHistogram(document.getElementById('simulationHistogram'), {
+        bins: simulation.histogram,
+        marker: simulation.purchasePrice,
+        markerLabel: 'Price paid',
+        formatValue: (value) => window.Charts.formatCurrency(value)
+    });
 }
 
 /**
@@ -774,6 +1344,8 @@ async function loadDataFromDatabase() {
             stats: await calculateStats(cards)
         };
         
+        await attachSparklines(AppState.mockData.cards);
+        
         console.log('✅ Database data loaded successfully!');
         
     } catch (error) {
@@ -782,6 +1354,30 @@ async function loadDataFromDatabase() {
     }
 }
 
+/**
+ * Attach the last month of ungraded prices to each card for tile sparklines
+ * @param {Array} cards - Cards in AppState format
+ */
+async function attachSparklines(cards) {
+    const { data: rows, error } = await window.SupabaseConfig.DatabaseHelpers.getPriceHistory(
+        cards.map(card => card.id),
+        { since: window.PriceHistory.rangeStart('1m') }
+    );
+    
+    if (error) {
+        // Tiles still render without sparklines
+        console.error('Error loading sparkline history:', error);
+        return;
+    }
+    
+    const history = window.PriceHistory.indexByCard(rows || []);
+    cards.forEach(card => {
+        card.sparkline = (history.get(card.id) || [])
+            .filter(row => row.price != null)
+            .map(row => Number(row.price));
+    });
+}
+
 /**
  * Sync initial data from APIs
  */
@@ -1108,6 +1704,11 @@ function updateAuthUI(isSignedIn) {
         if (window.portfolioManager && !window.portfolioManager.PortfolioState?.isLoaded) {
             window.portfolioManager.initializePortfolio();
         }
+        
+        loadAlertInbox();
+        loadAlertPreferences();
+        loadGradingFees();
+        window.watchlistManager?.initializeWatchlist();
     } else {
         if (signInBtn) {
             signInBtn.textContent = 'Sign In';
@@ -1117,9 +1718,282 @@ function updateAuthUI(isSignedIn) {
             getPremiumBtn.textContent = 'Get Premium';
             getPremiumBtn.onclick = showAuthModal;
         }
+        
+        AppState.alerts = { events: [], unreadCount: 0, mutedTypes: [] };
+        updateAlertBadge();
+        window.Grading?.setFees({});
+        renderGradingFees();
+        window.watchlistManager?.initializeWatchlist();
+    }
+}
+
+/**
+ * Set up the price alert inbox button and modal
+ */
+function setupAlertInbox() {
+    const bell = document.getElementById('alertsBell');
+    const modal = document.getElementById('alertsInboxModal');
+    if (!bell || !modal) return;
+    
+    bell.addEventListener('click', showAlertInbox);
+    document.getElementById('closeAlertsInbox').addEventListener('click', hideAlertInbox);
+    document.getElementById('markAllAlertsRead').addEventListener('click', () => markAlertsRead());
+    
+    modal.addEventListener('click', function(e) {
+        if (e.target === modal) {
+            hideAlertInbox();
+        }
+    });
+}
+
+/**
+ * Load fired alerts for the signed-in user from alert_events
+ */
+async function loadAlertInbox() {
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient()) return;
+    
+    const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getAlertEvents(userId);
+    
+    if (error) {
+        console.error('Error loading price alerts:', error);
+        return;
+    }
+    
+    AppState.alerts.events = data || [];
+    AppState.alerts.unreadCount = AppState.alerts.events.filter(event => !event.read_at).length;
+    updateAlertBadge();
+    renderAlertInbox();
+}
+
+/**
+ * Show the unread count on the bell
+ */
+function updateAlertBadge() {
+    const badge = document.getElementById('alertsBadge');
+    if (!badge) return;
+    
+    badge.textContent = AppState.alerts.unreadCount > 99 ? '99+' : AppState.alerts.unreadCount;
+    badge.hidden = AppState.alerts.unreadCount === 0;
+}
+
+/**
+ * Render the alert inbox list
+ */
+function renderAlertInbox() {
+    const list = document.getElementById('alertsInboxList');
+    if (!list) return;
+    
+    if (AppState.alerts.events.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <p>No price alerts yet. Set an alert price on a watchlist card to get notified.</p>
+            </div>
+        `;
+        return;
+    }
+    
+    list.innerHTML = AppState.alerts.events.map(event => {
+        const cardName = event.cards?.name || event.sealed_products?.name || event.card_id;
+        // Events recorded before messages were stored only carry the threshold
+        const message = event.message || `${cardName} ${event.alert_type === 'above' ? 'rose above' : 'fell below'} ` +
+            `$${parseFloat(event.alert_price).toFixed(2)} (now $${parseFloat(event.triggered_price).toFixed(2)})`;
+        
+        return `
+            <div class="alert-event ${event.read_at ? '' : 'unread'}" onclick="markAlertsRead(['${event.id}'])">
+                <div class="alert-event-message">${escapeHtml(message)}</div>
+                <div class="alert-event-date">${new Date(event.triggered_at).toLocaleString()}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Open the alert inbox, refreshing it first
+ */
+async function showAlertInbox() {
+    if (!AppState.currentUser) {
+        showAuthModal();
+        return;
+    }
+    
+    document.getElementById('alertsInboxModal').classList.add('active');
+    document.body.style.overflow = 'hidden';
+    await loadAlertInbox();
+}
+
+/**
+ * Close the alert inbox
+ */
+function hideAlertInbox() {
+    document.getElementById('alertsInboxModal').classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+/**
+ * Open the alert editor for a card
+ * @param {string} cardId - Card ID
+ */
+function showAlertConfig(cardId) {
+    const card = AppState.mockData.cards.find(c => c.id === cardId);
+    if (!card) return;
+    
+    closeModal();
+    window.watchlistManager.editAlert(cardId, card);
+}
+
+/**
+ * Build the alert type toggles in the profile and save changes as they happen
+ */
+function setupAlertPreferences() {
+    const toggles = document.getElementById('alertTypeToggles');
+    const emailToggle = document.getElementById('notificationEmail');
+    if (!toggles || !emailToggle || !window.AlertTypes) return;
+    
+    toggles.innerHTML = Object.entries(window.AlertTypes.ALERT_TYPES).map(([key, type]) => `
+        <div class="setting-item">
+            <label for="alertTypeToggle-${key}">${type.label}</label>
+            <input type="checkbox" id="alertTypeToggle-${key}" data-alert-type="${key}" checked>
+        </div>
+    `).join('');
+    
+    toggles.addEventListener('change', saveAlertPreferences);
+    emailToggle.addEventListener('change', saveAlertPreferences);
+}
+
+/**
+ * Load email and muted alert type preferences for the signed-in user
+ */
+async function loadAlertPreferences() {
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient()) return;
+    
+    const { data } = await window.SupabaseConfig.DatabaseHelpers.getUserPreferences(userId);
+    
+    AppState.alerts.mutedTypes = data?.muted_alert_types || [];
+    document.getElementById('notificationEmail').checked = data?.notification_email !== false;
+    document.querySelectorAll('#alertTypeToggles [data-alert-type]').forEach(input => {
+        input.checked = !AppState.alerts.mutedTypes.includes(input.dataset.alertType);
+    });
+}
+
+/**
+ * Save email and muted alert type preferences
+ */
+async function saveAlertPreferences() {
+    AppState.alerts.mutedTypes = Array.from(document.querySelectorAll('#alertTypeToggles [data-alert-type]'))
+        .filter(input => !input.checked)
+        .map(input => input.dataset.alertType);
+    
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient()) return;
+    
+    const { error } = await window.SupabaseConfig.DatabaseHelpers.updateUserPreferences(userId, {
+        notification_email: document.getElementById('notificationEmail').checked,
+        muted_alert_types: AppState.alerts.mutedTypes
+    });
+    
+    if (error) {
+        showNotification('Could not save alert preferences: ' + (error.message || error), 'error');
+    }
+}
+
+/**
+ * Save grading fee overrides as they are edited in the profile
+ */
+function setupGradingFees() {
+    const container = document.getElementById('gradingFeeSettings');
+    if (!container || !window.Grading) return;
+    
+    container.addEventListener('change', saveGradingFees);
+    renderGradingFees();
+}
+
+/**
+ * One fee table per grader; the placeholder is the published fee, the value the user's own
+ */
+function renderGradingFees() {
+    const container = document.getElementById('gradingFeeSettings');
+    if (!container || !window.Grading) return;
+    
+    const fees = window.Grading.getFees();
+    container.innerHTML = Object.entries(window.Grading.GRADERS).map(([grader, config]) => `
+        <h4>${config.label}</h4>
+        <div class="alert-settings">
+            ${config.services.map(service => `
+                <div class="setting-item">
+                    <label for="gradingFee-${grader}-${service.key}">${service.label}${service.maxValue ? ` (up to $${service.maxValue.toLocaleString()})` : ''}</label>
+                    <input type="number" id="gradingFee-${grader}-${service.key}" data-grader="${grader}" data-service="${service.key}"
+                        min="0" step="0.01" placeholder="${service.fee.toFixed(2)}" value="${fees[grader]?.[service.key] ?? ''}">
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Load grading fee overrides for the signed-in user
+ */
+async function loadGradingFees() {
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient() || !window.Grading) return;
+    
+    const { data } = await window.SupabaseConfig.DatabaseHelpers.getUserPreferences(userId);
+    
+    window.Grading.setFees(data?.grading_fees || {});
+    renderGradingFees();
+}
+
+/**
+ * Save grading fee overrides; fees left blank use the published price
+ */
+async function saveGradingFees() {
+    const fees = {};
+    document.querySelectorAll('#gradingFeeSettings [data-grader]').forEach(input => {
+        if (input.value === '') return;
+        fees[input.dataset.grader] = fees[input.dataset.grader] || {};
+        fees[input.dataset.grader][input.dataset.service] = parseFloat(input.value);
+    });
+    window.Grading.setFees(fees);
+    
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient()) return;
+    
+    const { error } = await window.SupabaseConfig.DatabaseHelpers.updateUserPreferences(userId, {
+        grading_fees: window.Grading.getFees()
+    });
+    
+    if (error) {
+        showNotification('Could not save grading fees: ' + (error.message || error), 'error');
     }
 }
 
+/**
+ * Mark alerts as read
+ * @param {Array|null} eventIds - Alert event IDs, or null for the whole inbox
+ */
+async function markAlertsRead(eventIds = null) {
+    const userId = AppState.currentUser?.id;
+    if (!userId || !window.SupabaseConfig?.getSupabaseClient()) return;
+    
+    const { error } = await window.SupabaseConfig.DatabaseHelpers.markAlertEventsRead(userId, eventIds);
+    
+    if (error) {
+        showNotification('Could not update alerts: ' + (error.message || error), 'error');
+        return;
+    }
+    
+    const readAt = new Date().toISOString();
+    AppState.alerts.events.forEach(event => {
+        if (!event.read_at && (!eventIds || eventIds.includes(event.id))) {
+            event.read_at = readAt;
+        }
+    });
+    AppState.alerts.unreadCount = AppState.alerts.events.filter(event => !event.read_at).length;
+    updateAlertBadge();
+    renderAlertInbox();
+}
+
 /**
  * Load mock data for the application (fallback)
  */
@@ -1299,44 +2173,97 @@ function renderFeaturedCards() {
 }
 
 /**
- * Render market trends chart (mock implementation)
+ * Set up the market index period buttons and basket selector
  */
-function renderTrendChart() {
-    const canvas = document.getElementById('trendChart');
-    const ctx = canvas.getContext('2d');
+function setupTrendControls() {
+    const periodButtons = document.querySelectorAll('.trend-controls [data-period]');
     
-    // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    periodButtons.forEach(button => {
+        button.addEventListener('click', function() {
+            periodButtons.forEach(other => other.classList.remove('active'));
+            this.classList.add('active');
+            AppState.marketIndex.period = this.dataset.period;
+            renderTrendChart();
+        });
+    });
     
-    // Simple mock chart
-    ctx.strokeStyle = '#6366F1';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
+    document.getElementById('marketIndexBasket')?.addEventListener('change', function() {
+        AppState.marketIndex.basket = this.value;
+        renderTrendChart();
+    });
+}
+
+/**
+ * Load a year of price history for a market index basket
+ * @param {string} basketKey - Key of MARKET_INDEX_BASKETS
+ * @returns {Map|null} Price history indexed by card, or null when unavailable
+ */
+async function loadMarketIndexHistory(basketKey) {
+    if (AppState.marketIndex.history[basketKey]) {
+        return AppState.marketIndex.history[basketKey];
+    }
     
-    const dataPoints = [50, 55, 52, 58, 60, 65, 62, 68, 70, 72];
-    const stepX = canvas.width / (dataPoints.length - 1);
-    const maxValue = Math.max(...dataPoints);
-    const minValue = Math.min(...dataPoints);
-    const range = maxValue - minValue;
+    if (!window.SupabaseConfig?.getSupabaseClient()) return null;
     
-    dataPoints.forEach((value, index) => {
-        const x = index * stepX;
-        const y = canvas.height - ((value - minValue) / range) * (canvas.height - 40) - 20;
-        
-        if (index === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
-        }
+    const basket = window.PriceHistory.MARKET_INDEX_BASKETS[basketKey];
+    const { data: cards, error } = await window.SupabaseConfig.DatabaseHelpers.getMarketBasket({
+        limit: 50,
+        releasedFrom: basket.releasedFrom,
+        releasedTo: basket.releasedTo
     });
     
-    ctx.stroke();
+    if (error || !cards || cards.length === 0) {
+        if (error) console.error('Error loading market basket:', error);
+        return null;
+    }
     
-    // Add labels
-    ctx.fillStyle = '#6B7280';
-    ctx.font = '12px Inter';
-    ctx.textAlign = 'center';
-    ctx.fillText('Market Index', canvas.width / 2, canvas.height - 5);
+    const { data: rows, error: historyError } = await window.SupabaseConfig.DatabaseHelpers.getPriceHistory(
+        cards.map(card => card.card_id),
+        { since: window.PriceHistory.rangeStart('1y') }
+    );
+    
+    if (historyError) {
+        console.error('Error loading market index history:', historyError);
+        return null;
+    }
+    
+    const history = window.PriceHistory.indexByCard(rows || []);
+    AppState.marketIndex.history[basketKey] = history;
+    return history;
+}
+
+/**
+ * Render the market index chart from price_history
+ */
+async function renderTrendChart() {
+    const canvas = document.getElementById('trendChart');
+    if (!canvas || !window.Charts) return;
+    
+    const { basket, period } = AppState.marketIndex;
+    const history = await loadMarketIndexHistory(basket);
+    
+    // The user may have switched basket or period while history was loading
+    if (basket !== AppState.marketIndex.basket || period !== AppState.marketIndex.period) return;
+    
+    const today = new Date().toISOString().split('T')[0];
+    const points = history
+        ? window.PriceHistory.buildMarketIndex(history, window.PriceHistory.rangeStart(period), today)
+        : [];
+    
+    const label = window.PriceHistory.MARKET_INDEX_BASKETS[basket].label;
+    const change = points.length > 0 ? points[points.length - 1].value - 100 : 0;
+    
+    window.Charts.enableTooltips(canvas);
+    window.Charts.drawLineChart(canvas, {
+        series: [{
+            label: points.length > 0 ? `${label} Index (${change >= 0 ? '+' : ''}${change.toFixed(1)}%)` : `${label} Index`,
+            color: window.Charts.CHART_COLORS.primary,
+            points
+        }],
+        formatValue: (value) => value.toFixed(0),
+        formatTooltip: (value) => value.toFixed(2),
+        emptyMessage: 'Market index needs price history - run a pricing sync to start collecting it'
+    });
 }
 
 /**
@@ -1376,18 +2303,7 @@ function renderPortfolio() {
 function renderWatchlist() {
     console.log('👀 Rendering watchlist...');
     
-    const watchlist = AppState.watchlist;
-    const watchlistGrid = document.getElementById('watchlistGrid');
-    
-    if (watchlist.length === 0) {
-        watchlistGrid.innerHTML = `
-            <div class="empty-state">
-                <p>No cards in watchlist yet. Add some cards to start monitoring!</p>
-            </div>
-        `;
-    } else {
-        watchlistGrid.innerHTML = watchlist.map(card => createCardHTML(card)).join('');
-    }
+    window.watchlistManager?.renderWatchlistTable();
 }
 
 /**
@@ -1395,7 +2311,7 @@ function renderWatchlist() {
  */
 function renderCaseCracker() {
     console.log('🎲 Rendering case cracker...');
-    // Case cracker is already set up in setupCaseCracker()
+    loadCaseCrackerProducts();
 }
 
 /**
@@ -1425,7 +2341,7 @@ function addToPortfolio(cardId) {
         ...card,
         purchasePrice: card.ungradedPrice,
         currentValue: card.psa10Price,
-        profit: card.psa10Price - card.ungradedPrice - calculateGradingCosts(card.psa10Price).psa,
+        profit: card.psa10Price - card.ungradedPrice - window.Grading.gradingCost('psa', card.psa10Price).total,
         roi: card.roi,
         addedDate: new Date().toISOString()
     };
@@ -1448,28 +2364,14 @@ function addToPortfolio(cardId) {
  * Add card to watchlist
  * @param {string} cardId - Card ID
  */
-function addToWatchlist(cardId) {
+async function addToWatchlist(cardId) {
     const card = AppState.mockData.cards.find(c => c.id === cardId);
     if (!card) return;
     
-    // Check if already in watchlist
-    if (AppState.watchlist.find(c => c.id === cardId)) {
-        alert('This card is already in your watchlist.');
-        return;
-    }
-    
-    AppState.watchlist.push(card);
-    
-    // Show success message
-    showNotification('Card added to watchlist!', 'success');
-    
     // Close modal if open
     closeModal();
     
-    // Re-render watchlist if currently viewing
-    if (AppState.currentSection === 'watchlist') {
-        renderWatchlist();
-    }
+    await window.watchlistManager.addCard(card);
 }
 
 /**
@@ -1556,5 +2458,7 @@ window.addToPortfolio = addToPortfolio;
 window.addToWatchlist = addToWatchlist;
 window.removeFromPortfolio = removeFromPortfolio;
 window.showSetDetail = showSetDetail;
+window.markAlertsRead = markAlertsRead;
+window.showAlertConfig = showAlertConfig;
 
 console.log('🎉 TCG Investor Pro script loaded successfully!');
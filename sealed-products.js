@@ -0,0 +1,70 @@
+// TCG Investor Pro - Sealed Products
+// This file describes sealed product types and lets sealed items share the card-keyed portfolio and watchlist code
+
+// Lots, sales, watches and history rows carry either card_id or sealed_product_id; holding keys
+// prefix sealed products so they can never collide with a card ID
+const SEALED_KEY_PREFIX = 'sealed:';
+
+// Keys match the product_type CHECK on public.sealed_products
+const SEALED_PRODUCT_TYPES = {
+    booster_box: { label: 'Booster Box' },
+    booster_case: { label: 'Booster Case' },
+    booster_pack: { label: 'Booster Pack' },
+    booster_bundle: { label: 'Booster Bundle' },
+    etb: { label: 'Elite Trainer Box' },
+    etb_case: { label: 'ETB Case' },
+    collection_box: { label: 'Collection Box' },
+    tin: { label: 'Tin' },
+    other: { label: 'Sealed Product' }
+};
+
+const SealedProducts = {
+    /**
+     * Key a row by what it holds: the card ID, or "sealed:<id>" for a sealed product
+     */
+    holdingKey(row) {
+        return row.sealed_product_id ? `${SEALED_KEY_PREFIX}${row.sealed_product_id}` : row.card_id;
+    },
+
+    isSealedKey(key) {
+        return typeof key === 'string' && key.startsWith(SEALED_KEY_PREFIX);
+    },
+
+    /**
+     * Columns to write for a holding key
+     * @returns {Object} { card_id, sealed_product_id } with exactly one set
+     */
+    holdingColumns(key) {
+        return this.isSealedKey(key)
+            ? { card_id: null, sealed_product_id: key.slice(SEALED_KEY_PREFIX.length) }
+            : { card_id: key, sealed_product_id: null };
+    },
+
+    formatType(productType) {
+        return (SEALED_PRODUCT_TYPES[productType] || SEALED_PRODUCT_TYPES.other).label;
+    },
+
+    /**
+     * Shape a sealed_products row (with sealed_pricing_data) like the cards rows the portfolio renders
+     */
+    toCardShape(product) {
+        if (!product) return null;
+
+        return {
+            id: this.holdingKey({ sealed_product_id: product.id }),
+            name: product.name,
+            set_name: product.sets?.name || product.set_name || '',
+            number: this.formatType(product.product_type),
+            image_url: product.image_url,
+            is_sealed: true,
+            pricing_data: (product.sealed_pricing_data || []).map(pricing => ({ ungraded_price: pricing.price }))
+        };
+    }
+};
+
+// Export for use in other files
+window.SealedProducts = {
+    SEALED_KEY_PREFIX,
+    SEALED_PRODUCT_TYPES,
+    ...SealedProducts
+};
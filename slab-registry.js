@@ -0,0 +1,136 @@
+// TCG Investor Pro - Slab Registry
+// This file reads graded lots' certs against the slab registry and flags certs that look wrong.
+// Lookups themselves run in the verify-cert edge function, whose adapter picks the grader API.
+
+// Flags shown next to a cert, most serious first
+const SLAB_FLAGS = {
+    duplicate: { label: 'Duplicate cert', className: 'slab-flag-error' },
+    not_found: { label: 'Cert not found', className: 'slab-flag-error' },
+    grade_mismatch: { label: 'Grade mismatch', className: 'slab-flag-warning' },
+    verified: { label: 'Verified', className: 'slab-flag-verified' },
+    unverified: { label: 'Unverified', className: 'slab-flag-muted' }
+};
+
+const SlabRegistry = {
+    /**
+     * Cert numbers are compared without spaces or a leading '#'
+     */
+    normalizeCert(value) {
+        return String(value ?? '').trim().replace(/^#/, '').replace(/\s+/g, '').toUpperCase();
+    },
+
+    /**
+     * Grader key from a grading status ('bgs-9.5' => 'bgs'), or null for ungraded and sealed lots
+     */
+    graderFromStatus(status) {
+        const [grader, grade] = String(status || '').split('-');
+        return grade !== undefined && window.Grading?.GRADERS[grader] ? grader : null;
+    },
+
+    gradeFromStatus(status) {
+        return this.graderFromStatus(status) ? String(status).split('-').slice(1).join('-') : null;
+    },
+
+    /**
+     * Key for a slab in the registry and duplicate maps
+     */
+    certKey(grader, certNumber) {
+        return `${grader}:${this.normalizeCert(certNumber)}`;
+    },
+
+    lotCertKey(lot) {
+        const grader = lot.grader || this.graderFromStatus(lot.grading_status);
+        return grader && lot.cert_number ? this.certKey(grader, lot.cert_number) : null;
+    },
+
+    /**
+     * Copies of each cert across a set of lots, for when the duplicate_certs function is unavailable
+     * @returns {Map} certKey => { own_copies, other_users }
+     */
+    countCopies(lots) {
+        const copies = new Map();
+        lots.forEach(lot => {
+            const key = this.lotCertKey(lot);
+            if (!key) return;
+            const entry = copies.get(key) || { own_copies: 0, other_users: 0 };
+            entry.own_copies += lot.quantity || 1;
+            copies.set(key, entry);
+        });
+
+        return new Map([...copies].filter(([, entry]) => entry.own_copies > 1));
+    },
+
+    /**
+     * Flags for a lot's cert
+     * @param {Object} lot - Portfolio lot with grading_status and cert_number
+     * @param {Object|null} slab - Its slab_registry row, if it has been looked up
+     * @param {Object|null} duplicate - { own_copies, other_users } when the cert is held more than once
+     * @returns {Array} Keys of SLAB_FLAGS
+     */
+    flagsFor(lot, slab, duplicate) {
+        if (!lot.cert_number) return [];
+
+        const flags = [];
+        if (duplicate) flags.push('duplicate');
+
+        if (!slab) {
+            flags.push('unverified');
+        } else if (slab.status === 'not_found') {
+            flags.push('not_found');
+        } else {
+            const grade = this.gradeFromStatus(lot.grading_status);
+            if (slab.grade && grade && parseFloat(slab.grade) !== parseFloat(grade)) {
+                flags.push('grade_mismatch');
+            }
+            flags.push('verified');
+        }
+
+        return flags;
+    },
+
+    /**
+     * Explanation shown as a flag's tooltip
+     */
+    flagTitle(flag, slab, duplicate) {
+        switch (flag) {
+            case 'duplicate': {
+                const reasons = [];
+                if (duplicate.own_copies > 1) reasons.push(`${duplicate.own_copies} copies in your portfolio`);
+                if (duplicate.other_users > 0) reasons.push(`also held by ${duplicate.other_users} other ${duplicate.other_users === 1 ? 'user' : 'users'}`);
+                return `One cert is one slab: ${reasons.join(', ')}`;
+            }
+            case 'not_found':
+                return 'The grader has no record of this cert number';
+            case 'grade_mismatch':
+                return `The grader's record says ${slab.grade_label || slab.grade}`;
+            case 'verified':
+                return `Checked ${new Date(slab.verified_at).toLocaleDateString()} via ${slab.source}`;
+            default:
+                return 'Not checked against the grader yet';
+        }
+    },
+
+    /**
+     * Label fields in the order they appear on the slab
+     * @returns {Array} [label, value] pairs, skipping blanks
+     */
+    labelFields(slab) {
+        let population = slab.population == null ? null : String(slab.population);
+        if (population && slab.population_higher != null) population += ` (${slab.population_higher} higher)`;
+
+        return [
+            ['Card', [slab.year, slab.set_name, slab.card_name].filter(Boolean).join(' ')],
+            ['Number', slab.card_number ? `#${slab.card_number}` : null],
+            ['Variety', slab.variety],
+            ['Grade', slab.grade_label || slab.grade],
+            ['Population', population],
+            ['Cert', slab.cert_number]
+        ].filter(([, value]) => value);
+    }
+};
+
+// Export for use in other files
+window.SlabRegistry = {
+    SLAB_FLAGS,
+    ...SlabRegistry
+};
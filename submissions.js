@@ -0,0 +1,668 @@
+// TCG Investor Pro - Grading Submissions
+// This file tracks batches of cards sent to graders and writes returned grades and fees back to portfolio lots
+
+// Submission progress, in order; keys match the grading_submissions status check
+const SUBMISSION_STATUSES = {
+    preparing: 'Preparing',
+    sent: 'Sent',
+    at_grader: 'At Grader',
+    graded: 'Graded',
+    returned: 'Returned'
+};
+
+// Grades offered when recording results, best first
+const SUBMISSION_GRADES = ['10', '9.5', '9', '8.5', '8', '7.5', '7', '6.5', '6', '5.5', '5', '4.5', '4', '3.5', '3', '2.5', '2', '1.5', '1'];
+
+// Submission state management
+const SubmissionState = {
+    submissions: [],
+    draft: null,
+    isLoaded: false
+};
+
+// Grading Submission Management Class
+class SubmissionManager {
+    constructor() {
+        this.setupEventListeners();
+
+        // The portfolio may have finished loading before this manager existed
+        if (PortfolioState.isLoaded) this.loadSubmissions();
+    }
+
+    /**
+     * Set up all submission event listeners
+     */
+    setupEventListeners() {
+        document.getElementById('newSubmissionBtn')?.addEventListener('click', () => this.showSubmissionModal());
+
+        // Submission Modal
+        document.getElementById('closeSubmissionModal')?.addEventListener('click', () => this.hideSubmissionModal());
+        document.getElementById('cancelSubmission')?.addEventListener('click', () => this.hideSubmissionModal());
+        document.getElementById('deleteSubmission')?.addEventListener('click', () => this.deleteSubmission());
+        document.getElementById('submissionForm')?.addEventListener('submit', (e) => this.handleSaveSubmission(e));
+        document.getElementById('addSubmissionItem')?.addEventListener('click', () => this.addDraftItem());
+
+        const graderSelect = document.getElementById('submissionGrader');
+        if (graderSelect && window.Grading) {
+            graderSelect.innerHTML = Object.entries(window.Grading.GRADERS)
+                .map(([key, grader]) => `<option value="${key}">${grader.label}</option>`)
+                .join('');
+            graderSelect.addEventListener('change', () => {
+                this.renderServiceOptions();
+                this.repriceDraftItems();
+            });
+        }
+        document.getElementById('submissionService')?.addEventListener('change', () => this.repriceDraftItems());
+
+        const statusSelect = document.getElementById('submissionStatus');
+        if (statusSelect) {
+            statusSelect.innerHTML = Object.entries(SUBMISSION_STATUSES)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+        }
+
+        ['submissionShipping', 'submissionInsurance', 'submissionOtherFees'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => this.renderSubmissionSummary());
+        });
+
+        // Item rows write straight into the draft
+        const items = document.getElementById('submissionItems');
+        items?.addEventListener('input', (e) => this.updateDraftItem(e.target, false));
+        items?.addEventListener('change', (e) => this.updateDraftItem(e.target, true));
+        items?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-remove-item]');
+            if (button) this.removeDraftItem(Number(button.dataset.removeItem));
+        });
+    }
+
+    /**
+     * Load the user's submissions; called whenever the portfolio reloads, since items point at its lots
+     */
+    async loadSubmissions() {
+        try {
+            if (!PortfolioState.currentUser) {
+                SubmissionState.submissions = [];
+                this.renderSubmissionsTable();
+                return;
+            }
+
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getGradingSubmissions(PortfolioState.currentUser.id);
+
+                if (error) {
+                    console.error('Error loading grading submissions:', error);
+                    this.showError('Failed to load grading submissions');
+                    return;
+                }
+
+                SubmissionState.submissions = (data || []).map(submission => ({
+                    ...submission,
+                    items: submission.grading_submission_items || []
+                }));
+            }
+            // Demo mode - submissions live in memory
+
+            SubmissionState.isLoaded = true;
+            this.renderSubmissionsTable();
+        } catch (error) {
+            console.error('Error loading grading submissions:', error);
+            this.showError('Failed to load grading submissions');
+        }
+    }
+
+    /**
+     * Render the submissions table under the sales ledger
+     */
+    renderSubmissionsTable() {
+        const tbody = document.getElementById('submissionsTableBody');
+        if (!tbody) return;
+
+        if (SubmissionState.submissions.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="8">No grading submissions yet.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        const formatDate = (value) => value ? new Date(`${value}T00:00:00`).toLocaleDateString() : '—';
+
+        tbody.innerHTML = SubmissionState.submissions.map(submission => {
+            const graded = submission.items.filter(item => item.grade).length;
+            const service = this.getService(submission.grader, submission.service_level);
+
+            return `
+                <tr>
+                    <td>
+                        <div class="card-details">
+                            <h4>${this.escapeHtml(submission.name)}</h4>
+                            ${submission.notes ? `<p>${this.escapeHtml(submission.notes)}</p>` : ''}
+                        </div>
+                    </td>
+                    <td>${this.graderLabel(submission.grader)}${service ? ` · ${service.label}` : ''}</td>
+                    <td>${submission.items.length} <span class="lot-count">${graded} graded</span></td>
+                    <td>$${this.formatPrice(this.submissionCost(submission))}</td>
+                    <td><span class="submission-status ${submission.status}">${SUBMISSION_STATUSES[submission.status] || submission.status}</span></td>
+                    <td>${formatDate(submission.sent_date)}</td>
+                    <td>${formatDate(submission.received_date)}</td>
+                    <td>
+                        <div class="action-buttons">
+                            <button class="btn-outline btn-sm" onclick="submissionManager.showSubmissionModal('${submission.id}')">Edit</button>
+                            <button class="btn-danger btn-sm" onclick="submissionManager.deleteSubmission('${submission.id}')">Delete</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Open the submission modal for a new or existing submission
+     */
+    showSubmissionModal(submissionId = null) {
+        if (!PortfolioState.currentUser) {
+            portfolioManager.showLoginPrompt();
+            return;
+        }
+
+        const submission = SubmissionState.submissions.find(s => s.id === submissionId);
+
+        // appliedGrade remembers what is already on the lot, so clearing a grade can undo it
+        SubmissionState.draft = submission
+            ? {
+                id: submission.id,
+                items: submission.items.map(item => ({ ...item, appliedGrade: item.grade || null })),
+                removedItems: []
+            }
+            : { id: null, items: [], removedItems: [] };
+
+        const values = submission || { grader: 'psa', status: 'preparing' };
+        const fields = {
+            submissionName: values.name,
+            submissionGrader: values.grader,
+            submissionStatus: values.status,
+            submissionSentDate: values.sent_date,
+            submissionReceivedDate: values.received_date,
+            submissionShipping: values.shipping_cost || 0,
+            submissionInsurance: values.insurance_cost || 0,
+            submissionOtherFees: values.other_fees || 0,
+            submissionNotes: values.notes
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            document.getElementById(id).value = value ?? '';
+        });
+
+        this.renderServiceOptions(values.service_level);
+        document.getElementById('submissionModalTitle').textContent = submission ? 'Edit Submission' : 'New Submission';
+        document.getElementById('deleteSubmission').hidden = !submission;
+
+        this.renderDraftItems();
+        document.getElementById('submissionModal').classList.add('active');
+    }
+
+    /**
+     * Hide Submission Modal
+     */
+    hideSubmissionModal() {
+        document.getElementById('submissionModal').classList.remove('active');
+        SubmissionState.draft = null;
+    }
+
+    /**
+     * Fill the service level picker for the chosen grader
+     */
+    renderServiceOptions(selected = document.getElementById('submissionService').value) {
+        const grader = document.getElementById('submissionGrader').value;
+        const select = document.getElementById('submissionService');
+        const services = window.Grading.servicesFor(grader);
+
+        select.innerHTML = `
+            <option value="">By declared value</option>
+            ${services.map(service => `<option value="${service.key}">${service.label} ($${this.formatPrice(service.fee)})</option>`).join('')}
+        `;
+        select.value = services.some(service => service.key === selected) ? selected : '';
+    }
+
+    /**
+     * Per-card fee for a declared value at the chosen grader and service level
+     */
+    defaultFee(declaredValue) {
+        const grader = document.getElementById('submissionGrader').value;
+        const serviceKey = document.getElementById('submissionService').value || 'auto';
+        return window.Grading.serviceFor(grader, Number(declaredValue) || 0, serviceKey).fee;
+    }
+
+    /**
+     * Reset every card's fee after the grader or service level changes
+     */
+    repriceDraftItems() {
+        if (!SubmissionState.draft) return;
+        SubmissionState.draft.items.forEach(item => {
+            item.grading_fee = this.defaultFee(item.declared_value);
+        });
+        this.renderDraftItems();
+    }
+
+    /**
+     * Render the cards in the submission being edited, plus the picker for adding more
+     */
+    renderDraftItems() {
+        const container = document.getElementById('submissionItems');
+        const draft = SubmissionState.draft;
+        if (!container || !draft) return;
+
+        if (draft.items.length === 0) {
+            container.innerHTML = '<p class="text-muted">No cards in this submission yet.</p>';
+        } else {
+            container.innerHTML = `
+                <table class="submission-items-table">
+                    <thead>
+                        <tr>
+                            <th>Card</th>
+                            <th>Declared Value</th>
+                            <th>Fee</th>
+                            <th>Grade</th>
+                            <th>Cert #</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${draft.items.map((item, index) => `
+                            <tr>
+                                <td>${this.escapeHtml(this.lotLabel(this.getLot(item.portfolio_item_id)))}</td>
+                                <td><input type="number" data-item="${index}" data-field="declared_value" min="0" step="0.01" value="${item.declared_value ?? ''}"></td>
+                                <td><input type="number" data-item="${index}" data-field="grading_fee" min="0" step="0.01" value="${item.grading_fee ?? ''}"></td>
+                                <td>
+                                    <select data-item="${index}" data-field="grade">
+                                        <option value="">Pending</option>
+                                        ${SUBMISSION_GRADES.map(grade => `<option value="${grade}" ${item.grade === grade ? 'selected' : ''}>${grade}</option>`).join('')}
+                                    </select>
+                                </td>
+                                <td><input type="text" data-item="${index}" data-field="cert_number" value="${this.escapeHtml(item.cert_number || '')}" placeholder="Cert #"></td>
+                                <td><button type="button" class="btn-outline btn-sm" data-remove-item="${index}" title="Remove from submission">×</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        }
+
+        const lotSelect = document.getElementById('submissionLotSelect');
+        if (lotSelect) {
+            const eligible = this.getEligibleLots();
+            lotSelect.innerHTML = eligible.length > 0
+                ? eligible.map(({ lot, available }) => `
+                    <option value="${lot.id}">${this.escapeHtml(this.lotLabel(lot))}${(lot.quantity || 1) > 1 ? ` (${available} of ${lot.quantity} available)` : ''}</option>
+                `).join('')
+                : '<option value="">No ungraded cards available</option>';
+            document.getElementById('addSubmissionItem').disabled = eligible.length === 0;
+        }
+
+        this.renderSubmissionSummary();
+    }
+
+    /**
+     * Copy an item field from its input into the draft; a new declared value re-prices the card
+     */
+    updateDraftItem(input, committed) {
+        const item = SubmissionState.draft?.items[Number(input.dataset.item)];
+        const field = input.dataset.field;
+        if (!item || !field) return;
+
+        item[field] = ['declared_value', 'grading_fee'].includes(field)
+            ? parseFloat(input.value) || 0
+            : input.value.trim();
+
+        if (field === 'declared_value' && committed) {
+            item.grading_fee = this.defaultFee(item.declared_value);
+            this.renderDraftItems();
+            return;
+        }
+
+        this.renderSubmissionSummary();
+    }
+
+    /**
+     * Add the lot chosen in the picker to the submission
+     */
+    addDraftItem() {
+        const lot = this.getLot(document.getElementById('submissionLotSelect').value);
+        if (!lot || !SubmissionState.draft) return;
+
+        const declaredValue = portfolioManager.getCurrentPrice(lot);
+        SubmissionState.draft.items.push({
+            id: null,
+            portfolio_item_id: lot.id,
+            declared_value: Number(declaredValue) || 0,
+            grading_fee: this.defaultFee(declaredValue),
+            grade: '',
+            cert_number: '',
+            previous_grading_status: lot.grading_status || 'ungraded',
+            appliedGrade: null
+        });
+        this.renderDraftItems();
+    }
+
+    removeDraftItem(index) {
+        const draft = SubmissionState.draft;
+        const [item] = draft.items.splice(index, 1);
+        if (item?.id) draft.removedItems.push(item);
+        this.renderDraftItems();
+    }
+
+    /**
+     * Fees for the submission being edited
+     */
+    renderSubmissionSummary() {
+        const summary = document.getElementById('submissionSummary');
+        const draft = SubmissionState.draft;
+        if (!summary || !draft) return;
+
+        const submission = { ...this.readSubmissionForm(), items: draft.items };
+        const total = this.submissionCost(submission);
+        const count = draft.items.length;
+
+        summary.innerHTML = `
+            <span>${count} ${count === 1 ? 'card' : 'cards'}</span>
+            <span>Total fees: <strong>$${this.formatPrice(total)}</strong></span>
+            ${count > 0 ? `<span>Added to each card's cost: about $${this.formatPrice(total / count)}</span>` : ''}
+        `;
+    }
+
+    /**
+     * Read the submission form into grading_submissions columns
+     */
+    readSubmissionForm() {
+        const value = (id) => document.getElementById(id).value;
+        return {
+            name: value('submissionName').trim(),
+            grader: value('submissionGrader'),
+            service_level: value('submissionService') || null,
+            status: value('submissionStatus'),
+            sent_date: value('submissionSentDate') || null,
+            received_date: value('submissionReceivedDate') || null,
+            shipping_cost: parseFloat(value('submissionShipping')) || 0,
+            insurance_cost: parseFloat(value('submissionInsurance')) || 0,
+            other_fees: parseFloat(value('submissionOtherFees')) || 0,
+            notes: value('submissionNotes').trim()
+        };
+    }
+
+    /**
+     * Handle Submission Form Submission
+     */
+    async handleSaveSubmission(e) {
+        e.preventDefault();
+
+        const draft = SubmissionState.draft;
+        if (!draft) return;
+
+        const submission = this.readSubmissionForm();
+        if (!submission.name) {
+            this.showError('Please enter a name for the submission');
+            return;
+        }
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const saved = await this.saveToDatabase(draft, submission);
+                if (!saved) return;
+
+                this.showSuccess('Submission saved successfully!');
+                this.hideSubmissionModal();
+                await portfolioManager.loadPortfolio();
+            } else {
+                // Demo mode - update local state
+                this.saveDemoSubmission(draft, submission);
+
+                this.showSuccess('Submission saved successfully!');
+                this.hideSubmissionModal();
+                portfolioManager.renderPortfolioTable();
+                portfolioManager.updatePortfolioStats();
+                this.renderSubmissionsTable();
+            }
+        } catch (error) {
+            console.error('Error saving grading submission:', error);
+            this.showError('Failed to save submission');
+        }
+    }
+
+    /**
+     * Save the submission, its items and the grades and fees they write onto their lots
+     * Everything goes through one save_grading_submission call, so a failure leaves nothing half-saved.
+     * @returns {boolean} Whether everything saved
+     */
+    async saveToDatabase(draft, submission) {
+        // Every card sent shares the fees, including ones whose lot has since been sold
+        const itemCount = draft.items.length;
+
+        const items = draft.items.map(item => {
+            const lot = this.getLot(item.portfolio_item_id);
+            return {
+                id: item.id || null,
+                portfolio_item_id: item.portfolio_item_id,
+                // Only one card of a multi-card lot goes to the grader
+                split: !item.id && Boolean(lot) && (lot.quantity || 1) > 1,
+                declared_value: item.declared_value || 0,
+                grading_fee: item.grading_fee || 0,
+                grade: item.grade || null,
+                cert_number: window.SlabRegistry.normalizeCert(item.cert_number) || null,
+                previous_grading_status: item.previous_grading_status || 'ungraded',
+                // A sold lot already carries its fee share in the sale's cost_basis
+                lot_update: lot ? this.resultUpdate(submission, item, itemCount) : null
+            };
+        });
+
+        const removedItems = draft.removedItems.map(item => ({
+            id: item.id,
+            portfolio_item_id: item.portfolio_item_id,
+            lot_update: this.resultUpdate(submission, { ...item, grade: null }, itemCount)
+        }));
+
+        const { error } = await window.SupabaseConfig.DatabaseHelpers.saveGradingSubmission(
+            PortfolioState.currentUser.id,
+            draft.id,
+            submission,
+            items,
+            removedItems
+        );
+
+        if (error) {
+            console.error('Error saving grading submission:', error);
+            this.showError('Failed to save submission');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Demo-mode version of saveToDatabase
+     */
+    saveDemoSubmission(draft, submission) {
+        const id = draft.id || 'demo-submission-' + Date.now();
+        const record = { ...submission, id };
+        const itemCount = draft.items.length;
+
+        record.items = draft.items.map((item, index) => {
+            let lot = this.getLot(item.portfolio_item_id);
+
+            if (!item.id && lot && (lot.quantity || 1) > 1) {
+                lot.quantity -= 1;
+                lot = { ...lot, id: `demo-${Date.now()}-${index}`, quantity: 1 };
+                PortfolioState.portfolioItems.push(lot);
+            }
+
+            const update = this.resultUpdate(record, item, itemCount);
+            if (lot && update) Object.assign(lot, update);
+
+            const { appliedGrade, ...saved } = item;
+            return {
+                ...saved,
+                id: item.id || `demo-item-${Date.now()}-${index}`,
+                portfolio_item_id: lot ? lot.id : item.portfolio_item_id,
+                grade: item.grade || null
+            };
+        });
+
+        draft.removedItems.forEach(item => {
+            const lot = this.getLot(item.portfolio_item_id);
+            const update = this.resultUpdate(record, { ...item, grade: null }, itemCount);
+            if (lot && update) Object.assign(lot, update);
+        });
+
+        const existing = SubmissionState.submissions.findIndex(s => s.id === id);
+        if (existing >= 0) {
+            SubmissionState.submissions[existing] = record;
+        } else {
+            SubmissionState.submissions.unshift(record);
+        }
+    }
+
+    /**
+     * Lot columns to write for an item: its grade, cert and share of the fees once graded,
+     * or the lot's original grade back when a recorded grade was cleared
+     * @returns {Object|null} Update for user_portfolios, or null when the lot is untouched
+     */
+    resultUpdate(submission, item, itemCount) {
+        if (item.grade) {
+            return {
+                grading_status: `${submission.grader}-${item.grade}`,
+                cert_number: window.SlabRegistry.normalizeCert(item.cert_number) || null,
+                grading_cost: this.itemGradingCost(submission, item, itemCount)
+            };
+        }
+
+        if (item.appliedGrade) {
+            return {
+                grading_status: item.previous_grading_status || 'ungraded',
+                cert_number: null,
+                grading_cost: 0
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * A card's own fee plus an even share of the submission's shipping, insurance and other fees
+     */
+    itemGradingCost(submission, item, itemCount) {
+        const shared = (Number(submission.shipping_cost) || 0)
+            + (Number(submission.insurance_cost) || 0)
+            + (Number(submission.other_fees) || 0);
+        const cost = (Number(item.grading_fee) || 0) + (itemCount > 0 ? shared / itemCount : 0);
+        return Math.round(cost * 100) / 100;
+    }
+
+    /**
+     * Everything a submission costs: per-card fees plus the shared ones
+     */
+    submissionCost(submission) {
+        return submission.items.reduce((sum, item) => sum + (Number(item.grading_fee) || 0), 0)
+            + (Number(submission.shipping_cost) || 0)
+            + (Number(submission.insurance_cost) || 0)
+            + (Number(submission.other_fees) || 0);
+    }
+
+    /**
+     * Delete a submission; grades and fees it already recorded stay on the cards
+     */
+    async deleteSubmission(submissionId = SubmissionState.draft?.id) {
+        if (!submissionId) return;
+        if (!confirm('Delete this submission? Grades and fees already recorded on your cards are kept.')) return;
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.deleteGradingSubmission(
+                    PortfolioState.currentUser.id,
+                    submissionId
+                );
+
+                if (error) {
+                    console.error('Error deleting grading submission:', error);
+                    this.showError('Failed to delete submission');
+                    return;
+                }
+            }
+
+            SubmissionState.submissions = SubmissionState.submissions.filter(s => s.id !== submissionId);
+            this.showSuccess('Submission deleted');
+            this.hideSubmissionModal();
+            this.renderSubmissionsTable();
+        } catch (error) {
+            console.error('Error deleting grading submission:', error);
+            this.showError('Failed to delete submission');
+        }
+    }
+
+    /**
+     * Ungraded single-card lots not already waiting on a grade, with how many copies are left to add
+     */
+    getEligibleLots() {
+        const draft = SubmissionState.draft;
+        const pending = new Set();
+        SubmissionState.submissions
+            .filter(submission => submission.id !== draft?.id)
+            .forEach(submission => submission.items
+                .filter(item => !item.grade)
+                .forEach(item => pending.add(item.portfolio_item_id)));
+
+        return PortfolioState.portfolioItems
+            .filter(lot => !lot.sealed_product_id && lot.grading_status === 'ungraded' && !pending.has(lot.id))
+            .map(lot => ({
+                lot,
+                available: (lot.quantity || 1) - (draft?.items.filter(item => !item.id && item.portfolio_item_id === lot.id).length || 0)
+            }))
+            .filter(({ lot, available }) => available > 0 && !draft?.items.some(item => item.id && item.portfolio_item_id === lot.id));
+    }
+
+    getLot(lotId) {
+        return PortfolioState.portfolioItems.find(lot => lot.id === lotId) || null;
+    }
+
+    lotLabel(lot) {
+        if (!lot) return 'Sold or removed from portfolio';
+        const number = lot.cards?.number ? ` #${lot.cards.number}` : '';
+        return `${lot.cards?.name || 'Unknown Card'} · ${lot.cards?.set_name || ''}${number} · $${this.formatPrice(lot.purchase_price)}`;
+    }
+
+    getService(grader, serviceKey) {
+        return window.Grading?.servicesFor(grader).find(service => service.key === serviceKey) || null;
+    }
+
+    graderLabel(grader) {
+        return window.Grading?.GRADERS[grader]?.label || grader.toUpperCase();
+    }
+
+    /**
+     * Utility Functions
+     */
+    formatPrice(price) {
+        return new Intl.NumberFormat('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(price || 0);
+    }
+
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    showSuccess(message) {
+        window.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        window.showNotification(message, 'error');
+    }
+}
+
+// Initialize Submission Manager when DOM is loaded
+let submissionManager;
+document.addEventListener('DOMContentLoaded', function() {
+    submissionManager = new SubmissionManager();
+    window.submissionManager = submissionManager;
+});
@@ -109,7 +109,7 @@ const DatabaseHelpers = {
                 *,
                 pricing_data(*),
                 sets(name, series)
-            `);
+            `).is('removed_at', null);
             
             // Apply filters
             if (filters.setId) {
@@ -191,7 +191,7 @@ const DatabaseHelpers = {
                 *,
                 pricing_data(*),
                 sets(name, series)
-            `);
+            `).is('removed_at', null);
             
             // Search by name, set, or number
             if (searchTerm) {
@@ -200,9 +200,11 @@ const DatabaseHelpers = {
             
             // Apply additional filters
             if (filters.setId) query = query.eq('set_id', filters.setId);
+            if (filters.setName) query = query.ilike('set_name', `%${filters.setName}%`);
             if (filters.cardType) query = query.eq('card_type', filters.cardType);
             if (filters.rarity) query = query.eq('rarity', filters.rarity);
-            
+            if (filters.limit) query = query.limit(filters.limit);
+
             return await query;
         } catch (error) {
             console.error('Error searching cards:', error);
@@ -210,6 +212,26 @@ const DatabaseHelpers = {
         }
     },
     
+    async getCardsByTcgplayerIds(tcgplayerIds) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('cards')
+                .select(`
+                    *,
+                    pricing_data(*),
+                    sets(name, series)
+                `)
+                .in('tcgplayer_id', tcgplayerIds)
+                .is('removed_at', null);
+        } catch (error) {
+            console.error('Error fetching cards by TCGplayer ID:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
     // Sets operations
     async getSets() {
         const client = getSupabaseClient();
@@ -226,6 +248,168 @@ const DatabaseHelpers = {
         }
     },
     
+    // Sealed product operations
+    async getSealedProducts(filters = {}) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            let query = client.from('sealed_products').select(`
+                *,
+                sealed_pricing_data(*),
+                sets(name, series)
+            `);
+            
+            if (filters.searchTerm) query = query.ilike('name', `%${filters.searchTerm}%`);
+            if (filters.setId) query = query.eq('set_id', filters.setId);
+            if (filters.productType) query = query.eq('product_type', filters.productType);
+            if (filters.tcgplayerIds) query = query.in('tcgplayer_id', filters.tcgplayerIds);
+            if (filters.limit) query = query.limit(filters.limit);
+            
+            return await query.order('name', { ascending: true });
+        } catch (error) {
+            console.error('Error fetching sealed products:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Case Cracker pull rates (published, small enough to load whole)
+    async getPullRates() {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('pull_rates')
+                .select('*');
+        } catch (error) {
+            console.error('Error fetching pull rates:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async getPullRateScenarios(userId, setId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('pull_rate_scenarios')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('set_id', setId)
+                .order('name', { ascending: true });
+        } catch (error) {
+            console.error('Error fetching pull rate scenarios:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Inserts when scenarioId is null, otherwise updates that scenario
+    async savePullRateScenario(userId, scenarioId, scenario) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            const query = scenarioId
+                ? client
+                    .from('pull_rate_scenarios')
+                    .update({ ...scenario, updated_at: new Date().toISOString() })
+                    .eq('user_id', userId)
+                    .eq('id', scenarioId)
+                : client
+                    .from('pull_rate_scenarios')
+                    .insert({ ...scenario, user_id: userId });
+            
+            return await query.select().single();
+        } catch (error) {
+            console.error('Error saving pull rate scenario:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async deletePullRateScenario(userId, scenarioId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('pull_rate_scenarios')
+                .delete()
+                .eq('user_id', userId)
+                .eq('id', scenarioId);
+        } catch (error) {
+            console.error('Error deleting pull rate scenario:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Named portfolio operations
+    async getPortfolios(userId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('portfolios')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+        } catch (error) {
+            console.error('Error fetching portfolios:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async createPortfolio(userId, name) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('portfolios')
+                .insert({ user_id: userId, name })
+                .select()
+                .single();
+        } catch (error) {
+            console.error('Error creating portfolio:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async renamePortfolio(userId, portfolioId, name) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('portfolios')
+                .update({ name, updated_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('id', portfolioId);
+        } catch (error) {
+            console.error('Error renaming portfolio:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Deleting a portfolio deletes its lots; recorded sales stay in the ledger
+    async deletePortfolio(userId, portfolioId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('portfolios')
+                .delete()
+                .eq('user_id', userId)
+                .eq('id', portfolioId);
+        } catch (error) {
+            console.error('Error deleting portfolio:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
     // User portfolio operations
     async getUserPortfolio(userId) {
         const client = getSupabaseClient();
@@ -243,12 +427,34 @@ const DatabaseHelpers = {
                         number,
                         image_url,
                         pricing_data (
+                            source,
                             ungraded_price,
-                            psa_7_price,
                             psa_8_price,
                             psa_9_price,
                             psa_10_price
+                        ),
+                        grade_prices (
+                            source,
+                            grader,
+                            grade,
+                            price
+                        ),
+                        variant_prices (
+                            source,
+                            condition,
+                            edition,
+                            reverse_holo,
+                            language,
+                            price
                         )
+                    ),
+                    sealed_products (
+                        id,
+                        name,
+                        product_type,
+                        image_url,
+                        sets (name),
+                        sealed_pricing_data (price)
                     )
                 `)
                 .eq('user_id', userId)
@@ -259,7 +465,8 @@ const DatabaseHelpers = {
         }
     },
     
-    async addToPortfolio(userId, cardId, purchasePrice, purchaseDate, gradingStatus = 'ungraded', notes = '', quantity = 1) {
+    // cardId is a holding key, so it can also name a sealed product
+    async addToPortfolio(userId, cardId, purchasePrice, purchaseDate, gradingStatus = 'ungraded', notes = '', quantity = 1, portfolioId = null, certNumber = null, variant = {}, gradingCost = 0) {
         const client = getSupabaseClient();
         if (!client) return { data: null, error: 'Client not initialized' };
         
@@ -268,10 +475,14 @@ const DatabaseHelpers = {
                 .from('user_portfolios')
                 .insert({
                     user_id: userId,
-                    card_id: cardId,
+                    portfolio_id: portfolioId,
+                    ...window.SealedProducts.holdingColumns(cardId),
                     purchase_price: purchasePrice,
                     purchase_date: purchaseDate,
                     grading_status: gradingStatus,
+                    cert_number: certNumber,
+                    grading_cost: gradingCost,
+                    ...window.CardVariants.lotColumns(variant, gradingStatus),
                     quantity: quantity,
                     notes: notes
                 });
@@ -311,8 +522,313 @@ const DatabaseHelpers = {
             return { data: null, error: error.message };
         }
     },
+
+    // Price history operations
+    // Takes holding keys, so sealed products ("sealed:<id>") read from sealed_price_history
+    async getPriceHistory(cardIds, filters = {}) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        if (!cardIds || cardIds.length === 0) return { data: [], error: null };
+
+        try {
+            const sealedProductIds = cardIds
+                .filter(key => window.SealedProducts.isSealedKey(key))
+                .map(key => window.SealedProducts.holdingColumns(key).sealed_product_id);
+            const tables = [
+                ['price_history', 'card_id', cardIds.filter(key => !window.SealedProducts.isSealedKey(key))],
+                ['sealed_price_history', 'sealed_product_id', sealedProductIds]
+            ];
+
+            // PostgREST caps each response, so page through until a short page comes back
+            const pageSize = 1000;
+            const rows = [];
+
+            for (const [table, column, ids] of tables) {
+                if (ids.length === 0) continue;
+
+                for (let offset = 0; ; offset += pageSize) {
+                    let query = client
+                        .from(table)
+                        .select('*')
+                        .in(column, ids)
+                        .order('date', { ascending: true })
+                        .range(offset, offset + pageSize - 1);
+
+                    if (filters.since) query = query.gte('date', filters.since);
+                    if (filters.source) query = query.eq('source', filters.source);
+
+                    const { data, error } = await query;
+                    if (error) return { data: null, error };
+
+                    rows.push(...data);
+                    if (data.length < pageSize) break;
+                }
+            }
+
+            return { data: rows, error: null };
+        } catch (error) {
+            console.error('Error fetching price history:', error);
+            return { data: null, error: error.message };
+        }
+    },
+
+    async getMarketBasket(filters = {}) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+
+        try {
+            // Most valuable cards by current ungraded price, optionally limited to a release window
+            let query = client
+                .from('pricing_data')
+                .select('card_id, ungraded_price, cards!inner(id, name, sets!inner(name, series, release_date))')
+                .not('ungraded_price', 'is', null)
+                .order('ungraded_price', { ascending: false })
+                .limit((filters.limit || 50) * 2);
+
+            if (filters.releasedFrom) query = query.gte('cards.sets.release_date', filters.releasedFrom);
+            if (filters.releasedTo) query = query.lte('cards.sets.release_date', filters.releasedTo);
+
+            const { data, error } = await query;
+            if (error) return { data: null, error };
+
+            // A card priced by several sources appears once per source
+            const seen = new Set();
+            const basket = data.filter(row => {
+                if (seen.has(row.card_id)) return false;
+                seen.add(row.card_id);
+                return true;
+            });
+
+            return { data: basket.slice(0, filters.limit || 50), error: null };
+        } catch (error) {
+            console.error('Error fetching market basket:', error);
+            return { data: null, error: error.message };
+        }
+    },
+
+    // Portfolio sales operations
+    async getUserSales(userId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+
+        try {
+            return await client
+                .from('portfolio_sales')
+                .select(`
+                    *,
+                    cards (
+                        id,
+                        name,
+                        set_name,
+                        number,
+                        image_url
+                    ),
+                    sealed_products (
+                        id,
+                        name,
+                        product_type,
+                        image_url,
+                        sets (name)
+                    )
+                `)
+                .eq('user_id', userId)
+                .order('sale_date', { ascending: false });
+        } catch (error) {
+            console.error('Error fetching sales:', error);
+            return { data: null, error: error.message };
+        }
+    },
+
+    async recordSale(userId, portfolioItem, sale) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+
+        try {
+            // record_sale inserts the sale and shrinks or closes the lot in one transaction
+            return await client
+                .rpc('record_sale', {
+                    p_portfolio_item_id: portfolioItem.id,
+                    p_quantity: sale.quantity,
+                    p_sale_price: sale.salePrice,
+                    p_sale_date: sale.saleDate,
+                    p_fees: sale.fees,
+                    p_shipping: sale.shipping,
+                    p_platform: sale.platform,
+                    p_notes: sale.notes
+                })
+                .single();
+        } catch (error) {
+            console.error('Error recording sale:', error);
+            return { data: null, error: error.message };
+        }
+    },
+
+    // Slab registry operations
+    async getSlabs(certNumbers) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        if (!certNumbers || certNumbers.length === 0) return { data: [], error: null };
+        
+        try {
+            return await client
+                .from('slab_registry')
+                .select('*')
+                .in('cert_number', certNumbers);
+        } catch (error) {
+            console.error('Error fetching slabs:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Certs on the signed-in user's lots that are held more than once, by them or anyone else
+    async getDuplicateCerts() {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client.rpc('duplicate_certs');
+        } catch (error) {
+            console.error('Error fetching duplicate certs:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Looks the cert up with the grader (see verify-cert) and returns its slab_registry row
+    async verifyCert(grader, certNumber, refresh = false) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client.functions.invoke('verify-cert', {
+                body: { grader, cert_number: certNumber, refresh }
+            });
+        } catch (error) {
+            console.error('Error verifying cert:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Grading submission operations
+    async getGradingSubmissions(userId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('grading_submissions')
+                .select('*, grading_submission_items (*)')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: false });
+        } catch (error) {
+            console.error('Error fetching grading submissions:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Saves the submission (inserting when submissionId is null) with its items and lot results in one
+    // transaction; see save_grading_submission for the shape of items and removedItems
+    async saveGradingSubmission(userId, submissionId, submission, items = [], removedItems = []) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .rpc('save_grading_submission', {
+                    p_submission_id: submissionId,
+                    p_submission: submission,
+                    p_items: items,
+                    p_removed_items: removedItems
+                })
+                .single();
+        } catch (error) {
+            console.error('Error saving grading submission:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async deleteGradingSubmission(userId, submissionId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('grading_submissions')
+                .delete()
+                .eq('user_id', userId)
+                .eq('id', submissionId);
+        } catch (error) {
+            console.error('Error deleting grading submission:', error);
+            return { data: null, error: error.message };
+        }
+    },
     
-    // User watchlist operations
+    // Named watchlist operations
+    async getWatchlists(userId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('watchlists')
+                .select('*')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+        } catch (error) {
+            console.error('Error fetching watchlists:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async createWatchlist(userId, name) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('watchlists')
+                .insert({ user_id: userId, name })
+                .select()
+                .single();
+        } catch (error) {
+            console.error('Error creating watchlist:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async renameWatchlist(userId, watchlistId, name) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('watchlists')
+                .update({ name, updated_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('id', watchlistId);
+        } catch (error) {
+            console.error('Error renaming watchlist:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // Deleting a watchlist deletes its entries and their alerts
+    async deleteWatchlist(userId, watchlistId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            return await client
+                .from('watchlists')
+                .delete()
+                .eq('user_id', userId)
+                .eq('id', watchlistId);
+        } catch (error) {
+            console.error('Error deleting watchlist:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    // User watchlist operations (entries across all of the user's watchlists)
     async getUserWatchlist(userId) {
         const client = getSupabaseClient();
         if (!client) return { data: null, error: 'Client not initialized' };
@@ -329,7 +845,8 @@ const DatabaseHelpers = {
         }
     },
     
-    async addToWatchlist(userId, cardId, alertPrice = null, alertType = 'price_drop') {
+    // Watchlist helpers take holding keys, so cardId can also name a sealed product
+    async addToWatchlist(userId, watchlistId, cardId, alertPrice = null, alertType = 'below', alertParams = {}) {
         const client = getSupabaseClient();
         if (!client) return { data: null, error: 'Client not initialized' };
         
@@ -338,9 +855,11 @@ const DatabaseHelpers = {
                 .from('user_watchlists')
                 .insert({
                     user_id: userId,
-                    card_id: cardId,
+                    watchlist_id: watchlistId,
+                    ...window.SealedProducts.holdingColumns(cardId),
                     alert_price: alertPrice,
-                    alert_type: alertType
+                    alert_type: alertType,
+                    alert_params: alertParams
                 });
         } catch (error) {
             console.error('Error adding to watchlist:', error);
@@ -348,22 +867,99 @@ const DatabaseHelpers = {
         }
     },
     
-    async removeFromWatchlist(userId, cardId) {
+    // Adds the card to the watchlist if it is not there yet
+    async setWatchlistAlert(userId, watchlistId, cardId, alert) {
         const client = getSupabaseClient();
         if (!client) return { data: null, error: 'Client not initialized' };
         
         try {
+            const columns = window.SealedProducts.holdingColumns(cardId);
+            return await client
+                .from('user_watchlists')
+                .upsert({
+                    user_id: userId,
+                    watchlist_id: watchlistId,
+                    ...columns,
+                    alert_type: alert.alertType,
+                    alert_price: alert.alertPrice ?? null,
+                    alert_params: alert.alertParams || {},
+                    is_active: true,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: columns.sealed_product_id ? 'watchlist_id,sealed_product_id' : 'watchlist_id,card_id' })
+                .select()
+                .single();
+        } catch (error) {
+            console.error('Error setting watchlist alert:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async removeFromWatchlist(userId, watchlistId, cardId) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            const columns = window.SealedProducts.holdingColumns(cardId);
+            const column = columns.sealed_product_id ? 'sealed_product_id' : 'card_id';
             return await client
                 .from('user_watchlists')
                 .delete()
                 .eq('user_id', userId)
-                .eq('card_id', cardId);
+                .eq('watchlist_id', watchlistId)
+                .eq(column, columns[column]);
         } catch (error) {
             console.error('Error removing from watchlist:', error);
             return { data: null, error: error.message };
         }
     },
     
+    // Alert inbox operations
+    async getAlertEvents(userId, filters = {}) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            let query = client
+                .from('alert_events')
+                .select(`
+                    *,
+                    cards(name, images),
+                    sealed_products(name, image_url)
+                `)
+                .eq('user_id', userId)
+                .order('triggered_at', { ascending: false })
+                .limit(filters.limit || 50);
+            
+            if (filters.unreadOnly) query = query.is('read_at', null);
+            
+            return await query;
+        } catch (error) {
+            console.error('Error fetching alert events:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
+    async markAlertEventsRead(userId, eventIds = null) {
+        const client = getSupabaseClient();
+        if (!client) return { data: null, error: 'Client not initialized' };
+        
+        try {
+            let query = client
+                .from('alert_events')
+                .update({ read_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .is('read_at', null);
+            
+            // No ids marks the whole inbox as read
+            if (eventIds) query = query.in('id', eventIds);
+            
+            return await query;
+        } catch (error) {
+            console.error('Error marking alert events read:', error);
+            return { data: null, error: error.message };
+        }
+    },
+    
     // Authentication helpers
     async signUp(email, password) {
         const client = getSupabaseClient();
@@ -452,7 +1048,7 @@ const DatabaseHelpers = {
                 .upsert({
                     user_id: userId,
                     ...preferences
-                });
+                }, { onConflict: 'user_id' });
         } catch (error) {
             console.error('Error updating user preferences:', error);
             return { data: null, error: error.message };
@@ -0,0 +1,18 @@
+// Local stand-in for the graders' cert lookups, for running verify-cert without API access:
+//   deno run --allow-net --allow-read supabase/cert-lookup-stub/server.ts
+//   supabase secrets set CERT_LOOKUP_TRANSPORT=stub CERT_LOOKUP_STUB_URL=http://host.docker.internal:8787
+// Answers GET /<grader>/<cert> from fixtures.json, and 404 for certs it does not know.
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+
+const port = Number(Deno.env.get('PORT') ?? 8787)
+const fixtures = JSON.parse(await Deno.readTextFile(new URL('./fixtures.json', import.meta.url)))
+
+serve((req) => {
+  const [grader, cert] = new URL(req.url).pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  const slab = fixtures[grader]?.[cert]
+
+  console.log(`${req.method} ${grader}/${cert} -> ${slab ? 200 : 404}`)
+  return slab
+    ? new Response(JSON.stringify({ grader, cert_number: cert, ...slab }), { headers: { 'Content-Type': 'application/json' } })
+    : new Response(JSON.stringify({ error: 'Cert not found' }), { status: 404, headers: { 'Content-Type': 'application/json' } })
+}, { port })
@@ -0,0 +1,159 @@
+// Alert condition evaluators; the keys and params mirror ALERT_TYPES in alert-types.js
+
+// Grade => [pricing_data column, price_history column]
+const GRADE_COLUMNS: Record<string, [string, string]> = {
+  'ungraded': ['ungraded_price', 'price'],
+  'psa-10': ['psa_10_price', 'psa_10_price'],
+  'psa-9': ['psa_9_price', 'psa_9_price'],
+  'psa-8': ['psa_8_price', 'psa_8_price'],
+}
+
+export const ALERT_TYPE_KEYS = ['above', 'below', 'percent_change', 'new_high', 'new_low', 'grade_spread']
+
+// Snapshots come from pricing runs that don't happen every day, so a percent change is measured from the
+// latest price on or before the start of its window, as long as it is no more than this many days older
+export const PERCENT_CHANGE_TOLERANCE_DAYS = 14
+
+export interface AlertContext {
+  // Current pricing_data row for the card
+  pricing: Record<string, any>
+  // price_history rows for the card, oldest first, excluding today
+  history: Array<Record<string, any>>
+  today: string
+}
+
+export interface AlertResult {
+  crossed: boolean
+  // Value the condition compared, recorded as the event's triggered_price
+  value: number | null
+  message: string
+}
+
+function toNumber(value: unknown) {
+  return value === null || value === undefined || value === '' ? null : Number(value)
+}
+
+function formatPrice(value: number) {
+  return `$${Number(value).toFixed(2)}`
+}
+
+function gradeLabel(grade: string) {
+  return grade === 'ungraded' ? 'Ungraded' : grade.toUpperCase().replace('-', ' ')
+}
+
+function daysBefore(date: string, days: number) {
+  const day = new Date(`${date}T00:00:00Z`)
+  day.setUTCDate(day.getUTCDate() - days)
+  return day.toISOString().split('T')[0]
+}
+
+function daysBetween(from: string, to: string) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000)
+}
+
+function currentPrice(grade: string, context: AlertContext) {
+  const [column] = GRADE_COLUMNS[grade] ?? GRADE_COLUMNS['ungraded']
+  return toNumber(context.pricing?.[column])
+}
+
+function historyPrices(grade: string, context: AlertContext, since: string | null) {
+  const [, column] = GRADE_COLUMNS[grade] ?? GRADE_COLUMNS['ungraded']
+  return context.history
+    .filter(row => (!since || row.date >= since) && row[column] !== null && row[column] !== undefined)
+    .map(row => ({ date: row.date, price: Number(row[column]) }))
+}
+
+// Longest look-back any watch needs, in days (null = full history)
+export function historyDaysNeeded(watch: any): number | null {
+  const params = watch.alert_params ?? {}
+  if (watch.alert_type === 'percent_change') return Number(params.window_days ?? 7) + PERCENT_CHANGE_TOLERANCE_DAYS
+  if (watch.alert_type === 'new_high' || watch.alert_type === 'new_low') {
+    return params.window === 'all' ? null : Number(params.window ?? 30)
+  }
+  return 0
+}
+
+export function evaluateAlert(watch: any, cardName: string, context: AlertContext): AlertResult {
+  const params = watch.alert_params ?? {}
+  const grade = params.grade ?? 'ungraded'
+  const label = grade === 'ungraded' ? cardName : `${cardName} (${gradeLabel(grade)})`
+  const price = currentPrice(grade, context)
+
+  if (watch.alert_type === 'grade_spread') {
+    const raw = currentPrice('ungraded', context)
+    const graded = currentPrice('psa-10', context)
+    if (!raw || graded === null) return { crossed: false, value: null, message: '' }
+
+    const unit = params.unit ?? 'multiple'
+    const spread = unit === 'multiple' ? graded / raw : graded - raw
+    const threshold = Number(params.spread)
+    const crossed = params.direction === 'below' ? spread <= threshold : spread >= threshold
+    const shown = unit === 'multiple' ? `${spread.toFixed(1)}x` : formatPrice(spread)
+    const target = unit === 'multiple' ? `${threshold}x` : formatPrice(threshold)
+
+    return {
+      crossed,
+      value: graded,
+      message: `${cardName} PSA 10 to raw spread is ${shown} (${params.direction === 'below' ? 'below' : 'above'} ${target})`,
+    }
+  }
+
+  if (price === null) return { crossed: false, value: null, message: '' }
+
+  if (watch.alert_type === 'above' || watch.alert_type === 'below') {
+    const threshold = Number(watch.alert_price)
+    const crossed = watch.alert_type === 'above' ? price >= threshold : price <= threshold
+    return {
+      crossed,
+      value: price,
+      message: `${label} ${watch.alert_type === 'above' ? 'rose above' : 'fell below'} ${formatPrice(threshold)} (now ${formatPrice(price)})`,
+    }
+  }
+
+  if (watch.alert_type === 'percent_change') {
+    const windowDays = Number(params.window_days ?? 7)
+    const past = historyPrices(grade, context, daysBefore(context.today, windowDays + PERCENT_CHANGE_TOLERANCE_DAYS))
+      .filter(point => point.date <= daysBefore(context.today, windowDays))
+      .pop()
+    if (!past || past.price <= 0) return { crossed: false, value: price, message: '' }
+
+    // The starting price may be a few days older than the window when no run priced the card that day
+    const days = daysBetween(past.date, context.today)
+
+    const change = ((price - past.price) / past.price) * 100
+    const percent = Number(params.percent)
+    const direction = params.direction ?? 'either'
+    const crossed = direction === 'up' ? change >= percent
+      : direction === 'down' ? change <= -percent
+      : Math.abs(change) >= percent
+
+    return {
+      crossed,
+      value: price,
+      message: `${label} moved ${change >= 0 ? '+' : ''}${change.toFixed(1)}% in ${days} days (now ${formatPrice(price)})`,
+    }
+  }
+
+  if (watch.alert_type === 'new_high' || watch.alert_type === 'new_low') {
+    const window = params.window ?? 30
+    const since = window === 'all' ? null : daysBefore(context.today, Number(window))
+    const prior = historyPrices(grade, context, since)
+    // A card with no earlier prices would set a "record" on its first day
+    if (prior.length === 0) return { crossed: false, value: price, message: '' }
+
+    const isHigh = watch.alert_type === 'new_high'
+    const record = isHigh
+      ? Math.max(...prior.map(point => point.price))
+      : Math.min(...prior.map(point => point.price))
+    const crossed = isHigh ? price > record : price < record
+    const windowLabel = window === 'all' ? 'all-time' : `${window}-day`
+
+    return {
+      crossed,
+      value: price,
+      message: `${label} hit a new ${windowLabel} ${isHigh ? 'high' : 'low'} of ${formatPrice(price)} (previous ${formatPrice(record)})`,
+    }
+  }
+
+  return { crossed: false, value: null, message: '' }
+}
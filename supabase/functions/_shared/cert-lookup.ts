@@ -0,0 +1,120 @@
+// What a grader's cert lookup says is inside a slab; columns match public.slab_registry
+export interface SlabRecord {
+  grader: string
+  cert_number: string
+  grade: string | null
+  grade_label: string | null
+  card_name: string | null
+  set_name: string | null
+  card_number: string | null
+  year: string | null
+  variety: string | null
+  population: number | null
+  population_higher: number | null
+  label_data: Record<string, unknown>
+}
+
+export interface CertLookup {
+  name: string
+  supports(grader: string): boolean
+  // Resolves to null when the grader has no such cert
+  lookup(grader: string, certNumber: string): Promise<SlabRecord | null>
+}
+
+export const CERT_GRADERS = ['psa', 'bgs', 'cgc', 'sgc']
+
+// Certs are digits, sometimes with dashes; spaces and a leading '#' are common when typed by hand
+export function normalizeCert(value: unknown): string {
+  return String(value ?? '').trim().replace(/^#/, '').replace(/\s+/g, '').toUpperCase()
+}
+
+const toNumber = (value: unknown) => {
+  const number = parseInt(String(value ?? ''), 10)
+  return isNaN(number) ? null : number
+}
+
+const toText = (value: unknown) => {
+  const text = String(value ?? '').trim()
+  return text === '' ? null : text
+}
+
+// PSA's public API; labels read like "GEM MT 10", so the grade is the trailing number
+function createPsaLookup(): CertLookup {
+  const token = Deno.env.get('PSA_API_TOKEN') ?? ''
+  const baseUrl = Deno.env.get('PSA_API_URL') ?? 'https://api.psacard.com/publicapi'
+
+  return {
+    name: 'psa',
+    supports: (grader) => grader === 'psa',
+    async lookup(_grader, certNumber) {
+      const response = await fetch(`${baseUrl}/cert/GetByCertNumber/${encodeURIComponent(certNumber)}`, {
+        headers: { Authorization: `bearer ${token}` },
+      })
+      if (response.status === 404) return null
+      if (!response.ok) throw new Error(`PSA cert lookup failed: ${response.status}`)
+
+      const payload = await response.json()
+      const cert = payload?.PSACert
+      if (!cert || payload?.IsValidRequest === false) return null
+
+      const gradeLabel = toText(cert.CardGrade)
+      return {
+        grader: 'psa',
+        cert_number: certNumber,
+        grade: gradeLabel?.match(/(\d+(?:\.\d+)?)\s*$/)?.[1] ?? null,
+        grade_label: gradeLabel,
+        card_name: toText(cert.Subject),
+        set_name: toText(cert.Brand),
+        card_number: toText(cert.CardNumber),
+        year: toText(cert.Year),
+        variety: toText(cert.Variety),
+        population: toNumber(cert.TotalPopulation),
+        population_higher: toNumber(cert.PopulationHigher),
+        label_data: cert,
+      }
+    },
+  }
+}
+
+// Any server answering GET <CERT_LOOKUP_STUB_URL>/<grader>/<cert> with a SlabRecord, or 404.
+// supabase/cert-lookup-stub serves fixture slabs for every grader this way during local development.
+function createStubLookup(): CertLookup {
+  const baseUrl = (Deno.env.get('CERT_LOOKUP_STUB_URL') ?? 'http://host.docker.internal:8787').replace(/\/$/, '')
+
+  return {
+    name: 'stub',
+    supports: (grader) => CERT_GRADERS.includes(grader),
+    async lookup(grader, certNumber) {
+      const response = await fetch(`${baseUrl}/${grader}/${encodeURIComponent(certNumber)}`)
+      if (response.status === 404) return null
+      if (!response.ok) throw new Error(`Stub cert lookup failed: ${response.status}`)
+
+      const slab = await response.json()
+      return {
+        grader,
+        cert_number: certNumber,
+        grade: toText(slab.grade),
+        grade_label: toText(slab.grade_label),
+        card_name: toText(slab.card_name),
+        set_name: toText(slab.set_name),
+        card_number: toText(slab.card_number),
+        year: toText(slab.year),
+        variety: toText(slab.variety),
+        population: toNumber(slab.population),
+        population_higher: toNumber(slab.population_higher),
+        label_data: slab,
+      }
+    },
+  }
+}
+
+const transports: Record<string, () => CertLookup> = {
+  psa: createPsaLookup,
+  stub: createStubLookup,
+}
+
+// CERT_LOOKUP_TRANSPORT picks the implementation; unknown values fall back to PSA's API
+export function createCertLookup(): CertLookup {
+  const transport = Deno.env.get('CERT_LOOKUP_TRANSPORT') ?? 'psa'
+  return (transports[transport] ?? createPsaLookup)()
+}
@@ -0,0 +1,66 @@
+import { SMTPClient } from 'https://deno.land/x/denomailer@1.6.0/mod.ts'
+
+export interface MailMessage {
+  to: string
+  subject: string
+  text: string
+  html?: string
+}
+
+export interface Mailer {
+  name: string
+  send(message: MailMessage): Promise<void>
+}
+
+// Sends through any SMTP server, including the Inbucket instance that `supabase start` runs locally
+function createSmtpMailer(): Mailer {
+  const from = Deno.env.get('SMTP_FROM') ?? 'TCG Investor Pro <alerts@tcginvestorpro.com>'
+  const username = Deno.env.get('SMTP_USERNAME')
+
+  return {
+    name: 'smtp',
+    async send(message: MailMessage) {
+      const client = new SMTPClient({
+        connection: {
+          hostname: Deno.env.get('SMTP_HOST') ?? 'localhost',
+          port: Number(Deno.env.get('SMTP_PORT') ?? 587),
+          tls: Deno.env.get('SMTP_TLS') === 'true',
+          auth: username ? { username, password: Deno.env.get('SMTP_PASSWORD') ?? '' } : undefined,
+        },
+      })
+
+      try {
+        await client.send({
+          from,
+          to: message.to,
+          subject: message.subject,
+          content: message.text,
+          html: message.html,
+        })
+      } finally {
+        await client.close()
+      }
+    },
+  }
+}
+
+// Stand-in for environments without a mail server: the message only goes to the function logs
+function createLogMailer(): Mailer {
+  return {
+    name: 'log',
+    async send(message: MailMessage) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`)
+    },
+  }
+}
+
+const transports: Record<string, () => Mailer> = {
+  smtp: createSmtpMailer,
+  log: createLogMailer,
+}
+
+// MAIL_TRANSPORT picks the implementation; unknown values fall back to the log mailer
+export function createMailer(): Mailer {
+  const transport = Deno.env.get('MAIL_TRANSPORT') ?? 'log'
+  return (transports[transport] ?? createLogMailer)()
+}
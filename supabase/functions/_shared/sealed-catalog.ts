@@ -0,0 +1,55 @@
+// Matching PriceCharting products to the sealed catalog; product_type keys mirror SEALED_PRODUCT_TYPES in sealed-products.js
+
+// Most specific first, so "Elite Trainer Box Case" is a case rather than an ETB
+const SEALED_NAME_PATTERNS: [RegExp, string][] = [
+  [/booster box case|booster case/, 'booster_case'],
+  [/elite trainer box case|etb case/, 'etb_case'],
+  [/booster box/, 'booster_box'],
+  [/booster bundle/, 'booster_bundle'],
+  [/booster pack/, 'booster_pack'],
+  [/elite trainer box|\betb\b/, 'etb'],
+  [/\btin\b/, 'tin'],
+  [/collection|premium box|\bbox\b/, 'collection_box'],
+]
+
+// Searched per set; cases come back with the booster box and ETB searches
+export const SEALED_SEARCH_TERMS = ['booster box', 'booster pack', 'booster bundle', 'elite trainer box', 'collection', 'tin']
+
+// Lowercase words only, without the "Pokemon" and "Set" PriceCharting adds to its console names
+export function normalizeName(value: string): string {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(pokemon|set)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+// Sealed product type for a product name, or null for singles and anything else that is not sealed
+export function sealedTypeFromName(name: string): string | null {
+  const text = String(name ?? '').toLowerCase()
+  if (text.includes('#')) return null
+
+  return SEALED_NAME_PATTERNS.find(([pattern]) => pattern.test(text))?.[1] ?? null
+}
+
+// Whether a PriceCharting console (e.g. "Pokemon Base Set") is the catalog set (e.g. "Base")
+export function consoleMatchesSet(consoleName: string, setName: string): boolean {
+  const normalized = normalizeName(setName)
+  return normalized !== '' && normalizeName(consoleName) === normalized
+}
+
+// Whether a PriceCharting product is this sealed product: same set, same product type
+export function productMatches(
+  priceData: Record<string, unknown>,
+  product: { product_type: string, set_name: string | null }
+): boolean {
+  return sealedTypeFromName(String(priceData['product-name'] ?? '')) === product.product_type &&
+    (!product.set_name || consoleMatchesSet(String(priceData['console-name'] ?? ''), product.set_name))
+}
+
+// Catalog ID for a set's product, e.g. base1 + "Booster Box" => base1-booster-box
+export function sealedProductId(setId: string, productName: string): string {
+  return `${setId}-${normalizeName(productName).replace(/ /g, '-')}`
+}
@@ -0,0 +1,157 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// PokemonPriceTracker answers with either a bare array or { history: [...] } / { data: [...] }
+function parseHistory(payload: any) {
+  const points = Array.isArray(payload) ? payload : (payload?.history ?? payload?.data ?? [])
+  const toPrice = (value: unknown) => {
+    const price = parseFloat(String(value ?? '').replace(/[$,\s]/g, ''))
+    return isNaN(price) ? null : price
+  }
+
+  return points
+    .map((point: any) => ({
+      date: String(point.date ?? point.timestamp ?? '').split('T')[0],
+      price: toPrice(point.price ?? point.market_price ?? point.ungraded),
+      psa_10_price: toPrice(point.psa10 ?? point.psa_10_price),
+      psa_9_price: toPrice(point.psa9 ?? point.psa_9_price),
+      psa_8_price: toPrice(point.psa8 ?? point.psa_8_price),
+    }))
+    .filter((point: any) => /^\d{4}-\d{2}-\d{2}$/.test(point.date) && point.price !== null)
+}
+
+// Look a card up by its TCGplayer id when it has one; a name search alone can land on another printing
+// (a reprint or a different number in the same set), so the fallback also carries the card number
+function historyQuery(card: any) {
+  if (card.tcgplayer_id) {
+    return `tcgPlayerId=${encodeURIComponent(card.tcgplayer_id)}`
+  }
+
+  const searchTerm = [card.name, card.number, card.sets?.name].filter(Boolean).join(' ')
+  return `card=${encodeURIComponent(searchTerm)}`
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Initialize Supabase client
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      {
+        global: {
+          headers: { Authorization: req.headers.get('Authorization')! },
+        },
+      }
+    )
+
+    const { offset = 0, limit = 25, days = 365 } = await req.json().catch(() => ({}))
+
+    const { data: apiKey, error: apiKeyError } = await supabaseClient
+      .from('user_api_keys')
+      .select('api_key')
+      .eq('service', 'pokemonpricetracker')
+      .eq('is_active', true)
+      .single()
+
+    if (apiKeyError || !apiKey) {
+      return new Response(
+        JSON.stringify({ error: 'PokemonPriceTracker API key not found' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    const { data: cards, error: cardsError } = await supabaseClient
+      .from('cards')
+      .select('id, name, number, tcgplayer_id, sets(name)')
+      .is('removed_at', null)
+      .order('id')
+      .range(offset, offset + limit - 1)
+
+    if (cardsError) {
+      throw cardsError
+    }
+
+    console.log(`Backfilling ${days} days of price history for ${cards.length} cards`)
+
+    let historyInserted = 0
+
+    for (const card of cards) {
+      try {
+        const response = await fetch(
+          `https://api.pokemonpricetracker.com/prices/history?${historyQuery(card)}&days=${days}`,
+          {
+            headers: {
+              'Authorization': `Bearer ${apiKey.api_key}`,
+              'Accept': 'application/json'
+            }
+          }
+        )
+
+        if (response.ok) {
+          const rows = parseHistory(await response.json()).map((point: any) => ({
+            card_id: card.id,
+            source: 'pokemonpricetracker',
+            ...point
+          }))
+
+          if (rows.length > 0) {
+            // Never overwrite snapshots that were taken live
+            const { error: historyError } = await supabaseClient
+              .from('price_history')
+              .upsert(rows, { onConflict: 'card_id,source,date', ignoreDuplicates: true })
+
+            if (historyError) {
+              console.error(`Error inserting history for card ${card.id}:`, historyError)
+            } else {
+              historyInserted += rows.length
+            }
+          }
+        }
+
+        // Add a small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100))
+
+      } catch (error) {
+        console.error(`Error backfilling history for card ${card.id}:`, error)
+        continue
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        cards_processed: cards.length,
+        history_inserted: historyInserted,
+        next_offset: cards.length < limit ? null : offset + limit,
+        message: 'Price history backfilled successfully'
+      }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('Error backfilling price history:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,343 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { createMailer } from '../_shared/mailer.ts'
+import { evaluateAlert, historyDaysNeeded } from '../_shared/alert-conditions.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// Same source the watchlist_with_pricing view compares against
+const ALERT_PRICE_SOURCE = 'pricecharting'
+
+// Keeps .in() filters well under PostgREST's URL length limit
+const CHUNK_SIZE = 200
+
+function chunk<T>(items: T[], size = CHUNK_SIZE): T[][] {
+  const chunks = []
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size))
+  }
+  return chunks
+}
+
+// Watches, prices and history are keyed by card ID, or "sealed:<id>" for sealed products
+// (the same holding keys sealed-products.js uses in the browser)
+function holdingKey(row: any): string {
+  return row.sealed_product_id ? `sealed:${row.sealed_product_id}` : row.card_id
+}
+
+// Card names come from the catalog and end up in alert email markup
+function escapeHtml(value: string): string {
+  const entities: Record<string, string> = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+  return String(value ?? '').replace(/[&<>"']/g, (char) => entities[char])
+}
+
+// Every row matching a query, fetched a page at a time
+async function fetchAll(buildQuery: (from: number, to: number) => any) {
+  const rows = []
+  const pageSize = 1000
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await buildQuery(offset, offset + pageSize - 1)
+    if (error) throw error
+
+    rows.push(...data)
+    if (data.length < pageSize) break
+  }
+  return rows
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Alerts span every user's watchlist, so this function reads with the service role
+    const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      serviceRoleKey
+    )
+
+    // Service-role callers (populate-pricing, cron) evaluate everyone; a signed-in user only their own alerts
+    const token = (req.headers.get('Authorization') ?? '').replace(/^Bearer\s+/i, '')
+    let callerId: string | null = null
+    if (!serviceRoleKey || token !== serviceRoleKey) {
+      const { data: { user } } = token
+        ? await supabaseClient.auth.getUser(token)
+        : { data: { user: null } }
+
+      if (!user) {
+        return new Response(
+          JSON.stringify({ error: 'Not authorized to evaluate alerts' }),
+          {
+            status: 401,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        )
+      }
+      callerId = user.id
+    }
+
+    // card_ids / sealed_product_ids limit evaluation to what a pricing refresh just touched
+    const {
+      card_ids: cardIds = null,
+      sealed_product_ids: sealedProductIds = null
+    } = await req.json().catch(() => ({}))
+
+    const watchQuery = (from: number, to: number) => {
+      const query = supabaseClient
+        .from('user_watchlists')
+        .select('id, user_id, card_id, sealed_product_id, alert_price, alert_type, alert_params, alert_armed, cards(name), sealed_products(name)')
+        .eq('is_active', true)
+        .order('id')
+        .range(from, to)
+
+      return callerId ? query.eq('user_id', callerId) : query
+    }
+
+    const allWatchlists = []
+    if (cardIds === null && sealedProductIds === null) {
+      allWatchlists.push(...await fetchAll(watchQuery))
+    } else {
+      for (const ids of chunk(cardIds ?? [])) {
+        allWatchlists.push(...await fetchAll((from, to) => watchQuery(from, to).in('card_id', ids)))
+      }
+      for (const ids of chunk(sealedProductIds ?? [])) {
+        allWatchlists.push(...await fetchAll((from, to) => watchQuery(from, to).in('sealed_product_id', ids)))
+      }
+    }
+
+    // Users can switch whole alert types off from their profile
+    const preferences = new Map()
+    for (const ids of chunk([...new Set(allWatchlists.map((watch: any) => watch.user_id))])) {
+      const { data, error } = await supabaseClient
+        .from('user_preferences')
+        .select('user_id, notification_email, muted_alert_types')
+        .in('user_id', ids)
+
+      if (error) throw error
+      data.forEach((preference: any) => preferences.set(preference.user_id, preference))
+    }
+
+    const watchlists = allWatchlists.filter((watch: any) => {
+      const muted = preferences.get(watch.user_id)?.muted_alert_types ?? []
+      const needsPrice = watch.alert_type === 'above' || watch.alert_type === 'below'
+      return !muted.includes(watch.alert_type) && (!needsPrice || watch.alert_price !== null)
+    })
+
+    const uniqueIds = (items: any[], column: string) =>
+      [...new Set(items.map((item: any) => item[column]).filter(Boolean))]
+
+    const pricing = new Map()
+    for (const ids of chunk(uniqueIds(watchlists, 'card_id'))) {
+      const { data, error } = await supabaseClient
+        .from('pricing_data')
+        .select('card_id, ungraded_price, psa_10_price, psa_9_price, psa_8_price')
+        .eq('source', ALERT_PRICE_SOURCE)
+        .in('card_id', ids)
+
+      if (error) throw error
+      data.forEach((row: any) => pricing.set(row.card_id, row))
+    }
+
+    // Sealed products only have a market price, which conditions read as the ungraded price
+    for (const ids of chunk(uniqueIds(watchlists, 'sealed_product_id'))) {
+      const { data, error } = await supabaseClient
+        .from('sealed_pricing_data')
+        .select('sealed_product_id, price')
+        .eq('source', ALERT_PRICE_SOURCE)
+        .in('sealed_product_id', ids)
+
+      if (error) throw error
+      data.forEach((row: any) => pricing.set(holdingKey(row), { ungraded_price: row.price }))
+    }
+
+    // Load only as much history as the longest percent-change (plus its tolerance) or new-high window asks for
+    const today = new Date().toISOString().split('T')[0]
+    const history = new Map()
+    const historyWatches = watchlists.filter((watch: any) => historyDaysNeeded(watch) !== 0)
+    if (historyWatches.length > 0) {
+      const windows = historyWatches.map(historyDaysNeeded)
+      let since: string | null = null
+      if (!windows.includes(null)) {
+        const start = new Date(`${today}T00:00:00Z`)
+        start.setUTCDate(start.getUTCDate() - Math.max(...(windows as number[])))
+        since = start.toISOString().split('T')[0]
+      }
+
+      const historyTables = [
+        ['price_history', 'card_id', 'card_id, date, price, psa_10_price, psa_9_price, psa_8_price'],
+        ['sealed_price_history', 'sealed_product_id', 'sealed_product_id, date, price'],
+      ]
+
+      for (const [table, column, columns] of historyTables) {
+        for (const ids of chunk(uniqueIds(historyWatches, column))) {
+          const rows = await fetchAll((from, to) => {
+            const query = supabaseClient
+              .from(table)
+              .select(columns)
+              .eq('source', ALERT_PRICE_SOURCE)
+              .in(column, ids)
+              .lt('date', today)
+              .order('date', { ascending: true })
+              .range(from, to)
+
+            return since ? query.gte('date', since) : query
+          })
+
+          rows.forEach((row: any) => {
+            const key = holdingKey(row)
+            if (!history.has(key)) history.set(key, [])
+            history.get(key).push(row)
+          })
+        }
+      }
+    }
+
+    console.log(`Evaluating ${watchlists.length} alerts against ${pricing.size} prices`)
+
+    const triggered = []
+    const rearmIds = []
+
+    const watchName = (watch: any) => watch.cards?.name ?? watch.sealed_products?.name ?? holdingKey(watch)
+
+    for (const watch of watchlists) {
+      const key = holdingKey(watch)
+      if (!pricing.has(key)) continue
+
+      const result = evaluateAlert(watch, watchName(watch), {
+        pricing: pricing.get(key),
+        history: history.get(key) ?? [],
+        today
+      })
+
+      if (result.crossed && watch.alert_armed !== false) {
+        triggered.push({ watch, result })
+      } else if (!result.crossed && watch.alert_armed === false) {
+        rearmIds.push(watch.id)
+      }
+    }
+
+    // Record events first so a failed disarm re-fires rather than silently dropping an alert
+    const events = []
+    if (triggered.length > 0) {
+      const { data, error } = await supabaseClient
+        .from('alert_events')
+        .insert(triggered.map(({ watch, result }) => ({
+          user_id: watch.user_id,
+          watchlist_id: watch.id,
+          card_id: watch.card_id,
+          sealed_product_id: watch.sealed_product_id,
+          alert_type: watch.alert_type,
+          alert_price: watch.alert_price,
+          alert_params: watch.alert_params,
+          triggered_price: result.value,
+          message: result.message,
+          source: ALERT_PRICE_SOURCE
+        })))
+        .select()
+
+      if (error) throw error
+
+      const names = new Map(triggered.map(({ watch }) => [watch.id, watchName(watch)]))
+      events.push(...data.map((event: any) => ({ ...event, card_name: names.get(event.watchlist_id) })))
+
+      for (const ids of chunk(triggered.map(({ watch }) => watch.id))) {
+        const { error: disarmError } = await supabaseClient
+          .from('user_watchlists')
+          .update({ alert_armed: false, last_triggered_at: new Date().toISOString() })
+          .in('id', ids)
+
+        if (disarmError) throw disarmError
+      }
+    }
+
+    for (const ids of chunk(rearmIds)) {
+      const { error } = await supabaseClient
+        .from('user_watchlists')
+        .update({ alert_armed: true })
+        .in('id', ids)
+
+      if (error) throw error
+    }
+
+    // One email per user listing everything that fired in this run
+    const mailer = createMailer()
+    const eventsByUser = new Map()
+    events.forEach((event: any) => {
+      if (!eventsByUser.has(event.user_id)) eventsByUser.set(event.user_id, [])
+      eventsByUser.get(event.user_id).push(event)
+    })
+
+    let emailsSent = 0
+
+    for (const [userId, userEvents] of eventsByUser) {
+      const eventIds = userEvents.map((event: any) => event.id)
+      let emailStatus = 'sent'
+      let emailError = null
+
+      try {
+        const { data: { user } } = await supabaseClient.auth.admin.getUserById(userId)
+
+        if (preferences.get(userId)?.notification_email === false || !user?.email) {
+          emailStatus = 'skipped'
+        } else {
+          const lines = userEvents.map((event: any) => event.message)
+          await mailer.send({
+            to: user.email,
+            subject: userEvents.length === 1
+              ? `Price alert: ${userEvents[0].card_name}`
+              : `${userEvents.length} price alerts triggered`,
+            text: `${lines.join('\n')}\n\nManage your alerts in your TCG Investor Pro watchlist.`,
+            html: `<ul>${lines.map((line: string) => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` +
+              '<p>Manage your alerts in your TCG Investor Pro watchlist.</p>'
+          })
+          emailsSent++
+        }
+      } catch (error) {
+        console.error(`Error emailing alerts to user ${userId}:`, error)
+        emailStatus = 'failed'
+        emailError = error.message
+      }
+
+      const { error: statusError } = await supabaseClient
+        .from('alert_events')
+        .update({ email_status: emailStatus, email_error: emailError })
+        .in('id', eventIds)
+
+      if (statusError) {
+        console.error(`Error recording email status for user ${userId}:`, statusError)
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        alerts_evaluated: watchlists.length,
+        alerts_triggered: events.length,
+        alerts_rearmed: rearmIds.length,
+        emails_sent: emailsSent,
+        mail_transport: mailer.name,
+        message: 'Price alerts evaluated successfully'
+      }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('Error evaluating price alerts:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
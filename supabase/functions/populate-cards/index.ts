@@ -6,6 +6,142 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+// PokemonTCG.io carries TCGplayer's English Near Mint market price for each printing of a card
+const TCGPLAYER_PRINTINGS: Record<string, { edition: string, reverse_holo: boolean }> = {
+  normal: { edition: 'unlimited', reverse_holo: false },
+  holofoil: { edition: 'unlimited', reverse_holo: false },
+  unlimitedHolofoil: { edition: 'unlimited', reverse_holo: false },
+  reverseHolofoil: { edition: 'unlimited', reverse_holo: true },
+  '1stEditionNormal': { edition: '1st_edition', reverse_holo: false },
+  '1stEditionHolofoil': { edition: '1st_edition', reverse_holo: false },
+}
+
+// One variant_prices row per printing; when two keys land on the same printing the higher price wins
+function variantPricesFrom(card: any) {
+  const variants = new Map<string, Record<string, unknown>>()
+
+  Object.entries(card.tcgplayer?.prices ?? {}).forEach(([key, prices]: [string, any]) => {
+    const printing = TCGPLAYER_PRINTINGS[key]
+    const price = Number(prices?.market ?? prices?.mid)
+    if (!printing || !(price > 0)) return
+
+    const variantKey = `${printing.edition}:${printing.reverse_holo}`
+    if (Number(variants.get(variantKey)?.price) >= price) return
+
+    variants.set(variantKey, {
+      card_id: card.id,
+      source: 'tcgplayer',
+      condition: 'NM',
+      language: 'EN',
+      ...printing,
+      price,
+      last_updated: new Date().toISOString()
+    })
+  })
+
+  return [...variants.values()]
+}
+
+// The catalog is walked set by set, a page at a time; the cursor row records the next page to fetch
+const CURSOR_ID = 'pokemontcg_cards'
+const PAGE_SIZE = 250
+// Stop well inside the edge function's wall-clock limit; the caller invokes again until done
+const TIME_BUDGET_MS = 45000
+// Cards listed by name in a run's summary, per kind of change; the counts are always exact
+const CHANGE_SAMPLE_LIMIT = 100
+
+// Catalog fields compared between runs; timestamps and prices are left out so only real edits count as changes
+const toCardRow = (card: any) => ({
+  id: card.id,
+  name: card.name,
+  set_id: card.set.id,
+  number: card.number,
+  rarity: card.rarity,
+  images: card.images,
+  tcgplayer_id: card.tcgplayer?.id || null,
+  cardmarket_id: card.cardmarket?.id || null,
+  legal_standard: card.legalities?.standard || 'unknown'
+})
+
+const toSetRow = (set: any) => ({
+  id: set.id,
+  name: set.name,
+  series: set.series,
+  total: set.total,
+  release_date: set.releaseDate,
+  legal_standard: set.legalities?.standard || 'unknown',
+  symbol_url: set.images?.symbol,
+  logo_url: set.images?.logo
+})
+
+// JSON with object keys sorted at every level, so equal records always hash the same
+const stableStringify = (value: unknown): string => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify((value as Record<string, unknown>)[key])}`)
+      .join(',')}}`
+  }
+  return JSON.stringify(value ?? null)
+}
+
+async function checksum(row: Record<string, unknown>) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(stableStringify(row)))
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// PokemonTCG.io writes dates as 1999/01/09; Postgres returns 1999-01-09
+const toIsoDate = (date: string | null) => date ? date.replace(/\//g, '-') : null
+
+// Rows whose checksum differs from the stored one, split into new and changed.
+// A stored row with removed_at set counts as changed, so a record that reappears is restored.
+async function diffRows(supabaseClient: any, table: string, rows: Record<string, unknown>[]) {
+  const hashed = await Promise.all(rows.map(async row => ({ ...row, checksum: await checksum(row) })))
+  const columns = table === 'cards' ? 'id, checksum, removed_at' : 'id, checksum'
+
+  const { data: stored, error } = await supabaseClient
+    .from(table)
+    .select(columns)
+    .in('id', hashed.map(row => row.id))
+
+  if (error) throw error
+
+  const storedById = new Map((stored ?? []).map((row: any) => [row.id, row]))
+  const added = hashed.filter(row => !storedById.has(row.id))
+  const changed = hashed.filter(row => {
+    const existing: any = storedById.get(row.id)
+    return existing && (existing.checksum !== row.checksum || existing.removed_at)
+  })
+
+  return { added, changed, unchanged: hashed.length - added.length - changed.length, stored: stored ?? [] }
+}
+
+// New rows get both timestamps; changed rows keep their created_at.
+// Both are upserts so a row written by an overlapping run since the diff doesn't fail the page.
+async function writeRows(supabaseClient: any, table: string, added: any[], changed: any[]) {
+  const now = new Date().toISOString()
+  const restore = table === 'cards' ? { removed_at: null } : {}
+
+  if (added.length > 0) {
+    const { error } = await supabaseClient
+      .from(table)
+      .upsert(added.map(row => ({ ...row, ...restore, created_at: now, updated_at: now })), { onConflict: 'id' })
+    if (error) throw error
+  }
+
+  if (changed.length > 0) {
+    const { error } = await supabaseClient
+      .from(table)
+      .upsert(changed.map(row => ({ ...row, ...restore, updated_at: now })), { onConflict: 'id' })
+    if (error) throw error
+  }
+}
+
+const sampleCards = (list: any[], cards: any[]) => [
+  ...list,
+  ...cards.map(card => ({ id: card.id, name: card.name, set_id: card.set_id }))
+].slice(0, CHANGE_SAMPLE_LIMIT)
+
 serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
@@ -24,6 +160,11 @@ serve(async (req) => {
       }
     )
 
+    // reset abandons an unfinished walk; max_pages caps the pages fetched by this call.
+    // mode 'new_sets' only walks sets released after the newest one already stored.
+    const { reset = false, max_pages: maxPages = 20, mode = 'full' } = await req.json().catch(() => ({}))
+    const startedAt = Date.now()
+
     // Get PokemonTCG.io API key from user_api_keys table
     const { data: apiKeys, error: apiKeyError } = await supabaseClient
       .from('user_api_keys')
@@ -44,93 +185,259 @@ serve(async (req) => {
 
     const pokemonApiKey = apiKeys.api_key
 
-    // Fetch sets from PokemonTCG.io
-    console.log('Fetching sets from PokemonTCG.io...')
-    const setsResponse = await fetch('https://api.pokemontcg.io/v2/sets', {
-      headers: {
-        'X-Api-Key': pokemonApiKey
-      }
-    })
+    const { data: savedCursor, error: cursorError } = await supabaseClient
+      .from('catalog_sync_cursors')
+      .select('*, sync_runs (*)')
+      .eq('id', CURSOR_ID)
+      .maybeSingle()
 
-    if (!setsResponse.ok) {
-      throw new Error(`Failed to fetch sets: ${setsResponse.statusText}`)
+    if (cursorError) {
+      throw cursorError
     }
 
-    const setsData = await setsResponse.json()
-    console.log(`Found ${setsData.data.length} sets`)
-
-    // Insert sets into database
-    const setsToInsert = setsData.data.map((set: any) => ({
-      id: set.id,
-      name: set.name,
-      series: set.series,
-      total: set.total,
-      release_date: set.releaseDate,
-      legal_standard: set.legalities?.standard || 'unknown',
-      symbol_url: set.images?.symbol,
-      logo_url: set.images?.logo,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }))
-
-    const { error: setsError } = await supabaseClient
-      .from('sets')
-      .upsert(setsToInsert, { onConflict: 'id' })
-
-    if (setsError) {
-      console.error('Error inserting sets:', setsError)
-      throw setsError
+    const resumed = Boolean(savedCursor?.status === 'running' && savedCursor.sync_runs && !reset)
+    let cursor: any
+    let run: any
+
+    if (resumed) {
+      const { sync_runs: savedRun, ...cursorColumns } = savedCursor
+      cursor = cursorColumns
+      run = savedRun
+      console.log(`Resuming ${run.mode} card sync at set ${cursor.set_index + 1}/${cursor.set_ids.length}, page ${cursor.page}`)
+    } else {
+      // Fetch sets from PokemonTCG.io
+      console.log('Fetching sets from PokemonTCG.io...')
+      const setsResponse = await fetch('https://api.pokemontcg.io/v2/sets?orderBy=releaseDate', {
+        headers: {
+          'X-Api-Key': pokemonApiKey
+        }
+      })
+
+      if (!setsResponse.ok) {
+        throw new Error(`Failed to fetch sets: ${setsResponse.statusText}`)
+      }
+
+      const setsData = await setsResponse.json()
+      console.log(`Found ${setsData.data.length} sets`)
+
+      // Anything released after the newest set we already hold is new to the catalog
+      const { data: newestSet, error: newestSetError } = await supabaseClient
+        .from('sets')
+        .select('release_date')
+        .not('release_date', 'is', null)
+        .order('release_date', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (newestSetError) {
+        throw newestSetError
+      }
+
+      const setRows = setsData.data.map(toSetRow)
+      const newSets = setRows.filter((set: any) =>
+        !newestSet || (toIsoDate(set.release_date) ?? '') > newestSet.release_date)
+
+      // Only new and edited sets are written
+      const setChanges = await diffRows(supabaseClient, 'sets', setRows)
+      await writeRows(supabaseClient, 'sets', setChanges.added, setChanges.changed)
+      console.log(`Sets: ${setChanges.added.length} added, ${setChanges.changed.length} changed, ${setChanges.unchanged} unchanged`)
+
+      const walkedSets = mode === 'new_sets' ? newSets : setRows
+
+      const { data: createdRun, error: runError } = await supabaseClient
+        .from('sync_runs')
+        .insert({
+          kind: 'cards',
+          mode: mode === 'new_sets' ? 'new_sets' : 'full',
+          status: 'running',
+          sets_added: setChanges.added.length,
+          sets_changed: setChanges.changed.length,
+          new_sets: newSets.map((set: any) => ({ id: set.id, name: set.name, release_date: toIsoDate(set.release_date) })),
+          changes: { added: [], changed: [], removed: [] }
+        })
+        .select()
+        .single()
+
+      if (runError) {
+        throw runError
+      }
+
+      run = createdRun
+      cursor = {
+        id: CURSOR_ID,
+        run_id: run.id,
+        status: 'running',
+        set_ids: walkedSets.map((set: any) => set.id),
+        set_index: 0,
+        page: 1,
+        cards_synced: 0,
+        seen_card_ids: [],
+        last_error: null,
+        started_at: new Date().toISOString(),
+        completed_at: null
+      }
     }
 
-    console.log(`Successfully inserted ${setsToInsert.length} sets`)
+    const saveProgress = async () => {
+      const now = new Date().toISOString()
+      const { error } = await supabaseClient
+        .from('catalog_sync_cursors')
+        .upsert({ ...cursor, updated_at: now }, { onConflict: 'id' })
 
-    // Fetch cards from PokemonTCG.io (limit to first 100 for initial population)
-    console.log('Fetching cards from PokemonTCG.io...')
-    const cardsResponse = await fetch('https://api.pokemontcg.io/v2/cards?pageSize=100', {
-      headers: {
-        'X-Api-Key': pokemonApiKey
+      if (error) {
+        console.error('Error saving sync cursor:', error)
+        throw error
       }
-    })
 
-    if (!cardsResponse.ok) {
-      throw new Error(`Failed to fetch cards: ${cardsResponse.statusText}`)
+      const { id: runId, ...runColumns } = run
+      const { error: runError } = await supabaseClient
+        .from('sync_runs')
+        .update({ ...runColumns, updated_at: now })
+        .eq('id', runId)
+
+      if (runError) {
+        console.error('Error saving sync run:', runError)
+        throw runError
+      }
+    }
+
+    await saveProgress()
+
+    let pagesFetched = 0
+    let variantPricesInserted = 0
+
+    while (
+      cursor.set_index < cursor.set_ids.length &&
+      pagesFetched < maxPages &&
+      Date.now() - startedAt < TIME_BUDGET_MS
+    ) {
+      const setId = cursor.set_ids[cursor.set_index]
+
+      try {
+        const cardsResponse = await fetch(
+          `https://api.pokemontcg.io/v2/cards?q=set.id:${encodeURIComponent(setId)}&page=${cursor.page}&pageSize=${PAGE_SIZE}&orderBy=number`,
+          {
+            headers: {
+              'X-Api-Key': pokemonApiKey
+            }
+          }
+        )
+
+        if (!cardsResponse.ok) {
+          throw new Error(`Failed to fetch cards for ${setId} page ${cursor.page}: ${cardsResponse.statusText}`)
+        }
+
+        const cardsData = await cardsResponse.json()
+        pagesFetched++
+
+        if (cardsData.data.length > 0) {
+          const cardChanges = await diffRows(supabaseClient, 'cards', cardsData.data.map(toCardRow))
+          await writeRows(supabaseClient, 'cards', cardChanges.added, cardChanges.changed)
+
+          run.cards_added += cardChanges.added.length
+          run.cards_changed += cardChanges.changed.length
+          run.cards_unchanged += cardChanges.unchanged
+          run.changes = {
+            ...run.changes,
+            added: sampleCards(run.changes.added, cardChanges.added),
+            changed: sampleCards(run.changes.changed, cardChanges.changed)
+          }
+
+          // Prices move daily, so every card's variant prices are refreshed whether or not the card changed
+          const variantPricesToInsert = cardsData.data.flatMap(variantPricesFrom)
+
+          if (variantPricesToInsert.length > 0) {
+            const { error: variantPricesError } = await supabaseClient
+              .from('variant_prices')
+              .upsert(variantPricesToInsert, { onConflict: 'card_id,source,condition,edition,reverse_holo,language' })
+
+            if (variantPricesError) {
+              console.error('Error inserting variant prices:', variantPricesError)
+              throw variantPricesError
+            }
+          }
+
+          variantPricesInserted += variantPricesToInsert.length
+          cursor.seen_card_ids = [...cursor.seen_card_ids, ...cardsData.data.map((card: any) => card.id)]
+        }
+
+        // totalCount covers the whole set, so the last page is the one that reaches it
+        const fetched = (cursor.page - 1) * PAGE_SIZE + cardsData.data.length
+        if (cardsData.data.length < PAGE_SIZE || fetched >= (cardsData.totalCount ?? 0)) {
+          // Cards stored for this set that the source no longer lists are marked removed, never deleted,
+          // since lots and watches reference them
+          const seen = new Set(cursor.seen_card_ids)
+          const { data: storedCards, error: storedError } = await supabaseClient
+            .from('cards')
+            .select('id, name, set_id')
+            .eq('set_id', setId)
+            .is('removed_at', null)
+
+          if (storedError) throw storedError
+
+          const removed = (storedCards ?? []).filter((card: any) => !seen.has(card.id))
+          if (removed.length > 0) {
+            const { error: removedError } = await supabaseClient
+              .from('cards')
+              .update({ removed_at: new Date().toISOString() })
+              .in('id', removed.map((card: any) => card.id))
+
+            if (removedError) throw removedError
+
+            run.cards_removed += removed.length
+            run.changes = { ...run.changes, removed: sampleCards(run.changes.removed, removed) }
+          }
+
+          cursor.set_index++
+          cursor.page = 1
+          cursor.seen_card_ids = []
+        } else {
+          cursor.page++
+        }
+        cursor.cards_synced += cardsData.data.length
+        cursor.last_error = null
+
+        await saveProgress()
+
+        // Add a small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100))
+
+      } catch (error) {
+        // Keep the cursor where it is so the next call retries this page
+        cursor.last_error = error.message
+        try {
+          await saveProgress()
+        } catch (saveError) {
+          console.error('Error recording card sync failure:', saveError)
+        }
+        throw error
+      }
     }
 
-    const cardsData = await cardsResponse.json()
-    console.log(`Found ${cardsData.data.length} cards`)
-
-    // Insert cards into database
-    const cardsToInsert = cardsData.data.map((card: any) => ({
-      id: card.id,
-      name: card.name,
-      set_id: card.set.id,
-      number: card.number,
-      rarity: card.rarity,
-      images: card.images,
-      tcgplayer_id: card.tcgplayer?.id || null,
-      cardmarket_id: card.cardmarket?.id || null,
-      legal_standard: card.legalities?.standard || 'unknown',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }))
-
-    const { error: cardsError } = await supabaseClient
-      .from('cards')
-      .upsert(cardsToInsert, { onConflict: 'id' })
-
-    if (cardsError) {
-      console.error('Error inserting cards:', cardsError)
-      throw cardsError
+    if (cursor.set_index >= cursor.set_ids.length) {
+      cursor.status = 'complete'
+      cursor.completed_at = new Date().toISOString()
+      run.status = 'complete'
+      run.completed_at = cursor.completed_at
+      await saveProgress()
     }
 
-    console.log(`Successfully inserted ${cardsToInsert.length} cards`)
+    const done = cursor.status === 'complete'
+    console.log(`Fetched ${pagesFetched} pages; ${cursor.set_index}/${cursor.set_ids.length} sets done`)
 
     return new Response(
       JSON.stringify({ 
         success: true, 
-        sets_inserted: setsToInsert.length,
-        cards_inserted: cardsToInsert.length,
-        message: 'Database populated successfully' 
+        done,
+        resumed,
+        sets_total: cursor.set_ids.length,
+        sets_done: cursor.set_index,
+        current_set: done ? null : cursor.set_ids[cursor.set_index],
+        pages_fetched: pagesFetched,
+        cards_synced: cursor.cards_synced,
+        variant_prices_inserted: variantPricesInserted,
+        run,
+        message: done ? 'Card catalog sync complete' : 'Card catalog sync in progress' 
       }),
       { 
         status: 200, 
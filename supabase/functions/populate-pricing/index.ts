@@ -1,11 +1,100 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { productMatches } from '../_shared/sealed-catalog.ts'
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+// PriceCharting reports graded cards under its generic condition columns, in pennies. Its 7, 8, 9 and
+// 9.5 columns mix every grader's sales, so they're filed under the grader most of those sales come from.
+const PRICECHARTING_GRADE_COLUMNS = [
+  { column: 'cib-price', grader: 'psa', grade: 7 },
+  { column: 'new-price', grader: 'psa', grade: 8 },
+  { column: 'graded-price', grader: 'psa', grade: 9 },
+  { column: 'box-only-price', grader: 'bgs', grade: 9.5 },
+  { column: 'manual-only-price', grader: 'psa', grade: 10 },
+  { column: 'bgs-10-price', grader: 'bgs', grade: 10 },
+  { column: 'condition-17-price', grader: 'cgc', grade: 10 },
+  { column: 'condition-18-price', grader: 'sgc', grade: 10 },
+]
+
+// PriceCharting quotes every price as a whole number of pennies; this is the one place they become dollars
+function pennyPrice(priceData: Record<string, unknown>, field: string): number | null {
+  const pennies = Number(priceData[field])
+  return pennies > 0 ? pennies / 100 : null
+}
+
+// One grade_prices row per grade PriceCharting has a price for; the psa10/psa9/psa8 fields win where present
+function gradePricesFrom(cardId: string, priceData: Record<string, unknown>) {
+  const prices = new Map<string, { grader: string, grade: number, price: number }>()
+
+  PRICECHARTING_GRADE_COLUMNS.forEach(({ column, grader, grade }) => {
+    const price = pennyPrice(priceData, column)
+    if (price !== null) prices.set(`${grader}-${grade}`, { grader, grade, price })
+  })
+
+  const psaFields: [string, number][] = [['psa10', 10], ['psa9', 9], ['psa8', 8]]
+  psaFields.forEach(([field, grade]) => {
+    const price = pennyPrice(priceData, field)
+    if (price !== null) prices.set(`psa-${grade}`, { grader: 'psa', grade, price })
+  })
+
+  return [...prices.values()].map(price => ({
+    card_id: cardId,
+    source: 'pricecharting',
+    ...price,
+    last_updated: new Date().toISOString()
+  }))
+}
+
+// Cards and sealed products are priced a page at a time; each cursor row records its next page, so
+// successive calls walk the whole catalog rather than re-pricing the same first page
+const CARD_CURSOR_ID = 'pricecharting_card_prices'
+const CARD_PAGE_SIZE = 50
+const SEALED_CURSOR_ID = 'pricecharting_sealed_prices'
+const SEALED_PAGE_SIZE = 50
+
+// A running cursor is picked up where it stopped; a finished pass (or none yet) starts over from the first page
+const loadCursor = async (supabaseClient: any, id: string) => {
+  const { data, error } = await supabaseClient
+    .from('catalog_sync_cursors')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle()
+
+  if (error) {
+    throw error
+  }
+
+  return data?.status === 'running'
+    ? data
+    : {
+      id,
+      status: 'running',
+      page: 1,
+      cards_synced: 0,
+      last_error: null,
+      started_at: new Date().toISOString(),
+      completed_at: null
+    }
+}
+
+// The cursor only moves on once its page's prices are stored
+const advanceCursor = (cursor: any, rowsOnPage: number, pageSize: number) => {
+  cursor.cards_synced += rowsOnPage
+  if (rowsOnPage < pageSize) {
+    cursor.status = 'complete'
+    cursor.completed_at = new Date().toISOString()
+  } else {
+    cursor.page++
+  }
+}
+
+const ladderPrice = (rows: { grader: string, grade: number, price: number }[], grader: string, grade: number) =>
+  rows.find(row => row.grader === grader && row.grade === grade)?.price ?? null
+
 serve(async (req) => {
   // Handle CORS preflight requests
   if (req.method === 'OPTIONS') {
@@ -49,19 +138,24 @@ serve(async (req) => {
       )
     }
 
-    // Get cards that need pricing data
+    // Get this call's page of cards; cards the source no longer lists aren't priced
+    const cardCursor = await loadCursor(supabaseClient, CARD_CURSOR_ID)
+    const cardsFrom = (cardCursor.page - 1) * CARD_PAGE_SIZE
     const { data: cards, error: cardsError } = await supabaseClient
       .from('cards')
       .select('id, name, tcgplayer_id, cardmarket_id')
-      .limit(50) // Process 50 cards at a time
+      .is('removed_at', null)
+      .order('id')
+      .range(cardsFrom, cardsFrom + CARD_PAGE_SIZE - 1)
 
     if (cardsError) {
       throw cardsError
     }
 
-    console.log(`Processing pricing for ${cards.length} cards`)
+    console.log(`Processing pricing for ${cards.length} cards (page ${cardCursor.page})`)
 
     const pricingDataToInsert = []
+    const gradePricesToInsert = []
 
     for (const card of cards) {
       try {
@@ -78,14 +172,16 @@ serve(async (req) => {
 
           if (priceChartingResponse.ok) {
             const priceData = await priceChartingResponse.json()
-            
+            const gradePrices = gradePricesFrom(card.id, priceData)
+            gradePricesToInsert.push(...gradePrices)
+
             pricingDataToInsert.push({
               card_id: card.id,
               source: 'pricecharting',
-              ungraded_price: priceData.price || null,
-              psa_10_price: priceData.psa10 || null,
-              psa_9_price: priceData.psa9 || null,
-              psa_8_price: priceData.psa8 || null,
+              ungraded_price: pennyPrice(priceData, 'loose-price') ?? pennyPrice(priceData, 'price'),
+              psa_10_price: ladderPrice(gradePrices, 'psa', 10),
+              psa_9_price: ladderPrice(gradePrices, 'psa', 9),
+              psa_8_price: ladderPrice(gradePrices, 'psa', 8),
               last_updated: new Date().toISOString()
             })
           }
@@ -114,11 +210,202 @@ serve(async (req) => {
 
     console.log(`Successfully inserted pricing for ${pricingDataToInsert.length} cards`)
 
+    if (gradePricesToInsert.length > 0) {
+      const { error: gradePricesError } = await supabaseClient
+        .from('grade_prices')
+        .upsert(gradePricesToInsert, { onConflict: 'card_id,source,grader,grade' })
+
+      if (gradePricesError) {
+        console.error('Error inserting grade prices:', gradePricesError)
+        throw gradePricesError
+      }
+    }
+
+    console.log(`Recorded ${gradePricesToInsert.length} grade prices`)
+
+    // Append today's prices to price_history; re-running on the same day overwrites that day's snapshot
+    const snapshotDate = new Date().toISOString().split('T')[0]
+    const historyToInsert = pricingDataToInsert
+      .filter(pricing => pricing.ungraded_price !== null)
+      .map(pricing => ({
+        card_id: pricing.card_id,
+        source: pricing.source,
+        price: pricing.ungraded_price,
+        psa_10_price: pricing.psa_10_price,
+        psa_9_price: pricing.psa_9_price,
+        psa_8_price: pricing.psa_8_price,
+        date: snapshotDate
+      }))
+
+    if (historyToInsert.length > 0) {
+      const { error: historyError } = await supabaseClient
+        .from('price_history')
+        .upsert(historyToInsert, { onConflict: 'card_id,source,date' })
+
+      if (historyError) {
+        console.error('Error inserting price history:', historyError)
+        throw historyError
+      }
+    }
+
+    console.log(`Recorded ${historyToInsert.length} price history snapshots for ${snapshotDate}`)
+
+    advanceCursor(cardCursor, cards.length, CARD_PAGE_SIZE)
+
+    const { error: cardCursorSaveError } = await supabaseClient
+      .from('catalog_sync_cursors')
+      .upsert({ ...cardCursor, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+
+    if (cardCursorSaveError) {
+      console.error('Error saving card pricing cursor:', cardCursorSaveError)
+      throw cardCursorSaveError
+    }
+
+    // Sealed products: PriceCharting is searched by name the first time, then the matched id is kept
+    const cursor = await loadCursor(supabaseClient, SEALED_CURSOR_ID)
+
+    const sealedFrom = (cursor.page - 1) * SEALED_PAGE_SIZE
+    const { data: sealedProducts, error: sealedError } = await supabaseClient
+      .from('sealed_products')
+      .select('id, name, product_type, pricecharting_id, sets(name)')
+      .order('id')
+      .range(sealedFrom, sealedFrom + SEALED_PAGE_SIZE - 1)
+
+    if (sealedError) {
+      throw sealedError
+    }
+
+    console.log(`Processing pricing for ${sealedProducts.length} sealed products (page ${cursor.page})`)
+
+    const sealedPricingToInsert = []
+    let sealedUnmatched = 0
+
+    for (const product of sealedProducts) {
+      try {
+        const lookup = product.pricecharting_id
+          ? `id=${product.pricecharting_id}`
+          : `q=${encodeURIComponent(`pokemon ${product.sets?.name ?? ''} ${product.name}`)}`
+        const priceChartingResponse = await fetch(
+          `https://www.pricecharting.com/api/product?t=${priceChartingKey.api_key}&${lookup}`,
+          {
+            headers: {
+              'User-Agent': 'TCG Investor Pro/1.0'
+            }
+          }
+        )
+
+        if (priceChartingResponse.ok) {
+          const priceData = await priceChartingResponse.json()
+
+          if (!product.pricecharting_id) {
+            // A name search returns PriceCharting's best guess; only a product of the same set and type counts
+            if (!priceData.id || !productMatches(priceData, { product_type: product.product_type, set_name: product.sets?.name ?? null })) {
+              console.log(`No PriceCharting match for ${product.name} (got ${priceData['console-name'] ?? '?'} ${priceData['product-name'] ?? '?'})`)
+              sealedUnmatched++
+              continue
+            }
+
+            const { error: idError } = await supabaseClient
+              .from('sealed_products')
+              .update({ pricecharting_id: String(priceData.id) })
+              .eq('id', product.id)
+
+            if (idError) throw idError
+          }
+
+          sealedPricingToInsert.push({
+            sealed_product_id: product.id,
+            source: 'pricecharting',
+            price: pennyPrice(priceData, 'loose-price') ?? pennyPrice(priceData, 'price'),
+            last_updated: new Date().toISOString()
+          })
+        }
+
+        // Add a small delay to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 100))
+
+      } catch (error) {
+        console.error(`Error fetching pricing for sealed product ${product.id}:`, error)
+        continue
+      }
+    }
+
+    if (sealedPricingToInsert.length > 0) {
+      const { error: sealedPricingError } = await supabaseClient
+        .from('sealed_pricing_data')
+        .upsert(sealedPricingToInsert, { onConflict: 'sealed_product_id,source' })
+
+      if (sealedPricingError) {
+        console.error('Error inserting sealed pricing data:', sealedPricingError)
+        throw sealedPricingError
+      }
+    }
+
+    const sealedHistoryToInsert = sealedPricingToInsert
+      .filter(pricing => pricing.price !== null)
+      .map(pricing => ({
+        sealed_product_id: pricing.sealed_product_id,
+        source: pricing.source,
+        price: pricing.price,
+        date: snapshotDate
+      }))
+
+    if (sealedHistoryToInsert.length > 0) {
+      const { error: sealedHistoryError } = await supabaseClient
+        .from('sealed_price_history')
+        .upsert(sealedHistoryToInsert, { onConflict: 'sealed_product_id,source,date' })
+
+      if (sealedHistoryError) {
+        console.error('Error inserting sealed price history:', sealedHistoryError)
+        throw sealedHistoryError
+      }
+    }
+
+    console.log(`Successfully inserted pricing for ${sealedPricingToInsert.length} sealed products`)
+
+    advanceCursor(cursor, sealedProducts.length, SEALED_PAGE_SIZE)
+
+    const { error: sealedCursorSaveError } = await supabaseClient
+      .from('catalog_sync_cursors')
+      .upsert({ ...cursor, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+
+    if (sealedCursorSaveError) {
+      console.error('Error saving sealed pricing cursor:', sealedCursorSaveError)
+      throw sealedCursorSaveError
+    }
+
+    // Fire any watchlist alerts the new prices crossed; a failure here should not fail the refresh
+    // evaluate-alerts only covers every user's watchlist when called with the service role
+    let alertsTriggered = 0
+    if (pricingDataToInsert.length > 0 || sealedPricingToInsert.length > 0) {
+      const { data: alertResult, error: alertError } = await supabaseClient.functions.invoke('evaluate-alerts', {
+        headers: { Authorization: `Bearer ${Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''}` },
+        body: {
+          card_ids: pricingDataToInsert.map(pricing => pricing.card_id),
+          sealed_product_ids: sealedPricingToInsert.map(pricing => pricing.sealed_product_id)
+        }
+      })
+
+      if (alertError) {
+        console.error('Error evaluating price alerts:', alertError)
+      } else {
+        alertsTriggered = alertResult?.alerts_triggered ?? 0
+      }
+    }
+
     return new Response(
       JSON.stringify({ 
         success: true, 
         cards_processed: cards.length,
+        card_pass_complete: cardCursor.status === 'complete',
         pricing_inserted: pricingDataToInsert.length,
+        history_inserted: historyToInsert.length,
+        grade_prices_inserted: gradePricesToInsert.length,
+        sealed_products_processed: sealedProducts.length,
+        sealed_pricing_inserted: sealedPricingToInsert.length,
+        sealed_unmatched: sealedUnmatched,
+        sealed_pass_complete: cursor.status === 'complete',
+        alerts_triggered: alertsTriggered,
         message: 'Pricing data populated successfully' 
       }),
       { 
@@ -0,0 +1,248 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { SEALED_SEARCH_TERMS, consoleMatchesSet, sealedProductId, sealedTypeFromName } from '../_shared/sealed-catalog.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+// The sealed catalog is built set by set from PriceCharting's product search; the cursor records the next set.
+// cards_synced on this cursor counts sealed products written.
+const CURSOR_ID = 'pricecharting_sealed'
+// Stop well inside the edge function's wall-clock limit; the caller invokes again until done
+const TIME_BUDGET_MS = 45000
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    // Initialize Supabase client
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      {
+        global: {
+          headers: { Authorization: req.headers.get('Authorization')! },
+        },
+      }
+    )
+
+    // reset abandons an unfinished walk; max_sets caps the sets searched by this call
+    const { reset = false, max_sets: maxSets = 10 } = await req.json().catch(() => ({}))
+    const startedAt = Date.now()
+
+    const { data: priceChartingKey, error: priceChartingError } = await supabaseClient
+      .from('user_api_keys')
+      .select('api_key')
+      .eq('service', 'pricecharting')
+      .eq('is_active', true)
+      .single()
+
+    if (priceChartingError || !priceChartingKey) {
+      return new Response(
+        JSON.stringify({ error: 'PriceCharting API key not found' }),
+        {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    const { data: savedCursor, error: cursorError } = await supabaseClient
+      .from('catalog_sync_cursors')
+      .select('*')
+      .eq('id', CURSOR_ID)
+      .maybeSingle()
+
+    if (cursorError) {
+      throw cursorError
+    }
+
+    const resumed = Boolean(savedCursor?.status === 'running' && !reset)
+    let cursor: any
+
+    if (resumed) {
+      cursor = savedCursor
+      console.log(`Resuming sealed catalog sync at set ${cursor.set_index + 1}/${cursor.set_ids.length}`)
+    } else {
+      // Sealed products hang off sets, so populate-cards has to have loaded them first
+      const { data: sets, error: setsError } = await supabaseClient
+        .from('sets')
+        .select('id')
+        .order('release_date', { ascending: true })
+
+      if (setsError) {
+        throw setsError
+      }
+
+      cursor = {
+        id: CURSOR_ID,
+        status: 'running',
+        set_ids: sets.map((set: any) => set.id),
+        set_index: 0,
+        page: 1,
+        cards_synced: 0,
+        seen_card_ids: [],
+        last_error: null,
+        started_at: new Date().toISOString(),
+        completed_at: null
+      }
+    }
+
+    const saveProgress = async () => {
+      const { error } = await supabaseClient
+        .from('catalog_sync_cursors')
+        .upsert({ ...cursor, updated_at: new Date().toISOString() }, { onConflict: 'id' })
+
+      if (error) {
+        console.error('Error saving sealed sync cursor:', error)
+        throw error
+      }
+    }
+
+    await saveProgress()
+
+    let setsSearched = 0
+    let productsWritten = 0
+
+    while (
+      cursor.set_index < cursor.set_ids.length &&
+      setsSearched < maxSets &&
+      Date.now() - startedAt < TIME_BUDGET_MS
+    ) {
+      const setId = cursor.set_ids[cursor.set_index]
+
+      try {
+        const { data: set, error: setError } = await supabaseClient
+          .from('sets')
+          .select('id, name, release_date')
+          .eq('id', setId)
+          .single()
+
+        if (setError) throw setError
+
+        // Only products filed under this set's console and named like a sealed product are kept
+        const products = new Map<string, Record<string, unknown>>()
+        for (const term of SEALED_SEARCH_TERMS) {
+          const searchResponse = await fetch(
+            `https://www.pricecharting.com/api/products?t=${priceChartingKey.api_key}&q=${encodeURIComponent(`pokemon ${set.name} ${term}`)}`,
+            {
+              headers: {
+                'User-Agent': 'TCG Investor Pro/1.0'
+              }
+            }
+          )
+
+          if (!searchResponse.ok) {
+            throw new Error(`Failed to search sealed products for ${set.name}: ${searchResponse.statusText}`)
+          }
+
+          const { products: results = [] } = await searchResponse.json()
+          results.forEach((result: any) => {
+            const productType = sealedTypeFromName(result['product-name'])
+            if (!productType || !consoleMatchesSet(result['console-name'], set.name)) return
+
+            const id = sealedProductId(set.id, result['product-name'])
+            if (products.has(id)) return
+
+            products.set(id, {
+              id,
+              set_id: set.id,
+              name: `${set.name} ${result['product-name']}`,
+              product_type: productType,
+              packs_per_unit: productType === 'booster_pack' ? 1 : null,
+              release_date: set.release_date,
+              pricecharting_id: String(result.id),
+              updated_at: new Date().toISOString()
+            })
+          })
+
+          // Add a small delay to avoid rate limiting
+          await new Promise(resolve => setTimeout(resolve, 100))
+        }
+
+        if (products.size > 0) {
+          // Products already in the catalog keep their name and pack count; the PriceCharting id is filled in
+          const { data: existing, error: existingError } = await supabaseClient
+            .from('sealed_products')
+            .select('id, name, packs_per_unit')
+            .in('id', [...products.keys()])
+
+          if (existingError) throw existingError
+
+          existing.forEach((row: any) => {
+            const product = products.get(row.id)!
+            product.name = row.name
+            product.packs_per_unit = row.packs_per_unit ?? product.packs_per_unit
+          })
+
+          const { error: productsError } = await supabaseClient
+            .from('sealed_products')
+            .upsert([...products.values()], { onConflict: 'id' })
+
+          if (productsError) throw productsError
+        }
+
+        console.log(`${set.name}: ${products.size} sealed products`)
+
+        productsWritten += products.size
+        setsSearched++
+        cursor.set_index++
+        cursor.cards_synced += products.size
+        cursor.last_error = null
+
+        await saveProgress()
+
+      } catch (error) {
+        // Keep the cursor where it is so the next call retries this set
+        cursor.last_error = error.message
+        try {
+          await saveProgress()
+        } catch (saveError) {
+          console.error('Error recording sealed sync failure:', saveError)
+        }
+        throw error
+      }
+    }
+
+    if (cursor.set_index >= cursor.set_ids.length) {
+      cursor.status = 'complete'
+      cursor.completed_at = new Date().toISOString()
+      await saveProgress()
+    }
+
+    const done = cursor.status === 'complete'
+    console.log(`Searched ${setsSearched} sets; ${cursor.set_index}/${cursor.set_ids.length} sets done`)
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        done,
+        resumed,
+        sets_total: cursor.set_ids.length,
+        sets_done: cursor.set_index,
+        products_written: productsWritten,
+        products_synced: cursor.cards_synced,
+        message: done ? 'Sealed catalog sync complete' : 'Sealed catalog sync in progress'
+      }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('Error populating sealed products:', error)
+    return new Response(
+      JSON.stringify({ error: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
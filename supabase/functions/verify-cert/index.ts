@@ -0,0 +1,99 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { CERT_GRADERS, createCertLookup, normalizeCert } from '../_shared/cert-lookup.ts'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const jsonResponse = (body: unknown, status = 200) => new Response(
+  JSON.stringify(body),
+  {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  }
+)
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const supabaseClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_ANON_KEY') ?? '',
+      {
+        global: {
+          headers: { Authorization: req.headers.get('Authorization')! },
+        },
+      }
+    )
+
+    const { data: { user } } = await supabaseClient.auth.getUser()
+    if (!user) {
+      return jsonResponse({ error: 'Sign in to verify certs' }, 401)
+    }
+
+    // refresh re-asks the grader even when the registry already has the slab
+    const { grader, cert_number: rawCert, refresh = false } = await req.json().catch(() => ({}))
+    const certNumber = normalizeCert(rawCert)
+
+    if (!CERT_GRADERS.includes(grader) || !certNumber) {
+      return jsonResponse({ error: 'A grader and cert number are required' }, 400)
+    }
+
+    if (!refresh) {
+      const { data: existing, error: existingError } = await supabaseClient
+        .from('slab_registry')
+        .select('*')
+        .eq('grader', grader)
+        .eq('cert_number', certNumber)
+        .maybeSingle()
+
+      if (existingError) throw existingError
+      if (existing?.status === 'verified') {
+        return jsonResponse({ success: true, cached: true, slab: existing })
+      }
+    }
+
+    const certLookup = createCertLookup()
+    if (!certLookup.supports(grader)) {
+      return jsonResponse({ error: `${grader.toUpperCase()} certs cannot be looked up with the ${certLookup.name} transport` }, 400)
+    }
+
+    console.log(`Looking up ${grader.toUpperCase()} cert ${certNumber} via ${certLookup.name}`)
+    const slab = await certLookup.lookup(grader, certNumber)
+
+    // Users can only read the registry; the lookup result is written with the service role
+    const registryClient = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+    )
+
+    // Misses are recorded too, so a bad cert shows as not found rather than never checked
+    const { data: saved, error: saveError } = await registryClient
+      .from('slab_registry')
+      .upsert({
+        ...(slab ?? { grader, cert_number: certNumber, label_data: {} }),
+        status: slab ? 'verified' : 'not_found',
+        source: certLookup.name,
+        verified_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }, {
+        onConflict: 'grader,cert_number'
+      })
+      .select()
+      .single()
+
+    if (saveError) throw saveError
+
+    return jsonResponse({ success: true, cached: false, slab: saved })
+
+  } catch (error) {
+    console.error('Error verifying cert:', error)
+    return jsonResponse({ error: error.message }, 500)
+  }
+})
@@ -0,0 +1,790 @@
+// TCG Investor Pro - Watchlist Management System
+// This file handles the watchlist table and the per-card alert editor
+
+// Name of the watchlist created for a user who has none yet
+const DEFAULT_WATCHLIST_NAME = 'Main Watchlist';
+
+// Watchlist state management
+const WatchlistState = {
+    currentUser: null,
+    watchlists: [],
+    activeWatchlistId: null,
+    items: [],
+    priceHistory: new Map(),
+    searchResults: [],
+    editingCard: null,
+    isLoaded: false
+};
+
+// Watchlist Management Class
+class WatchlistManager {
+    constructor() {
+        this.setupEventListeners();
+        this.initializeWatchlist();
+    }
+
+    /**
+     * Set up all watchlist event listeners
+     */
+    setupEventListeners() {
+        // Watchlist Switcher
+        document.getElementById('watchlistSwitcher')?.addEventListener('change', (e) => this.switchWatchlist(e.target.value));
+        document.getElementById('newWatchlistBtn')?.addEventListener('click', () => this.createWatchlist());
+        document.getElementById('renameWatchlistBtn')?.addEventListener('click', () => this.renameWatchlist());
+        document.getElementById('deleteWatchlistBtn')?.addEventListener('click', () => this.deleteWatchlist());
+
+        // Watchlist Actions
+        document.getElementById('addWatchlistBtn')?.addEventListener('click', () => this.showAddModal());
+        document.getElementById('refreshWatchlistBtn')?.addEventListener('click', () => this.refreshWatchlist());
+
+        // Add to Watchlist Modal
+        document.getElementById('closeAddWatchlistModal')?.addEventListener('click', () => this.hideAddModal());
+        document.getElementById('watchlistSearchBtn')?.addEventListener('click', () => this.searchCards());
+        document.getElementById('watchlistSearchInput')?.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.searchCards();
+            }
+        });
+
+        // Alert Modal
+        const typeSelect = document.getElementById('alertTypeSelect');
+        if (typeSelect && window.AlertTypes) {
+            typeSelect.innerHTML = Object.entries(window.AlertTypes.ALERT_TYPES)
+                .map(([key, type]) => `<option value="${key}">${type.label}</option>`)
+                .join('');
+            typeSelect.addEventListener('change', () => this.renderAlertFields(typeSelect.value, null, {}));
+        }
+        document.getElementById('alertParamsFields')?.addEventListener('input', () => this.updateAlertSummary());
+        document.getElementById('alertParamsFields')?.addEventListener('change', () => this.updateAlertSummary());
+        document.getElementById('alertConfigForm')?.addEventListener('submit', (e) => this.handleSaveAlert(e));
+        document.getElementById('closeAlertConfig')?.addEventListener('click', () => this.hideAlertModal());
+        document.getElementById('cancelAlertConfig')?.addEventListener('click', () => this.hideAlertModal());
+    }
+
+    /**
+     * Initialize watchlist on page load or sign in
+     */
+    async initializeWatchlist() {
+        try {
+            const client = window.SupabaseConfig?.getSupabaseClient?.();
+            if (client) {
+                const { data: { user } } = await client.auth.getUser();
+                WatchlistState.currentUser = user || null;
+            } else {
+                // Demo mode - the watchlist lives in memory for the signed-in demo user
+                WatchlistState.currentUser = AppState.currentUser;
+            }
+
+            await this.loadWatchlist();
+        } catch (error) {
+            console.error('Error initializing watchlist:', error);
+        }
+    }
+
+    /**
+     * Load watchlist entries and a month of price history for the 7-day change
+     */
+    async loadWatchlist() {
+        try {
+            if (!WatchlistState.currentUser) {
+                WatchlistState.watchlists = [];
+                WatchlistState.items = [];
+                this.renderWatchlistSwitcher();
+                this.renderWatchlistTable();
+                return;
+            }
+
+            await this.loadWatchlists();
+
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { data, error } = await window.SupabaseConfig.DatabaseHelpers.getUserWatchlist(WatchlistState.currentUser.id);
+
+                if (error) {
+                    console.error('Error loading watchlist:', error);
+                    this.showError('Failed to load watchlist');
+                    return;
+                }
+
+                WatchlistState.items = data || [];
+
+                const { data: rows, error: historyError } = await window.SupabaseConfig.DatabaseHelpers.getPriceHistory(
+                    WatchlistState.items.map(item => window.SealedProducts.holdingKey(item)),
+                    { since: window.PriceHistory.rangeStart('1m') }
+                );
+                if (historyError) {
+                    console.error('Error loading watchlist price history:', historyError);
+                }
+                WatchlistState.priceHistory = window.PriceHistory.indexByCard(rows || []);
+            }
+
+            WatchlistState.isLoaded = true;
+            this.renderWatchlistTable();
+        } catch (error) {
+            console.error('Error loading watchlist:', error);
+            this.showError('Failed to load watchlist');
+        }
+    }
+
+    /**
+     * Load the user's named watchlists, creating the default one on first use
+     */
+    async loadWatchlists() {
+        if (!window.SupabaseConfig?.getSupabaseClient()) {
+            // Demo mode - watchlists live in memory
+            if (WatchlistState.watchlists.length === 0) {
+                WatchlistState.watchlists = [{ id: 'demo-main', name: DEFAULT_WATCHLIST_NAME }];
+            }
+            this.renderWatchlistSwitcher();
+            return;
+        }
+
+        const helpers = window.SupabaseConfig.DatabaseHelpers;
+        const { data, error } = await helpers.getWatchlists(WatchlistState.currentUser.id);
+        if (error) {
+            console.error('Error loading watchlists:', error);
+            return;
+        }
+
+        WatchlistState.watchlists = data || [];
+
+        if (WatchlistState.watchlists.length === 0) {
+            const { data: created, error: createError } = await helpers.createWatchlist(WatchlistState.currentUser.id, DEFAULT_WATCHLIST_NAME);
+            if (createError) {
+                console.error('Error creating default watchlist:', createError);
+            } else {
+                WatchlistState.watchlists = [created];
+            }
+        }
+
+        this.renderWatchlistSwitcher();
+    }
+
+    /**
+     * Fill the watchlist switcher, keeping the active list if it still exists
+     */
+    renderWatchlistSwitcher() {
+        if (!WatchlistState.watchlists.some(watchlist => watchlist.id === WatchlistState.activeWatchlistId)) {
+            WatchlistState.activeWatchlistId = WatchlistState.watchlists[0]?.id || null;
+        }
+
+        const switcher = document.getElementById('watchlistSwitcher');
+        if (!switcher) return;
+
+        switcher.innerHTML = WatchlistState.watchlists
+            .map(watchlist => `<option value="${watchlist.id}">${this.escapeHtml(watchlist.name)}</option>`)
+            .join('');
+        switcher.value = WatchlistState.activeWatchlistId || '';
+    }
+
+    /**
+     * Switch the watchlist shown in the table; adds and alert edits go to this list
+     */
+    switchWatchlist(watchlistId) {
+        WatchlistState.activeWatchlistId = watchlistId;
+        this.renderWatchlistSwitcher();
+        this.renderWatchlistTable();
+    }
+
+    /**
+     * Entries on the active watchlist
+     */
+    getActiveItems() {
+        return WatchlistState.items.filter(item => item.watchlist_id === WatchlistState.activeWatchlistId);
+    }
+
+    /**
+     * Ask for a watchlist name, rejecting blanks and names already in use
+     * @returns {string|null} Trimmed name, or null when cancelled or invalid
+     */
+    promptWatchlistName(message, currentName = '') {
+        const name = prompt(message, currentName)?.trim();
+        if (!name || name === currentName) return null;
+
+        if (WatchlistState.watchlists.some(watchlist => watchlist.name.toLowerCase() === name.toLowerCase())) {
+            this.showError(`You already have a watchlist named "${name}"`);
+            return null;
+        }
+        return name;
+    }
+
+    /**
+     * Create a named watchlist and switch to it
+     */
+    async createWatchlist() {
+        if (!WatchlistState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        const name = this.promptWatchlistName('Name the new watchlist (e.g. "Sealed Long-Hold"):');
+        if (!name) return;
+
+        try {
+            let watchlist = { id: 'demo-' + Date.now(), name };
+
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { data, error } = await window.SupabaseConfig.DatabaseHelpers.createWatchlist(WatchlistState.currentUser.id, name);
+
+                if (error) {
+                    console.error('Error creating watchlist:', error);
+                    this.showError('Failed to create watchlist');
+                    return;
+                }
+                watchlist = data;
+            }
+
+            WatchlistState.watchlists.push(watchlist);
+            this.switchWatchlist(watchlist.id);
+            this.showSuccess(`Created watchlist "${name}"`);
+        } catch (error) {
+            console.error('Error creating watchlist:', error);
+            this.showError('Failed to create watchlist');
+        }
+    }
+
+    /**
+     * Rename the active watchlist
+     */
+    async renameWatchlist() {
+        const watchlist = WatchlistState.watchlists.find(w => w.id === WatchlistState.activeWatchlistId);
+        if (!watchlist) return;
+
+        const name = this.promptWatchlistName('Rename watchlist:', watchlist.name);
+        if (!name) return;
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.renameWatchlist(WatchlistState.currentUser.id, watchlist.id, name);
+
+                if (error) {
+                    console.error('Error renaming watchlist:', error);
+                    this.showError('Failed to rename watchlist');
+                    return;
+                }
+            }
+
+            watchlist.name = name;
+            this.renderWatchlistSwitcher();
+            this.showSuccess(`Watchlist renamed to "${name}"`);
+        } catch (error) {
+            console.error('Error renaming watchlist:', error);
+            this.showError('Failed to rename watchlist');
+        }
+    }
+
+    /**
+     * Delete the active watchlist along with its entries and alerts
+     */
+    async deleteWatchlist() {
+        const watchlist = WatchlistState.watchlists.find(w => w.id === WatchlistState.activeWatchlistId);
+        if (!watchlist) return;
+
+        if (WatchlistState.watchlists.length === 1) {
+            this.showError('You need at least one watchlist');
+            return;
+        }
+
+        const count = this.getActiveItems().length;
+        if (!confirm(`Delete "${watchlist.name}"${count > 0 ? ` and the alerts on its ${count} ${count === 1 ? 'card' : 'cards'}` : ''}?`)) {
+            return;
+        }
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.deleteWatchlist(WatchlistState.currentUser.id, watchlist.id);
+
+                if (error) {
+                    console.error('Error deleting watchlist:', error);
+                    this.showError('Failed to delete watchlist');
+                    return;
+                }
+            }
+
+            WatchlistState.watchlists = WatchlistState.watchlists.filter(w => w.id !== watchlist.id);
+            WatchlistState.items = WatchlistState.items.filter(item => item.watchlist_id !== watchlist.id);
+            this.switchWatchlist(WatchlistState.watchlists[0].id);
+            this.showSuccess(`Deleted watchlist "${watchlist.name}"`);
+        } catch (error) {
+            console.error('Error deleting watchlist:', error);
+            this.showError('Failed to delete watchlist');
+        }
+    }
+
+    /**
+     * Render Watchlist Table
+     */
+    renderWatchlistTable() {
+        const tbody = document.getElementById('watchlistTableBody');
+        if (!tbody) return;
+
+        const items = this.getActiveItems();
+        if (items.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="7">
+                        ${WatchlistState.currentUser
+                            ? 'No cards in watchlist yet. Add some cards to start monitoring!'
+                            : 'Sign in to build a watchlist and get price alerts.'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = items.map(item => this.renderWatchlistRow(item)).join('');
+    }
+
+    /**
+     * Render one watchlist entry
+     */
+    renderWatchlistRow(item) {
+        const key = window.SealedProducts.holdingKey(item);
+        const params = item.alert_params || {};
+        const grade = params.grade || 'ungraded';
+        const currentPrice = this.getCurrentPrice(item, grade);
+        const stats = window.PriceHistory.calculateStats(WatchlistState.priceHistory.get(key), grade);
+        const weekChange = stats?.changes[7] ?? null;
+        const muted = AppState.alerts.mutedTypes.includes(item.alert_type);
+        const hasAlert = !window.AlertTypes.ALERT_TYPES[item.alert_type]?.usesAlertPrice || item.alert_price !== null;
+
+        let status = '<span class="watch-status">Watching</span>';
+        if (!hasAlert) {
+            status = '<span class="watch-status">No alert</span>';
+        } else if (muted) {
+            status = '<span class="watch-status muted">Muted</span>';
+        } else if (item.alert_triggered) {
+            status = '<span class="watch-status triggered">Triggered</span>';
+        }
+
+        return `
+            <tr>
+                <td>
+                    <div class="card-info">
+                        <img src="${item.images?.small || '/placeholder-card.jpg'}" alt="${this.escapeHtml(item.card_name)}" class="card-image" onerror="this.src='/placeholder-card.jpg'">
+                        <div class="card-details">
+                            <h4>${this.escapeHtml(item.card_name || 'Unknown Card')}</h4>
+                            <p>${this.escapeHtml(item.set_name || '')}${item.sealed_product_id ? ` - ${window.SealedProducts.formatType(item.product_type)}` : ''}</p>
+                        </div>
+                    </div>
+                </td>
+                <td>${currentPrice === null ? '—' : `$${this.formatPrice(currentPrice)}`}${grade !== 'ungraded' ? ` <span class="lot-average-label">${window.AlertTypes.ALERT_GRADES[grade]}</span>` : ''}</td>
+                <td>${hasAlert ? window.AlertTypes.describe(item.alert_type, item.alert_price, params) : '—'}</td>
+                <td>${this.renderDistance(item, currentPrice)}</td>
+                <td class="${weekChange === null ? 'roi-neutral' : weekChange >= 0 ? 'roi-positive' : 'roi-negative'}">
+                    ${weekChange === null ? '—' : `${weekChange >= 0 ? '+' : ''}${weekChange.toFixed(1)}%`}
+                </td>
+                <td>${status}</td>
+                <td>
+                    <div class="action-buttons">
+                        <button class="btn-outline btn-sm" onclick="watchlistManager.editAlert('${key}')">Edit Alert</button>
+                        <button class="btn-danger btn-sm" onclick="watchlistManager.confirmRemove('${key}')">Remove</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    /**
+     * How far the price has to move to reach the alert
+     */
+    renderDistance(item, currentPrice) {
+        const params = item.alert_params || {};
+
+        if (item.alert_type === 'grade_spread') {
+            const raw = Number(item.ungraded_price);
+            const graded = Number(item.psa_10_price);
+            if (!raw || !graded) return '—';
+
+            const spread = params.unit === 'amount' ? graded - raw : graded / raw;
+            return params.unit === 'amount' ? `Now $${this.formatPrice(spread)}` : `Now ${spread.toFixed(1)}x`;
+        }
+
+        if (!window.AlertTypes.ALERT_TYPES[item.alert_type]?.usesAlertPrice || item.alert_price === null || !currentPrice) {
+            return '—';
+        }
+
+        const difference = Number(item.alert_price) - currentPrice;
+        const percent = (difference / currentPrice) * 100;
+        return `${difference >= 0 ? '+' : '-'}$${this.formatPrice(Math.abs(difference))} (${percent >= 0 ? '+' : ''}${percent.toFixed(1)}%)`;
+    }
+
+    /**
+     * Current price of a watchlist entry for a grade
+     */
+    getCurrentPrice(item, grade = 'ungraded') {
+        const columns = {
+            'ungraded': 'ungraded_price',
+            'psa-10': 'psa_10_price',
+            'psa-9': 'psa_9_price',
+            'psa-8': 'psa_8_price'
+        };
+        const price = item[columns[grade] || 'ungraded_price'];
+        return price === null || price === undefined ? null : Number(price);
+    }
+
+    /**
+     * Add a card to the watchlist without an alert
+     */
+    async addCard(card) {
+        if (!WatchlistState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        if (this.getActiveItems().some(item => window.SealedProducts.holdingKey(item) === card.id)) {
+            this.showError('This card is already in your watchlist');
+            return;
+        }
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.addToWatchlist(
+                    WatchlistState.currentUser.id,
+                    WatchlistState.activeWatchlistId,
+                    card.id
+                );
+
+                if (error) {
+                    console.error('Error adding to watchlist:', error);
+                    this.showError('Failed to add card to watchlist');
+                    return;
+                }
+
+                await this.loadWatchlist();
+            } else {
+                WatchlistState.items.unshift(this.demoItem(card, { alertType: 'below', alertPrice: null, alertParams: {} }));
+                this.renderWatchlistTable();
+            }
+
+            this.showSuccess('Card added to watchlist!');
+        } catch (error) {
+            console.error('Error adding to watchlist:', error);
+            this.showError('Failed to add card to watchlist');
+        }
+    }
+
+    /**
+     * Confirm Remove Watchlist Entry
+     */
+    confirmRemove(cardId) {
+        if (confirm('Remove this card from your watchlist? Its alert will be deleted too.')) {
+            this.removeCard(cardId);
+        }
+    }
+
+    /**
+     * Remove Watchlist Entry
+     */
+    async removeCard(cardId) {
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.removeFromWatchlist(
+                    WatchlistState.currentUser.id,
+                    WatchlistState.activeWatchlistId,
+                    cardId
+                );
+
+                if (error) {
+                    console.error('Error removing from watchlist:', error);
+                    this.showError('Failed to remove card from watchlist');
+                    return;
+                }
+            }
+
+            WatchlistState.items = WatchlistState.items.filter(item =>
+                window.SealedProducts.holdingKey(item) !== cardId || item.watchlist_id !== WatchlistState.activeWatchlistId
+            );
+            this.renderWatchlistTable();
+            this.showSuccess('Card removed from watchlist');
+        } catch (error) {
+            console.error('Error removing from watchlist:', error);
+            this.showError('Failed to remove card from watchlist');
+        }
+    }
+
+    /**
+     * Refresh Watchlist
+     */
+    async refreshWatchlist() {
+        await this.loadWatchlist();
+    }
+
+    /**
+     * Show Add to Watchlist Modal
+     */
+    showAddModal() {
+        if (!WatchlistState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        document.getElementById('addWatchlistModal').classList.add('active');
+        document.getElementById('watchlistSearchInput').focus();
+    }
+
+    /**
+     * Hide Add to Watchlist Modal
+     */
+    hideAddModal() {
+        document.getElementById('addWatchlistModal').classList.remove('active');
+        document.getElementById('watchlistSearchInput').value = '';
+        document.getElementById('watchlistSearchResults').innerHTML = '';
+    }
+
+    /**
+     * Search for cards to watch
+     */
+    async searchCards() {
+        const searchTerm = document.getElementById('watchlistSearchInput').value.trim();
+        if (!searchTerm) return;
+
+        const container = document.getElementById('watchlistSearchResults');
+        let cards = [];
+
+        if (window.SupabaseConfig?.getSupabaseClient()) {
+            const [{ data, error }, { data: sealed, error: sealedError }] = await Promise.all([
+                window.SupabaseConfig.DatabaseHelpers.searchCards(searchTerm, { limit: 10 }),
+                window.SupabaseConfig.DatabaseHelpers.getSealedProducts({ searchTerm, limit: 5 })
+            ]);
+
+            if (error) {
+                console.error('Error searching cards:', error);
+                this.showError('Failed to search cards');
+                return;
+            }
+            if (sealedError) {
+                console.error('Error searching sealed products:', sealedError);
+            }
+
+            cards = [
+                ...(data || []),
+                ...(sealed || []).map(product => window.SealedProducts.toCardShape(product))
+            ].map(card => ({
+                id: card.id,
+                name: card.name,
+                set: card.sets?.name || card.set_name || '',
+                number: card.number,
+                ungradedPrice: card.pricing_data?.[0]?.ungraded_price || 0
+            }));
+        } else {
+            const term = searchTerm.toLowerCase();
+            cards = (AppState.mockData?.cards || []).filter(card => card.name.toLowerCase().includes(term)).slice(0, 10);
+        }
+
+        if (cards.length === 0) {
+            container.innerHTML = '<div class="portfolio-error">No cards found. Try a different search term.</div>';
+            return;
+        }
+
+        WatchlistState.searchResults = cards;
+        container.innerHTML = cards.map(card => `
+            <div class="card-search-item" onclick="watchlistManager.selectSearchResult('${card.id}')">
+                <div class="card-info">
+                    <h4 class="card-name">${this.escapeHtml(card.name)}</h4>
+                    <p class="card-set">${this.escapeHtml(card.set)} - ${this.escapeHtml(card.number)}</p>
+                </div>
+                <div class="card-price">$${this.formatPrice(card.ungradedPrice)}</div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Pick a search result and go straight to its alert settings
+     */
+    selectSearchResult(cardId) {
+        const card = WatchlistState.searchResults.find(result => result.id === cardId);
+        if (!card) return;
+
+        this.hideAddModal();
+        this.editAlert(card.id, card);
+    }
+
+    /**
+     * Open the alert editor for a card, prefilled from its watchlist entry
+     * @param {string} cardId - Card ID
+     * @param {Object} card - Card details when the card is not on the watchlist yet
+     */
+    editAlert(cardId, card = null) {
+        if (!WatchlistState.currentUser) {
+            this.showLoginPrompt();
+            return;
+        }
+
+        const item = this.getActiveItems().find(entry => window.SealedProducts.holdingKey(entry) === cardId);
+        const alertType = item?.alert_type || 'below';
+
+        WatchlistState.editingCard = card || { id: cardId, name: item?.card_name || 'Card' };
+        document.getElementById('alertConfigTitle').textContent = `Price Alert: ${WatchlistState.editingCard.name}`;
+        document.getElementById('alertTypeSelect').value = alertType;
+        this.renderAlertFields(alertType, item?.alert_price ?? null, item?.alert_params || {});
+
+        document.getElementById('alertConfigModal').classList.add('active');
+    }
+
+    /**
+     * Hide Alert Modal
+     */
+    hideAlertModal() {
+        document.getElementById('alertConfigModal').classList.remove('active');
+        WatchlistState.editingCard = null;
+    }
+
+    /**
+     * Render the settings for the chosen alert type
+     */
+    renderAlertFields(alertType, alertPrice, alertParams) {
+        document.getElementById('alertParamsFields').innerHTML = window.AlertTypes.renderFields(alertType, alertPrice, alertParams);
+        this.updateAlertSummary();
+    }
+
+    /**
+     * Read the alert form
+     * @returns {Object} { alertType, alertPrice, alertParams }
+     */
+    getAlertFormData() {
+        const alertType = document.getElementById('alertTypeSelect').value;
+        const values = {};
+        document.querySelectorAll('#alertParamsFields [data-alert-param]').forEach(input => {
+            values[input.dataset.alertParam] = input.value;
+        });
+
+        const priceInput = document.getElementById('alertPriceInput');
+        return {
+            alertType,
+            alertPrice: priceInput && priceInput.value !== '' ? parseFloat(priceInput.value) : null,
+            alertParams: window.AlertTypes.normalizeParams(alertType, values)
+        };
+    }
+
+    /**
+     * Show a one-line description of the alert being edited
+     */
+    updateAlertSummary() {
+        const { alertType, alertPrice, alertParams } = this.getAlertFormData();
+        const muted = AppState.alerts.mutedTypes.includes(alertType);
+
+        document.getElementById('alertConfigSummary').textContent =
+            window.AlertTypes.describe(alertType, alertPrice ?? 0, alertParams) +
+            (muted ? ' — this alert type is turned off in your profile' : '');
+    }
+
+    /**
+     * Save the alert, adding the card to the watchlist if needed
+     */
+    async handleSaveAlert(e) {
+        e.preventDefault();
+
+        const card = WatchlistState.editingCard;
+        if (!card) return;
+
+        const alertConfig = this.getAlertFormData();
+        const validationError = window.AlertTypes.validate(alertConfig.alertType, alertConfig.alertPrice, alertConfig.alertParams);
+        if (validationError) {
+            this.showError(validationError);
+            return;
+        }
+
+        // Only threshold types keep a price; clear it so the view does not compare a stale one
+        if (!window.AlertTypes.ALERT_TYPES[alertConfig.alertType].usesAlertPrice) {
+            alertConfig.alertPrice = null;
+        }
+
+        try {
+            if (window.SupabaseConfig?.getSupabaseClient()) {
+                const { error } = await window.SupabaseConfig.DatabaseHelpers.setWatchlistAlert(
+                    WatchlistState.currentUser.id,
+                    WatchlistState.activeWatchlistId,
+                    card.id,
+                    alertConfig
+                );
+
+                if (error) {
+                    console.error('Error saving alert:', error);
+                    this.showError('Failed to save alert');
+                    return;
+                }
+
+                await this.loadWatchlist();
+            } else {
+                WatchlistState.items = WatchlistState.items.filter(item =>
+                    window.SealedProducts.holdingKey(item) !== card.id || item.watchlist_id !== WatchlistState.activeWatchlistId
+                );
+                WatchlistState.items.unshift(this.demoItem(card, alertConfig));
+                this.renderWatchlistTable();
+            }
+
+            this.showSuccess(`Alert saved: ${window.AlertTypes.describe(alertConfig.alertType, alertConfig.alertPrice, alertConfig.alertParams)}`);
+            this.hideAlertModal();
+        } catch (error) {
+            console.error('Error saving alert:', error);
+            this.showError('Failed to save alert');
+        }
+    }
+
+    /**
+     * Shape a mock card like a watchlist_with_pricing row for demo mode
+     */
+    demoItem(card, alertConfig) {
+        const mockCard = AppState.mockData?.cards.find(mock => mock.id === card.id) || card;
+        const price = Number(alertConfig.alertPrice);
+
+        return {
+            watchlist_id: WatchlistState.activeWatchlistId,
+            ...window.SealedProducts.holdingColumns(card.id),
+            card_name: mockCard.name,
+            set_name: mockCard.set || '',
+            images: null,
+            ungraded_price: mockCard.ungradedPrice ?? null,
+            psa_10_price: mockCard.psa10Price ?? null,
+            psa_9_price: mockCard.psa9Price ?? null,
+            psa_8_price: mockCard.psa8Price ?? null,
+            alert_type: alertConfig.alertType,
+            alert_price: alertConfig.alertPrice,
+            alert_params: alertConfig.alertParams,
+            alert_triggered: alertConfig.alertPrice !== null && mockCard.ungradedPrice !== undefined && (
+                alertConfig.alertType === 'above' ? mockCard.ungradedPrice >= price : mockCard.ungradedPrice <= price
+            )
+        };
+    }
+
+    /**
+     * Show Login Prompt
+     */
+    showLoginPrompt() {
+        this.showError('Please sign in to manage your watchlist');
+        if (window.showAuthModal) {
+            window.showAuthModal();
+        }
+    }
+
+    /**
+     * Utility Functions
+     */
+    formatPrice(price) {
+        return new Intl.NumberFormat('en-US', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        }).format(price || 0);
+    }
+
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value ?? '').replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    showSuccess(message) {
+        window.showNotification(message, 'success');
+    }
+
+    showError(message) {
+        window.showNotification(message, 'error');
+    }
+}
+
+// Initialize Watchlist Manager when DOM is loaded
+let watchlistManager;
+document.addEventListener('DOMContentLoaded', function() {
+    watchlistManager = new WatchlistManager();
+    window.watchlistManager = watchlistManager;
+});